@@ -0,0 +1,30 @@
+// The folder name puts this file in 3_Game
+class CrossLayerSettings
+{
+	PlayerBase m_Owner; // expect: cross-layer-reference HIGH
+	Man m_Fallback;
+	ref array<string> m_Names;
+
+	void SetOwner(Object target)
+	{
+		// 3_Game base classes and Cast to them are fine
+		Man man = Man.Cast(target);
+		m_Fallback = man;
+		m_Owner = PlayerBase.Cast(target);
+	}
+
+	// expect: cross-layer-reference HIGH
+	MissionServer GetMission()
+	{
+		return null;
+	}
+}
+
+// expect: cross-layer-reference HIGH
+modded class ItemBase
+{
+}
+
+modded class DayZPlayer
+{
+}
@@ -0,0 +1,22 @@
+class CallLaterFixture
+{
+	void CallLaterFixture()
+	{
+		// expect: calllater-no-remove MEDIUM
+		GetGame().GetCallQueue(CALL_CATEGORY_SYSTEM).CallLater(Tick, 1000, true);
+		GetGame().GetCallQueue(CALL_CATEGORY_SYSTEM).CallLater(this.Cleanup, 5000, false);
+	}
+
+	void ~CallLaterFixture()
+	{
+		GetGame().GetCallQueue(CALL_CATEGORY_SYSTEM).Remove(Cleanup);
+	}
+
+	void Tick()
+	{
+	}
+
+	void Cleanup()
+	{
+	}
+}
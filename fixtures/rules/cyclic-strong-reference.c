@@ -0,0 +1,19 @@
+class TeamFixture // expect: cyclic-strong-reference MEDIUM
+{
+	ref MemberFixture m_Leader;
+}
+
+class MemberFixture // expect: cyclic-strong-reference MEDIUM
+{
+	ref TeamFixture m_Team;
+}
+
+class SquadFixture
+{
+	ref SoldierFixture m_Leader;
+}
+
+class SoldierFixture
+{
+	SquadFixture m_Squad;
+}
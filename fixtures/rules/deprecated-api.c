@@ -0,0 +1,26 @@
+class DeprecatedApiFixture
+{
+	ref DeprecatedApiConfig m_Config;
+
+	void Load(string path)
+	{
+		JsonFileLoader<DeprecatedApiConfig>.JsonLoadFile(path, m_Config); // expect: deprecated-api MEDIUM
+		JsonFileLoader<DeprecatedApiConfig>.JsonSaveFile(path, m_Config); // expect: deprecated-api MEDIUM
+
+		string error;
+		if (!JsonFileLoader<DeprecatedApiConfig>.LoadFile(path, m_Config, error))
+		{
+			ErrorEx(error);
+		}
+
+		// Same name on an unrelated class
+		m_Config.JsonLoadFile(path);
+	}
+}
+
+class DeprecatedApiConfig
+{
+	void JsonLoadFile(string path)
+	{
+	}
+}
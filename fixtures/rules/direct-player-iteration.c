@@ -0,0 +1,26 @@
+class PlayerIterationFixture
+{
+	ref array<Man> m_Players;
+
+	void OnUpdate(float timeslice)
+	{
+		foreach (Man player : m_Players) // expect: direct-player-iteration MEDIUM
+		{
+			Print(player);
+		}
+	}
+}
+
+class SchedulerFixture
+{
+	const int SCHEDULER_PLAYERS_PER_TICK = 5;
+	ref array<Man> m_Players;
+
+	void OnUpdate(float timeslice)
+	{
+		for (int i = 0; i < SCHEDULER_PLAYERS_PER_TICK && i < m_Players.Count(); i++)
+		{
+			Print(m_Players[i]);
+		}
+	}
+}
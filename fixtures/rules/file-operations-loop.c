@@ -0,0 +1,19 @@
+class FileOpsFixture // expect: missing-destructor MEDIUM, missing-destructor-cleanup MEDIUM
+{
+	void WriteAll(array<string> lines)
+	{
+		foreach (string line : lines)
+		{
+			FileHandle file = OpenFile("$profile:log.txt", FileMode.APPEND); // expect: file-operations-loop CRITICAL
+			FPrintln(file, line); // expect: file-operations-loop CRITICAL
+			CloseFile(file);
+		}
+	}
+
+	void WriteOnce(string text)
+	{
+		FileHandle file = OpenFile("$profile:log.txt", FileMode.APPEND);
+		FPrintln(file, text);
+		CloseFile(file);
+	}
+}
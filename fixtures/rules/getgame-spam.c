@@ -0,0 +1,21 @@
+class GetGameFixture
+{
+	void Busy() // expect: getgame-spam INFO
+	{
+		GetGame().GetWorld();
+		GetGame().GetMission();
+		GetGame().GetTime();
+		GetGame().GetPlayer();
+		GetGame().IsServer();
+		GetGame().IsClient();
+	}
+
+	void Moderate()
+	{
+		GetGame().GetWorld();
+		GetGame().GetMission();
+		GetGame().GetTime();
+		GetGame().GetPlayer();
+		GetGame().IsServer();
+	}
+}
@@ -0,0 +1,15 @@
+// Rate limiting anywhere in the file silences the rule
+class ThrottledPlayersFixture
+{
+	ref array<Man> m_Players;
+	float m_LastCheckTime;
+
+	void OnUpdate(float timeslice)
+	{
+		float currentTime = GetGame().GetTime() / 1000.0;
+		if (currentTime - m_LastCheckTime < 1.0) return;
+		m_LastCheckTime = currentTime;
+
+		GetGame().GetPlayers(m_Players);
+	}
+}
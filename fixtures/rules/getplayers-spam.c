@@ -0,0 +1,14 @@
+class PlayersFixture
+{
+	ref array<Man> m_Players;
+
+	void OnUpdate(float timeslice)
+	{
+		GetGame().GetPlayers(m_Players); // expect: getplayers-spam HIGH
+	}
+
+	void OnConnect()
+	{
+		GetGame().GetPlayers(m_Players);
+	}
+}
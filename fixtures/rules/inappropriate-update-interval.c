@@ -0,0 +1,28 @@
+class IntervalFixture
+{
+	void IntervalFixture()
+	{
+		GetGame().GetCallQueue(CALL_CATEGORY_GAMEPLAY).CallLater(Refresh, 250, true); // expect: inappropriate-update-interval INFO
+		GetGame().GetCallQueue(CALL_CATEGORY_GAMEPLAY).CallLater(Save, 500, true);
+		GetGame().GetCallQueue(CALL_CATEGORY_GAMEPLAY).CallLater(Once, 250, false);
+	}
+
+	void ~IntervalFixture()
+	{
+		GetGame().GetCallQueue(CALL_CATEGORY_GAMEPLAY).Remove(Refresh);
+		GetGame().GetCallQueue(CALL_CATEGORY_GAMEPLAY).Remove(Save);
+		GetGame().GetCallQueue(CALL_CATEGORY_GAMEPLAY).Remove(Once);
+	}
+
+	void Refresh()
+	{
+	}
+
+	void Save()
+	{
+	}
+
+	void Once()
+	{
+	}
+}
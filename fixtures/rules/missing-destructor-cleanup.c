@@ -0,0 +1,36 @@
+class CleanupFixture // expect: missing-destructor-cleanup MEDIUM
+{
+	void CleanupFixture()
+	{
+		GetGame().GetCallQueue(CALL_CATEGORY_SYSTEM).CallLater(Tick, 1000, true); // expect: calllater-no-remove MEDIUM
+	}
+
+	void ~CleanupFixture()
+	{
+		Print("gone");
+	}
+
+	void Tick()
+	{
+	}
+}
+
+class FileCleanupFixture // expect: missing-destructor-cleanup MEDIUM
+{
+	FileHandle m_Log;
+
+	void ~FileCleanupFixture()
+	{
+		Print("gone");
+	}
+}
+
+class ClosedFileFixture
+{
+	FileHandle m_Log;
+
+	void ~ClosedFileFixture()
+	{
+		CloseFile(m_Log);
+	}
+}
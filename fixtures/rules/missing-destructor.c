@@ -0,0 +1,28 @@
+class NoDestructorFixture // expect: missing-destructor MEDIUM, missing-destructor-cleanup MEDIUM
+{
+	void NoDestructorFixture()
+	{
+		GetGame().GetCallQueue(CALL_CATEGORY_SYSTEM).CallLater(Tick, 1000, true); // expect: calllater-no-remove MEDIUM
+	}
+
+	void Tick()
+	{
+	}
+}
+
+class WithDestructorFixture
+{
+	void WithDestructorFixture()
+	{
+		GetGame().GetCallQueue(CALL_CATEGORY_SYSTEM).CallLater(Refresh, 1000, true);
+	}
+
+	void ~WithDestructorFixture()
+	{
+		GetGame().GetCallQueue(CALL_CATEGORY_SYSTEM).Remove(Refresh);
+	}
+
+	void Refresh()
+	{
+	}
+}
@@ -0,0 +1,32 @@
+class SuperFixtureBase
+{
+	void OnInit()
+	{
+	}
+
+	void EEInit()
+	{
+	}
+
+	void OnUpdate(float timeslice)
+	{
+	}
+}
+
+class SuperFixture extends SuperFixtureBase
+{
+	override void OnInit() // expect: missing-super-call MEDIUM
+	{
+		Print("init");
+	}
+
+	override void EEInit()
+	{
+		super.EEInit();
+	}
+
+	override void OnUpdate(float timeslice)
+	{
+		super.OnUpdate(timeslice);
+	}
+}
@@ -0,0 +1,17 @@
+modded class MissionServer
+{
+	override void OnInit() // expect: modded-without-super HIGH, missing-super-call MEDIUM
+	{
+		Print("init");
+	}
+
+	override void OnMissionStart()
+	{
+		super.OnMissionStart();
+	}
+
+	override void InvokeOnConnect(PlayerBase player, PlayerIdentity identity) // expect: modded-without-super HIGH
+	{
+		Print("connect");
+	}
+}
@@ -0,0 +1,17 @@
+class RpcFixture
+{
+	ref array<Man> m_Players;
+
+	void SyncAll()
+	{
+		foreach (Man player : m_Players)
+		{
+			GetRPCManager().SendRPC("Fixture", "Sync", new Param1<int>(1), true, player.GetIdentity()); // expect: rpc-spam HIGH
+		}
+	}
+
+	void SyncOnce(PlayerIdentity identity)
+	{
+		GetRPCManager().SendRPC("Fixture", "Sync", new Param1<int>(1), true, identity);
+	}
+}
@@ -0,0 +1,9 @@
+class SleepFixture
+{
+	void Respawn()
+	{
+		Sleep(5000); // expect: sleep-in-code HIGH
+		// Sleep(100) in a comment is ignored
+		Print("Sleep(100) in a string is ignored");
+	}
+}
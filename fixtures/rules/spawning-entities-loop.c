@@ -0,0 +1,17 @@
+class SpawnFixture
+{
+	ref array<vector> m_Positions;
+
+	void SpawnAll()
+	{
+		for (int i = 0; i < m_Positions.Count(); i++)
+		{
+			GetGame().CreateObject("Apple", m_Positions[i]); // expect: spawning-entities-loop CRITICAL
+		}
+	}
+
+	void SpawnOne(vector position)
+	{
+		GetGame().CreateObject("Apple", position);
+	}
+}
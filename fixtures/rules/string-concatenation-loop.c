@@ -0,0 +1,18 @@
+class StringFixture
+{
+	string Describe(array<string> names)
+	{
+		string text;
+		foreach (string name : names)
+		{
+			text = text + "name: " + name + ", "; // expect: string-concatenation-loop LOW
+			text = text + "; " + "-";
+		}
+		return text;
+	}
+
+	string Label()
+	{
+		return "a" + "b" + "c" + "d" + "e";
+	}
+}
@@ -0,0 +1,19 @@
+// Casts followed by a null check don't count
+class CheckedCastFixture
+{
+	void CastAll(Object obj)
+	{
+		PlayerBase player = PlayerBase.Cast(obj);
+		if (!player) return;
+		ItemBase item = ItemBase.Cast(obj);
+		if (!item) return;
+		CarScript car = CarScript.Cast(obj);
+		if (car == null) return;
+		ZombieBase zombie = ZombieBase.Cast(obj);
+		if (!zombie) return;
+		AnimalBase animal = AnimalBase.Cast(obj);
+		if (!animal) return;
+		BuildingBase building = BuildingBase.Cast(obj);
+		if (!building) return;
+	}
+}
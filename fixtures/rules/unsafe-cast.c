@@ -0,0 +1,12 @@
+class CastFixture
+{
+	void CastAll(Object obj)
+	{
+		PlayerBase player = PlayerBase.Cast(obj); // expect: unsafe-cast INFO
+		ItemBase item = ItemBase.Cast(obj);
+		CarScript car = CarScript.Cast(obj);
+		ZombieBase zombie = ZombieBase.Cast(obj);
+		AnimalBase animal = AnimalBase.Cast(obj);
+		BuildingBase building = BuildingBase.Cast(obj);
+	}
+}
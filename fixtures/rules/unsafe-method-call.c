@@ -0,0 +1,15 @@
+class MethodCallFixture
+{
+	void GreetChecked(PlayerBase player)
+	{
+		if (player)
+		{
+			Print(player.GetIdentity());
+		}
+	}
+
+	void Greet(PlayerBase player) // expect: unsafe-method-call LOW
+	{
+		Print(player.GetIdentity());
+	}
+}
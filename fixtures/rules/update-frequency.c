@@ -0,0 +1,28 @@
+class UpdateFrequencyFixture
+{
+	void UpdateFrequencyFixture()
+	{
+		GetGame().GetCallQueue(CALL_CATEGORY_SYSTEM).CallLater(Fast, 20, true); // expect: update-frequency HIGH, inappropriate-update-interval INFO
+		GetGame().GetCallQueue(CALL_CATEGORY_SYSTEM).CallLater(Medium, 75, true); // expect: update-frequency MEDIUM, inappropriate-update-interval INFO
+		GetGame().GetCallQueue(CALL_CATEGORY_SYSTEM).CallLater(Slow, 1000, true);
+	}
+
+	void ~UpdateFrequencyFixture()
+	{
+		GetGame().GetCallQueue(CALL_CATEGORY_SYSTEM).Remove(Fast);
+		GetGame().GetCallQueue(CALL_CATEGORY_SYSTEM).Remove(Medium);
+		GetGame().GetCallQueue(CALL_CATEGORY_SYSTEM).Remove(Slow);
+	}
+
+	void Fast()
+	{
+	}
+
+	void Medium()
+	{
+	}
+
+	void Slow()
+	{
+	}
+}
@@ -0,0 +1,64 @@
+modded class MissionServer
+{
+	override void OnUpdate() // expect: vanilla-override HIGH
+	{
+		super.OnUpdate();
+	}
+
+	override void InvokeOnConnect(PlayerBase player, PlayerIdentity identity)
+	{
+		super.InvokeOnConnect(player, identity);
+	}
+
+	override void OnPreloadEvent(PlayerIdentity identity, out bool useDB, out vector pos, out float yaw, out int preloadTimeout)
+	{
+		super.OnPreloadEvent(identity, useDB, pos, yaw, preloadTimeout);
+	}
+
+	void InvokeOnDisconnect(PlayerBase player) // expect: vanilla-override MEDIUM
+	{
+	}
+
+	override void OnMisionStart() // expect: vanilla-override HIGH
+	{
+		super.OnMisionStart();
+	}
+
+	void SaveModData()
+	{
+	}
+}
+
+modded class MissionServer
+{
+	override void SaveModData()
+	{
+		super.SaveModData();
+	}
+}
+
+class VanillaOverrideItem extends ItemBase
+{
+	override bool OnStoreLoad(Serializer ctx, int version)
+	{
+		return super.OnStoreLoad(ctx, version);
+	}
+
+	override void OnStoreSave(ParamsWriteContext ctx, int version) // expect: vanilla-override HIGH
+	{
+		super.OnStoreSave(ctx);
+	}
+
+	// Not in the vanilla API data, which only covers the commonly modded methods
+	override bool CanDisplayCargo()
+	{
+		return super.CanDisplayCargo();
+	}
+}
+
+class VanillaOverrideHelper
+{
+	void OnUpdate(float timeslice)
+	{
+	}
+}
@@ -0,0 +1,18 @@
+class ItemFixture
+{
+}
+
+class WeakArrayFixture
+{
+	void Fill()
+	{
+		array<ItemFixture> items = new array<ItemFixture>; // expect: weak-reference-array MEDIUM
+		items.Insert(new ItemFixture());
+
+		array<ref ItemFixture> kept = new array<ref ItemFixture>;
+		kept.Insert(new ItemFixture());
+
+		array<int> numbers = new array<int>;
+		numbers.Insert(1);
+	}
+}
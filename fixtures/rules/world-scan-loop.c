@@ -0,0 +1,27 @@
+class WorldScanFixture
+{
+	vector m_Center;
+
+	void OnUpdate(float timeslice)
+	{
+		array<Object> objects = new array<Object>;
+		// expect: world-scan-loop CRITICAL
+		GetGame().GetObjectsAtPosition(m_Center, 2000, objects, null);
+	}
+
+	void OneTimeScan()
+	{
+		array<Object> objects = new array<Object>;
+		GetGame().GetObjectsAtPosition(m_Center, 6000, objects, null); // expect: world-scan-loop HIGH
+		GetGame().GetObjectsAtPosition(m_Center, 2000, objects, null);
+	}
+
+	void SmallScanInLoop()
+	{
+		array<Object> objects = new array<Object>;
+		for (int i = 0; i < 10; i++)
+		{
+			GetGame().GetObjectsAtPosition(m_Center, 50, objects, null);
+		}
+	}
+}
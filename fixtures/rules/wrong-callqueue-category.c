@@ -0,0 +1,28 @@
+class CallQueueFixture
+{
+	void CallQueueFixture()
+	{
+		GetGame().GetCallQueue(CALL_CATEGORY_SYSTEM).CallLater(UpdatePlayerStats, 1000, true); // expect: wrong-callqueue-category LOW
+		GetGame().GetCallQueue(CALL_CATEGORY_GAMEPLAY).CallLater(RefreshMenu, 1000, true); // expect: wrong-callqueue-category INFO
+		GetGame().GetCallQueue(CALL_CATEGORY_GAMEPLAY).CallLater(SpawnLoot, 1000, true);
+	}
+
+	void ~CallQueueFixture()
+	{
+		GetGame().GetCallQueue(CALL_CATEGORY_SYSTEM).Remove(UpdatePlayerStats);
+		GetGame().GetCallQueue(CALL_CATEGORY_GAMEPLAY).Remove(RefreshMenu);
+		GetGame().GetCallQueue(CALL_CATEGORY_GAMEPLAY).Remove(SpawnLoot);
+	}
+
+	void UpdatePlayerStats()
+	{
+	}
+
+	void RefreshMenu()
+	{
+	}
+
+	void SpawnLoot()
+	{
+	}
+}
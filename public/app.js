@@ -8,6 +8,7 @@
 
 let selectedFile = null;
 let currentResults = null;
+let ruleCatalog = {};
 
 const uploadArea = document.getElementById('uploadArea');
 const fileInput = document.getElementById('fileInput');
@@ -20,6 +21,7 @@ const analyzing = document.getElementById('analyzing');
 const errorDiv = document.getElementById('error');
 const errorMessage = document.getElementById('errorMessage');
 const results = document.getElementById('results');
+const minConfidence = document.getElementById('minConfidence');
 
 uploadArea.addEventListener('click', () => fileInput.click());
 uploadArea.addEventListener('dragover', handleDragOver);
@@ -28,8 +30,9 @@ fileInput.addEventListener('change', handleFileSelect);
 removeFileBtn.addEventListener('click', clearFile);
 analyzeBtn.addEventListener('click', analyzeFile);
 
-// Load statistics on page load
+// Load statistics and rule docs on page load
 loadStatistics();
+loadRuleCatalog();
 
 // Export and reset functionality
 document.getElementById('resetBtn')?.addEventListener('click', resetForm);
@@ -116,6 +119,7 @@ async function analyzeFile() {
     try {
         const formData = new FormData();
         formData.append('modFile', selectedFile);
+        formData.append('minConfidence', minConfidence.value);
 
         const response = await fetch('/api/analyze', {
             method: 'POST',
@@ -149,6 +153,7 @@ function displayResults(data) {
     currentResults = data;
 
     updateScore(data.score, data.rating);
+    displayScoreDetails(data.scoreDetails);
 
     document.getElementById('totalFiles').textContent = data.summary.totalFiles;
     document.getElementById('totalIssues').textContent = data.summary.totalIssues;
@@ -157,7 +162,7 @@ function displayResults(data) {
     document.getElementById('mediumCount').textContent = data.summary.medium;
     document.getElementById('lowCount').textContent = data.summary.low;
 
-    displayIssues(data.issues, data.summary);
+    displayIssues(data.issues, data.summary, data.preprocessor);
     displayRecommendations(data.summary);
 
     results.classList.remove('hidden');
@@ -222,7 +227,36 @@ function updateScore(score, rating) {
     }, 800);
 }
 
-function displayIssues(issues, summary) {
+function displayScoreDetails(details) {
+    const categories = document.getElementById('scoreCategories');
+    const explanation = document.getElementById('scoreExplanation');
+
+    if (!details) {
+        categories.innerHTML = '';
+        explanation.innerHTML = '';
+        return;
+    }
+
+    categories.innerHTML = Object.entries(details.categories).map(([category, subscore]) => `
+        <div class="text-center p-4 bg-slate-800/50 rounded-xl border border-slate-700">
+            <p class="text-2xl font-bold text-white">${subscore.score}</p>
+            <p class="text-sm text-gray-400 capitalize">${category}</p>
+            <p class="text-xs text-gray-500">${subscore.findings} finding${subscore.findings === 1 ? '' : 's'}</p>
+        </div>
+    `).join('');
+
+    const costliest = details.explanation.byRule.filter(entry => entry.points > 0).slice(0, 5);
+    explanation.innerHTML = costliest.length === 0 ? '' : `
+        <p class="font-bold text-gray-300 mb-2">Points lost by rule</p>
+        <ul class="space-y-1">
+            ${costliest.map(entry => `
+                <li><span class="font-mono text-red-400">-${entry.points}</span> <code class="text-gray-300">${entry.ruleId}</code> <span class="text-gray-500">(${entry.count}x, ${entry.category})</span></li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+function displayIssues(issues, summary, preprocessor) {
     const issuesList = document.getElementById('issuesList');
     const issuesSection = document.getElementById('issuesSection');
 
@@ -285,16 +319,21 @@ function displayIssues(issues, summary) {
                                     </svg>
                                 </div>
                                 <div class="flex-1 min-w-0">
-                                    <h4 class="text-base font-bold text-white mb-2">${issue.ruleName}</h4>
+                                    <h4 class="text-base font-bold text-white mb-2">${issue.ruleName} <span class="text-xs font-normal text-gray-500">${issue.confidence} confidence</span></h4>
                                     <p class="text-sm text-gray-300 mb-2">${issue.message}</p>
+                                    ${issue.callChain ? `<p class="text-xs text-gray-400 font-mono mb-2">Call chain: ${issue.callChain.join(' &rarr; ')}</p>` : ''}
+                                    ${issue.mergedWith ? `<p class="text-xs text-gray-500 mb-2">Also reported by: ${issue.mergedWith.map(other => other.ruleId).join(', ')}</p>` : ''}
+                                    ${isBuildSpecific(issue, preprocessor) ? `<p class="text-xs text-gray-500 mb-2">Only in: ${issue.configurations.join(', ')}</p>` : ''}
                                     <div class="flex items-center gap-2 text-xs">
                                         <svg class="w-4 h-4 text-gray-500" fill="currentColor" viewBox="0 0 20 20">
                                             <path fill-rule="evenodd" d="M4 4a2 2 0 012-2h4.586A2 2 0 0112 2.586L15.414 6A2 2 0 0116 7.414V16a2 2 0 01-2 2H6a2 2 0 01-2-2V4z" clip-rule="evenodd"/>
                                         </svg>
                                         <code class="text-gray-400 font-mono">
-                                            ${issue.file}${issue.line ? `:${issue.line}` : ''}
+                                            ${issue.file}${issue.line ? `:${issue.line}` : ''}${issue.column ? `:${issue.column}` : ''}
                                         </code>
                                     </div>
+                                    ${issue.snippet ? renderSnippet(issue.snippet) : ''}
+                                    ${renderRuleDocs(issue.ruleId)}
                                 </div>
                             </div>
                         </div>
@@ -307,6 +346,33 @@ function displayIssues(issues, summary) {
     issuesList.innerHTML = html;
 }
 
+// Found in some of the analyzed build configurations, not all
+function isBuildSpecific(issue, preprocessor) {
+    return !!issue.configurations && !!preprocessor && issue.configurations.length < preprocessor.configurations.length;
+}
+
+// Source lines around a finding, with the flagged span highlighted
+function renderSnippet(snippet) {
+    const width = String(snippet.lines[snippet.lines.length - 1].line).length;
+    const rows = snippet.lines.map(({ line, text, highlight }) => {
+        const number = `<span class="select-none ${highlight ? 'text-yellow-400' : 'text-gray-600'}">${String(line).padStart(width)} | </span>`;
+        if (!highlight) return number + escapeHtml(text);
+        return number +
+            escapeHtml(text.substring(0, highlight.start - 1)) +
+            `<mark class="bg-yellow-500/30 text-yellow-200 rounded">${escapeHtml(text.substring(highlight.start - 1, highlight.end - 1))}</mark>` +
+            escapeHtml(text.substring(highlight.end - 1));
+    });
+
+    return `<pre class="mt-3 p-3 bg-slate-900/80 rounded-lg text-xs text-gray-300 font-mono overflow-x-auto" style="tab-size: 4">${rows.join('\n')}</pre>`;
+}
+
+function escapeHtml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
 function displayRecommendations(summary) {
     const recommendations = document.getElementById('recommendations');
     let html = '';
@@ -443,6 +509,41 @@ async function loadStatistics() {
     }
 }
 
+async function loadRuleCatalog() {
+    try {
+        const response = await fetch('/api/rules');
+        const data = await response.json();
+        ruleCatalog = Object.fromEntries(data.rules.map(rule => [rule.id, rule]));
+    } catch (err) {
+        console.error('Failed to load rule catalog:', err);
+    }
+}
+
+// Expandable explanation of the rule behind a finding (see /api/rules)
+function renderRuleDocs(ruleId) {
+    const docs = ruleCatalog[ruleId]?.docs;
+    if (!docs) return '';
+
+    const code = (label, text, color) => text
+        ? `<p class="text-xs font-bold ${color} mt-3 mb-1">${label}</p><pre class="p-3 bg-slate-900/80 rounded-lg text-xs text-gray-300 font-mono overflow-x-auto">${escapeHtml(text)}</pre>`
+        : '';
+    const references = docs.references.map(reference => reference.url
+        ? `<li><a href="${escapeHtml(reference.url)}" target="_blank" rel="noopener" class="text-blue-400 hover:underline">${escapeHtml(reference.title)}</a></li>`
+        : `<li>${escapeHtml(reference.title)}</li>`).join('');
+
+    return `
+        <details class="mt-3 text-sm">
+            <summary class="cursor-pointer text-blue-400 hover:text-blue-300 text-xs">Why is this flagged? (${escapeHtml(ruleId)})</summary>
+            <div class="mt-2 text-gray-300">
+                ${docs.rationale ? `<p>${escapeHtml(docs.rationale)}</p>` : ''}
+                ${code('Bad', docs.bad, 'text-red-400')}
+                ${code('Good', docs.good, 'text-green-400')}
+                ${references ? `<ul class="mt-3 text-xs text-gray-400 list-disc list-inside">${references}</ul>` : ''}
+            </div>
+        </details>
+    `;
+}
+
 function resetForm() {
     // Clear file selection
     clearFile();
@@ -505,7 +606,13 @@ function formatAsTxt(data) {
     txt += `File Size: ${(data.fileSize / 1024 / 1024).toFixed(2)} MB\n`;
     txt += `\n${'='.repeat(60)}\n\n`;
 
-    txt += `PERFORMANCE SCORE: ${data.score}/100 - ${data.rating}\n\n`;
+    txt += `PERFORMANCE SCORE: ${data.score}/100 - ${data.rating}\n`;
+    if (data.scoreDetails) {
+        Object.entries(data.scoreDetails.categories).forEach(([category, subscore]) => {
+            txt += `  - ${category}: ${subscore.score}/100 (${subscore.findings} findings)\n`;
+        });
+    }
+    txt += `\n`;
 
     txt += `SUMMARY\n`;
     txt += `${'-'.repeat(60)}\n`;
@@ -524,9 +631,17 @@ function formatAsTxt(data) {
             if (fileResult.issues.length > 0) {
                 txt += `File: ${fileResult.file}\n`;
                 fileResult.issues.forEach(issue => {
-                    txt += `  [${issue.severity}] ${issue.ruleName}\n`;
+                    txt += `  [${issue.severity}] ${issue.ruleName} (${issue.confidence} confidence)\n`;
                     txt += `  ${issue.message}\n`;
-                    if (issue.line) txt += `  Line: ${issue.line}\n`;
+                    if (issue.callChain) txt += `  Call chain: ${issue.callChain.join(' -> ')}\n`;
+                    if (isBuildSpecific(issue, data.preprocessor)) txt += `  Only in: ${issue.configurations.join(', ')}\n`;
+                    if (issue.line) txt += `  Line: ${issue.line}${issue.column ? `, column ${issue.column}` : ''}\n`;
+                    txt += `  ID: ${issue.id}\n`;
+                    if (issue.snippet) {
+                        issue.snippet.lines.forEach(({ line, text, highlight }) => {
+                            txt += `  ${highlight ? '>' : ' '} ${String(line).padStart(4)} | ${text}\n`;
+                        });
+                    }
                     txt += `\n`;
                 });
                 txt += `\n`;
@@ -560,8 +675,9 @@ function formatAsXml(data) {
         if (fileResult.issues.length > 0) {
             xml += `    <File path="${escapeXml(fileResult.file)}">\n`;
             fileResult.issues.forEach(issue => {
-                xml += `      <Issue severity="${issue.severity}"`;
+                xml += `      <Issue id="${escapeXml(issue.id)}" severity="${issue.severity}"`;
                 if (issue.line) xml += ` line="${issue.line}"`;
+                if (issue.column) xml += ` column="${issue.column}" endLine="${issue.endLine}" endColumn="${issue.endColumn}"`;
                 xml += `>\n`;
                 xml += `        <Rule>${escapeXml(issue.ruleName)}</Rule>\n`;
                 xml += `        <Message>${escapeXml(issue.message)}</Message>\n`;
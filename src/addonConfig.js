@@ -0,0 +1,141 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import path from 'path';
+import { parseConfigText, parseRapified, isRapified, getConfigClass, getConfigProperty } from './configParser.js';
+
+// Addon configs of a mod: the config.cpp or config.bin of every PBO or addon folder.
+//
+// Rules get them as `context.addonConfig` and reports as `addonConfig` in the results:
+// CfgPatches (addon names and requiredAddons), CfgMods (mod metadata and script modules)
+// and the item classes declared in CfgVehicles, CfgWeapons and CfgMagazines.
+
+const CONFIG_FILE_NAMES = ['config.cpp', 'config.bin'];
+const ITEM_CLASSES = ['CfgVehicles', 'CfgWeapons', 'CfgMagazines'];
+
+export function isAddonConfig(filePath) {
+  return CONFIG_FILE_NAMES.includes(path.basename(filePath.replace(/\\/g, '/')).toLowerCase());
+}
+
+/**
+ * Parse an addon config from its data (Buffer or string), text or rapified. A config
+ * that can't be parsed has `error` instead of `root`.
+ */
+export function readAddonConfig(filePath, data) {
+  const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+  const format = isRapified(buffer) ? 'bin' : 'cpp';
+
+  try {
+    const root = format === 'bin'
+      ? parseRapified(buffer, filePath)
+      : parseConfigText(buffer.toString('utf8'), filePath);
+    return { path: filePath, format, root };
+  } catch (error) {
+    return { path: filePath, format, root: null, error: error.message };
+  }
+}
+
+export class AddonConfig {
+  /**
+   * @param configs [{ path, format, root, error? }] from readAddonConfig
+   */
+  constructor(configs = []) {
+    this.configs = configs;
+  }
+
+  /**
+   * CfgPatches entries: [{ name, requiredAddons, units, weapons, file }]
+   */
+  getPatches() {
+    return this.getClasses('CfgPatches').map(({ node, file }) => ({
+      name: node.name,
+      requiredAddons: getStrings(node, 'requiredAddons'),
+      units: getStrings(node, 'units'),
+      weapons: getStrings(node, 'weapons'),
+      file
+    }));
+  }
+
+  /**
+   * CfgMods entries: [{ name, displayName, dir, type, author, version, dependencies, defines, file }]
+   */
+  getMods() {
+    return this.getClasses('CfgMods').map(({ node, file }) => ({
+      name: node.name,
+      displayName: getString(node, 'name'),
+      dir: getString(node, 'dir'),
+      type: getString(node, 'type'),
+      author: getString(node, 'author'),
+      version: getString(node, 'version'),
+      dependencies: getStrings(node, 'dependencies'),
+      defines: getStrings(node, 'defines'),
+      file
+    }));
+  }
+
+  /**
+   * Preprocessor defines the mod sets for all of its scripts (CfgMods `defines[]`)
+   */
+  getDefines() {
+    return [...new Set(this.getMods().flatMap(mod => mod.defines))];
+  }
+
+  /**
+   * Item and entity classes the mod declares: [{ name, base, config, scope, displayName, file }]
+   */
+  getItems() {
+    return ITEM_CLASSES.flatMap(config => this.getClasses(config).map(({ node, file }) => ({
+      name: node.name,
+      base: node.base,
+      config,
+      scope: getConfigProperty(node, 'scope') ?? null,
+      displayName: getString(node, 'displayName'),
+      file
+    })));
+  }
+
+  /**
+   * Classes declared (not only referenced as `class Name;`) under a top-level class
+   */
+  getClasses(topLevel) {
+    return this.configs.filter(config => config.root).flatMap(config => {
+      const parent = getConfigClass(config.root, topLevel);
+      if (!parent) return [];
+      return Object.values(parent.classes)
+        .filter(node => !node.external)
+        .map(node => ({ node, file: config.path }));
+    });
+  }
+
+  getErrors() {
+    return this.configs.filter(config => config.error).map(config => ({ file: config.path, message: config.error }));
+  }
+
+  /**
+   * What the JSON report shows; class trees are left out
+   */
+  getSummary() {
+    return {
+      files: this.configs.map(config => ({ path: config.path, format: config.format })),
+      patches: this.getPatches(),
+      mods: this.getMods(),
+      items: this.getItems(),
+      errors: this.getErrors()
+    };
+  }
+}
+
+function getString(node, name) {
+  const value = getConfigProperty(node, name);
+  return typeof value === 'string' ? value : null;
+}
+
+function getStrings(node, name) {
+  const value = getConfigProperty(node, name);
+  return Array.isArray(value) ? value.filter(entry => typeof entry === 'string') : [];
+}
@@ -0,0 +1,222 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import path from 'path';
+
+// CfgPatches dependencies across a modpack.
+//
+// The game loads addons so that each comes after the addons in its `requiredAddons[]`;
+// addons that don't depend on each other keep the -mod order. The script modules of
+// every addon are compiled in that order too, so a `modded class` whose addon doesn't
+// require the addon declaring the class may be loaded before it, and the order of the
+// modded class chain then depends on the command line rather than on the mods.
+
+// Vanilla addons (DZ_Data, DZ_Scripts, ...) are never part of the analyzed mods
+const VANILLA_ADDON_PATTERN = /^DZ_/i;
+
+export class AddonDependencies {
+  /**
+   * @param mods [{ name, addonConfig }] in load order (addonConfig: AddonConfig)
+   */
+  constructor(mods) {
+    this.mods = mods;
+    // Every CfgPatches class in load order: { name, mod, file, requiredAddons, position }
+    this.addons = mods.flatMap(mod => mod.addonConfig.getPatches().map(patch => ({ ...patch, mod: mod.name })))
+      .map((addon, position) => ({ ...addon, position }));
+    this.byName = new Map();
+    for (const addon of this.addons) {
+      const key = addon.name.toLowerCase();
+      if (!this.byName.has(key)) this.byName.set(key, []);
+      this.byName.get(key).push(addon);
+    }
+  }
+
+  /**
+   * @param index SymbolIndex of every mod's scripts, built with mod names
+   */
+  analyze(index) {
+    return {
+      loadOrder: this.getLoadOrder().map(addon => ({
+        name: addon.name,
+        mod: addon.mod,
+        file: addon.file,
+        requiredAddons: addon.requiredAddons
+      })),
+      duplicates: this.getDuplicates(),
+      circular: this.getCycles(),
+      missing: this.getMissing(index),
+      unresolved: this.getUnresolved()
+    };
+  }
+
+  /**
+   * Addons the given addon requires, among the analyzed ones (case-insensitive like the game)
+   */
+  getRequired(addon) {
+    return addon.requiredAddons.flatMap(name => this.byName.get(name.toLowerCase()) || []);
+  }
+
+  /**
+   * Addons in the order the game loads them: required addons first, the -mod order
+   * otherwise. An addon in a dependency cycle is placed where the cycle is first entered.
+   */
+  getLoadOrder() {
+    const order = [];
+    const placed = new Set();
+    const remaining = [...this.addons];
+
+    while (remaining.length > 0) {
+      let next = remaining.find(addon => this.getRequired(addon).every(required => placed.has(required) || required === addon));
+      // Only cycles are left; break the earliest one
+      if (!next) next = remaining[0];
+
+      order.push(next);
+      placed.add(next);
+      remaining.splice(remaining.indexOf(next), 1);
+    }
+
+    return order;
+  }
+
+  /**
+   * CfgPatches names declared more than once; the game keeps only one of them
+   */
+  getDuplicates() {
+    return [...this.byName.values()]
+      .filter(addons => addons.length > 1)
+      .map(addons => ({
+        name: addons[0].name,
+        declarations: addons.map(addon => ({ mod: addon.mod, file: addon.file }))
+      }));
+  }
+
+  /**
+   * requiredAddons cycles, each as the addon names around the cycle
+   */
+  getCycles() {
+    const cycles = [];
+    const seen = new Set();
+    const done = new Set();
+
+    const visit = (addon, stack) => {
+      if (done.has(addon)) return;
+      const start = stack.indexOf(addon);
+      if (start !== -1) {
+        const cycle = stack.slice(start);
+        const key = cycle.map(entry => entry.position).sort((a, b) => a - b).join(',');
+        if (!seen.has(key)) {
+          seen.add(key);
+          cycles.push({
+            addons: [...cycle, addon].map(entry => entry.name),
+            mods: [...new Set(cycle.map(entry => entry.mod))]
+          });
+        }
+        return;
+      }
+
+      for (const required of this.getRequired(addon)) {
+        visit(required, [...stack, addon]);
+      }
+      done.add(addon);
+    };
+
+    for (const addon of this.addons) {
+      visit(addon, []);
+    }
+    return cycles;
+  }
+
+  /**
+   * `modded class` blocks whose addon doesn't require (directly or through other addons)
+   * the addon declaring the class, one entry per pair of addons
+   */
+  getMissing(index) {
+    const missing = new Map();
+
+    for (const entry of index.classes.values()) {
+      const declaring = entry.declarations
+        .filter(declaration => !declaration.modded)
+        .map(declaration => this.getAddonOfFile(declaration.mod, declaration.file))
+        .filter(Boolean);
+      if (declaring.length === 0) continue;
+
+      for (const declaration of entry.declarations.filter(d => d.modded)) {
+        const addon = this.getAddonOfFile(declaration.mod, declaration.file);
+        if (!addon || declaring.includes(addon)) continue;
+
+        const dependencies = this.getDependencies(addon);
+        if (declaring.some(other => dependencies.has(other))) continue;
+
+        const required = declaring[0];
+        const key = `${addon.position}:${required.position}`;
+        if (!missing.has(key)) {
+          missing.set(key, {
+            addon: addon.name,
+            mod: addon.mod,
+            requiredAddon: required.name,
+            requiredMod: required.mod,
+            classes: [],
+            file: declaration.file,
+            line: declaration.line
+          });
+        }
+        const result = missing.get(key);
+        if (!result.classes.includes(entry.name)) result.classes.push(entry.name);
+      }
+    }
+
+    return [...missing.values()];
+  }
+
+  /**
+   * requiredAddons that neither the analyzed mods nor vanilla provide: a mod missing from
+   * the modpack, or a misspelled addon name
+   */
+  getUnresolved() {
+    return this.addons.flatMap(addon => addon.requiredAddons
+      .filter(name => !VANILLA_ADDON_PATTERN.test(name) && !this.byName.has(name.toLowerCase()))
+      .map(name => ({ addon: addon.name, mod: addon.mod, file: addon.file, requiredAddon: name })));
+  }
+
+  // Every addon loaded before this one because of its requiredAddons
+  getDependencies(addon) {
+    const dependencies = new Set();
+    const pending = this.getRequired(addon);
+    while (pending.length > 0) {
+      const next = pending.pop();
+      if (dependencies.has(next)) continue;
+      dependencies.add(next);
+      pending.push(...this.getRequired(next));
+    }
+    return dependencies;
+  }
+
+  // The addon of the config in the nearest folder above the file (a PBO's root config
+  // covers the whole PBO); a config with several CfgPatches classes counts as its first
+  getAddonOfFile(modName, filePath) {
+    let best = null;
+    let bestDepth = -1;
+
+    for (const addon of this.addons) {
+      if (addon.mod !== modName) continue;
+      const directory = splitPath(path.posix.dirname(addon.file.replace(/\\/g, '/')));
+      const fileDirectory = splitPath(filePath).slice(0, -1);
+      const inside = directory.every((segment, i) => fileDirectory[i] === segment);
+      if (inside && directory.length > bestDepth) {
+        best = addon;
+        bestDepth = directory.length;
+      }
+    }
+
+    return best;
+  }
+}
+
+function splitPath(filePath) {
+  return filePath.replace(/\\/g, '/').toLowerCase().split('/').filter(segment => segment && segment !== '.');
+}
@@ -6,117 +6,573 @@
  * See LICENSE file for details.
  */
 
-import { performanceRules, SEVERITY } from './rules.js';
+import { createHash } from 'crypto';
+import { performanceRules, SEVERITY, CATEGORY, CONFIDENCE, CONFIDENCE_ORDER } from './rules.js';
 import { enhancedRules } from './enhancedRules.js';
+import { tokenize, maskNonCode } from './enforceLexer.js';
+import { parseEnforce } from './enforceParser.js';
+import { ScopeContext } from './scopeContext.js';
+import { SymbolIndex } from './symbolIndex.js';
+import { CallGraph } from './callGraph.js';
+import { Suppressions } from './suppressions.js';
+import { normalizeConfig, getRuleSettings, filterFiles } from './config.js';
+import { assignFingerprints } from './fingerprint.js';
+import { scoreResults } from './scoring.js';
+import { getClasses } from './ast.js';
+import { getSnippet } from './snippets.js';
+import { loadVanillaApi } from './vanillaApi.js';
+import { Preprocessor, BUILD_CONFIGURATIONS, hasConditionals } from './preprocessor.js';
+import { ScriptModules, SCRIPT_MODULES, getLayer } from './scriptModules.js';
+import { AddonConfig } from './addonConfig.js';
+
+const SEVERITY_ORDER = [SEVERITY.CRITICAL, SEVERITY.HIGH, SEVERITY.MEDIUM, SEVERITY.LOW, SEVERITY.INFO];
 
 export class PerformanceAnalyzer {
   constructor(files, options = {}) {
-    this.files = files;
-    this.useEnhancedRules = options.enhanced !== false;
+    this.config = normalizeConfig(options.config || {});
+    this.files = filterFiles(files, this.config);
+    this.useEnhancedRules = options.enhanced !== false && this.config.enhanced !== false;
+    this.plugins = options.plugins || { plugins: [], rules: [], errors: [] };
+    this.declarativeRules = options.declarativeRules || [];
+    this.baseline = options.baseline || null;
+    this.minConfidence = options.minConfidence || this.config.minConfidence || null;
+    this.contextLines = options.contextLines ?? this.config.contextLines;
+    this.quiet = options.quiet === true;
+    this.vanilla = options.vanilla || loadVanillaApi(options.dayzVersion || this.config.dayzVersion || undefined);
+    this.targetVersion = options.targetVersion || this.config.targetVersion || this.vanilla.version;
+    this.configurations = options.configurations || this.config.buildConfigurations || Object.keys(BUILD_CONFIGURATIONS);
+    this.rules = null;
+    this.variant = null;
+    this.sources = new Map();
+    this.index = null;
+    this.callGraph = null;
+    this.addonConfig = new AddonConfig(options.addonConfigs || []);
+    this.scriptModules = ScriptModules.fromAddonConfig(this.addonConfig);
+    this.pbos = options.pbos || [];
     this.results = {
       summary: {
-        totalFiles: files.length,
+        totalFiles: this.files.length,
         totalIssues: 0,
         critical: 0,
         high: 0,
         medium: 0,
         low: 0,
-        info: 0
+        info: 0,
+        suppressed: 0,
+        baselined: 0,
+        merged: 0,
+        belowConfidence: 0
       },
       issues: [],
-      fileStats: []
+      suppressed: [],
+      baselined: [],
+      belowConfidence: [],
+      fileStats: [],
+      plugins: this.plugins.plugins,
+      preprocessor: {
+        configurations: this.configurations.map(name => ({ name, defines: this.getDefines(name) })),
+        warnings: []
+      },
+      scriptModules: { configs: this.scriptModules.configs },
+      addonConfig: this.addonConfig.getSummary(),
+      modInfo: options.modInfo || null,
+      pbos: [],
+      errors: [...this.plugins.errors]
     };
   }
 
   analyze() {
-    console.log(`Analyzing ${this.files.length} files...`);
+    if (!this.quiet) {
+      console.log(`Analyzing ${this.files.length} files...`);
+    }
+
+    const findings = new Map(this.files.map(file => [file.path, { issues: [], suppressed: [], scope: null }]));
+
+    for (const variant of this.getVariants()) {
+      this.useVariant(variant);
+      // Cross-file symbols and hot paths must be known before any single file is checked
+      this.getCallGraph();
+
+      for (const file of this.files) {
+        const fileFindings = this.analyzeFile(file);
+        const collected = findings.get(file.path);
+        this.collectFindings(collected.issues, fileFindings.issues, variant.configurations);
+        this.collectFindings(collected.suppressed, fileFindings.suppressed, variant.configurations);
+        collected.scope = collected.scope || this.getSource(file).scope;
+      }
+    }
+    this.useVariant(null);
 
     for (const file of this.files) {
-      const fileIssues = this.analyzeFile(file);
+      let { issues, suppressed, scope } = findings.get(file.path);
+      // Fingerprints come from the original file, inactive code included, once every
+      // variant's findings are in
+      assignFingerprints([...issues, ...suppressed], file, scope);
+
+      let belowConfidence = [];
+      if (this.minConfidence) {
+        const threshold = CONFIDENCE_ORDER.indexOf(this.minConfidence);
+        belowConfidence = issues.filter(issue => CONFIDENCE_ORDER.indexOf(issue.confidence) < threshold);
+        issues = issues.filter(issue => !belowConfidence.includes(issue));
+      }
 
-      if (fileIssues.length > 0) {
+      let baselined = [];
+      if (this.baseline) {
+        baselined = issues.filter(issue => this.baseline.has(issue.fingerprint));
+        issues = issues.filter(issue => !this.baseline.has(issue.fingerprint));
+      }
+
+      if (issues.length > 0) {
         this.results.issues.push({
           file: file.path,
-          issues: fileIssues
+          issues
         });
       }
 
+      // Suppressed findings are kept out of the score but still reported
+      if (suppressed.length > 0) {
+        this.results.suppressed.push({ file: file.path, issues: suppressed });
+        this.results.summary.suppressed += suppressed.length;
+      }
+
+      // Findings below --min-confidence are kept out like suppressed ones
+      if (belowConfidence.length > 0) {
+        this.results.belowConfidence.push({ file: file.path, issues: belowConfidence });
+        this.results.summary.belowConfidence += belowConfidence.length;
+      }
+
+      // Findings accepted in the baseline are reported separately and don't count either
+      if (baselined.length > 0) {
+        this.results.baselined.push({ file: file.path, issues: baselined });
+        this.results.summary.baselined += baselined.length;
+      }
+
+      for (const issue of [...issues, ...belowConfidence, ...baselined]) {
+        this.results.summary.merged += (issue.mergedWith || []).length;
+      }
+
       this.results.fileStats.push({
         file: file.path,
+        module: this.scriptModules.getModule(file.path),
+        pbo: file.pbo || null,
         size: file.size,
         lines: file.lines.length,
-        issueCount: fileIssues.length
+        issueCount: issues.length
       });
     }
 
     this.calculateSummary();
+    this.results.pbos = this.getPBOStats();
+
+    if (this.baseline) {
+      // Baseline entries that no longer match anything have been fixed (or changed)
+      this.results.summary.baselineResolved = this.baseline.size - this.results.summary.baselined;
+    }
 
     return this.results;
   }
 
+  /**
+   * Findings for one file under the current build configuration variant: { issues, suppressed }
+   */
   analyzeFile(file) {
-    const issues = [];
-
-    const allRules = this.useEnhancedRules
-      ? [...performanceRules, ...enhancedRules]
-      : performanceRules;
+    let issues = [];
+    const suppressed = [];
+    const view = this.getView(file);
+    const source = this.getSource(file);
+    const context = {
+      ast: source.ast,
+      code: source.code,
+      scope: source.scope,
+      index: this.getIndex(),
+      callGraph: this.getCallGraph(),
+      vanilla: this.vanilla,
+      targetVersion: this.targetVersion,
+      scriptModules: this.scriptModules,
+      addonConfig: this.addonConfig
+    };
 
-    for (const rule of allRules) {
+    for (const { rule, settings } of this.getRules()) {
+      let findings;
       try {
-        const matches = this.searchPattern(file, rule.pattern);
-
-        if (matches.length > 0) {
-          let ruleIssues = [];
-
-          if (rule.check) {
-            ruleIssues = rule.check(matches, file);
-          } else {
-            ruleIssues = matches.map(m => ({
-              line: m.line,
-              message: rule.description,
-              severity: rule.severity
-            }));
-          }
-
-          for (const issue of ruleIssues) {
-            issues.push({
-              ruleId: rule.id,
-              ruleName: rule.name,
-              severity: issue.severity || rule.severity,
-              line: issue.line,
-              message: issue.message,
-              description: rule.description
-            });
-          }
-        }
+        findings = this.runRule(rule, settings, view, context);
       } catch (error) {
-        console.error(`Error checking rule ${rule.id} on ${file.path}:`, error.message);
+        // A failing rule (usually a plugin) only loses its own findings for this file
+        this.recordRuleError(rule, file, error);
+        continue;
+      }
+
+      for (const finding of findings) {
+        const suppressedBy = source.suppressions.match(rule.id, finding.line);
+        if (suppressedBy) {
+          suppressed.push({ ...finding, suppressedBy });
+        } else {
+          issues.push(finding);
+        }
       }
     }
 
-    return issues;
+    issues = this.mergeOverlapping(issues);
+    // Snippets show the original file, inactive code included
+    for (const finding of [...issues, ...suppressed]) {
+      const snippet = getSnippet(file.lines, finding, this.contextLines);
+      if (snippet) finding.snippet = snippet;
+    }
+
+    return { issues, suppressed };
   }
 
   /**
-   * Search for pattern in file
+   * Add one variant's findings, tagged with the build configurations they were found
+   * in; a finding already seen in another variant only gains its configurations. Findings
+   * are matched by rule and position: fingerprints of identical lines are numbered in
+   * order, which differs between variants when one of the lines is inactive.
+   */
+  collectFindings(collected, findings, configurations) {
+    const key = finding => [finding.ruleId, finding.line || 0, finding.column || 0, finding.line ? '' : finding.message].join('\u0000');
+
+    for (const finding of findings) {
+      const existing = collected.find(other => key(other) === key(finding));
+      if (!existing) {
+        collected.push({ ...finding, configurations: [...configurations] });
+        continue;
+      }
+
+      existing.configurations = this.configurations
+        .filter(name => existing.configurations.includes(name) || configurations.includes(name));
+    }
+  }
+
+  /**
+   * Build configurations grouped by the code they see. Configurations whose defines leave
+   * every file the same are analyzed once; a mod without #ifdef is analyzed once in all.
+   */
+  getVariants() {
+    if (!this.files.some(file => hasConditionals(file.content))) {
+      return [{ configurations: this.configurations, contents: null }];
+    }
+
+    const preprocessor = new Preprocessor(this.files);
+    const variants = new Map();
+    const warnings = new Map();
+    const addWarning = warning => warnings.set(`${warning.file}:${warning.line}:${warning.message}`, warning);
+    const defined = new Set();
+    // Scripts in no known module are run last and see every module's defines
+    const layerOf = file => getLayer(this.scriptModules.getModule(file.path)) || SCRIPT_MODULES.length + 1;
+
+    for (const name of this.configurations) {
+      const result = preprocessor.runMod(this.getDefines(name), layerOf);
+      const hash = createHash('sha1');
+
+      for (const file of this.files) {
+        hash.update(result.contents.get(file.path)).update('\0');
+      }
+      result.warnings.forEach(addWarning);
+      result.defines.forEach(define => defined.add(define));
+
+      const key = hash.digest('hex');
+      if (variants.has(key)) {
+        variants.get(key).configurations.push(name);
+      } else {
+        variants.set(key, { configurations: [name], contents: result.contents });
+      }
+    }
+
+    // Code no configuration sees would otherwise lose its findings without a word
+    preprocessor.getUnsetConditionals(defined).forEach(addWarning);
+
+    this.results.preprocessor.warnings = [...warnings.values()];
+    return [...variants.values()];
+  }
+
+  /**
+   * Defines of a build configuration plus the project's own (config `defines`) and the
+   * ones the mod sets in CfgMods `defines[]`
+   */
+  getDefines(configuration) {
+    return [...new Set([...BUILD_CONFIGURATIONS[configuration], ...this.config.defines, ...this.addonConfig.getDefines()])];
+  }
+
+  /**
+   * Switch to a build configuration variant; sources, index and call graph are rebuilt
+   * from its preprocessed code
+   */
+  useVariant(variant) {
+    this.variant = variant;
+    this.sources = new Map();
+    this.index = null;
+    this.callGraph = null;
+  }
+
+  /**
+   * The file as the current variant sees it: inactive code blanked, offsets unchanged
+   */
+  getView(file) {
+    const content = this.variant?.contents?.get(file.path);
+    if (content === undefined || content === file.content) return file;
+    return { ...file, content, lines: content.split('\n') };
+  }
+
+  runRule(rule, settings, file, context) {
+    const ruleContext = { ...context, options: settings.options };
+    const matches = rule.query
+      ? this.queryAst(file, rule.query, ruleContext)
+      : this.searchPattern(file, rule.pattern);
+
+    if (matches.length === 0) return [];
+
+    let ruleIssues = [];
+
+    if (rule.check) {
+      ruleIssues = rule.check(matches, file, ruleContext);
+      if (!Array.isArray(ruleIssues)) {
+        throw new Error('check() must return an array of issues');
+      }
+    } else {
+      ruleIssues = matches.flatMap(m => m.matches).map(m => ({
+        line: m.line,
+        message: rule.description,
+        severity: rule.severity
+      }));
+    }
+
+    const source = this.getSource(file);
+    const module = this.scriptModules.getModule(file.path);
+
+    return ruleIssues.map(issue => {
+      const confidence = issue.confidence || rule.confidence || CONFIDENCE.MEDIUM;
+      return {
+        ruleId: rule.id,
+        ruleName: rule.name,
+        severity: settings.severity || issue.severity || rule.severity,
+        category: rule.category || CATEGORY.CPU,
+        confidence,
+        file: file.path,
+        ...(module ? { module } : {}),
+        ...this.locate(issue, file, source),
+        message: issue.message,
+        description: rule.description,
+        ...(issue.callChain ? { callChain: issue.callChain } : {}),
+        ...(rule.group ? { group: rule.group } : {}),
+        ...(rule.plugin ? { plugin: rule.plugin } : {}),
+        // Fixes are only offered where the rule is sure of the finding
+        ...(issue.fix && confidence === CONFIDENCE.HIGH ? { fix: issue.fix } : {})
+      };
+    });
+  }
+
+  /**
+   * Rules in the same `group` that report the same line (the same class or method)
+   * describe one problem: keep the most severe finding and list the others in `mergedWith`
+   */
+  mergeOverlapping(issues) {
+    const merged = [];
+    const byKey = new Map();
+
+    for (const issue of issues) {
+      if (!issue.group) {
+        merged.push(issue);
+        continue;
+      }
+
+      const key = `${issue.group}:${issue.line}`;
+      const existing = byKey.get(key);
+      if (!existing) {
+        byKey.set(key, issue);
+        merged.push(issue);
+        continue;
+      }
+
+      const [primary, other] = SEVERITY_ORDER.indexOf(issue.severity) < SEVERITY_ORDER.indexOf(existing.severity)
+        ? [issue, existing]
+        : [existing, issue];
+      const combined = {
+        ...primary,
+        confidence: CONFIDENCE_ORDER[Math.max(CONFIDENCE_ORDER.indexOf(primary.confidence), CONFIDENCE_ORDER.indexOf(other.confidence))],
+        ...(primary.fix || other.fix ? { fix: primary.fix || other.fix } : {}),
+        mergedWith: [
+          ...(primary.mergedWith || []),
+          { ruleId: other.ruleId, severity: other.severity, message: other.message },
+          ...(other.mergedWith || [])
+        ]
+      };
+
+      merged[merged.indexOf(existing)] = combined;
+      byKey.set(key, combined);
+    }
+
+    return merged;
+  }
+
+  /**
+   * Location of a finding from its `start`/`end` offsets, or its line when a rule only
+   * reports that: 1-based line and column of the start, endLine/endColumn just past the
+   * end, and the enclosing class and method. Findings without a line are file-level.
+   */
+  locate(issue, file, source) {
+    let { start, end } = issue;
+
+    if (start === undefined) {
+      const lineStart = source.lineStarts[issue.line - 1];
+      if (!issue.line || lineStart === undefined) return { line: issue.line || 0 };
+
+      // The whole line, without indentation
+      const text = file.lines[issue.line - 1];
+      start = lineStart + (text.length - text.trimStart().length);
+      end = lineStart + text.trimEnd().length;
+    }
+
+    const from = getPosition(source.lineStarts, start);
+    const to = getPosition(source.lineStarts, Math.max(end ?? start, start));
+    const context = source.scope.at(start);
+    const classNode = source.classes.find(node => start >= node.start && start < node.end);
+    // Scopes cover method bodies; a finding on a declaration is still inside the method
+    const method = context.method ||
+      (classNode ? classNode.methods.find(node => start >= node.start && start < node.end)?.name : null);
+
+    return {
+      line: from.line,
+      column: from.column,
+      endLine: to.line,
+      endColumn: to.column,
+      className: context.className || (classNode ? classNode.name : null),
+      methodName: method || null
+    };
+  }
+
+  recordRuleError(rule, file, error) {
+    // The same failure in another build configuration is reported once
+    if (this.results.errors.some(other => other.ruleId === rule.id && other.file === file.path && other.message === error.message)) return;
+
+    console.error(`Error checking rule ${rule.id} on ${file.path}:`, error.message);
+    this.results.errors.push({
+      ruleId: rule.id,
+      ...(rule.plugin ? { plugin: rule.plugin } : {}),
+      file: file.path,
+      message: error.message
+    });
+  }
+
+  /**
+   * Enabled rules with their effective settings from the project config
+   */
+  getRules() {
+    if (!this.rules) {
+      const allRules = [
+        ...performanceRules,
+        ...(this.useEnhancedRules ? enhancedRules : []),
+        ...this.plugins.rules,
+        ...this.declarativeRules
+      ];
+
+      this.rules = allRules
+        .map(rule => ({ rule, settings: getRuleSettings(rule, this.config) }))
+        .filter(({ settings }) => settings.enabled);
+    }
+    return this.rules;
+  }
+
+  /**
+   * Tokenize and parse a file once; every rule shares the result
+   */
+  getSource(file) {
+    let source = this.sources.get(file.path);
+
+    if (!source) {
+      const { content } = this.getView(file);
+      const lexed = tokenize(content);
+      const ast = parseEnforce(content, lexed);
+      source = {
+        ast,
+        code: maskNonCode(content, lexed),
+        scope: new ScopeContext(ast),
+        suppressions: Suppressions.fromComments(ast.comments),
+        classes: getClasses(ast),
+        lineStarts: getLineStarts(content)
+      };
+      this.sources.set(file.path, source);
+    }
+
+    return source;
+  }
+
+  /**
+   * Mod-wide class/method index over every file being analyzed
+   */
+  getIndex() {
+    if (!this.index) {
+      this.index = SymbolIndex.build(this.files.map(file => ({
+        path: file.path,
+        ast: this.getSource(file).ast
+      })));
+    }
+    return this.index;
+  }
+
+  /**
+   * Mod-wide call graph; attached to every file's scope so hot paths cross files
+   */
+  getCallGraph() {
+    if (!this.callGraph) {
+      const sources = this.files.map(file => ({ path: file.path, ast: this.getSource(file).ast }));
+      this.callGraph = CallGraph.build(this.getIndex(), sources, this.vanilla);
+
+      for (const file of this.files) {
+        this.getSource(file).scope.attachCallGraph(this.callGraph);
+      }
+    }
+    return this.callGraph;
+  }
+
+  /**
+   * Search for pattern in file. Runs against the masked source so matches inside
+   * comments and string literals are ignored (compatibility path for regex rules).
    */
   searchPattern(file, pattern) {
     const matches = [];
-    const regex = new RegExp(pattern.source, pattern.flags);
+    const regex = new RegExp(pattern.source, pattern.flags.includes('d') ? pattern.flags : `${pattern.flags}d`);
+    const code = this.getSource(file).code;
+    // Captured text is taken from the original source, so string contents survive masking
+    const original = range => (range ? file.content.substring(range[0], range[1]) : undefined);
 
     let match;
-    while ((match = regex.exec(file.content)) !== null) {
+    while ((match = regex.exec(code)) !== null) {
       matches.push({
-        text: match[0],
-        line: this.getLineNumber(file.content, match.index),
+        text: file.content.substr(match.index, match[0].length),
+        line: this.getLineNumber(code, match.index),
         index: match.index,
-        groups: match.groups || {}
+        groups: Object.fromEntries(Object.entries(match.indices.groups || {}).map(([name, range]) => [name, original(range)])),
+        captures: match.indices.slice(1).map(original)
       });
+
+      // Zero-length matches would never advance
+      if (match[0].length === 0) regex.lastIndex++;
     }
 
     return matches.length > 0 ? [{ matches }] : [];
   }
 
+  /**
+   * Run an AST query. `query(context, file)` returns nodes or { node, ancestors } entries,
+   * which are wrapped in the same match shape searchPattern produces.
+   */
+  queryAst(file, query, context) {
+    const matches = query(context, file).map(result => {
+      const { node, ancestors = [] } = result.node ? result : { node: result };
+      return {
+        text: file.content.substring(node.start, node.end),
+        line: node.line,
+        index: node.start,
+        groups: {},
+        captures: [],
+        node,
+        ancestors
+      };
+    });
+
+    return matches.length > 0 ? [{ matches }] : [];
+  }
+
   getLineNumber(content, index) {
     return content.substring(0, index).split('\n').length;
   }
@@ -147,29 +603,48 @@ export class PerformanceAnalyzer {
     }
   }
 
+  /**
+   * Findings and score of each PBO inside the mod (Workshop @Mod layout)
+   */
+  getPBOStats() {
+    return this.pbos.map(pbo => {
+      if (pbo.error) return { path: pbo.path, error: pbo.error };
+
+      const fileStats = this.results.fileStats.filter(stat => stat.pbo === pbo.path);
+      const issues = this.results.issues.filter(fileResult => fileStats.some(stat => stat.file === fileResult.file));
+      const count = severity => issues.reduce((sum, fileResult) => sum + fileResult.issues.filter(issue => issue.severity === severity).length, 0);
+
+      return {
+        path: pbo.path,
+        prefix: pbo.prefix,
+        files: fileStats.length,
+        lines: fileStats.reduce((sum, stat) => sum + stat.lines, 0),
+        issues: issues.reduce((sum, fileResult) => sum + fileResult.issues.length, 0),
+        critical: count(SEVERITY.CRITICAL),
+        high: count(SEVERITY.HIGH),
+        medium: count(SEVERITY.MEDIUM),
+        low: count(SEVERITY.LOW),
+        score: scoreResults({ issues, fileStats }, this.config.scoring).score
+      };
+    });
+  }
+
   getResults() {
     return this.results;
   }
 
+  /**
+   * 0-100, normalized by the size of the mod (see scoring.js)
+   */
   getScore() {
-    const weights = {
-      [SEVERITY.CRITICAL]: 20,
-      [SEVERITY.HIGH]: 10,
-      [SEVERITY.MEDIUM]: 5,
-      [SEVERITY.LOW]: 2,
-      [SEVERITY.INFO]: 1
-    };
-
-    let penalties = 0;
-    penalties += this.results.summary.critical * weights[SEVERITY.CRITICAL];
-    penalties += this.results.summary.high * weights[SEVERITY.HIGH];
-    penalties += this.results.summary.medium * weights[SEVERITY.MEDIUM];
-    penalties += this.results.summary.low * weights[SEVERITY.LOW];
-    penalties += this.results.summary.info * weights[SEVERITY.INFO];
-
-    penalties = Math.min(penalties, 100);
+    return this.getScoreDetails().score;
+  }
 
-    return Math.max(0, 100 - penalties);
+  /**
+   * Overall score, per-category subscores and the findings that cost the most points
+   */
+  getScoreDetails() {
+    return scoreResults(this.results, this.config.scoring);
   }
 
   getRating() {
@@ -182,3 +657,23 @@ export class PerformanceAnalyzer {
     return 'CRITICAL';
   }
 }
+
+function getLineStarts(content) {
+  const starts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') starts.push(i + 1);
+  }
+  return starts;
+}
+
+// 1-based line and column of an offset
+function getPosition(lineStarts, offset) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (lineStarts[mid] <= offset) low = mid;
+    else high = mid - 1;
+  }
+  return { line: low + 1, column: offset - lineStarts[low] + 1 };
+}
@@ -0,0 +1,131 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+// Helpers for querying the Enforce Script AST produced by enforceParser.js
+
+// `fields`/`methods` are filtered views of ClassDeclaration.members
+const SKIPPED_KEYS = new Set(['comments', 'errors', 'fields', 'methods']);
+
+export const LOOP_TYPES = new Set(['ForStatement', 'ForeachStatement', 'WhileStatement', 'DoWhileStatement']);
+
+/**
+ * Depth-first walk. The visitor receives (node, ancestors) where ancestors[0] is the
+ * root; returning false skips the node's children.
+ */
+export function walk(node, visitor, ancestors = []) {
+  if (!node || typeof node.type !== 'string') return;
+
+  if (visitor(node, ancestors) === false) return;
+
+  ancestors.push(node);
+  for (const key of Object.keys(node)) {
+    if (SKIPPED_KEYS.has(key)) continue;
+
+    const value = node[key];
+    if (Array.isArray(value)) {
+      for (const child of value) {
+        if (child && typeof child.type === 'string') walk(child, visitor, ancestors);
+      }
+    } else if (value && typeof value.type === 'string') {
+      walk(value, visitor, ancestors);
+    }
+  }
+  ancestors.pop();
+}
+
+export function findAll(root, predicate) {
+  const found = [];
+  walk(root, (node, ancestors) => {
+    if (predicate(node, ancestors)) {
+      found.push({ node, ancestors: [...ancestors] });
+    }
+  });
+  return found;
+}
+
+/**
+ * Find call expressions by callee name, e.g. findCalls(ast, ['GetPlayers']) matches
+ * both GetPlayers(list) and GetGame().GetPlayers(list).
+ */
+export function findCalls(root, names) {
+  const wanted = new Set(Array.isArray(names) ? names : [names]);
+  return findAll(root, node => node.type === 'CallExpression' && wanted.has(getCalleeName(node)));
+}
+
+export function getCalleeName(call) {
+  const callee = call.callee;
+  if (!callee) return null;
+  if (callee.type === 'Identifier') return callee.name;
+  if (callee.type === 'MemberExpression') return callee.property;
+  return null;
+}
+
+/**
+ * Dotted path of an expression with call arguments dropped:
+ * GetGame().GetCallQueue(CALL_CATEGORY_SYSTEM).CallLater -> 'GetGame().GetCallQueue().CallLater'
+ */
+export function getExpressionPath(node) {
+  if (!node) return '';
+
+  switch (node.type) {
+    case 'Identifier': return node.name;
+    case 'ThisExpression': return 'this';
+    case 'SuperExpression': return 'super';
+    case 'MemberExpression': return `${getExpressionPath(node.object)}.${node.property}`;
+    case 'CallExpression': return `${getExpressionPath(node.callee)}()`;
+    case 'IndexExpression': return `${getExpressionPath(node.object)}[]`;
+    case 'ParenthesizedExpression': return getExpressionPath(node.expression);
+    default: return '';
+  }
+}
+
+export function getEnclosing(ancestors, type) {
+  for (let i = ancestors.length - 1; i >= 0; i--) {
+    if (ancestors[i].type === type) return ancestors[i];
+  }
+  return null;
+}
+
+export function getClasses(ast) {
+  return ast.body.filter(node => node.type === 'ClassDeclaration' && !node.forward);
+}
+
+export function getMethods(ast) {
+  return findAll(ast, node => node.type === 'MethodDeclaration').map(({ node, ancestors }) => ({
+    method: node,
+    classNode: getEnclosing(ancestors, 'ClassDeclaration')
+  }));
+}
+
+export function nodeText(node, source) {
+  return source.substring(node.start, node.end);
+}
+
+/**
+ * Source range of a match ({ index, text }) or node as { start, end } offsets, for the
+ * location of a finding. Class and method declarations point at their name.
+ */
+export function getSpan(target) {
+  if (target.index !== undefined) {
+    return { start: target.index, end: target.index + target.text.length };
+  }
+  return { start: target.nameStart ?? target.start, end: target.nameEnd ?? target.end };
+}
+
+/**
+ * True when the method body contains super.<MethodName>(...)
+ */
+export function callsSuper(method) {
+  if (!method.body) return false;
+  return findAll(method.body, node =>
+    node.type === 'CallExpression' &&
+    node.callee.type === 'MemberExpression' &&
+    node.callee.object.type === 'SuperExpression' &&
+    node.callee.property === method.name
+  ).length > 0;
+}
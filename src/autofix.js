@@ -0,0 +1,210 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+// Mechanical fixes.
+//
+// A rule can attach `fix: { description, edits: [{ start, end, text }] }` to an issue,
+// with offsets into the original file. The analyzer keeps fixes on high-confidence
+// findings only, so anything offered here is a change the rule is sure about. Fixes
+// are applied per file; a fix whose edits overlap an earlier one is skipped.
+
+/**
+ * Findings with a fix, per file: [{ file, findings }]. `rules` limits it to those rule ids.
+ */
+export function getFixableFindings(results, { rules = null } = {}) {
+  return results.issues
+    .map(fileResult => ({
+      file: fileResult.file,
+      findings: fileResult.issues.filter(issue => issue.fix && (!rules || rules.includes(issue.ruleId)))
+    }))
+    .filter(entry => entry.findings.length > 0);
+}
+
+/**
+ * Apply the fixes of one file's findings to its content. Returns the new content, the
+ * findings whose fix was applied and the skipped ones with a reason.
+ */
+export function applyFixes(content, findings) {
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const edits = [];
+  const applied = [];
+  const skipped = [];
+
+  for (const finding of findings) {
+    const fixEdits = finding.fix.edits || [];
+    const valid = fixEdits.length > 0 && fixEdits.every(edit =>
+      Number.isInteger(edit.start) && Number.isInteger(edit.end) &&
+      edit.start >= 0 && edit.start <= edit.end && edit.end <= content.length &&
+      typeof edit.text === 'string');
+
+    if (!valid) {
+      skipped.push({ finding, reason: 'invalid edit' });
+    } else if (fixEdits.some(edit => edits.some(other => overlaps(edit, other)))) {
+      skipped.push({ finding, reason: 'overlaps another fix' });
+    } else {
+      edits.push(...fixEdits);
+      applied.push(finding);
+    }
+  }
+
+  // From the end so earlier offsets stay valid; insertions at one offset keep their order
+  const ordered = edits
+    .map((edit, order) => ({ ...edit, order }))
+    .sort((a, b) => b.start - a.start || b.order - a.order);
+
+  let output = content;
+  for (const edit of ordered) {
+    output = output.substring(0, edit.start) + edit.text.replace(/\r?\n/g, eol) + output.substring(edit.end);
+  }
+
+  return { content: output, applied, skipped };
+}
+
+function overlaps(a, b) {
+  return a.start < b.end && b.start < a.end;
+}
+
+/**
+ * Edit inserting statements at the top of a block, indented like the block's contents.
+ * Null when the `{` isn't at the end of its line; one-line bodies are left alone.
+ */
+export function insertAtBlockStart(block, content, statements) {
+  const lineBreak = content.indexOf('\n', block.start);
+  if (lineBreak === -1 || content.substring(block.start + 1, lineBreak).trim() !== '') return null;
+
+  const indent = block.body.length > 0
+    ? getIndent(content, block.body[0].start)
+    : getIndent(content, block.start) + getIndentUnit(content, block.start);
+  const position = content[lineBreak - 1] === '\r' ? lineBreak - 1 : lineBreak;
+
+  return {
+    start: position,
+    end: position,
+    text: statements.map(statement => `\n${indent}${statement}`).join('')
+  };
+}
+
+/**
+ * Leading whitespace of the line containing `offset`
+ */
+export function getIndent(content, offset) {
+  const lineStart = content.lastIndexOf('\n', offset - 1) + 1;
+  return content.substring(lineStart).match(/^[ \t]*/)[0];
+}
+
+export function getIndentUnit(content, offset) {
+  return getIndent(content, offset).includes(' ') ? '    ' : '\t';
+}
+
+/**
+ * Unified diff of two versions of a file (3 lines of context)
+ */
+export function createPatch(filePath, oldContent, newContent, context = 3) {
+  const oldLines = splitLines(oldContent);
+  const newLines = splitLines(newContent);
+  const ops = diffLines(oldLines, newLines);
+  const output = [`--- a/${filePath}`, `+++ b/${filePath}`];
+
+  let i = 0;
+  while (i < ops.length) {
+    if (ops[i].type === ' ') {
+      i++;
+      continue;
+    }
+
+    // A hunk runs until there are more than 2 * context unchanged lines in a row
+    const start = Math.max(0, i - context);
+    let end = i;
+    let unchanged = 0;
+    for (let j = i; j < ops.length; j++) {
+      if (ops[j].type === ' ') {
+        if (++unchanged > context * 2) break;
+      } else {
+        unchanged = 0;
+        end = j;
+      }
+    }
+    end = Math.min(ops.length - 1, end + context);
+
+    const hunk = ops.slice(start, end + 1);
+    const first = ops[start];
+    const oldCount = hunk.filter(op => op.type !== '+').length;
+    const newCount = hunk.filter(op => op.type !== '-').length;
+    output.push(`@@ -${first.oldLine + (oldCount > 0 ? 1 : 0)},${oldCount} +${first.newLine + (newCount > 0 ? 1 : 0)},${newCount} @@`);
+    for (const op of hunk) {
+      output.push(`${op.type}${op.text.replace(/\r$/, '')}`);
+    }
+
+    i = end + 1;
+  }
+
+  return output.length > 2 ? output.join('\n') + '\n' : '';
+}
+
+// A trailing newline ends the last line rather than starting an empty one
+function splitLines(content) {
+  const lines = content.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Line diff (Myers). Each op carries the 0-based line numbers it starts at in both files.
+ */
+function diffLines(a, b) {
+  const max = a.length + b.length;
+  const offset = max + 1;
+  const v = new Array(2 * max + 2).fill(0);
+  const trace = [];
+
+  outer:
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= a.length && y >= b.length) break outer;
+    }
+  }
+
+  // Walk the trace backwards to recover the edit script
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const vd = trace[d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && vd[offset + k - 1] < vd[offset + k + 1])) ? k + 1 : k - 1;
+    const prevX = vd[offset + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+      ops.push({ type: ' ', text: a[x], oldLine: x, newLine: y });
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        y--;
+        ops.push({ type: '+', text: b[y], oldLine: x, newLine: y });
+      } else {
+        x--;
+        ops.push({ type: '-', text: a[x], oldLine: x, newLine: y });
+      }
+    }
+  }
+
+  return ops.reverse();
+}
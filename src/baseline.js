@@ -0,0 +1,74 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { promises as fs } from 'fs';
+
+export const BASELINE_VERSION = 1;
+
+// Accepted findings of a legacy mod, matched by fingerprint (see fingerprint.js) so they
+// stay matched when code moves. Known findings are reported separately and don't count
+// towards the score or exit code; only new findings do.
+export class Baseline {
+  constructor(findings = []) {
+    this.findings = findings;
+    this.fingerprints = new Set(findings.map(finding => finding.fingerprint));
+  }
+
+  /**
+   * Baseline accepting every issue in an analysis result
+   */
+  static fromResults(results) {
+    return new Baseline(results.issues.flatMap(fileResult =>
+      fileResult.issues.map(issue => ({
+        fingerprint: issue.fingerprint,
+        id: issue.id,
+        ruleId: issue.ruleId,
+        file: fileResult.file,
+        line: issue.line,
+        message: issue.message
+      }))));
+  }
+
+  static async load(filePath) {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read baseline ${filePath}: ${error.message}`);
+    }
+
+    if (!data || !Array.isArray(data.findings) || data.findings.some(f => typeof f.fingerprint !== 'string')) {
+      throw new Error(`Invalid baseline ${filePath}: expected { findings: [{ fingerprint, ... }] }`);
+    }
+    if (data.version > BASELINE_VERSION) {
+      throw new Error(`Baseline ${filePath} was written by a newer version (format v${data.version})`);
+    }
+
+    return new Baseline(data.findings);
+  }
+
+  async save(filePath) {
+    await fs.writeFile(filePath, JSON.stringify(this.toJSON(), null, 2));
+  }
+
+  toJSON() {
+    return {
+      version: BASELINE_VERSION,
+      createdAt: new Date().toISOString(),
+      findings: this.findings
+    };
+  }
+
+  has(fingerprint) {
+    return this.fingerprints.has(fingerprint);
+  }
+
+  get size() {
+    return this.findings.length;
+  }
+}
@@ -0,0 +1,326 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { walk, getEnclosing } from './ast.js';
+import { getRepeatingTarget } from './scopeContext.js';
+import { DAYZ_FUNCTIONS } from './dayzKnowledge.js';
+
+// Mod-wide call graph used to find hot paths.
+//
+// Entry points are per-frame engine callbacks (OnUpdate, EOnFrame, CommandHandler, ...,
+// plus the per-frame methods of the vanilla API data for classes built on vanilla ones)
+// and methods scheduled with a repeating CallLater/Timer. Every method reachable from an
+// entry point is hot, and the shortest chain of calls that makes it hot is kept so
+// findings can explain themselves ("OnUpdate() -> ScanHelper() -> GetObjectsAtPosition").
+//
+// Calls are resolved with a light type environment (parameters, locals, fields and
+// static class references); calls on expressions whose type can't be inferred are
+// not followed.
+export class CallGraph {
+  constructor(index, vanilla = null) {
+    this.index = index;
+    this.vanilla = vanilla;
+    this.methods = new Map();
+    this.edges = new Map();
+    this.entries = new Map();
+    this.hotPaths = null;
+  }
+
+  /**
+   * Build a graph from [{ path, ast }] and the SymbolIndex for the same files. `vanilla`
+   * (a VanillaApi) adds the per-frame callbacks it knows as entry points.
+   */
+  static build(index, sources, vanilla = null) {
+    const graph = new CallGraph(index, vanilla);
+
+    // Register every method first so calls can resolve to methods in later files
+    for (const source of sources) {
+      graph.forEachMethod(source.ast, (method, className) => graph.addMethod(method, className, source.path));
+    }
+    for (const source of sources) {
+      graph.forEachMethod(source.ast, (method, className) => {
+        graph.collectCalls(methodKey(className, method.name), className, method, source.path);
+      });
+    }
+
+    return graph;
+  }
+
+  forEachMethod(ast, callback) {
+    walk(ast, (node, ancestors) => {
+      if (node.type !== 'MethodDeclaration' || !node.body) return;
+
+      const classNode = getEnclosing(ancestors, 'ClassDeclaration');
+      callback(node, classNode ? classNode.name : null);
+
+      // Method bodies hold no further declarations
+      return false;
+    });
+  }
+
+  addMethod(method, className, path) {
+    const key = methodKey(className, method.name);
+
+    if (!this.methods.has(key)) {
+      this.methods.set(key, { key, className, name: method.name, file: path, line: method.line });
+    }
+
+    if (DAYZ_FUNCTIONS.PER_FRAME_METHODS.includes(method.name) || this.isVanillaPerFrame(className, method.name)) {
+      this.entries.set(key, `${method.name}()`);
+    }
+
+    this.hotPaths = null;
+  }
+
+  isVanillaPerFrame(className, methodName) {
+    if (!this.vanilla || !className) return false;
+    const vanillaClass = this.vanilla.resolveClass(this.index, className);
+    return !!vanillaClass && this.vanilla.isPerFrame(vanillaClass, methodName);
+  }
+
+  collectCalls(callerKey, className, method, path) {
+    const types = this.collectLocalTypes(method);
+
+    walk(method.body, node => {
+      if (node.type !== 'CallExpression') return;
+
+      for (const target of this.resolveCall(node, className, types)) {
+        this.addEdge(callerKey, target, path, node.line);
+      }
+
+      const scheduled = getRepeatingTarget(node);
+      if (scheduled) {
+        const owner = this.resolveScheduleOwner(node, className, types);
+        for (const target of this.resolveMethod(owner, scheduled)) {
+          this.entries.set(target, 'repeating CallLater');
+        }
+      }
+    });
+  }
+
+  addEdge(from, to, file, line) {
+    if (!this.edges.has(from)) this.edges.set(from, []);
+    this.edges.get(from).push({ to, file, line });
+  }
+
+  /**
+   * Variable name -> declared type for parameters and locals of a method
+   */
+  collectLocalTypes(method) {
+    const types = new Map();
+
+    for (const param of method.params) {
+      if (param.name) types.set(param.name, param.typeRef.name);
+    }
+
+    walk(method.body, node => {
+      if (node.type === 'VariableDeclaration') {
+        for (const declarator of node.declarations) {
+          types.set(declarator.name, inferDeclaredType(node.typeRef.name, declarator.init));
+        }
+      } else if (node.type === 'ForeachStatement') {
+        for (const variable of node.variables) {
+          types.set(variable.name, variable.typeRef.name);
+        }
+      }
+    });
+
+    return types;
+  }
+
+  /**
+   * Keys of the methods a call may dispatch to
+   */
+  resolveCall(call, className, types) {
+    const callee = call.callee;
+
+    if (callee.type === 'Identifier') {
+      const targets = this.resolveMethod(className, callee.name);
+      return targets.length > 0 ? targets : this.resolveMethod(null, callee.name);
+    }
+
+    if (callee.type === 'MemberExpression') {
+      const owner = this.resolveExpressionType(callee.object, className, types);
+      return owner ? this.resolveMethod(owner, callee.property) : [];
+    }
+
+    return [];
+  }
+
+  resolveScheduleOwner(call, className, types) {
+    const args = call.arguments;
+    const callee = call.callee;
+    const isCallLater = callee.type === 'MemberExpression'
+      ? callee.property === 'CallLater'
+      : callee.type === 'Identifier' && callee.name === 'CallLater';
+
+    // CallLater(m_Obj.Tick, ...) schedules on m_Obj; the ByName/Run forms pass the object
+    if (isCallLater) {
+      const fn = args[0];
+      return fn && fn.type === 'MemberExpression'
+        ? this.resolveExpressionType(fn.object, className, types)
+        : className;
+    }
+
+    const target = callee.type === 'MemberExpression' && callee.property === 'Run' ? args[1] : args[0];
+    return target ? this.resolveExpressionType(target, className, types) : className;
+  }
+
+  resolveExpressionType(node, className, types) {
+    switch (node.type) {
+      case 'ThisExpression':
+        return className;
+      case 'SuperExpression':
+        return className ? this.index.getBase(className) : null;
+      case 'ParenthesizedExpression':
+        return this.resolveExpressionType(node.expression, className, types);
+      case 'Identifier': {
+        if (types.has(node.name)) return types.get(node.name);
+        const field = this.findField(className, node.name);
+        if (field) return field.type;
+        // Static call: MyManager.GetInstance()
+        return this.index.hasClass(node.name) ? node.name : null;
+      }
+      case 'MemberExpression': {
+        if (node.object.type !== 'ThisExpression') return null;
+        const field = this.findField(className, node.property);
+        return field ? field.type : null;
+      }
+      case 'CallExpression': {
+        // Class.Cast(obj) and Class.GetInstance()-style singletons
+        const callee = node.callee;
+        if (callee.type === 'MemberExpression' && callee.object.type === 'Identifier' && this.index.hasClass(callee.object.name)) {
+          if (callee.property === 'Cast') return callee.object.name;
+          const method = this.index.findMethod(callee.object.name, callee.property)[0];
+          return method ? method.node.returnType.name : null;
+        }
+        return null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  findField(className, name) {
+    if (!className) return null;
+    for (const owner of [className, ...this.index.getAncestors(className)]) {
+      const field = this.index.getFields(owner).find(f => f.name === name);
+      if (field) return field;
+    }
+    return null;
+  }
+
+  /**
+   * Resolve Class::method including inherited definitions and overrides in subclasses
+   */
+  resolveMethod(className, methodName) {
+    if (!className) {
+      return this.methods.has(methodKey(null, methodName)) ? [methodKey(null, methodName)] : [];
+    }
+
+    const targets = new Set();
+    const definitions = this.index.findMethod(className, methodName);
+    for (const definition of definitions) {
+      targets.add(methodKey(definition.className, methodName));
+    }
+
+    // Virtual dispatch: any subclass override may run instead
+    const pending = [...this.index.getSubclasses(className)];
+    const seen = new Set(pending);
+    while (pending.length > 0) {
+      const subclass = pending.shift();
+      if (this.index.getMethods(subclass, methodName).length > 0) {
+        targets.add(methodKey(subclass, methodName));
+      }
+      for (const next of this.index.getSubclasses(subclass)) {
+        if (!seen.has(next)) {
+          seen.add(next);
+          pending.push(next);
+        }
+      }
+    }
+
+    return [...targets].filter(key => this.methods.has(key));
+  }
+
+  /**
+   * Breadth-first from every entry point so each hot method keeps its shortest chain
+   */
+  computeHotPaths() {
+    const parents = new Map();
+    const queue = [];
+
+    for (const key of this.entries.keys()) {
+      if (!this.methods.has(key)) continue;
+      parents.set(key, null);
+      queue.push(key);
+    }
+
+    while (queue.length > 0) {
+      const key = queue.shift();
+      for (const edge of this.edges.get(key) || []) {
+        if (parents.has(edge.to)) continue;
+        parents.set(edge.to, key);
+        queue.push(edge.to);
+      }
+    }
+
+    this.hotPaths = new Map();
+    for (const key of parents.keys()) {
+      const chain = [];
+      for (let current = key; current !== null; current = parents.get(current)) {
+        chain.unshift(current);
+      }
+      this.hotPaths.set(key, chain);
+    }
+  }
+
+  isHot(className, methodName) {
+    return this.getHotPath(className, methodName) !== null;
+  }
+
+  /**
+   * Chain of methods from an entry point to the given method, or null when the method
+   * isn't reachable from any per-frame/per-tick entry point
+   */
+  getHotPath(className, methodName) {
+    if (!this.hotPaths) this.computeHotPaths();
+
+    const chain = this.hotPaths.get(methodKey(className, methodName));
+    if (!chain) return null;
+
+    return chain.map(key => {
+      const method = this.methods.get(key);
+      return {
+        className: method.className,
+        method: method.name,
+        file: method.file,
+        line: method.line,
+        label: `${method.className ? `${method.className}.` : ''}${method.name}()`,
+        entry: this.entries.get(key) || null
+      };
+    });
+  }
+}
+
+export function methodKey(className, methodName) {
+  return `${className || ''}::${methodName}`;
+}
+
+// `auto x = new Foo()` / `auto p = PlayerBase.Cast(obj)` carry their type in the initializer
+function inferDeclaredType(declared, init) {
+  if (declared !== 'auto' || !init) return declared;
+
+  if (init.type === 'NewExpression') return init.typeRef.name;
+  if (init.type === 'CallExpression' && init.callee.type === 'MemberExpression' &&
+      init.callee.property === 'Cast' && init.callee.object.type === 'Identifier') {
+    return init.callee.object.name;
+  }
+
+  return declared;
+}
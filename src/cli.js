@@ -11,7 +11,21 @@
 import { Command } from 'commander';
 import { FileParser } from './fileParser.js';
 import { PerformanceAnalyzer } from './analyzer.js';
-import { Reporter } from './reporter.js';
+import { Reporter, ModpackReporter, DiffReporter } from './reporter.js';
+import { ModpackAnalyzer } from './modpack.js';
+import { diffResults } from './diff.js';
+import { getFixableFindings, applyFixes, createPatch } from './autofix.js';
+import { getRuleCatalog } from './ruleCatalog.js';
+import { runRuleTests } from './ruleTester.js';
+import { fileURLToPath } from 'url';
+import { analyzeMod } from './index.js';
+import { Baseline } from './baseline.js';
+import { loadConfig, getConfigDir, parseConfidence, parseContextLines } from './config.js';
+import { parseDayzVersion, DEFAULT_DAYZ_VERSION } from './vanillaApi.js';
+import { parseTargetVersion } from './dayzDeprecations.js';
+import { parseBuildConfigurations, BUILD_CONFIGURATIONS } from './preprocessor.js';
+import { loadPlugins } from './plugins.js';
+import { loadDeclarativeRules } from './declarativeRules.js';
 import { promises as fs } from 'fs';
 import path from 'path';
 import chalk from 'chalk';
@@ -21,14 +35,32 @@ const program = new Command();
 program
   .name('dayz-perf')
   .description('Deep performance analysis tool for DayZ mods')
-  .version('1.0.0')
-  .argument('<zipfile>', 'Path to mod zip file')
+  .version('1.0.0');
+
+program
+  .command('analyze', { isDefault: true })
+  .description('Analyze a single mod (default command)')
+  .argument('<zipfile>', 'Mod archive (.zip/.pbo) or folder, e.g. a Workshop @Mod folder')
   .option('-o, --output <file>', 'Save JSON report to file')
   .option('-q, --quiet', 'Only show summary')
+  .option('-c, --config <file>', 'Project config file (default: .dayzperfrc in the mod root)')
+  .option('--baseline <file>', 'Accept the findings in a baseline file; only new findings count')
+  .option('--write-baseline <file>', 'Write all current findings to a baseline file')
+  .option('--min-confidence <level>', 'Only report findings of at least this confidence (high, medium, low)')
+  .option('--context-lines <n>', 'Source lines shown around each finding (default 2)')
+  .option('--dayz-version <version>', `DayZ version whose vanilla API overrides are checked against (default ${DEFAULT_DAYZ_VERSION})`)
+  .option('--target-version <version>', 'DayZ version the mod targets; calls deprecated or removed by then are flagged (default: the --dayz-version)')
+  .option('--build <configurations>', `Build configurations to analyze, comma-separated (${Object.keys(BUILD_CONFIGURATIONS).join(', ')}; default all)`)
   .action(async (zipfile, options) => {
     try {
       console.log(chalk.cyan.bold('\nDayZ Mod Performance Analyzer\n'));
 
+      const minConfidence = options.minConfidence ? parseConfidence(options.minConfidence) : undefined;
+      const contextLines = options.contextLines !== undefined ? parseContextLines(options.contextLines) : undefined;
+      const dayzVersion = options.dayzVersion ? parseDayzVersion(options.dayzVersion) : undefined;
+      const targetVersion = options.targetVersion ? parseTargetVersion(options.targetVersion) : undefined;
+      const configurations = options.build ? parseBuildConfigurations(options.build) : undefined;
+
       // Check if file exists
       try {
         await fs.access(zipfile);
@@ -49,9 +81,53 @@ program
 
       console.log(chalk.gray(`Found ${files.length} script files\n`));
 
+      // --config wins over a config shipped in the archive, which wins over one next to it
+      const config = await loadConfig({
+        configPath: options.config,
+        embedded: parser.configFile,
+        searchDir: path.dirname(path.resolve(zipfile))
+      });
+      if (config.source) {
+        console.log(chalk.gray(`Using config: ${config.source}`));
+      }
+
+      const plugins = await loadPlugins(config, { baseDir: getConfigDir(config) });
+      for (const plugin of plugins.plugins) {
+        console.log(chalk.gray(`Loaded plugin: ${plugin.name}${plugin.version ? ` v${plugin.version}` : ''} (${plugin.rules.length} rules)`));
+      }
+      for (const error of plugins.errors) {
+        console.warn(chalk.yellow(`Plugin ${error.plugin}: ${error.message}`));
+      }
+
+      const declarativeRules = await loadDeclarativeRules(config, {
+        baseDir: getConfigDir(config),
+        existingIds: plugins.rules.map(rule => rule.id)
+      });
+      if (declarativeRules.length > 0) {
+        console.log(chalk.gray(`Loaded ${declarativeRules.length} declarative rule(s)`));
+      }
+
+      const baseline = options.baseline ? await Baseline.load(options.baseline) : null;
+      if (baseline) {
+        console.log(chalk.gray(`Using baseline: ${options.baseline} (${baseline.size} known findings)`));
+      }
+
       // Analyze
       console.log(chalk.gray('Running performance analysis...'));
-      const analyzer = new PerformanceAnalyzer(files);
+      const analyzer = new PerformanceAnalyzer(files, {
+        config,
+        plugins,
+        declarativeRules,
+        baseline,
+        minConfidence,
+        contextLines,
+        dayzVersion,
+        targetVersion,
+        configurations,
+        addonConfigs: parser.addonConfigs,
+        pbos: parser.pbos,
+        modInfo: parser.modInfo
+      });
       const results = analyzer.analyze();
 
       // Generate report
@@ -64,7 +140,11 @@ program
         const score = analyzer.getScore();
         const rating = analyzer.getRating();
         console.log(`\n  Score: ${score}/100 (${rating})`);
-        console.log(`  Issues: ${results.summary.totalIssues} (${results.summary.critical} critical, ${results.summary.high} high)\n`);
+        console.log(`  Issues: ${results.summary.totalIssues} (${results.summary.critical} critical, ${results.summary.high} high)`);
+        if (baseline) {
+          console.log(`  Baseline: ${results.summary.baselined} known, ${results.summary.baselineResolved} resolved`);
+        }
+        console.log('');
       }
 
       // Save JSON report if requested
@@ -74,6 +154,14 @@ program
         console.log(chalk.green(`JSON report saved to: ${options.output}`));
       }
 
+      // Accept everything currently reported, including findings already in --baseline
+      if (options.writeBaseline) {
+        const accepted = Baseline.fromResults({ issues: [...results.issues, ...results.baselined] });
+        await accepted.save(options.writeBaseline);
+        console.log(chalk.green(`Baseline with ${accepted.size} findings saved to: ${options.writeBaseline}`));
+        process.exit(0);
+      }
+
       // Exit with error code if critical issues found
       if (results.summary.critical > 0) {
         process.exit(2);
@@ -92,4 +180,388 @@ program
     }
   });
 
+program
+  .command('modpack')
+  .description('Analyze several mods together in load order (modded class chains, per-tick work, addon dependencies)')
+  .argument('<archives...>', 'Mod archives (.zip/.pbo) or folders in server load order')
+  .option('-o, --output <file>', 'Save JSON report to file')
+  .action(async (archives, options) => {
+    try {
+      console.log(chalk.cyan.bold('\nDayZ Modpack Load-Order Analysis\n'));
+
+      const mods = [];
+      for (const archive of archives) {
+        try {
+          await fs.access(archive);
+        } catch (error) {
+          console.error(chalk.red(`Error: File not found: ${archive}`));
+          process.exit(1);
+        }
+
+        console.log(chalk.gray(`Extracting: ${archive}...`));
+        const parser = new FileParser(archive);
+        const files = await parser.parse();
+        mods.push({ name: getModName(archive, mods), files, addonConfigs: parser.addonConfigs });
+      }
+
+      const analyzer = new ModpackAnalyzer(mods);
+      const results = analyzer.analyze();
+      const reporter = new ModpackReporter(results);
+
+      reporter.generateConsoleReport();
+
+      if (options.output) {
+        await fs.writeFile(options.output, reporter.generateJSONReport());
+        console.log(chalk.green(`JSON report saved to: ${options.output}`));
+      }
+
+      // Another mod's logic being switched off, or overrides applied in an order the mods
+      // don't control, are the failures this mode exists to catch
+      const failed = results.summary.brokenChains + results.summary.missingDependencies + results.summary.circularDependencies;
+      process.exit(failed > 0 ? 1 : 0);
+
+    } catch (error) {
+      console.error(chalk.red(`\nError: ${error.message}`));
+      if (process.env.DEBUG) {
+        console.error(error.stack);
+      }
+      process.exit(1);
+    }
+  });
+
+program
+  .command('diff')
+  .description('Compare two builds of a mod: new, fixed and unchanged findings')
+  .argument('<old>', 'Previous build (.zip/.pbo or folder)')
+  .argument('<new>', 'New build (.zip/.pbo or folder)')
+  .option('-o, --output <file>', 'Save JSON diff to file')
+  .option('-m, --markdown <file>', 'Save Markdown diff to file')
+  .option('-c, --config <file>', 'Project config file used for both builds')
+  .option('--min-confidence <level>', 'Only compare findings of at least this confidence (high, medium, low)')
+  .option('--context-lines <n>', 'Source lines included around each finding in the JSON diff (default 2)')
+  .option('--dayz-version <version>', `DayZ version whose vanilla API overrides are checked against (default ${DEFAULT_DAYZ_VERSION})`)
+  .option('--target-version <version>', 'DayZ version the mod targets; calls deprecated or removed by then are flagged (default: the --dayz-version)')
+  .option('--build <configurations>', `Build configurations to analyze, comma-separated (${Object.keys(BUILD_CONFIGURATIONS).join(', ')}; default all)`)
+  .action(async (oldFile, newFile, options) => {
+    try {
+      console.log(chalk.cyan.bold('\nDayZ Mod Performance Diff\n'));
+
+      const minConfidence = options.minConfidence ? parseConfidence(options.minConfidence) : undefined;
+      const contextLines = options.contextLines !== undefined ? parseContextLines(options.contextLines) : undefined;
+      const dayzVersion = options.dayzVersion ? parseDayzVersion(options.dayzVersion) : undefined;
+      const targetVersion = options.targetVersion ? parseTargetVersion(options.targetVersion) : undefined;
+      const configurations = options.build ? parseBuildConfigurations(options.build) : undefined;
+
+      for (const file of [oldFile, newFile]) {
+        try {
+          await fs.access(file);
+        } catch (error) {
+          console.error(chalk.red(`Error: File not found: ${file}`));
+          process.exit(1);
+        }
+      }
+
+      console.log(chalk.gray(`Analyzing old build: ${oldFile}...`));
+      const oldRun = await analyzeMod(oldFile, { configPath: options.config, minConfidence, contextLines, dayzVersion, targetVersion, configurations });
+      console.log(chalk.gray(`Analyzing new build: ${newFile}...`));
+      const newRun = await analyzeMod(newFile, { configPath: options.config, minConfidence, contextLines, dayzVersion, targetVersion, configurations });
+
+      const diff = diffResults(oldRun, newRun);
+      const reporter = new DiffReporter(diff, { old: path.basename(oldFile), new: path.basename(newFile) });
+
+      reporter.generateConsoleReport();
+
+      if (options.output) {
+        await fs.writeFile(options.output, reporter.generateJSONReport());
+        console.log(chalk.green(`JSON diff saved to: ${options.output}`));
+      }
+      if (options.markdown) {
+        await fs.writeFile(options.markdown, reporter.generateMarkdownReport());
+        console.log(chalk.green(`Markdown diff saved to: ${options.markdown}`));
+      }
+
+      // Same exit codes as analyze, but only for findings the new build introduced
+      const introduced = diff.summary.newBySeverity;
+      process.exit(introduced.CRITICAL > 0 ? 2 : introduced.HIGH > 0 ? 1 : 0);
+
+    } catch (error) {
+      console.error(chalk.red(`\nError: ${error.message}`));
+      if (process.env.DEBUG) {
+        console.error(error.stack);
+      }
+      process.exit(1);
+    }
+  });
+
+program
+  .command('fix')
+  .description('Apply the fixes rules offer for high-confidence findings to an unpacked mod folder')
+  .argument('<dir>', 'Unpacked mod folder')
+  .option('--dry-run', 'Print the changes as a unified diff without writing (default)')
+  .option('--write', 'Write the changes to the files')
+  .option('-c, --config <file>', 'Project config file (default: .dayzperfrc in the mod folder)')
+  .option('--rule <ids...>', 'Only apply fixes from these rules')
+  .option('--dayz-version <version>', `DayZ version whose vanilla API overrides are checked against (default ${DEFAULT_DAYZ_VERSION})`)
+  .action(async (dir, options) => {
+    try {
+      console.log(chalk.cyan.bold('\nDayZ Mod Performance Autofix\n'));
+
+      const dayzVersion = options.dayzVersion ? parseDayzVersion(options.dayzVersion) : undefined;
+
+      if (options.write && options.dryRun) {
+        console.error(chalk.red('Error: --dry-run and --write can\'t be combined'));
+        process.exit(1);
+      }
+
+      let stat;
+      try {
+        stat = await fs.stat(dir);
+      } catch (error) {
+        console.error(chalk.red(`Error: Folder not found: ${dir}`));
+        process.exit(1);
+      }
+      if (!stat.isDirectory()) {
+        console.error(chalk.red(`Error: ${dir} is not a folder; unpack the mod to fix it`));
+        process.exit(1);
+      }
+
+      console.log(chalk.gray(`Analyzing: ${dir}...`));
+      const { results, analyzer } = await analyzeMod(dir, { configPath: options.config, dayzVersion });
+      const fixable = getFixableFindings(results, { rules: options.rule });
+
+      if (fixable.length === 0) {
+        console.log(chalk.green('No fixes available.'));
+        process.exit(0);
+      }
+
+      let applied = 0;
+      const skipped = [];
+
+      for (const { file, findings } of fixable) {
+        const source = analyzer.files.find(f => f.path === file);
+        // A script packed in a PBO has no file of its own to write
+        if (source.pbo) {
+          skipped.push(...findings.map(finding => ({
+            finding,
+            reason: `inside ${source.pbo} — unpack the PBO to apply fixes`
+          })));
+          continue;
+        }
+
+        const result = applyFixes(source.content, findings);
+        applied += result.applied.length;
+        skipped.push(...result.skipped);
+
+        if (result.applied.length === 0) continue;
+
+        if (options.write) {
+          await fs.writeFile(path.join(dir, file), result.content);
+          for (const finding of result.applied) {
+            console.log(`${chalk.green('Fixed')} ${file}:${finding.line}  ${finding.fix.description} ${chalk.gray(`[${finding.ruleId}]`)}`);
+          }
+        } else {
+          process.stdout.write(createPatch(file, source.content, result.content));
+        }
+      }
+
+      for (const { finding, reason } of skipped) {
+        console.log(chalk.yellow(`Skipped ${finding.file}:${finding.line}  ${finding.fix.description} [${finding.ruleId}]: ${reason}`));
+      }
+
+      console.log(chalk.bold(`\n${applied} fix(es) ${options.write ? 'applied' : 'available'}${skipped.length > 0 ? `, ${skipped.length} skipped` : ''}`));
+      if (!options.write) {
+        console.log(chalk.gray('Run with --write to apply them.'));
+      }
+
+    } catch (error) {
+      console.error(chalk.red(`\nError: ${error.message}`));
+      if (process.env.DEBUG) {
+        console.error(error.stack);
+      }
+      process.exit(1);
+    }
+  });
+
+program
+  .command('rules')
+  .description('List all rules with their severity, category, confidence and whether they are enabled')
+  .option('-c, --config <file>', 'Project config file (default: .dayzperfrc in the current directory)')
+  .option('--json', 'Print the catalog as JSON, docs included')
+  .action(async (options) => {
+    try {
+      const catalog = await loadRuleCatalog(options.config);
+
+      if (options.json) {
+        console.log(JSON.stringify(catalog, null, 2));
+        return;
+      }
+
+      const idWidth = Math.max(...catalog.map(rule => rule.id.length)) + 2;
+      console.log(chalk.bold(`${'ID'.padEnd(idWidth)}${'SEVERITY'.padEnd(10)}${'CATEGORY'.padEnd(15)}${'CONFIDENCE'.padEnd(12)}ENABLED`));
+      for (const rule of catalog) {
+        const line = `${rule.id.padEnd(idWidth)}${rule.severity.padEnd(10)}${rule.category.padEnd(15)}${rule.confidence.padEnd(12)}${rule.enabled ? 'yes' : 'no'}`;
+        const origin = rule.plugin ? ` (plugin ${rule.plugin})` : rule.ruleFile ? ` (${rule.ruleFile})` : '';
+        console.log((rule.enabled ? line : chalk.gray(line)) + chalk.gray(origin));
+      }
+      console.log(chalk.gray(`\n${catalog.length} rules, ${catalog.filter(rule => rule.enabled).length} enabled. Run 'dayz-perf explain <rule-id>' for details.`));
+
+    } catch (error) {
+      console.error(chalk.red(`\nError: ${error.message}`));
+      if (process.env.DEBUG) {
+        console.error(error.stack);
+      }
+      process.exit(1);
+    }
+  });
+
+program
+  .command('explain')
+  .description('Explain a rule: why it exists, a bad and a good example, references')
+  .argument('<rule-id>', 'Rule id, e.g. world-scan-loop')
+  .option('-c, --config <file>', 'Project config file (default: .dayzperfrc in the current directory)')
+  .action(async (ruleId, options) => {
+    try {
+      const catalog = await loadRuleCatalog(options.config);
+      const rule = catalog.find(entry => entry.id === ruleId);
+
+      if (!rule) {
+        const similar = catalog.filter(entry => entry.id.includes(ruleId) || ruleId.includes(entry.id));
+        console.error(chalk.red(`Error: Unknown rule '${ruleId}'`));
+        if (similar.length > 0) {
+          console.error(`Did you mean: ${similar.map(entry => entry.id).join(', ')}?`);
+        }
+        process.exit(1);
+      }
+
+      console.log(chalk.cyan.bold(`\n${rule.name}`) + chalk.gray(` (${rule.id})\n`));
+      console.log(`   Severity:   ${rule.severity}`);
+      console.log(`   Category:   ${rule.category}`);
+      console.log(`   Confidence: ${rule.confidence}`);
+      console.log(`   Enabled:    ${rule.enabled ? 'yes' : 'no'}`);
+      if (Object.keys(rule.options).length > 0) {
+        console.log(`   Options:    ${Object.entries(rule.options).map(([key, value]) => `${key}=${JSON.stringify(value)}`).join(', ')}`);
+      }
+      console.log(`\n   ${rule.description}\n`);
+
+      const docs = rule.docs;
+      if (!docs) {
+        console.log(chalk.gray('   This rule has no further documentation.\n'));
+        return;
+      }
+
+      if (docs.rationale) {
+        console.log(chalk.bold('Why:'));
+        console.log(`   ${docs.rationale}\n`);
+      }
+      if (docs.bad) {
+        console.log(chalk.bold.red('Bad:'));
+        console.log(docs.bad.split('\n').map(line => `   ${line}`).join('\n') + '\n');
+      }
+      if (docs.good) {
+        console.log(chalk.bold.green('Good:'));
+        console.log(docs.good.split('\n').map(line => `   ${line}`).join('\n') + '\n');
+      }
+      if (docs.references.length > 0) {
+        console.log(chalk.bold('References:'));
+        for (const reference of docs.references) {
+          console.log(`   - ${reference.title}${reference.url ? ` ${chalk.gray(reference.url)}` : ''}`);
+        }
+        console.log('');
+      }
+
+    } catch (error) {
+      console.error(chalk.red(`\nError: ${error.message}`));
+      if (process.env.DEBUG) {
+        console.error(error.stack);
+      }
+      process.exit(1);
+    }
+  });
+
+program
+  .command('test-rules')
+  .description('Run the rules against annotated fixture scripts and report missing and unexpected findings')
+  .argument('[dir]', 'Fixture folder (default: the built-in fixtures/rules)')
+  .option('-c, --config <file>', 'Project config file; its plugins and rule files are tested too')
+  .option('--rule <ids...>', 'Only check these rules')
+  .action(async (dir, options) => {
+    try {
+      const fixtureDir = dir || path.join(path.dirname(fileURLToPath(import.meta.url)), '../fixtures/rules');
+      const fixtures = await new FileParser(fixtureDir).parse();
+      if (fixtures.length === 0) {
+        console.error(chalk.red(`Error: No fixture scripts (.c) found in ${fixtureDir}`));
+        process.exit(1);
+      }
+
+      const config = await loadConfig({ configPath: options.config });
+      const plugins = await loadPlugins(config, { baseDir: getConfigDir(config) });
+      for (const error of plugins.errors) {
+        console.warn(chalk.yellow(`Plugin ${error.plugin}: ${error.message}`));
+      }
+      const declarativeRules = await loadDeclarativeRules(config, {
+        baseDir: getConfigDir(config),
+        existingIds: plugins.rules.map(rule => rule.id)
+      });
+
+      const results = runRuleTests(fixtures, { config, plugins, declarativeRules, rules: options.rule });
+
+      console.log(chalk.bold(`\nRule fixtures: ${results.fixtures} file(s) in ${fixtureDir}\n`));
+      for (const rule of results.rules) {
+        const status = rule.passed ? chalk.green('PASS') : chalk.red('FAIL');
+        console.log(`${status} ${rule.ruleId} ${chalk.gray(`(${rule.found}/${rule.expected} expected findings)`)}`);
+
+        for (const missing of rule.missing) {
+          console.log(chalk.red(`       missing     ${missing.file}:${missing.line}${missing.severity ? ` ${missing.severity}` : ''}`));
+        }
+        for (const unexpected of rule.unexpected) {
+          console.log(chalk.red(`       unexpected  ${unexpected.file}:${unexpected.line} ${unexpected.severity} ${chalk.gray(unexpected.message)}`));
+        }
+        for (const wrong of rule.wrongSeverity) {
+          console.log(chalk.red(`       severity    ${wrong.file}:${wrong.line} expected ${wrong.expected}, got ${wrong.actual}`));
+        }
+      }
+
+      for (const error of results.errors) {
+        console.log(chalk.red(`ERROR ${error.file}${error.line ? `:${error.line}` : ''} ${error.message}`));
+      }
+      if (results.untested.length > 0) {
+        console.log(chalk.yellow(`\nNo fixtures for: ${results.untested.join(', ')}`));
+      }
+
+      const failed = results.rules.filter(rule => !rule.passed).length;
+      console.log(chalk.bold(`\n${results.rules.length - failed} passed, ${failed} failed${results.errors.length > 0 ? `, ${results.errors.length} error(s)` : ''}`));
+      process.exit(results.passed ? 0 : 1);
+
+    } catch (error) {
+      console.error(chalk.red(`\nError: ${error.message}`));
+      if (process.env.DEBUG) {
+        console.error(error.stack);
+      }
+      process.exit(1);
+    }
+  });
+
+// Catalog under the project config, so enabled state and plugin/rule file rules match `analyze`
+async function loadRuleCatalog(configPath) {
+  const config = await loadConfig({ configPath, searchDir: process.cwd() });
+  const plugins = await loadPlugins(config, { baseDir: getConfigDir(config) });
+  for (const error of plugins.errors) {
+    console.warn(chalk.yellow(`Plugin ${error.plugin}: ${error.message}`));
+  }
+  const declarativeRules = await loadDeclarativeRules(config, {
+    baseDir: getConfigDir(config),
+    existingIds: plugins.rules.map(rule => rule.id)
+  });
+  return getRuleCatalog(config, { plugins, declarativeRules });
+}
+
+// @MyMod.zip -> MyMod (suffixed when two archives share a name)
+function getModName(archive, mods) {
+  const base = path.basename(archive, path.extname(archive)).replace(/^@/, '');
+  const taken = new Set(mods.map(mod => mod.name));
+  let name = base;
+  for (let i = 2; taken.has(name); i++) name = `${base} (${i})`;
+  return name;
+}
+
 program.parse();
@@ -0,0 +1,336 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+// Project configuration (.dayzperfrc)
+//
+// Read from the mod root (inside the archive or next to it) or passed with --config.
+// JSON or YAML:
+//
+//   {
+//     "enhanced": true,
+//     "rules": {
+//       "getgame-spam": "off",
+//       "rpc-spam": "CRITICAL",
+//       "world-scan-loop": { "severity": "HIGH", "options": { "radius": 8000 } }
+//     },
+//     "include": ["scripts/**"],
+//     "exclude": ["**/Debug/**"],
+//     "plugins": ["./dayz-rules", "@studio/dayz-perf-rules"],
+//     "ruleFiles": ["./perf-rules.yml"],
+//     "minConfidence": "medium",
+//     "contextLines": 3,
+//     "dayzVersion": "1.27",
+//     "targetVersion": "1.26",
+//     "buildConfigurations": ["server", "client"],
+//     "defines": ["MYMOD_DEBUG"],
+//     "scoring": { "weights": { "CRITICAL": 25 }, "categoryWeights": { "compatibility": 0.5 } }
+//   }
+//
+// A rule entry is "off"/"on", true/false, a severity, or an object with
+// `enabled`, `severity` and `options`.
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { minimatch } from 'minimatch';
+import { SEVERITY, CATEGORY, CONFIDENCE } from './rules.js';
+import { parseDayzVersion } from './vanillaApi.js';
+import { parseTargetVersion } from './dayzDeprecations.js';
+import { parseBuildConfigurations } from './preprocessor.js';
+
+export const CONFIG_FILE_NAMES = ['.dayzperfrc', '.dayzperfrc.json', '.dayzperfrc.yml', '.dayzperfrc.yaml'];
+
+export const DEFAULT_CONFIG = {
+  enhanced: true,
+  rules: {},
+  include: [],
+  exclude: [],
+  plugins: [],
+  ruleFiles: [],
+  scoring: {},
+  minConfidence: null,
+  contextLines: 2,
+  dayzVersion: null,
+  targetVersion: null,
+  buildConfigurations: null,
+  defines: []
+};
+
+/**
+ * Resolve the project config. Precedence: an explicit `configPath`, then a config
+ * found in the mod archive (`embedded`, { name, content }), then the first
+ * .dayzperfrc* in `searchDir`. Returns the defaults when nothing is found.
+ */
+export async function loadConfig({ configPath = null, embedded = null, searchDir = null } = {}) {
+  if (configPath) {
+    let text;
+    try {
+      text = await fs.readFile(configPath, 'utf8');
+    } catch (error) {
+      throw new Error(`Failed to read config file ${configPath}: ${error.message}`);
+    }
+    return { ...parseConfig(text, configPath), source: configPath };
+  }
+
+  if (embedded) {
+    // Plugins run arbitrary code, so a config shipped inside an analyzed mod (an archive or
+    // a downloaded @Mod folder) can't load them, nor rule files; only --config is trusted
+    const config = parseConfig(embedded.content, embedded.name);
+    const ignored = ['plugins', 'ruleFiles'].filter(key => config[key].length > 0);
+    if (ignored.length > 0) {
+      console.warn(`Ignoring ${ignored.join(' and ')} in ${embedded.name}: a config inside the analyzed mod can't load code; pass it with --config to use them`);
+    }
+    return { ...config, plugins: [], ruleFiles: [], source: embedded.name, embedded: true };
+  }
+
+  if (searchDir) {
+    for (const name of CONFIG_FILE_NAMES) {
+      const candidate = path.join(searchDir, name);
+      try {
+        const text = await fs.readFile(candidate, 'utf8');
+        return { ...parseConfig(text, candidate), source: candidate };
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  }
+
+  return normalizeConfig({});
+}
+
+/**
+ * Directory relative plugin and rule file paths in the config are resolved from
+ */
+export function getConfigDir(config) {
+  return config.source && !config.embedded ? path.dirname(path.resolve(config.source)) : process.cwd();
+}
+
+export function isConfigFile(filePath) {
+  return CONFIG_FILE_NAMES.includes(path.basename(filePath).toLowerCase());
+}
+
+/**
+ * Parse config text. `.json` is JSON, `.yml`/`.yaml` is YAML and a bare `.dayzperfrc`
+ * may be either.
+ */
+export function parseConfig(text, fileName = '.dayzperfrc') {
+  const ext = path.extname(fileName).toLowerCase();
+  let raw;
+
+  try {
+    if (ext === '.json') {
+      raw = JSON.parse(text);
+    } else {
+      // YAML is a superset of JSON, so this also covers a JSON .dayzperfrc
+      raw = YAML.parse(text);
+    }
+  } catch (error) {
+    throw new Error(`Invalid config file ${fileName}: ${error.message}`);
+  }
+
+  return normalizeConfig(raw ?? {}, fileName);
+}
+
+export function normalizeConfig(raw, fileName = 'config') {
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Invalid config file ${fileName}: expected an object at the top level`);
+  }
+
+  const config = {
+    ...DEFAULT_CONFIG,
+    ...raw,
+    rules: {},
+    include: toList(raw.include, 'include', fileName),
+    exclude: toList(raw.exclude, 'exclude', fileName),
+    plugins: toList(raw.plugins, 'plugins', fileName, 'a path or package name, or a list of them'),
+    ruleFiles: toList(raw.ruleFiles, 'ruleFiles', fileName, 'a path or a list of paths'),
+    defines: toList(raw.defines, 'defines', fileName, 'a define name or a list of them'),
+    scoring: normalizeScoring(raw.scoring, fileName)
+  };
+
+  if (raw.minConfidence !== undefined && raw.minConfidence !== null) {
+    try {
+      config.minConfidence = parseConfidence(raw.minConfidence);
+    } catch (error) {
+      throw new Error(`Invalid config file ${fileName}: minConfidence: ${error.message}`);
+    }
+  }
+
+  if (raw.contextLines !== undefined && raw.contextLines !== null) {
+    try {
+      config.contextLines = parseContextLines(raw.contextLines);
+    } catch (error) {
+      throw new Error(`Invalid config file ${fileName}: contextLines: ${error.message}`);
+    }
+  }
+
+  if (raw.dayzVersion !== undefined && raw.dayzVersion !== null) {
+    try {
+      config.dayzVersion = parseDayzVersion(raw.dayzVersion);
+    } catch (error) {
+      throw new Error(`Invalid config file ${fileName}: dayzVersion: ${error.message}`);
+    }
+  }
+
+  if (raw.targetVersion !== undefined && raw.targetVersion !== null) {
+    try {
+      config.targetVersion = parseTargetVersion(raw.targetVersion);
+    } catch (error) {
+      throw new Error(`Invalid config file ${fileName}: targetVersion: ${error.message}`);
+    }
+  }
+
+  if (raw.buildConfigurations !== undefined && raw.buildConfigurations !== null) {
+    try {
+      config.buildConfigurations = parseBuildConfigurations(raw.buildConfigurations);
+    } catch (error) {
+      throw new Error(`Invalid config file ${fileName}: buildConfigurations: ${error.message}`);
+    }
+  }
+
+  const badDefine = config.defines.find(define => !/^[A-Za-z_]\w*$/.test(define));
+  if (badDefine !== undefined) {
+    throw new Error(`Invalid config file ${fileName}: defines: '${badDefine}' is not a valid define name`);
+  }
+
+  for (const [ruleId, setting] of Object.entries(raw.rules || {})) {
+    config.rules[ruleId] = normalizeRuleSetting(ruleId, setting, fileName);
+  }
+
+  return config;
+}
+
+function normalizeRuleSetting(ruleId, setting, fileName) {
+  if (setting === false || setting === 'off') return { enabled: false };
+  if (setting === true || setting === 'on') return { enabled: true };
+
+  if (typeof setting === 'string') {
+    return { enabled: true, severity: parseSeverity(setting, ruleId, fileName) };
+  }
+
+  if (setting && typeof setting === 'object' && !Array.isArray(setting)) {
+    const normalized = { enabled: setting.enabled !== false };
+    if (setting.severity) normalized.severity = parseSeverity(setting.severity, ruleId, fileName);
+    if (setting.options) {
+      if (typeof setting.options !== 'object' || Array.isArray(setting.options)) {
+        throw new Error(`Invalid config file ${fileName}: rules.${ruleId}.options must be an object`);
+      }
+      normalized.options = setting.options;
+    }
+    return normalized;
+  }
+
+  throw new Error(`Invalid config file ${fileName}: rules.${ruleId} must be "off", "on", a severity or an object`);
+}
+
+function parseSeverity(value, ruleId, fileName) {
+  const severity = String(value).toUpperCase();
+  if (!SEVERITY[severity]) {
+    throw new Error(`Invalid config file ${fileName}: unknown severity '${value}' for rule ${ruleId} (expected ${Object.keys(SEVERITY).join(', ')})`);
+  }
+  return SEVERITY[severity];
+}
+
+/**
+ * Validate a confidence level (--min-confidence, config `minConfidence`)
+ */
+export function parseConfidence(value) {
+  const confidence = String(value).toLowerCase();
+  if (!Object.values(CONFIDENCE).includes(confidence)) {
+    throw new Error(`unknown confidence '${value}' (expected ${Object.values(CONFIDENCE).join(', ')})`);
+  }
+  return confidence;
+}
+
+/**
+ * Validate the number of source lines shown around a finding (--context-lines, config `contextLines`)
+ */
+export function parseContextLines(value) {
+  const lines = Number(value);
+  if (value === '' || !Number.isInteger(lines) || lines < 0) {
+    throw new Error(`invalid number of context lines '${value}' (expected a whole number >= 0)`);
+  }
+  return lines;
+}
+
+// Weights for scoring.js; anything left out keeps its default
+function normalizeScoring(scoring, fileName) {
+  if (scoring === undefined || scoring === null) return {};
+  if (typeof scoring !== 'object' || Array.isArray(scoring)) {
+    throw new Error(`Invalid config file ${fileName}: scoring must be an object`);
+  }
+
+  const isWeight = value => typeof value === 'number' && value >= 0;
+  const normalized = {};
+
+  if (scoring.weights) {
+    normalized.weights = {};
+    for (const [key, value] of Object.entries(scoring.weights)) {
+      const severity = SEVERITY[String(key).toUpperCase()];
+      if (!severity) {
+        throw new Error(`Invalid config file ${fileName}: unknown severity '${key}' in scoring.weights (expected ${Object.keys(SEVERITY).join(', ')})`);
+      }
+      if (!isWeight(value)) throw new Error(`Invalid config file ${fileName}: scoring.weights.${key} must be a number >= 0`);
+      normalized.weights[severity] = value;
+    }
+  }
+
+  if (scoring.categoryWeights) {
+    normalized.categoryWeights = {};
+    for (const [key, value] of Object.entries(scoring.categoryWeights)) {
+      const category = String(key).toLowerCase();
+      if (!Object.values(CATEGORY).includes(category)) {
+        throw new Error(`Invalid config file ${fileName}: unknown scoring category '${key}' (expected ${Object.values(CATEGORY).join(', ')})`);
+      }
+      if (!isWeight(value)) throw new Error(`Invalid config file ${fileName}: scoring.categoryWeights.${key} must be a number >= 0`);
+      normalized.categoryWeights[category] = value;
+    }
+  }
+
+  for (const key of ['referenceLines', 'decay']) {
+    if (scoring[key] === undefined) continue;
+    if (typeof scoring[key] !== 'number' || scoring[key] <= 0) {
+      throw new Error(`Invalid config file ${fileName}: scoring.${key} must be a positive number`);
+    }
+    normalized[key] = scoring[key];
+  }
+
+  return normalized;
+}
+
+function toList(value, key, fileName, expected = 'a glob or a list of globs') {
+  if (value === undefined || value === null) return [];
+  if (typeof value === 'string') return [value];
+  if (Array.isArray(value) && value.every(v => typeof v === 'string')) return value;
+  throw new Error(`Invalid config file ${fileName}: ${key} must be ${expected}`);
+}
+
+/**
+ * Effective settings for a rule: enabled state, severity override and merged options
+ */
+export function getRuleSettings(rule, config) {
+  const setting = config.rules[rule.id] || {};
+  return {
+    enabled: setting.enabled !== false,
+    severity: setting.severity || null,
+    options: { ...(rule.defaultOptions || {}), ...(setting.options || {}) }
+  };
+}
+
+/**
+ * Apply include/exclude globs to parsed files (matched against file.path)
+ */
+export function filterFiles(files, config) {
+  const normalize = p => p.replace(/\\/g, '/');
+  const matches = (file, globs) => globs.some(glob => minimatch(normalize(file.path), glob, { dot: true, nocase: true }));
+
+  return files.filter(file => {
+    if (config.include.length > 0 && !matches(file, config.include)) return false;
+    return !matches(file, config.exclude);
+  });
+}
@@ -0,0 +1,490 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+// Parser for DayZ config files: config.cpp text and rapified (binarized) config.bin.
+//
+// Both give the file's class tree:
+//
+//   {
+//     name: '', base: null, line: 1,
+//     properties: { ... },
+//     classes: {
+//       CfgMods: {
+//         name: 'CfgMods', base: null, line: 3, properties: {},
+//         classes: { MyMod: { ..., properties: { type: 'mod', dependencies: ['Game', 'World'] } } }
+//       }
+//     }
+//   }
+//
+// Properties are strings, numbers or arrays (`name[] = { ... }`, nested arrays included);
+// `class Name;` declares an external class ({ external: true }). Preprocessor lines are
+// skipped and macros aren't expanded: a value that isn't a single string or number
+// (`$STR_MyMod_Name`, `QUOTE(x)`, `1*2`) is read up to its `;` as text, like Binarize
+// does, and a macro call between entries is skipped. Strings keep backslashes:
+// `"MyMod\Scripts"` is a path, and `""` is a quote.
+
+/**
+ * Parse config.cpp text into its class tree; throws on syntax errors
+ */
+export function parseConfigText(text, fileName = 'config.cpp') {
+  return new ConfigTextParser(text, fileName).parse();
+}
+
+/**
+ * Class at a slash-separated path, e.g. getConfigClass(root, 'CfgMods/MyMod/defs').
+ * Config class names are case-insensitive.
+ */
+export function getConfigClass(root, classPath) {
+  let current = root;
+  for (const name of classPath.split('/').filter(Boolean)) {
+    current = getChild(current, name);
+    if (!current) return null;
+  }
+  return current;
+}
+
+/**
+ * Property of a class by name (case-insensitive), or undefined
+ */
+export function getConfigProperty(node, name) {
+  if (!node) return undefined;
+  const key = Object.keys(node.properties).find(other => other.toLowerCase() === name.toLowerCase());
+  return key === undefined ? undefined : node.properties[key];
+}
+
+function getChild(node, name) {
+  const key = Object.keys(node.classes).find(other => other.toLowerCase() === name.toLowerCase());
+  return key === undefined ? null : node.classes[key];
+}
+
+function createClass(name, base, line) {
+  return { name, base, line, properties: {}, classes: {} };
+}
+
+class ConfigTextParser {
+  constructor(text, fileName) {
+    this.fileName = fileName;
+    this.text = text;
+    this.tokens = tokenizeConfig(text, fileName);
+    this.pos = 0;
+  }
+
+  parse() {
+    const root = createClass('', null, 1);
+    this.parseBody(root, true);
+    return root;
+  }
+
+  parseBody(node, topLevel) {
+    for (;;) {
+      const token = this.peek();
+      if (token.type === 'eof') {
+        if (!topLevel) this.fail(token, `missing '}' for class ${node.name}`);
+        return;
+      }
+      if (token.value === '}' && token.type === 'punctuator') {
+        if (topLevel) this.fail(token, 'unexpected \'}\'');
+        return;
+      }
+      if (token.value === ';' && token.type === 'punctuator') {
+        this.next();
+        continue;
+      }
+
+      if (token.type === 'word' && token.value === 'class') {
+        this.parseClass(node);
+      } else if (token.type === 'word' && token.value === 'delete') {
+        this.next();
+        this.expectWord();
+        this.expect(';');
+      } else if (token.type === 'word' && this.tokens[this.pos + 1].value === '(') {
+        this.skipMacroCall();
+      } else {
+        this.parseProperty(node);
+      }
+    }
+  }
+
+  parseClass(parent) {
+    const start = this.next();
+    const name = this.expectWord();
+    let base = null;
+
+    if (this.accept(':')) {
+      base = this.expectWord();
+    }
+
+    // `class Name;` refers to a class defined elsewhere (usually another addon)
+    if (this.accept(';')) {
+      if (!getChild(parent, name)) {
+        parent.classes[name] = { ...createClass(name, base, start.line), external: true };
+      }
+      return;
+    }
+
+    this.expect('{');
+    const node = createClass(name, base, start.line);
+    this.parseBody(node, false);
+    this.expect('}');
+    this.accept(';');
+    parent.classes[name] = node;
+  }
+
+  parseProperty(node) {
+    const name = this.expectWord();
+    const isArray = this.accept('[');
+    if (isArray) this.expect(']');
+
+    const operator = this.next();
+    if (operator.type !== 'punctuator' || (operator.value !== '=' && !(isArray && operator.value === '+='))) {
+      this.fail(operator, `expected '=' after ${name}`);
+    }
+
+    const value = isArray ? this.parseArray() : this.parseValue();
+    if (isArray && operator.value === '+=' && Array.isArray(node.properties[name])) {
+      node.properties[name] = [...node.properties[name], ...value];
+    } else {
+      node.properties[name] = value;
+    }
+    this.expect(';');
+  }
+
+  // MACRO(...) with its arguments, and the `;` after it
+  skipMacroCall() {
+    this.next();
+    this.pos = this.findValueEnd(false, true);
+    this.accept(';');
+  }
+
+  parseArray() {
+    this.expect('{');
+    const values = [];
+    while (!this.accept('}')) {
+      values.push(this.peek().value === '{' ? this.parseArray() : this.parseValue(true));
+      if (!this.accept(',') && this.peek().value !== '}') {
+        this.fail(this.peek(), 'expected \',\' or \'}\' in array');
+      }
+    }
+    return values;
+  }
+
+  parseValue(inArray = false) {
+    const token = this.peek();
+    const end = this.findValueEnd(inArray);
+    const count = end - this.pos;
+
+    if (count === 1 && ['string', 'number', 'word'].includes(token.type)) return this.next().value;
+    if (count === 2 && token.value === '-' && this.tokens[this.pos + 1].type === 'number') {
+      this.next();
+      return -this.next().value;
+    }
+    if (count === 0 || token.type === 'string') this.fail(token, `unexpected ${describe(token)}`);
+
+    // Anything else is the text as written, up to the end of the value
+    const value = this.text.substring(token.start, this.tokens[end - 1].end).trim();
+    this.pos = end;
+    return value;
+  }
+
+  // Index of the token ending the value at the current position: `;` (`,` or `}` in an
+  // array) outside parentheses. With `call`, the token after the closing `)` instead.
+  findValueEnd(inArray, call = false) {
+    let depth = 0;
+    for (let i = this.pos; ; i++) {
+      const token = this.tokens[i];
+      if (token.type === 'eof') return i;
+      if (token.type !== 'punctuator') continue;
+      if (token.value === '(') {
+        depth++;
+      } else if (token.value === ')') {
+        depth--;
+        if (call && depth === 0) return i + 1;
+      } else if (depth === 0 && !call && (token.value === ';' || token.value === '{' || token.value === '}' || (inArray && token.value === ','))) {
+        return i;
+      }
+    }
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  next() {
+    const token = this.tokens[this.pos];
+    if (token.type !== 'eof') this.pos++;
+    return token;
+  }
+
+  accept(value) {
+    const token = this.peek();
+    if (token.type === 'punctuator' && token.value === value) {
+      this.pos++;
+      return true;
+    }
+    return false;
+  }
+
+  expect(value) {
+    if (!this.accept(value)) this.fail(this.peek(), `expected '${value}'`);
+  }
+
+  expectWord() {
+    const token = this.next();
+    if (token.type !== 'word') this.fail(token, `expected a name, found ${describe(token)}`);
+    return token.value;
+  }
+
+  fail(token, message) {
+    throw new Error(`Invalid config ${this.fileName}: line ${token.line}: ${message}`);
+  }
+}
+
+function describe(token) {
+  return token.type === 'eof' ? 'end of file' : `'${token.value}'`;
+}
+
+const NUMBER_PATTERN = /0x[0-9a-f]+|\d*\.?\d+(e[+-]?\d+)?/iy;
+const WORD_PATTERN = /[A-Za-z_][\w.]*/y;
+
+function matchAt(pattern, text, pos) {
+  pattern.lastIndex = pos;
+  return pattern.exec(text)[0];
+}
+
+function tokenizeConfig(text, fileName) {
+  const tokens = [];
+  let pos = 0;
+  let line = 1;
+
+  const atLineStart = () => {
+    for (let i = pos - 1; i >= 0 && text[i] !== '\n'; i--) {
+      if (text[i] !== ' ' && text[i] !== '\t') return false;
+    }
+    return true;
+  };
+
+  while (pos < text.length) {
+    const ch = text[pos];
+    const start = pos;
+    const count = tokens.length;
+
+    if (ch === '\n') {
+      line++;
+      pos++;
+    } else if (/\s/.test(ch)) {
+      pos++;
+    } else if (ch === '/' && text[pos + 1] === '/') {
+      while (pos < text.length && text[pos] !== '\n') pos++;
+    } else if (ch === '/' && text[pos + 1] === '*') {
+      const end = text.indexOf('*/', pos + 2);
+      const stop = end === -1 ? text.length : end + 2;
+      line += text.substring(pos, stop).split('\n').length - 1;
+      pos = stop;
+    } else if (ch === '#' && atLineStart()) {
+      // Preprocessor line, with backslash continuations
+      while (pos < text.length && !(text[pos] === '\n' && text[pos - 1] !== '\\' && !(text[pos - 1] === '\r' && text[pos - 2] === '\\'))) {
+        if (text[pos] === '\n') line++;
+        pos++;
+      }
+    } else if (ch === '"') {
+      const start = line;
+      let value = '';
+      pos++;
+      for (;;) {
+        if (pos >= text.length || text[pos] === '\n') {
+          throw new Error(`Invalid config ${fileName}: line ${start}: unterminated string`);
+        }
+        if (text[pos] === '"') {
+          if (text[pos + 1] !== '"') break;
+          pos++;
+        }
+        value += text[pos];
+        pos++;
+      }
+      pos++;
+      tokens.push({ type: 'string', value, line: start });
+    } else if (/[0-9.]/.test(ch) && /[0-9]/.test(text[ch === '.' ? pos + 1 : pos])) {
+      const value = matchAt(NUMBER_PATTERN, text, pos);
+      tokens.push({ type: 'number', value: Number(value), line });
+      pos += value.length;
+    } else if (/[A-Za-z_]/.test(ch)) {
+      const value = matchAt(WORD_PATTERN, text, pos);
+      tokens.push({ type: 'word', value, line });
+      pos += value.length;
+    } else if (ch === '+' && text[pos + 1] === '=') {
+      tokens.push({ type: 'punctuator', value: '+=', line });
+      pos += 2;
+    } else if ('{}[];:=,-()'.includes(ch)) {
+      tokens.push({ type: 'punctuator', value: ch, line });
+      pos++;
+    } else {
+      // `$` of a stringtable key, operators of an expression: only valid in a value
+      tokens.push({ type: 'other', value: ch, line });
+      pos++;
+    }
+
+    // Offsets let the parser read a value as written
+    if (tokens.length > count) Object.assign(tokens[count], { start, end: pos });
+  }
+
+  tokens.push({ type: 'eof', value: '', line });
+  return tokens;
+}
+
+const RAP_SIGNATURE = '\0raP';
+
+/**
+ * True for a rapified (binarized) config: config.bin, or a config.cpp saved binarized
+ */
+export function isRapified(data) {
+  return Buffer.isBuffer(data) && data.length >= 4 && data.toString('latin1', 0, 4) === RAP_SIGNATURE;
+}
+
+/**
+ * Parse a rapified config (config.bin) into the same class tree as parseConfigText.
+ * Binarized configs have no line numbers; `line` is 0.
+ */
+export function parseRapified(buffer, fileName = 'config.bin') {
+  return new RapifiedReader(buffer, fileName).read();
+}
+
+// Layout: "\0raP", two header words, the enum table offset, then the root class body.
+// A class body is its base class name and a list of entries; nested classes are stored
+// elsewhere in the file and referenced by offset.
+class RapifiedReader {
+  constructor(buffer, fileName) {
+    this.buffer = buffer;
+    this.fileName = fileName;
+    this.offset = 0;
+  }
+
+  read() {
+    if (!isRapified(this.buffer) || this.buffer.length < 16) {
+      this.fail('not a rapified config');
+    }
+    return this.readClassBody('', 16, 0);
+  }
+
+  readClassBody(name, offset, depth) {
+    if (depth > 64) this.fail(`classes nested too deep at ${name}`);
+
+    this.offset = offset;
+    const base = this.readString();
+    const node = createClass(name, base || null, 0);
+    const count = this.readCompressedInt();
+    const nested = [];
+
+    for (let i = 0; i < count; i++) {
+      const type = this.readByte();
+      switch (type) {
+        case 0: {
+          const className = this.readString();
+          nested.push({ name: className, offset: this.readUInt32() });
+          break;
+        }
+        case 1: {
+          const subtype = this.readByte();
+          const key = this.readString();
+          node.properties[key] = this.readScalar(subtype);
+          break;
+        }
+        case 2: {
+          const key = this.readString();
+          node.properties[key] = this.readArray();
+          break;
+        }
+        case 3: {
+          const className = this.readString();
+          node.classes[className] = { ...createClass(className, null, 0), external: true };
+          break;
+        }
+        case 4:
+          this.readString();
+          break;
+        case 5: {
+          // `name[] += { ... }`
+          this.readUInt32();
+          const key = this.readString();
+          node.properties[key] = this.readArray();
+          break;
+        }
+        default:
+          this.fail(`unknown entry type ${type} in class ${name || '(root)'}`);
+      }
+    }
+
+    // Nested classes are read after the entries: reading one moves the offset
+    for (const entry of nested) {
+      if (entry.offset >= this.buffer.length) this.fail(`class ${entry.name} points outside the file`);
+      node.classes[entry.name] = this.readClassBody(entry.name, entry.offset, depth + 1);
+    }
+
+    return node;
+  }
+
+  readArray() {
+    const count = this.readCompressedInt();
+    const values = [];
+    for (let i = 0; i < count; i++) {
+      const type = this.readByte();
+      // 3 is a nested array, 4 a variable reference kept by name
+      if (type === 3) values.push(this.readArray());
+      else if (type === 4) values.push(this.readString());
+      else values.push(this.readScalar(type));
+    }
+    return values;
+  }
+
+  readScalar(type) {
+    switch (type) {
+      case 0: return this.readString();
+      // Stored as 32-bit floats: 0.1 would come back as 0.10000000149
+      case 1: return this.take(4, () => Number(this.buffer.readFloatLE(this.offset).toPrecision(7)));
+      case 2: return this.take(4, () => this.buffer.readInt32LE(this.offset));
+      case 6: return this.take(8, () => Number(this.buffer.readBigInt64LE(this.offset)));
+      default: return this.fail(`unknown value type ${type}`);
+    }
+  }
+
+  readString() {
+    const end = this.buffer.indexOf(0, this.offset);
+    if (end === -1) this.fail('unterminated string');
+    const value = this.buffer.toString('utf8', this.offset, end);
+    this.offset = end + 1;
+    return value;
+  }
+
+  readCompressedInt() {
+    let value = 0;
+    for (let shift = 0; shift < 35; shift += 7) {
+      const byte = this.readByte();
+      value += (byte & 0x7f) * 2 ** shift;
+      if ((byte & 0x80) === 0) return value;
+    }
+    return this.fail('invalid entry count');
+  }
+
+  readByte() {
+    return this.take(1, () => this.buffer[this.offset]);
+  }
+
+  readUInt32() {
+    return this.take(4, () => this.buffer.readUInt32LE(this.offset));
+  }
+
+  take(size, read) {
+    if (this.offset + size > this.buffer.length) this.fail('unexpected end of file');
+    const value = read();
+    this.offset += size;
+    return value;
+  }
+
+  fail(message) {
+    throw new Error(`Invalid config ${this.fileName}: ${message}`);
+  }
+}
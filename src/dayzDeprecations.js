@@ -0,0 +1,94 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { DEFAULT_DAYZ_VERSION, compareVersions } from './vanillaApi.js';
+
+// Script APIs deprecated or removed by DayZ updates, checked by the deprecated-api rule
+// against the version a mod targets (--target-version).
+//
+//   {
+//     api: 'JsonFileLoader.JsonLoadFile',   // shown in findings
+//     method: 'JsonLoadFile',               // called method or function
+//     receiver: 'JsonFileLoader',           // optional: only calls on this expression
+//     minArgs: 1,                           // optional: only calls with at least this many arguments
+//     deprecatedIn: '1.25',
+//     removedIn: null,                      // version the API no longer exists in
+//     replacement: 'JsonFileLoader<T>.LoadFile(path, data, errorMessage)',
+//     note: 'Why to switch'
+//   }
+//
+// Entries come from the game's update notes and script diffs; add new ones with each update.
+
+export const DEPRECATION_STATUS = {
+  DEPRECATED: 'deprecated',
+  REMOVED: 'removed'
+};
+
+export const DEPRECATIONS = [
+  {
+    api: 'JsonFileLoader.JsonLoadFile',
+    method: 'JsonLoadFile',
+    receiver: 'JsonFileLoader',
+    deprecatedIn: '1.25',
+    removedIn: null,
+    replacement: 'JsonFileLoader<T>.LoadFile(path, data, errorMessage)',
+    note: 'the old loader fails silently on invalid JSON; LoadFile returns false with the parse error'
+  },
+  {
+    api: 'JsonFileLoader.JsonSaveFile',
+    method: 'JsonSaveFile',
+    receiver: 'JsonFileLoader',
+    deprecatedIn: '1.25',
+    removedIn: null,
+    replacement: 'JsonFileLoader<T>.SaveFile(path, data, errorMessage)',
+    note: 'SaveFile reports when the file can\'t be written'
+  },
+  {
+    api: 'JsonFileLoader.JsonLoadData',
+    method: 'JsonLoadData',
+    receiver: 'JsonFileLoader',
+    deprecatedIn: '1.25',
+    removedIn: null,
+    replacement: 'JsonFileLoader<T>.LoadData(json, data, errorMessage)',
+    note: 'LoadData returns false with the parse error instead of leaving the data half filled'
+  },
+  {
+    api: 'JsonFileLoader.JsonMakeData',
+    method: 'JsonMakeData',
+    receiver: 'JsonFileLoader',
+    deprecatedIn: '1.25',
+    removedIn: null,
+    replacement: 'JsonFileLoader<T>.MakeData(data, json, errorMessage)',
+    note: 'MakeData reports serialization errors'
+  }
+];
+
+/**
+ * Validate a target DayZ version (--target-version, config `targetVersion`): major.minor
+ */
+export function parseTargetVersion(value) {
+  const version = String(value).trim();
+  if (!/^\d+\.\d+$/.test(version)) {
+    throw new Error(`invalid DayZ version '${value}' (expected e.g. ${DEFAULT_DAYZ_VERSION})`);
+  }
+  return version;
+}
+
+/**
+ * Entries that apply to mods targeting `targetVersion`, each with its `status` there
+ */
+export function getDeprecations(targetVersion = DEFAULT_DAYZ_VERSION, deprecations = DEPRECATIONS) {
+  return deprecations
+    .filter(entry => compareVersions(targetVersion, entry.deprecatedIn) >= 0)
+    .map(entry => ({
+      ...entry,
+      status: entry.removedIn && compareVersions(targetVersion, entry.removedIn) >= 0
+        ? DEPRECATION_STATUS.REMOVED
+        : DEPRECATION_STATUS.DEPRECATED
+    }));
+}
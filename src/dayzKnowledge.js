@@ -44,6 +44,24 @@ export const DAYZ_FUNCTIONS = {
     'OpenFile',
     'JsonFileLoader',
     'JsonSerializer'
+  ],
+
+  // Engine callbacks invoked every frame/simulation step
+  PER_FRAME_METHODS: [
+    'OnUpdate',
+    'EOnFrame',
+    'EOnPostFrame',
+    'CommandHandler'
+  ],
+
+  // Vanilla classes whose per-frame/per-tick methods every mod tends to extend
+  HOT_VANILLA_CLASSES: [
+    'PlayerBase',
+    'DayZPlayerImplement',
+    'MissionServer',
+    'MissionGameplay',
+    'CarScript',
+    'ZombieBase'
   ]
 };
 
@@ -113,12 +131,3 @@ export const BEST_PRACTICES = {
     pattern: /override\s+void\s+OnUpdate\s*\(\s*float\s+timeslice\s*\)/
   }
 };
-
-export const VANILLA_SIGNATURES = {
-  'OnInit': 'void OnInit()',
-  'OnUpdate': 'void OnUpdate(float timeslice)',
-  'OnMissionStart': 'void OnMissionStart()',
-  'OnMissionFinish': 'void OnMissionFinish()',
-  'EEInit': 'override void EEInit()',
-  'EEDelete': 'override void EEDelete(EntityAI parent)'
-};
@@ -0,0 +1,280 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { performanceRules, SEVERITY, CATEGORY, CONFIDENCE } from './rules.js';
+import { enhancedRules } from './enhancedRules.js';
+import { getSpan } from './ast.js';
+import { validateDocs } from './ruleCatalog.js';
+
+// Declarative rules: JSON/YAML rule files listed under `ruleFiles` in .dayzperfrc,
+// for people who know which calls hurt but don't write JavaScript.
+//
+//   rules:
+//     - id: calllater-never-removed
+//       name: CallLater Never Removed
+//       severity: MEDIUM
+//       pattern: 'CallLater\s*\(\s*(?:this\.)?(\w+)'
+//       context: repeating-calllater      # optional; a list means "any of"
+//       absent: 'Remove\s*\(\s*(?:this\.)?{{1}}\b'
+//       message: 'CallLater({{1}}) {{context}} is never removed'
+//
+// Each rule is validated on load and compiled into the same shape as performanceRules,
+// so it runs through the normal engine (masked source, suppressions, config overrides).
+
+export const RULE_FILE_EXTENSIONS = new Set(['.json', '.yml', '.yaml']);
+
+// Scope checks available to `context`
+export const CONTEXTS = {
+  'loop': scope => scope.inLoop,
+  'update': scope => scope.inUpdate,
+  'repeating-calllater': scope => scope.inRepeatingCallLater,
+  'hot-path': scope => scope.inHotPath,
+  'hot': scope => scope.isHot
+};
+
+const ABSENT_SCOPES = ['file', 'method'];
+const RULE_KEYS = new Set(['id', 'name', 'severity', 'category', 'confidence', 'description', 'pattern', 'flags', 'context', 'absent', 'absentIn', 'message', 'docs']);
+const TEMPLATE_PATTERN = /\{\{\s*([\w-]+)\s*\}\}/g;
+
+/**
+ * Load and compile every rule file in config.ruleFiles (files or directories, relative
+ * to `baseDir`). Ids must not clash with built-in rules or `existingIds` (plugin rules).
+ * Throws one error listing every problem found in a file.
+ */
+export async function loadDeclarativeRules(config, { baseDir = process.cwd(), existingIds = [] } = {}) {
+  const rules = [];
+  const ids = new Set([...[...performanceRules, ...enhancedRules].map(rule => rule.id), ...existingIds]);
+
+  for (const entry of config.ruleFiles || []) {
+    for (const filePath of await resolveRuleFiles(path.resolve(baseDir, entry))) {
+      const text = await fs.readFile(filePath, 'utf8');
+      for (const rule of parseRuleFile(text, filePath, ids)) {
+        ids.add(rule.id);
+        rules.push(rule);
+      }
+    }
+  }
+
+  return rules;
+}
+
+async function resolveRuleFiles(target) {
+  let stat;
+  try {
+    stat = await fs.stat(target);
+  } catch (error) {
+    throw new Error(`Rule file not found: ${target}`);
+  }
+  if (!stat.isDirectory()) return [target];
+
+  const entries = await fs.readdir(target);
+  return entries
+    .filter(name => RULE_FILE_EXTENSIONS.has(path.extname(name).toLowerCase()))
+    .sort()
+    .map(name => path.join(target, name));
+}
+
+/**
+ * Parse a rule file (a rule, a list of rules or { rules: [...] }) and compile its rules
+ */
+export function parseRuleFile(text, fileName, existingIds = new Set()) {
+  let raw;
+  try {
+    raw = path.extname(fileName).toLowerCase() === '.json' ? JSON.parse(text) : YAML.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid rule file ${fileName}: ${error.message}`);
+  }
+
+  const definitions = Array.isArray(raw) ? raw : raw && Array.isArray(raw.rules) ? raw.rules : [raw];
+  const problems = [];
+  const rules = [];
+  const ids = new Set(existingIds);
+
+  definitions.forEach((definition, i) => {
+    const label = definition && typeof definition.id === 'string' ? `rule '${definition.id}'` : `rule #${i + 1}`;
+    const errors = validateDefinition(definition, ids);
+
+    if (errors.length > 0) {
+      problems.push(...errors.map(error => `  ${label}: ${error}`));
+      return;
+    }
+
+    ids.add(definition.id);
+    rules.push(compileRule(definition, fileName));
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid rule file ${fileName}:\n${problems.join('\n')}`);
+  }
+
+  return rules;
+}
+
+/**
+ * List of problems with a rule definition (empty when valid)
+ */
+export function validateDefinition(definition, existingIds = new Set()) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return ['must be an object'];
+  }
+
+  const errors = [];
+
+  for (const key of Object.keys(definition)) {
+    if (!RULE_KEYS.has(key)) errors.push(`unknown field '${key}' (allowed: ${[...RULE_KEYS].join(', ')})`);
+  }
+
+  if (typeof definition.id !== 'string' || !/^[a-z0-9][a-z0-9-/]*$/i.test(definition.id)) {
+    errors.push('id is required and may only contain letters, digits, - and /');
+  } else if (existingIds.has(definition.id)) {
+    errors.push(`id '${definition.id}' is already used by another rule`);
+  }
+
+  if (typeof definition.name !== 'string' || !definition.name) errors.push('name is required');
+
+  if (!SEVERITY[String(definition.severity).toUpperCase()]) {
+    errors.push(`severity must be one of ${Object.keys(SEVERITY).join(', ')}`);
+  }
+
+  if (definition.category !== undefined && !Object.values(CATEGORY).includes(definition.category)) {
+    errors.push(`category must be one of ${Object.values(CATEGORY).join(', ')}`);
+  }
+
+  if (definition.confidence !== undefined && !Object.values(CONFIDENCE).includes(definition.confidence)) {
+    errors.push(`confidence must be one of ${Object.values(CONFIDENCE).join(', ')}`);
+  }
+
+  if (typeof definition.pattern !== 'string' || !definition.pattern) {
+    errors.push('pattern is required (a regular expression string)');
+  } else {
+    const error = regexError(definition.pattern, definition.flags);
+    if (error) errors.push(`pattern is not a valid regular expression: ${error}`);
+  }
+
+  if (definition.flags !== undefined && !/^[imsu]*$/.test(definition.flags)) {
+    errors.push('flags may only contain i, m, s and u');
+  }
+
+  if (definition.context !== undefined) {
+    const contexts = Array.isArray(definition.context) ? definition.context : [definition.context];
+    for (const context of contexts) {
+      if (!CONTEXTS[context]) errors.push(`unknown context '${context}' (expected ${Object.keys(CONTEXTS).join(', ')})`);
+    }
+  }
+
+  if (definition.absent !== undefined) {
+    if (typeof definition.absent !== 'string' || !definition.absent) {
+      errors.push('absent must be a regular expression string');
+    } else {
+      // Templates are filled with escaped literals at match time
+      const error = regexError(definition.absent.replace(TEMPLATE_PATTERN, 'x'), definition.flags);
+      if (error) errors.push(`absent is not a valid regular expression: ${error}`);
+    }
+  }
+
+  if (definition.absentIn !== undefined && !ABSENT_SCOPES.includes(definition.absentIn)) {
+    errors.push(`absentIn must be one of ${ABSENT_SCOPES.join(', ')}`);
+  }
+
+  if (definition.message !== undefined && typeof definition.message !== 'string') {
+    errors.push('message must be a string');
+  }
+
+  const docsError = validateDocs(definition.docs);
+  if (docsError) errors.push(docsError);
+
+  return errors;
+}
+
+function regexError(source, flags = '') {
+  try {
+    new RegExp(source, flags);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Compile a validated definition into the performanceRules shape
+ */
+export function compileRule(definition, source = null) {
+  const flags = definition.flags || '';
+  const contexts = definition.context === undefined
+    ? null
+    : (Array.isArray(definition.context) ? definition.context : [definition.context]);
+  const severity = SEVERITY[definition.severity.toUpperCase()];
+  const message = definition.message || definition.description || definition.name;
+
+  return {
+    id: definition.id,
+    name: definition.name,
+    severity,
+    category: definition.category || CATEGORY.CPU,
+    confidence: definition.confidence || CONFIDENCE.MEDIUM,
+    description: definition.description || definition.name,
+    pattern: new RegExp(definition.pattern, `g${flags}`),
+    declarative: true,
+    source,
+    ...(definition.docs ? { docs: definition.docs } : {}),
+    check: (matches, file, { code, scope }) => {
+      const issues = [];
+
+      for (const match of matches.flatMap(m => m.matches)) {
+        const context = scope.at(match.index);
+
+        if (contexts && !contexts.some(name => CONTEXTS[name](context))) continue;
+
+        // Groups that didn't participate in the match fill in as empty strings
+        const values = { 0: match.text };
+        match.captures.forEach((value, i) => { values[i + 1] = value ?? ''; });
+        for (const [name, value] of Object.entries(match.groups)) {
+          values[name] = value ?? '';
+        }
+
+        if (definition.absent) {
+          const absent = new RegExp(fillTemplate(definition.absent, values, escapeRegExp), flags);
+          const searchIn = definition.absentIn === 'method' && context.methodNode
+            ? code.substring(context.methodNode.start, context.methodNode.end)
+            : code;
+          if (absent.test(searchIn)) continue;
+        }
+
+        issues.push({
+          line: match.line,
+          ...getSpan(match),
+          message: fillTemplate(message, {
+            ...values,
+            context: context.describe() || (context.method ? `in ${context.method}()` : 'at file level'),
+            method: context.method || '',
+            class: context.className || ''
+          }),
+          severity,
+          callChain: context.callChain
+        });
+      }
+
+      return issues;
+    }
+  };
+}
+
+/**
+ * Replace {{name}} placeholders; unknown names are left as they are
+ */
+export function fillTemplate(template, values, transform = value => value) {
+  return template.replace(TEMPLATE_PATTERN, (placeholder, name) =>
+    values[name] === undefined ? placeholder : transform(String(values[name])));
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
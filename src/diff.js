@@ -0,0 +1,105 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { SEVERITY } from './rules.js';
+
+const SEVERITY_ORDER = [SEVERITY.CRITICAL, SEVERITY.HIGH, SEVERITY.MEDIUM, SEVERITY.LOW, SEVERITY.INFO];
+
+/**
+ * Compare two analysis runs ({ results, score, rating }) of the same mod. Findings are
+ * matched by fingerprint, so code moving up or down doesn't show as fixed + new.
+ */
+export function diffResults(oldRun, newRun) {
+  const oldFindings = flatten(oldRun.results);
+  const newFindings = flatten(newRun.results);
+  const oldByFingerprint = new Map(oldFindings.map(finding => [finding.fingerprint, finding]));
+  const newFingerprints = new Set(newFindings.map(finding => finding.fingerprint));
+
+  const added = [];
+  const unchanged = [];
+
+  for (const finding of newFindings) {
+    const previous = oldByFingerprint.get(finding.fingerprint);
+    if (!previous) {
+      added.push(finding);
+    } else {
+      unchanged.push({
+        ...finding,
+        previousLine: previous.line,
+        ...(previous.severity !== finding.severity ? { previousSeverity: previous.severity } : {})
+      });
+    }
+  }
+
+  const fixed = oldFindings.filter(finding => !newFingerprints.has(finding.fingerprint));
+
+  return {
+    score: {
+      old: oldRun.score,
+      new: newRun.score,
+      delta: newRun.score - oldRun.score
+    },
+    rating: {
+      old: oldRun.rating,
+      new: newRun.rating
+    },
+    summary: {
+      new: added.length,
+      fixed: fixed.length,
+      unchanged: unchanged.length,
+      newBySeverity: countBySeverity(added),
+      fixedBySeverity: countBySeverity(fixed)
+    },
+    new: sortFindings(added),
+    fixed: sortFindings(fixed),
+    unchanged: sortFindings(unchanged),
+    files: diffFiles(oldRun.results, newRun.results, added, fixed, unchanged)
+  };
+}
+
+function flatten(results) {
+  return results.issues.flatMap(fileResult =>
+    fileResult.issues.map(issue => ({ ...issue, file: fileResult.file })));
+}
+
+function countBySeverity(findings) {
+  const counts = Object.fromEntries(SEVERITY_ORDER.map(severity => [severity, 0]));
+  for (const finding of findings) counts[finding.severity]++;
+  return counts;
+}
+
+function sortFindings(findings) {
+  return findings.sort((a, b) =>
+    SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity) ||
+    a.file.localeCompare(b.file) ||
+    (a.line || 0) - (b.line || 0));
+}
+
+/**
+ * Per-file counts; status is added/removed for files only in one build
+ */
+function diffFiles(oldResults, newResults, added, fixed, unchanged) {
+  const oldFiles = new Set(oldResults.fileStats.map(stat => stat.file));
+  const newFiles = new Set(newResults.fileStats.map(stat => stat.file));
+  const count = (findings, file) => findings.filter(finding => finding.file === file).length;
+
+  return [...new Set([...oldFiles, ...newFiles])]
+    .map(file => {
+      const entry = {
+        file,
+        status: !oldFiles.has(file) ? 'added' : !newFiles.has(file) ? 'removed' : 'changed',
+        new: count(added, file),
+        fixed: count(fixed, file),
+        unchanged: count(unchanged, file)
+      };
+      if (entry.status === 'changed' && entry.new === 0 && entry.fixed === 0) entry.status = 'unchanged';
+      return entry;
+    })
+    .filter(entry => entry.status !== 'unchanged')
+    .sort((a, b) => (b.new - b.fixed) - (a.new - a.fixed) || a.file.localeCompare(b.file));
+}
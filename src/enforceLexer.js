@@ -0,0 +1,311 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+// Tokenizer for Enforce Script (.c) sources.
+//
+// Comments are not emitted as tokens but collected separately so later passes
+// (suppression comments, documentation) can still read them. Preprocessor lines
+// (#ifdef, #define, ...) are emitted as single DIRECTIVE tokens and skipped by the parser.
+
+export const TOKEN = {
+  IDENTIFIER: 'identifier',
+  KEYWORD: 'keyword',
+  NUMBER: 'number',
+  STRING: 'string',
+  PUNCTUATOR: 'punctuator',
+  DIRECTIVE: 'directive',
+  EOF: 'eof'
+};
+
+export const KEYWORDS = new Set([
+  'class', 'modded', 'extends', 'return', 'if', 'else', 'for', 'foreach',
+  'while', 'do', 'switch', 'case', 'default', 'break', 'continue', 'new', 'delete',
+  'null', 'NULL', 'this', 'super', 'true', 'false', 'typedef', 'enum', 'thread'
+]);
+
+// Longest operators first so greedy matching works
+const PUNCTUATORS = [
+  '<<=', '>>=',
+  '==', '!=', '<=', '>=', '&&', '||', '++', '--', '+=', '-=', '*=', '/=', '%=',
+  '&=', '|=', '^=', '<<', '::',
+  '{', '}', '(', ')', '[', ']', ';', ',', '.', ':', '?', '=', '<', '>', '+', '-',
+  '*', '/', '%', '!', '~', '&', '|', '^', '#', '@'
+];
+
+export class EnforceLexer {
+  constructor(source) {
+    this.source = source;
+    this.pos = 0;
+    this.line = 1;
+    this.lineStart = 0;
+    this.tokens = [];
+    this.comments = [];
+  }
+
+  tokenize() {
+    const src = this.source;
+
+    while (this.pos < src.length) {
+      const ch = src[this.pos];
+
+      if (ch === '\n') {
+        this.pos++;
+        this.line++;
+        this.lineStart = this.pos;
+        continue;
+      }
+
+      if (ch === ' ' || ch === '\t' || ch === '\r' || ch === '\f' || ch === '\v' || ch === '\uFEFF') {
+        this.pos++;
+        continue;
+      }
+
+      if (ch === '/' && src[this.pos + 1] === '/') {
+        this.readLineComment();
+        continue;
+      }
+
+      if (ch === '/' && src[this.pos + 1] === '*') {
+        this.readBlockComment();
+        continue;
+      }
+
+      if (ch === '#' && this.isLineStart()) {
+        this.readDirective();
+        continue;
+      }
+
+      if (ch === '"' || ch === '\'') {
+        this.readString(ch);
+        continue;
+      }
+
+      if (isDigit(ch) || (ch === '.' && isDigit(src[this.pos + 1]))) {
+        this.readNumber();
+        continue;
+      }
+
+      if (isIdentifierStart(ch)) {
+        this.readIdentifier();
+        continue;
+      }
+
+      this.readPunctuator();
+    }
+
+    this.tokens.push(this.makeToken(TOKEN.EOF, '', this.pos, this.pos, this.line, this.pos - this.lineStart + 1));
+
+    return this.tokens;
+  }
+
+  isLineStart() {
+    for (let i = this.pos - 1; i >= this.lineStart; i--) {
+      if (this.source[i] !== ' ' && this.source[i] !== '\t') return false;
+    }
+    return true;
+  }
+
+  readLineComment() {
+    const start = this.pos;
+    const column = start - this.lineStart + 1;
+    while (this.pos < this.source.length && this.source[this.pos] !== '\n') {
+      this.pos++;
+    }
+    this.comments.push({
+      kind: 'line',
+      value: this.source.substring(start + 2, this.pos),
+      start,
+      end: this.pos,
+      line: this.line,
+      column
+    });
+  }
+
+  readBlockComment() {
+    const start = this.pos;
+    const line = this.line;
+    const column = start - this.lineStart + 1;
+    this.pos += 2;
+
+    while (this.pos < this.source.length && !(this.source[this.pos] === '*' && this.source[this.pos + 1] === '/')) {
+      if (this.source[this.pos] === '\n') {
+        this.line++;
+        this.lineStart = this.pos + 1;
+      }
+      this.pos++;
+    }
+
+    const valueEnd = this.pos;
+    this.pos = Math.min(this.source.length, this.pos + 2);
+    this.comments.push({
+      kind: 'block',
+      value: this.source.substring(start + 2, valueEnd),
+      start,
+      end: this.pos,
+      line,
+      column
+    });
+  }
+
+  readDirective() {
+    const start = this.pos;
+    const line = this.line;
+    const column = start - this.lineStart + 1;
+
+    // Directives run to end of line, honoring backslash continuations
+    while (this.pos < this.source.length) {
+      const ch = this.source[this.pos];
+      if (ch === '\n') {
+        if (this.source[this.pos - 1] === '\\' || (this.source[this.pos - 1] === '\r' && this.source[this.pos - 2] === '\\')) {
+          this.line++;
+          this.lineStart = this.pos + 1;
+          this.pos++;
+          continue;
+        }
+        break;
+      }
+      // A trailing line comment is not part of the directive
+      if (ch === '/' && this.source[this.pos + 1] === '/') break;
+      this.pos++;
+    }
+
+    const value = this.source.substring(start, this.pos).trimEnd();
+    this.tokens.push(this.makeToken(TOKEN.DIRECTIVE, value, start, start + value.length, line, column));
+  }
+
+  readString(quote) {
+    const start = this.pos;
+    const line = this.line;
+    const column = start - this.lineStart + 1;
+    this.pos++;
+
+    while (this.pos < this.source.length) {
+      const ch = this.source[this.pos];
+      if (ch === '\\') {
+        this.pos += 2;
+        continue;
+      }
+      if (ch === quote) {
+        this.pos++;
+        break;
+      }
+      // Unterminated string - stop at end of line so one bad literal doesn't swallow the file
+      if (ch === '\n') break;
+      this.pos++;
+    }
+
+    const raw = this.source.substring(start, this.pos);
+    const token = this.makeToken(TOKEN.STRING, raw, start, this.pos, line, column);
+    token.text = raw.length >= 2 && raw.endsWith(quote) ? raw.slice(1, -1) : raw.slice(1);
+    this.tokens.push(token);
+  }
+
+  readNumber() {
+    const start = this.pos;
+    const column = start - this.lineStart + 1;
+    const src = this.source;
+
+    if (src[this.pos] === '0' && (src[this.pos + 1] === 'x' || src[this.pos + 1] === 'X')) {
+      this.pos += 2;
+      while (this.pos < src.length && /[0-9a-fA-F]/.test(src[this.pos])) this.pos++;
+    } else {
+      while (this.pos < src.length && isDigit(src[this.pos])) this.pos++;
+      if (src[this.pos] === '.' && isDigit(src[this.pos + 1] ?? '')) {
+        this.pos++;
+        while (this.pos < src.length && isDigit(src[this.pos])) this.pos++;
+      } else if (src[this.pos] === '.' && !isIdentifierStart(src[this.pos + 1] ?? '')) {
+        this.pos++;
+      }
+      if ((src[this.pos] === 'e' || src[this.pos] === 'E') && /[-+0-9]/.test(src[this.pos + 1] ?? '')) {
+        this.pos += 2;
+        while (this.pos < src.length && isDigit(src[this.pos])) this.pos++;
+      }
+    }
+
+    this.tokens.push(this.makeToken(TOKEN.NUMBER, src.substring(start, this.pos), start, this.pos, this.line, column));
+  }
+
+  readIdentifier() {
+    const start = this.pos;
+    const column = start - this.lineStart + 1;
+    while (this.pos < this.source.length && isIdentifierPart(this.source[this.pos])) {
+      this.pos++;
+    }
+    const value = this.source.substring(start, this.pos);
+    const type = KEYWORDS.has(value) ? TOKEN.KEYWORD : TOKEN.IDENTIFIER;
+    this.tokens.push(this.makeToken(type, value, start, this.pos, this.line, column));
+  }
+
+  readPunctuator() {
+    const start = this.pos;
+    const column = start - this.lineStart + 1;
+
+    for (const punct of PUNCTUATORS) {
+      if (this.source.startsWith(punct, this.pos)) {
+        this.pos += punct.length;
+        this.tokens.push(this.makeToken(TOKEN.PUNCTUATOR, punct, start, this.pos, this.line, column));
+        return;
+      }
+    }
+
+    // Unknown character - emit it so the parser can report and recover
+    this.pos++;
+    this.tokens.push(this.makeToken(TOKEN.PUNCTUATOR, this.source[start], start, this.pos, this.line, column));
+  }
+
+  makeToken(type, value, start, end, line, column) {
+    return { type, value, start, end, line, column };
+  }
+}
+
+/**
+ * Returns the source with comments blanked out and string literal contents replaced
+ * by spaces. Offsets and line breaks are preserved, so regex matches against the
+ * masked text map 1:1 onto the original file.
+ */
+export function maskNonCode(source, lexed = null) {
+  const { tokens, comments } = lexed || tokenize(source);
+  const chars = source.split('');
+
+  const blank = (start, end) => {
+    for (let i = start; i < end && i < chars.length; i++) {
+      if (chars[i] !== '\n' && chars[i] !== '\r') chars[i] = ' ';
+    }
+  };
+
+  for (const comment of comments) {
+    blank(comment.start, comment.end);
+  }
+
+  for (const token of tokens) {
+    if (token.type === TOKEN.STRING) {
+      // Keep the quotes so patterns like `+ "` still see a string literal
+      blank(token.start + 1, token.value.endsWith(token.value[0]) && token.value.length > 1 ? token.end - 1 : token.end);
+    }
+  }
+
+  return chars.join('');
+}
+
+export function tokenize(source) {
+  const lexer = new EnforceLexer(source);
+  const tokens = lexer.tokenize();
+  return { tokens, comments: lexer.comments };
+}
+
+function isDigit(ch) {
+  return ch >= '0' && ch <= '9';
+}
+
+function isIdentifierStart(ch) {
+  return (ch >= 'a' && ch <= 'z') || (ch >= 'A' && ch <= 'Z') || ch === '_';
+}
+
+function isIdentifierPart(ch) {
+  return isIdentifierStart(ch) || isDigit(ch);
+}
@@ -0,0 +1,1015 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+// Recursive descent parser for Enforce Script.
+//
+// Produces a lightweight AST (classes, methods, statements, expressions). Every node
+// carries `start`/`end` offsets into the source plus `line`/`column` of its first token.
+// The parser is error tolerant: a statement or member it cannot understand is skipped
+// up to the next `;` or balanced `}` and recorded in `ast.errors`, so a single odd
+// construct never hides the rest of the file from the rules.
+
+import { EnforceLexer, TOKEN } from './enforceLexer.js';
+
+// Member/declaration modifiers that may precede a type
+const MODIFIERS = new Set([
+  'private', 'protected', 'static', 'override', 'proto', 'native', 'const', 'ref',
+  'autoptr', 'owned', 'event', 'volatile', 'external', 'sealed', 'notnull',
+  'out', 'inout', 'reference'
+]);
+
+const ASSIGNMENT_OPERATORS = new Set(['=', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '<<=', '>>=']);
+
+// Binary operator precedence, higher binds tighter
+const BINARY_PRECEDENCE = {
+  '||': 1,
+  '&&': 2,
+  '|': 3,
+  '^': 4,
+  '&': 5,
+  '==': 6, '!=': 6,
+  '<': 7, '>': 7, '<=': 7, '>=': 7,
+  '<<': 8, '>>': 8,
+  '+': 9, '-': 9,
+  '*': 10, '/': 10, '%': 10
+};
+
+class ParseError extends Error {
+  constructor(message, token) {
+    super(`${message} at line ${token.line}:${token.column}`);
+    this.token = token;
+  }
+}
+
+export class EnforceParser {
+  constructor(source, lexed = null) {
+    this.source = source;
+
+    if (lexed) {
+      this.tokens = lexed.tokens;
+      this.comments = lexed.comments;
+    } else {
+      const lexer = new EnforceLexer(source);
+      this.tokens = lexer.tokenize();
+      this.comments = lexer.comments;
+    }
+
+    // The parser never looks at directives; they are handled by later passes
+    this.tokens = this.tokens.filter(t => t.type !== TOKEN.DIRECTIVE);
+    this.pos = 0;
+    this.errors = [];
+  }
+
+  parse() {
+    const start = this.peek();
+    const body = [];
+
+    while (!this.isEOF()) {
+      const before = this.pos;
+      try {
+        const decl = this.parseTopLevel();
+        if (decl) body.push(decl);
+      } catch (error) {
+        this.recordError(error);
+        this.recover(before);
+      }
+    }
+
+    return {
+      type: 'Program',
+      body,
+      comments: this.comments,
+      errors: this.errors,
+      start: start.start,
+      end: this.source.length,
+      line: 1,
+      column: 1
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Declarations
+  // ---------------------------------------------------------------------------
+
+  parseTopLevel() {
+    if (this.matchValue(';')) return null;
+
+    const start = this.peek();
+    const modifiers = this.parseModifiers();
+    const modded = this.matchValue('modded');
+    // `sealed` and friends may also follow `modded`
+    modifiers.push(...this.parseModifiers());
+
+    if (this.checkValue('class')) {
+      return this.parseClass(start, modifiers, modded);
+    }
+    if (modded) {
+      throw new ParseError('Expected class after modded', this.peek());
+    }
+    if (this.checkValue('enum')) {
+      return this.parseEnum(start);
+    }
+    if (this.checkValue('typedef')) {
+      return this.parseTypedef(start);
+    }
+
+    return this.parseMemberDeclaration(start, modifiers, null);
+  }
+
+  parseClass(start, modifiers, modded) {
+    this.expectValue('class');
+    const nameToken = this.expectIdentifier();
+    const typeParams = this.checkValue('<') ? this.parseTypeParams() : [];
+
+    let base = null;
+    if (this.matchValue('extends') || this.matchValue(':')) {
+      base = this.parseType();
+    }
+
+    // Forward declaration
+    if (this.matchValue(';')) {
+      return this.finish({
+        type: 'ClassDeclaration',
+        name: nameToken.value,
+        nameLine: nameToken.line,
+        nameStart: nameToken.start,
+        nameEnd: nameToken.end,
+        modded,
+        modifiers,
+        typeParams,
+        base: base ? base.name : null,
+        baseType: base,
+        forward: true,
+        members: [],
+        fields: [],
+        methods: []
+      }, start);
+    }
+
+    this.expectValue('{');
+
+    const members = [];
+    while (!this.checkValue('}') && !this.isEOF()) {
+      const before = this.pos;
+      try {
+        const member = this.parseClassMember(nameToken.value);
+        if (member) members.push(member);
+      } catch (error) {
+        this.recordError(error);
+        this.recover(before, true);
+      }
+    }
+
+    this.expectValue('}');
+    this.matchValue(';');
+
+    return this.finish({
+      type: 'ClassDeclaration',
+      name: nameToken.value,
+      nameLine: nameToken.line,
+      nameStart: nameToken.start,
+      nameEnd: nameToken.end,
+      modded,
+      modifiers,
+      typeParams,
+      base: base ? base.name : null,
+      baseType: base,
+      forward: false,
+      members,
+      fields: members.filter(m => m.type === 'VariableDeclaration'),
+      methods: members.filter(m => m.type === 'MethodDeclaration')
+    }, start);
+  }
+
+  parseTypeParams() {
+    const params = [];
+    this.expectValue('<');
+    while (!this.checkValue('>') && !this.isEOF()) {
+      // `class Foo<Class T>` - the constraint word is optional
+      const first = this.expectIdentifier();
+      const name = this.peek().type === TOKEN.IDENTIFIER ? this.next().value : first.value;
+      params.push(name);
+      if (!this.matchValue(',')) break;
+    }
+    this.expectValue('>');
+    return params;
+  }
+
+  parseClassMember(className) {
+    if (this.matchValue(';')) return null;
+
+    const start = this.peek();
+
+    if (this.checkValue('enum')) return this.parseEnum(start);
+    if (this.checkValue('typedef')) return this.parseTypedef(start);
+
+    const modifiers = this.parseModifiers();
+    return this.parseMemberDeclaration(start, modifiers, className);
+  }
+
+  parseMemberDeclaration(start, modifiers, className) {
+    const returnType = this.parseType();
+
+    // Destructor: void ~ClassName()
+    const isDestructor = this.matchValue('~');
+
+    // Constructors/destructors are declared as `void ClassName()` in Enforce, but
+    // plain `ClassName()` is accepted by the compiler as well
+    if (this.checkValue('(') && className && returnType.name === className) {
+      return this.parseMethodRest(start, modifiers, { type: 'TypeReference', name: 'void', args: [], modifiers: [] }, returnType, className, isDestructor);
+    }
+
+    const nameToken = this.expectIdentifier();
+
+    if (this.checkValue('(')) {
+      return this.parseMethodRest(start, modifiers, returnType, nameToken, className, isDestructor);
+    }
+
+    return this.parseVariableRest(start, modifiers, returnType, nameToken);
+  }
+
+  parseMethodRest(start, modifiers, returnType, nameToken, className, isDestructor) {
+    const params = this.parseParameters();
+
+    // Trailing qualifiers are rare but legal on proto methods
+    while (this.peek().type === TOKEN.IDENTIFIER && MODIFIERS.has(this.peek().value)) {
+      modifiers.push(this.next().value);
+    }
+
+    let body = null;
+    if (this.checkValue('{')) {
+      body = this.parseBlock();
+    } else {
+      this.expectValue(';');
+    }
+
+    const name = nameToken.value ?? nameToken.name;
+
+    return this.finish({
+      type: 'MethodDeclaration',
+      name: isDestructor ? `~${name}` : name,
+      nameLine: nameToken.line,
+      nameStart: nameToken.start,
+      nameEnd: nameToken.end,
+      className,
+      modifiers,
+      returnType,
+      params,
+      body,
+      isOverride: modifiers.includes('override'),
+      isStatic: modifiers.includes('static'),
+      isConstructor: !isDestructor && !!className && name === className,
+      isDestructor
+    }, start);
+  }
+
+  parseParameters() {
+    const params = [];
+    this.expectValue('(');
+
+    while (!this.checkValue(')') && !this.isEOF()) {
+      const start = this.peek();
+
+      // `void` as the only parameter
+      if (this.checkValue('void') && this.peekAt(1).value === ')') {
+        this.next();
+        break;
+      }
+
+      const modifiers = this.parseModifiers();
+      const typeRef = this.parseType();
+      const nameToken = this.peek().type === TOKEN.IDENTIFIER ? this.next() : null;
+
+      // Static array parameter: int values[4]
+      while (this.matchValue('[')) {
+        this.skipUntilValue(']');
+        this.expectValue(']');
+        typeRef.isArray = true;
+      }
+
+      let defaultValue = null;
+      if (this.matchValue('=')) {
+        defaultValue = this.parseAssignment();
+      }
+
+      params.push(this.finish({
+        type: 'Parameter',
+        name: nameToken ? nameToken.value : null,
+        typeRef,
+        modifiers,
+        defaultValue
+      }, start));
+
+      if (!this.matchValue(',')) break;
+    }
+
+    this.expectValue(')');
+    return params;
+  }
+
+  parseVariableRest(start, modifiers, typeRef, firstName) {
+    const declarations = [];
+    let nameToken = firstName;
+
+    while (true) {
+      const declStart = nameToken;
+      let arraySize = null;
+      while (this.matchValue('[')) {
+        arraySize = this.checkValue(']') ? null : this.parseExpression();
+        this.expectValue(']');
+      }
+
+      let init = null;
+      if (this.matchValue('=')) {
+        init = this.parseAssignment();
+      }
+
+      declarations.push(this.finish({
+        type: 'VariableDeclarator',
+        name: nameToken.value,
+        arraySize,
+        init
+      }, declStart));
+
+      if (!this.matchValue(',')) break;
+      nameToken = this.expectIdentifier();
+    }
+
+    this.expectValue(';');
+
+    return this.finish({
+      type: 'VariableDeclaration',
+      modifiers,
+      typeRef,
+      declarations,
+      isRef: modifiers.includes('ref') || modifiers.includes('autoptr')
+    }, start);
+  }
+
+  parseEnum(start) {
+    this.expectValue('enum');
+    const nameToken = this.expectIdentifier();
+    let base = null;
+    if (this.matchValue('extends') || this.matchValue(':')) {
+      base = this.expectIdentifier().value;
+    }
+
+    const members = [];
+    this.expectValue('{');
+    while (!this.checkValue('}') && !this.isEOF()) {
+      const memberToken = this.expectIdentifier();
+      let value = null;
+      if (this.matchValue('=')) {
+        value = this.parseAssignment();
+      }
+      members.push({ name: memberToken.value, value, line: memberToken.line });
+      if (!this.matchValue(',')) break;
+    }
+    this.expectValue('}');
+    this.matchValue(';');
+
+    return this.finish({ type: 'EnumDeclaration', name: nameToken.value, base, members }, start);
+  }
+
+  parseTypedef(start) {
+    this.expectValue('typedef');
+    const typeRef = this.parseType();
+    const nameToken = this.expectIdentifier();
+    this.expectValue(';');
+    return this.finish({ type: 'TypedefDeclaration', name: nameToken.value, typeRef }, start);
+  }
+
+  parseModifiers() {
+    const modifiers = [];
+    while (this.peek().type === TOKEN.IDENTIFIER && MODIFIERS.has(this.peek().value) && this.isModifierPosition()) {
+      modifiers.push(this.next().value);
+    }
+    return modifiers;
+  }
+
+  // `ref` etc. are modifiers only when followed by something that can start a type
+  isModifierPosition() {
+    const after = this.peekAt(1);
+    return after.type === TOKEN.IDENTIFIER || after.value === 'modded' || after.value === 'class';
+  }
+
+  parseType() {
+    const start = this.peek();
+    const modifiers = [];
+
+    while (this.peek().type === TOKEN.IDENTIFIER && MODIFIERS.has(this.peek().value) && this.isModifierPosition()) {
+      modifiers.push(this.next().value);
+    }
+
+    const nameToken = this.peek();
+    if (nameToken.type !== TOKEN.IDENTIFIER && nameToken.value !== 'void') {
+      throw new ParseError(`Expected type but found '${nameToken.value}'`, nameToken);
+    }
+    this.next();
+
+    const args = [];
+    if (this.checkValue('<')) {
+      this.next();
+      while (!this.checkValue('>') && !this.isEOF()) {
+        args.push(this.parseType());
+        if (!this.matchValue(',')) break;
+      }
+      this.expectValue('>');
+    }
+
+    return this.finish({ type: 'TypeReference', name: nameToken.value, args, modifiers }, start);
+  }
+
+  // Speculatively parses a type, restoring the position on failure
+  tryParse(fn) {
+    const saved = this.pos;
+    const errorCount = this.errors.length;
+    try {
+      return fn();
+    } catch (error) {
+      if (!(error instanceof ParseError)) throw error;
+      this.pos = saved;
+      this.errors.length = errorCount;
+      return null;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Statements
+  // ---------------------------------------------------------------------------
+
+  parseBlock() {
+    const start = this.expectValue('{');
+    const body = [];
+
+    while (!this.checkValue('}') && !this.isEOF()) {
+      const before = this.pos;
+      try {
+        const statement = this.parseStatement();
+        if (statement) body.push(statement);
+      } catch (error) {
+        this.recordError(error);
+        this.recover(before, true);
+      }
+    }
+
+    this.expectValue('}');
+    return this.finish({ type: 'Block', body }, start);
+  }
+
+  parseStatement() {
+    const token = this.peek();
+
+    if (token.value === '{' && token.type === TOKEN.PUNCTUATOR) return this.parseBlock();
+    if (token.type === TOKEN.PUNCTUATOR && token.value === ';') {
+      this.next();
+      return this.finish({ type: 'EmptyStatement' }, token);
+    }
+
+    if (token.type === TOKEN.KEYWORD) {
+      switch (token.value) {
+        case 'if': return this.parseIf();
+        case 'for': return this.parseFor();
+        case 'foreach': return this.parseForeach();
+        case 'while': return this.parseWhile();
+        case 'do': return this.parseDoWhile();
+        case 'switch': return this.parseSwitch();
+        case 'return': {
+          this.next();
+          const argument = this.checkValue(';') ? null : this.parseExpression();
+          this.expectValue(';');
+          return this.finish({ type: 'ReturnStatement', argument }, token);
+        }
+        case 'break':
+          this.next();
+          this.expectValue(';');
+          return this.finish({ type: 'BreakStatement' }, token);
+        case 'continue':
+          this.next();
+          this.expectValue(';');
+          return this.finish({ type: 'ContinueStatement' }, token);
+        case 'delete': {
+          this.next();
+          const argument = this.parseExpression();
+          this.expectValue(';');
+          return this.finish({ type: 'DeleteStatement', argument }, token);
+        }
+        case 'thread': {
+          this.next();
+          const expression = this.parseExpression();
+          this.expectValue(';');
+          return this.finish({ type: 'ExpressionStatement', expression, thread: true }, token);
+        }
+      }
+    }
+
+    const declaration = this.tryParse(() => this.parseLocalDeclaration());
+    if (declaration) return declaration;
+
+    const expression = this.parseExpression();
+    this.expectValue(';');
+    return this.finish({ type: 'ExpressionStatement', expression }, token);
+  }
+
+  parseLocalDeclaration() {
+    const start = this.peek();
+    const modifiers = this.parseModifiers();
+    const typeRef = this.parseType();
+    const nameToken = this.expectIdentifier();
+
+    // A declaration is `Type name` followed by one of these
+    const follow = this.peek().value;
+    if (!['=', ';', ',', '['].includes(follow)) {
+      throw new ParseError('Not a declaration', this.peek());
+    }
+
+    return this.parseVariableRest(start, modifiers, typeRef, nameToken);
+  }
+
+  parseIf() {
+    const start = this.expectValue('if');
+    this.expectValue('(');
+    const test = this.parseExpression();
+    this.expectValue(')');
+    const consequent = this.parseStatement();
+    let alternate = null;
+    if (this.matchValue('else')) {
+      alternate = this.parseStatement();
+    }
+    return this.finish({ type: 'IfStatement', test, consequent, alternate }, start);
+  }
+
+  parseFor() {
+    const start = this.expectValue('for');
+    this.expectValue('(');
+
+    let init = null;
+    if (!this.checkValue(';')) {
+      init = this.tryParse(() => this.parseLocalDeclaration());
+      if (!init) {
+        init = this.parseExpression();
+        this.expectValue(';');
+      }
+    } else {
+      this.next();
+    }
+
+    const test = this.checkValue(';') ? null : this.parseExpression();
+    this.expectValue(';');
+    const update = this.checkValue(')') ? null : this.parseExpression();
+    this.expectValue(')');
+    const body = this.parseStatement();
+
+    return this.finish({ type: 'ForStatement', init, test, update, body }, start);
+  }
+
+  parseForeach() {
+    const start = this.expectValue('foreach');
+    this.expectValue('(');
+
+    const variables = [];
+    while (!this.checkValue(':') && !this.isEOF()) {
+      const varStart = this.peek();
+      const modifiers = this.parseModifiers();
+      const typeRef = this.parseType();
+      const nameToken = this.expectIdentifier();
+      variables.push(this.finish({ type: 'Parameter', name: nameToken.value, typeRef, modifiers, defaultValue: null }, varStart));
+      if (!this.matchValue(',')) break;
+    }
+
+    this.expectValue(':');
+    const iterable = this.parseExpression();
+    this.expectValue(')');
+    const body = this.parseStatement();
+
+    return this.finish({ type: 'ForeachStatement', variables, iterable, body }, start);
+  }
+
+  parseWhile() {
+    const start = this.expectValue('while');
+    this.expectValue('(');
+    const test = this.parseExpression();
+    this.expectValue(')');
+    const body = this.parseStatement();
+    return this.finish({ type: 'WhileStatement', test, body }, start);
+  }
+
+  parseDoWhile() {
+    const start = this.expectValue('do');
+    const body = this.parseStatement();
+    this.expectValue('while');
+    this.expectValue('(');
+    const test = this.parseExpression();
+    this.expectValue(')');
+    this.expectValue(';');
+    return this.finish({ type: 'DoWhileStatement', test, body }, start);
+  }
+
+  parseSwitch() {
+    const start = this.expectValue('switch');
+    this.expectValue('(');
+    const discriminant = this.parseExpression();
+    this.expectValue(')');
+    this.expectValue('{');
+
+    const cases = [];
+    while (!this.checkValue('}') && !this.isEOF()) {
+      const caseStart = this.peek();
+      let test = null;
+
+      if (this.matchValue('case')) {
+        test = this.parseExpression();
+      } else {
+        this.expectValue('default');
+      }
+      this.expectValue(':');
+
+      const consequent = [];
+      while (!this.checkValue('case') && !this.checkValue('default') && !this.checkValue('}') && !this.isEOF()) {
+        const before = this.pos;
+        try {
+          const statement = this.parseStatement();
+          if (statement) consequent.push(statement);
+        } catch (error) {
+          this.recordError(error);
+          this.recover(before, true);
+        }
+      }
+
+      cases.push(this.finish({ type: 'SwitchCase', test, consequent }, caseStart));
+    }
+
+    this.expectValue('}');
+    return this.finish({ type: 'SwitchStatement', discriminant, cases }, start);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Expressions
+  // ---------------------------------------------------------------------------
+
+  parseExpression() {
+    return this.parseAssignment();
+  }
+
+  parseAssignment() {
+    const start = this.peek();
+    const left = this.parseBinary(1);
+
+    const op = this.peek();
+    if (op.type === TOKEN.PUNCTUATOR && this.isAssignmentOperator()) {
+      const operator = this.readAssignmentOperator();
+      const right = this.parseAssignment();
+      return this.finish({ type: 'AssignmentExpression', operator, left, right }, start);
+    }
+
+    // Enforce has no ternary operator, but tolerate one rather than failing the statement
+    if (op.value === '?') {
+      this.next();
+      const consequent = this.parseAssignment();
+      this.expectValue(':');
+      const alternate = this.parseAssignment();
+      return this.finish({ type: 'ConditionalExpression', test: left, consequent, alternate }, start);
+    }
+
+    return left;
+  }
+
+  isAssignmentOperator() {
+    const token = this.peek();
+    if (ASSIGNMENT_OPERATORS.has(token.value)) return true;
+    // `>>=` arrives as `>` `>=` because `>` is never merged (generics)
+    return token.value === '>' && this.peekAt(1).value === '>=' && this.peekAt(1).start === token.end;
+  }
+
+  readAssignmentOperator() {
+    const token = this.next();
+    if (token.value === '>') {
+      this.next();
+      return '>>=';
+    }
+    return token.value;
+  }
+
+  parseBinary(minPrecedence) {
+    const start = this.peek();
+    let left = this.parseUnary();
+
+    while (true) {
+      const operator = this.peekBinaryOperator();
+      if (!operator) break;
+
+      const precedence = BINARY_PRECEDENCE[operator];
+      if (precedence < minPrecedence) break;
+
+      this.next();
+      if (operator === '>>') this.next();
+
+      const right = this.parseBinary(precedence + 1);
+      left = this.finish({ type: 'BinaryExpression', operator, left, right }, start);
+    }
+
+    return left;
+  }
+
+  peekBinaryOperator() {
+    const token = this.peek();
+    if (token.type !== TOKEN.PUNCTUATOR) return null;
+
+    // Right shift is lexed as two adjacent `>` tokens
+    if (token.value === '>' && this.peekAt(1).value === '>' && this.peekAt(1).start === token.end) {
+      return '>>';
+    }
+    if (token.value === '>' && this.peekAt(1).value === '>=' && this.peekAt(1).start === token.end) {
+      return null;
+    }
+
+    return Object.prototype.hasOwnProperty.call(BINARY_PRECEDENCE, token.value) ? token.value : null;
+  }
+
+  parseUnary() {
+    const token = this.peek();
+
+    if (token.type === TOKEN.PUNCTUATOR && ['!', '-', '+', '~'].includes(token.value)) {
+      this.next();
+      const argument = this.parseUnary();
+      return this.finish({ type: 'UnaryExpression', operator: token.value, argument, prefix: true }, token);
+    }
+
+    if (token.type === TOKEN.PUNCTUATOR && (token.value === '++' || token.value === '--')) {
+      this.next();
+      const argument = this.parseUnary();
+      return this.finish({ type: 'UpdateExpression', operator: token.value, argument, prefix: true }, token);
+    }
+
+    if (token.value === 'delete' && token.type === TOKEN.KEYWORD) {
+      this.next();
+      const argument = this.parseUnary();
+      return this.finish({ type: 'UnaryExpression', operator: 'delete', argument, prefix: true }, token);
+    }
+
+    return this.parsePostfix(this.parsePrimary(), token);
+  }
+
+  parsePostfix(expression, start) {
+    while (true) {
+      const token = this.peek();
+
+      if (token.type !== TOKEN.PUNCTUATOR) break;
+
+      if (token.value === '.') {
+        this.next();
+        const property = this.peek();
+        if (property.type !== TOKEN.IDENTIFIER && property.type !== TOKEN.KEYWORD) {
+          throw new ParseError(`Expected member name but found '${property.value}'`, property);
+        }
+        this.next();
+        expression = this.finish({ type: 'MemberExpression', object: expression, property: property.value, propertyStart: property.start }, start);
+        continue;
+      }
+
+      if (token.value === '(') {
+        const args = this.parseArguments();
+        expression = this.finish({ type: 'CallExpression', callee: expression, arguments: args }, start);
+        continue;
+      }
+
+      if (token.value === '[') {
+        this.next();
+        const index = this.parseExpression();
+        this.expectValue(']');
+        expression = this.finish({ type: 'IndexExpression', object: expression, index }, start);
+        continue;
+      }
+
+      if (token.value === '++' || token.value === '--') {
+        this.next();
+        expression = this.finish({ type: 'UpdateExpression', operator: token.value, argument: expression, prefix: false }, start);
+        continue;
+      }
+
+      break;
+    }
+
+    return expression;
+  }
+
+  parseArguments() {
+    const args = [];
+    this.expectValue('(');
+    while (!this.checkValue(')') && !this.isEOF()) {
+      args.push(this.parseAssignment());
+      if (!this.matchValue(',')) break;
+    }
+    this.expectValue(')');
+    return args;
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+
+    switch (token.type) {
+      case TOKEN.NUMBER:
+        this.next();
+        return this.finish({ type: 'Literal', kind: 'number', value: Number(token.value), raw: token.value }, token);
+
+      case TOKEN.STRING:
+        this.next();
+        return this.finish({ type: 'Literal', kind: 'string', value: token.text, raw: token.value }, token);
+
+      case TOKEN.KEYWORD:
+        return this.parseKeywordPrimary(token);
+
+      case TOKEN.IDENTIFIER: {
+        // Generic type used as an expression: JsonFileLoader<Config>.JsonLoadFile(...)
+        if (this.peekAt(1).value === '<') {
+          const typeRef = this.tryParse(() => {
+            const parsed = this.parseType();
+            if (!this.checkValue('.') && !this.checkValue('(')) {
+              throw new ParseError('Not a type expression', this.peek());
+            }
+            return parsed;
+          });
+          if (typeRef) {
+            return this.finish({ type: 'Identifier', name: token.value, typeArgs: typeRef.args }, token);
+          }
+        }
+        this.next();
+        return this.finish({ type: 'Identifier', name: token.value }, token);
+      }
+
+      case TOKEN.PUNCTUATOR:
+        if (token.value === '(') {
+          this.next();
+          const expression = this.parseExpression();
+          this.expectValue(')');
+          return this.finish({ type: 'ParenthesizedExpression', expression }, token);
+        }
+        if (token.value === '{') {
+          this.next();
+          const elements = [];
+          while (!this.checkValue('}') && !this.isEOF()) {
+            elements.push(this.parseAssignment());
+            if (!this.matchValue(',')) break;
+          }
+          this.expectValue('}');
+          return this.finish({ type: 'ArrayLiteral', elements }, token);
+        }
+        break;
+    }
+
+    throw new ParseError(`Unexpected token '${token.value || token.type}'`, token);
+  }
+
+  parseKeywordPrimary(token) {
+    switch (token.value) {
+      case 'true':
+      case 'false':
+        this.next();
+        return this.finish({ type: 'Literal', kind: 'bool', value: token.value === 'true', raw: token.value }, token);
+      case 'null':
+      case 'NULL':
+        this.next();
+        return this.finish({ type: 'Literal', kind: 'null', value: null, raw: token.value }, token);
+      case 'this':
+        this.next();
+        return this.finish({ type: 'ThisExpression' }, token);
+      case 'super':
+        this.next();
+        return this.finish({ type: 'SuperExpression' }, token);
+      case 'new': {
+        this.next();
+        const typeRef = this.parseType();
+        const args = this.checkValue('(') ? this.parseArguments() : [];
+        return this.finish({ type: 'NewExpression', typeRef, arguments: args }, token);
+      }
+      case 'class':
+        // `class` used as a value, e.g. typename checks
+        this.next();
+        return this.finish({ type: 'Identifier', name: 'class' }, token);
+    }
+
+    throw new ParseError(`Unexpected keyword '${token.value}'`, token);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Token helpers
+  // ---------------------------------------------------------------------------
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  peekAt(offset) {
+    return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+  }
+
+  next() {
+    const token = this.tokens[this.pos];
+    if (token.type !== TOKEN.EOF) this.pos++;
+    return token;
+  }
+
+  previous() {
+    return this.tokens[Math.max(0, this.pos - 1)];
+  }
+
+  isEOF() {
+    return this.peek().type === TOKEN.EOF;
+  }
+
+  checkValue(value) {
+    const token = this.peek();
+    return token.type !== TOKEN.STRING && token.value === value;
+  }
+
+  matchValue(value) {
+    if (this.checkValue(value)) {
+      this.next();
+      return true;
+    }
+    return false;
+  }
+
+  expectValue(value) {
+    const token = this.peek();
+    if (!this.checkValue(value)) {
+      throw new ParseError(`Expected '${value}' but found '${token.value || token.type}'`, token);
+    }
+    return this.next();
+  }
+
+  expectIdentifier() {
+    const token = this.peek();
+    if (token.type !== TOKEN.IDENTIFIER) {
+      throw new ParseError(`Expected identifier but found '${token.value || token.type}'`, token);
+    }
+    return this.next();
+  }
+
+  skipUntilValue(value) {
+    while (!this.checkValue(value) && !this.isEOF()) {
+      this.next();
+    }
+  }
+
+  finish(node, startToken) {
+    node.start = startToken.start;
+    node.end = this.previous().end;
+    node.line = startToken.line;
+    node.column = startToken.column;
+    if (node.end < node.start) node.end = node.start;
+    return node;
+  }
+
+  recordError(error) {
+    if (!(error instanceof ParseError)) throw error;
+    this.errors.push({ message: error.message, line: error.token.line, column: error.token.column });
+  }
+
+  /**
+   * Skip past the broken construct: up to and including the next `;` outside of any
+   * parentheses, or over a balanced `{ ... }` block. With `stopAtClose` the closing
+   * brace of the enclosing block is left in place for the caller.
+   */
+  recover(startPos, stopAtClose = false) {
+    this.pos = startPos;
+
+    let braces = 0;
+    let parens = 0;
+
+    while (!this.isEOF()) {
+      const token = this.next();
+      if (token.type !== TOKEN.PUNCTUATOR) continue;
+
+      if (token.value === '(') {
+        parens++;
+      } else if (token.value === ')') {
+        parens = Math.max(0, parens - 1);
+      } else if (token.value === '{') {
+        braces++;
+      } else if (token.value === '}') {
+        if (braces === 0) {
+          // Closing brace of the enclosing block
+          if (stopAtClose) this.pos--;
+          return;
+        }
+        braces--;
+        if (braces === 0) {
+          this.matchValue(';');
+          return;
+        }
+      } else if (token.value === ';' && braces === 0 && parens === 0) {
+        return;
+      }
+    }
+  }
+}
+
+export function parseEnforce(source, lexed = null) {
+  return new EnforceParser(source, lexed).parse();
+}
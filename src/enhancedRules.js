@@ -6,40 +6,57 @@
  * See LICENSE file for details.
  */
 
-import { SEVERITY } from './rules.js';
+import { SEVERITY, CATEGORY, CONFIDENCE, ENFORCE_SCRIPT_SYNTAX } from './rules.js';
 import { DAYZ_FUNCTIONS, DAYZ_PATTERNS, COMMON_MISTAKES } from './dayzKnowledge.js';
+import { DEPRECATIONS, DEPRECATION_STATUS, getDeprecations } from './dayzDeprecations.js';
+import { findAll, findCalls, getClasses, getMethods, callsSuper, getSpan, getCalleeName, getExpressionPath } from './ast.js';
+import { insertAtBlockStart } from './autofix.js';
+import { SCRIPT_MODULES, getLayer } from './scriptModules.js';
+
+const SUPER_REQUIRED_METHODS = ['OnInit', 'OnUpdate', 'OnMissionStart', 'OnMissionFinish', 'EEInit', 'EEDelete', 'EEKilled'];
 
 export const enhancedRules = [
   {
     id: 'missing-super-call',
     name: 'Override Without super Call',
     severity: SEVERITY.HIGH,
+    category: CATEGORY.COMPATIBILITY,
+    confidence: CONFIDENCE.HIGH,
+    group: 'super-call',
     description: 'Override method missing super call - may break game functionality',
-    pattern: /override\s+void\s+(OnInit|OnUpdate|OnMissionStart|OnMissionFinish|EEInit|EEDelete|EEKilled)\s*\([^)]*\)\s*\{/g,
+    docs: {
+      rationale: 'Engine events such as OnInit, OnUpdate and EEInit do vanilla work in the base class. An override that doesn\'t call super skips that work, which breaks game features in ways that are hard to trace back.',
+      bad: [
+        'override void EEInit()',
+        '{',
+        '    m_Ready = true;',
+        '}'
+      ],
+      good: [
+        'override void EEInit()',
+        '{',
+        '    super.EEInit();',
+        '    m_Ready = true;',
+        '}'
+      ],
+      references: [{ title: 'Enforce Script Syntax', url: ENFORCE_SCRIPT_SYNTAX }]
+    },
+    query: ({ ast }) => getMethods(ast)
+      .map(({ method }) => method)
+      .filter(method => method.isOverride && method.body && SUPER_REQUIRED_METHODS.includes(method.name)),
     check: (matches, file) => {
       const issues = [];
 
-      for (const match of matches) {
-        const methodMatch = match.matches?.[0]?.text.match(/override\s+void\s+([A-Za-z_][A-Za-z0-9_]*)/);
-        if (!methodMatch) continue;
-
-        const methodName = methodMatch[1];
-        const lineNum = match.matches[0].line;
-
-        // Get the method body (next ~50 lines)
-        const startLine = lineNum - 1;
-        const endLine = Math.min(file.lines.length, startLine + 50);
-        const methodBody = file.lines.slice(startLine, endLine).join('\n');
-
-        // Check if super.MethodName() is called
-        const superCallRegex = new RegExp(`super\\.${methodName}\\s*\\(`);
-        const hasSuperCall = superCallRegex.test(methodBody);
+      for (const match of matches.flatMap(m => m.matches)) {
+        const method = match.node;
 
-        if (!hasSuperCall) {
+        if (!callsSuper(method)) {
           issues.push({
-            line: lineNum,
-            message: `Recommended: Override ${methodName}() should call super.${methodName}() to maintain vanilla functionality`,
-            severity: SEVERITY.MEDIUM
+            line: method.line,
+            ...getSpan(method),
+            message: `Recommended: Override ${method.name}() should call super.${method.name}() to maintain vanilla functionality`,
+            severity: SEVERITY.MEDIUM,
+            fix: createSuperCallFix(method, file.content)
           });
         }
       }
@@ -52,23 +69,33 @@ export const enhancedRules = [
     id: 'wrong-callqueue-category',
     name: 'Incorrect CallQueue Category',
     severity: SEVERITY.MEDIUM,
+    category: CATEGORY.CPU,
+    confidence: CONFIDENCE.LOW,
     description: 'CallQueue category may not be optimal for the operation',
+    docs: {
+      rationale: 'Call queues are processed separately: CALL_CATEGORY_SYSTEM for engine-level work, CALL_CATEGORY_GAMEPLAY for game logic and CALL_CATEGORY_GUI for the user interface. Queuing work in the category vanilla uses for it keeps it running at the expected point of the frame. This is a guess from the names involved.',
+      bad: [
+        'GetGame().GetCallQueue(CALL_CATEGORY_SYSTEM).CallLater(UpdatePlayerStats, 1000, true);'
+      ],
+      good: [
+        'GetGame().GetCallQueue(CALL_CATEGORY_GAMEPLAY).CallLater(UpdatePlayerStats, 1000, true);'
+      ],
+      references: [{ title: 'Vanilla MissionServer.c (scripts/5_Mission)' }]
+    },
     pattern: /GetGame\(\)\.GetCallQueue\((CALL_CATEGORY_[A-Z_]+)\)\.CallLater/g,
     check: (matches, file) => {
       const issues = [];
 
-      for (const match of matches) {
-        const categoryMatch = match.matches?.[0]?.text.match(/CALL_CATEGORY_([A-Z_]+)/);
-        if (!categoryMatch) continue;
-
-        const category = categoryMatch[1];
-        const lineNum = match.matches[0].line;
+      for (const match of matches.flatMap(m => m.matches)) {
+        const category = match.captures[0].replace('CALL_CATEGORY_', '');
+        const lineNum = match.line;
         const lineText = file.lines[lineNum - 1] || '';
 
         // Check for potential misuse
         if (category === 'SYSTEM' && /Update.*Player|Player.*Update/i.test(lineText)) {
           issues.push({
             line: lineNum,
+            ...getSpan(match),
             message: 'Recommended: Use CALL_CATEGORY_GAMEPLAY for player-related updates (vanilla pattern)',
             severity: SEVERITY.LOW
           });
@@ -77,6 +104,7 @@ export const enhancedRules = [
         if (category === 'GAMEPLAY' && /GUI|UI|Menu|Widget/i.test(lineText)) {
           issues.push({
             line: lineNum,
+            ...getSpan(match),
             message: 'Info: Consider CALL_CATEGORY_GUI for UI-related operations',
             severity: SEVERITY.INFO
           });
@@ -91,25 +119,43 @@ export const enhancedRules = [
     id: 'getgame-spam',
     name: 'Excessive GetGame() Calls',
     severity: SEVERITY.LOW,
+    category: CATEGORY.CPU,
+    confidence: CONFIDENCE.HIGH,
     description: 'Multiple GetGame() calls - consider caching the result',
-    pattern: /GetGame\(\)/g,
-    check: (matches, file) => {
+    docs: {
+      rationale: 'Every GetGame() is a call into the engine. It is cheap on its own, but a method calling it many times is easier to read and a little faster with the result kept in a local. `dayz-perf fix` can make the change.',
+      bad: [
+        'GetGame().GetPlayers(m_Players);',
+        'GetGame().GetWorld().GetDate(year, month, day, hour, minute);',
+        'GetGame().GetCallQueue(CALL_CATEGORY_GAMEPLAY).CallLater(Tick, 1000);'
+      ],
+      good: [
+        'auto game = GetGame();',
+        'game.GetPlayers(m_Players);',
+        'game.GetWorld().GetDate(year, month, day, hour, minute);',
+        'game.GetCallQueue(CALL_CATEGORY_GAMEPLAY).CallLater(Tick, 1000);'
+      ],
+      references: []
+    },
+    query: ({ ast }) => getMethods(ast)
+      .map(({ method }) => method)
+      .filter(method => method.body),
+    defaultOptions: { maxCalls: 5 },
+    check: (matches, file, { options }) => {
       const issues = [];
 
       // Count GetGame() calls per function
-      const functions = file.content.match(/void\s+[A-Za-z_][A-Za-z0-9_]*\s*\([^)]*\)\s*\{[^}]*\}/gs) || [];
-
-      for (const func of functions) {
-        const getGameCount = (func.match(/GetGame\(\)/g) || []).length;
-
-        if (getGameCount > 5) {
-          const funcMatch = func.match(/void\s+([A-Za-z_][A-Za-z0-9_]*)/);
-          const funcName = funcMatch ? funcMatch[1] : 'unknown';
+      for (const match of matches.flatMap(m => m.matches)) {
+        const method = match.node;
+        const calls = findCalls(method.body, 'GetGame');
 
+        if (calls.length > options.maxCalls) {
           issues.push({
-            line: 0,
-            message: `Info: Function '${funcName}' calls GetGame() ${getGameCount} times - consider caching: 'auto game = GetGame();'`,
-            severity: SEVERITY.INFO
+            line: method.line,
+            ...getSpan(method),
+            message: `Info: Function '${method.name}' calls GetGame() ${calls.length} times - consider caching: 'auto game = GetGame();'`,
+            severity: SEVERITY.INFO,
+            fix: createGetGameFix(method, calls, file.content)
           });
         }
       }
@@ -122,18 +168,27 @@ export const enhancedRules = [
     id: 'inappropriate-update-interval',
     name: 'Non-Standard Update Interval',
     severity: SEVERITY.LOW,
+    category: CATEGORY.CPU,
+    confidence: CONFIDENCE.LOW,
+    group: 'calllater-interval',
     description: 'Update interval differs from vanilla patterns',
+    docs: {
+      rationale: 'Vanilla repeating timers use a few standard intervals (100, 500, 1000 and 30000 ms). An unusual interval such as 16 ms usually means a callback written to run "every frame", which is worth a second look.',
+      bad: [
+        'GetGame().GetCallQueue(CALL_CATEGORY_GAMEPLAY).CallLater(Refresh, 16, true);'
+      ],
+      good: [
+        'GetGame().GetCallQueue(CALL_CATEGORY_GAMEPLAY).CallLater(Refresh, 100, true);'
+      ],
+      references: [{ title: 'Vanilla MissionServer.c (scripts/5_Mission)' }]
+    },
     pattern: /CallLater\s*\([^,]+,\s*(\d+)\s*,\s*true/g,
     check: (matches, file) => {
       const issues = [];
       const standardIntervals = [100, 500, 1000, 30000];
 
-      for (const match of matches) {
-        const intervalMatch = match.matches?.[0]?.text.match(/,\s*(\d+)\s*,\s*true/);
-        if (!intervalMatch) continue;
-
-        const interval = parseInt(intervalMatch[1]);
-        const lineNum = match.matches[0].line;
+      for (const match of matches.flatMap(m => m.matches)) {
+        const interval = parseInt(match.captures[0]);
 
         // Check if interval is non-standard and suspicious
         if (interval > 0 && interval < 30000 && !standardIntervals.includes(interval)) {
@@ -142,7 +197,8 @@ export const enhancedRules = [
           );
 
           issues.push({
-            line: lineNum,
+            line: match.line,
+            ...getSpan(match),
             message: `Info: Interval ${interval}ms is non-standard - vanilla typically uses ${closest}ms for similar operations`,
             severity: SEVERITY.INFO
           });
@@ -157,29 +213,56 @@ export const enhancedRules = [
     id: 'direct-player-iteration',
     name: 'Direct Player Array Iteration',
     severity: SEVERITY.MEDIUM,
+    category: CATEGORY.CPU,
+    confidence: CONFIDENCE.MEDIUM,
     description: 'Iterating all players without scheduler pattern',
+    docs: {
+      rationale: 'Looping over every player in an update does all the per-player work in one frame, so the frame time grows with the player count. Vanilla MissionServer spreads it out with a scheduler that handles a few players per tick.',
+      bad: [
+        'override void OnUpdate(float timeslice)',
+        '{',
+        '    foreach (Man player : m_Players)',
+        '    {',
+        '        UpdatePlayer(PlayerBase.Cast(player));',
+        '    }',
+        '}'
+      ],
+      good: [
+        'const int SCHEDULER_PLAYERS_PER_TICK = 5;',
+        '',
+        'override void OnUpdate(float timeslice)',
+        '{',
+        '    for (int i = 0; i < SCHEDULER_PLAYERS_PER_TICK && m_Players.Count() > 0; i++)',
+        '    {',
+        '        m_CurrentPlayer = (m_CurrentPlayer + 1) % m_Players.Count();',
+        '        UpdatePlayer(PlayerBase.Cast(m_Players[m_CurrentPlayer]));',
+        '    }',
+        '}'
+      ],
+      references: [{ title: 'Vanilla MissionServer.c (scripts/5_Mission), TickScheduler' }]
+    },
     pattern: /(foreach|for)\s*\([^)]*players[^)]*\)/gi,
-    check: (matches, file) => {
+    check: (matches, file, { code, scope }) => {
       const issues = [];
 
-      for (const match of matches) {
-        const lineNum = match.matches?.[0]?.line || 1;
-        const startLine = Math.max(0, lineNum - 15);
-        const contextLines = file.lines.slice(startLine, lineNum + 10);
-        const context = contextLines.join('\n');
+      for (const match of matches.flatMap(m => m.matches)) {
+        const context = scope.at(match.index);
 
         // Check if in OnUpdate or repeating CallLater
-        const inUpdate = /override\s+void\s+OnUpdate/.test(context);
-        const inRepeatingCall = /CallLater.*true/.test(context);
+        const inUpdate = context.inUpdate;
+        const inRepeatingCall = context.inRepeatingCallLater;
 
-        // Check for scheduler pattern
-        const hasScheduler = /SCHEDULER|_PER_TICK|currentPlayer|playerIndex/i.test(context);
+        // Check for scheduler pattern in the enclosing method
+        const methodBody = context.methodNode ? code.substring(context.methodNode.start, context.methodNode.end) : '';
+        const hasScheduler = /SCHEDULER|_PER_TICK|currentPlayer|playerIndex/i.test(methodBody);
 
-        if ((inUpdate || inRepeatingCall) && !hasScheduler) {
+        if ((inUpdate || inRepeatingCall || context.inHotPath) && !hasScheduler) {
           issues.push({
-            line: lineNum,
+            line: match.line,
+            ...getSpan(match),
             message: 'Recommended: Iterating all players in update loop - consider using scheduler pattern (e.g., SCHEDULER_PLAYERS_PER_TICK) like vanilla MissionServer',
-            severity: SEVERITY.MEDIUM
+            severity: SEVERITY.MEDIUM,
+            callChain: context.callChain
           });
         }
       }
@@ -192,41 +275,34 @@ export const enhancedRules = [
     id: 'missing-destructor-cleanup',
     name: 'Missing Cleanup in Destructor',
     severity: SEVERITY.MEDIUM,
+    category: CATEGORY.MEMORY,
+    confidence: CONFIDENCE.MEDIUM,
+    group: 'destructor',
     description: 'Class uses resources but destructor doesn\'t clean them up',
-    pattern: /class\s+([A-Za-z_][A-Za-z0-9_]*)/g,
-    check: (matches, file) => {
+    docs: {
+      rationale: 'The class has a destructor, but it doesn\'t undo what the class set up: a CallLater that is never removed keeps the callback scheduled after the object is gone.',
+      bad: [
+        'void ~MyManager()',
+        '{',
+        '    Print("MyManager destroyed");',
+        '}'
+      ],
+      good: [
+        'void ~MyManager()',
+        '{',
+        '    GetGame().GetCallQueue(CALL_CATEGORY_SYSTEM).Remove(Tick);',
+        '}'
+      ],
+      references: [{ title: 'Enforce Script Syntax', url: ENFORCE_SCRIPT_SYNTAX }]
+    },
+    query: ({ ast }) => getClasses(ast),
+    check: (matches, file, { code }) => {
       const issues = [];
 
-      for (const match of matches) {
-        const classMatch = match.matches?.[0]?.text.match(/class\s+([A-Za-z_][A-Za-z0-9_]*)/);
-        if (!classMatch) continue;
-
-        const className = classMatch[1];
-
-        // Find class body
-        const classRegex = new RegExp(`class\\s+${className}[^{]*\\{`, 's');
-        const classStartIndex = file.content.search(classRegex);
-        if (classStartIndex === -1) continue;
-
-        // Extract class body (simplified - find matching braces)
-        let braceCount = 0;
-        let classEnd = classStartIndex;
-        let started = false;
-
-        for (let i = classStartIndex; i < file.content.length; i++) {
-          if (file.content[i] === '{') {
-            braceCount++;
-            started = true;
-          } else if (file.content[i] === '}') {
-            braceCount--;
-            if (started && braceCount === 0) {
-              classEnd = i;
-              break;
-            }
-          }
-        }
-
-        const classBody = file.content.substring(classStartIndex, classEnd);
+      for (const match of matches.flatMap(m => m.matches)) {
+        const classNode = match.node;
+        const className = classNode.name;
+        const classBody = code.substring(classNode.start, classNode.end);
 
         // Check for resource usage
         const usesCallLater = /CallLater/.test(classBody);
@@ -234,21 +310,20 @@ export const enhancedRules = [
         const usesTimers = /Timer|Schedule/.test(classBody);
 
         // Check for destructor
-        const hasDestructor = new RegExp(`void\\s+~${className}`).test(classBody);
+        const destructor = classNode.methods.find(m => m.isDestructor);
+        const hasDestructor = !!destructor;
 
         // If has destructor, check if it cleans up
         if (hasDestructor && (usesCallLater || usesFileHandle || usesTimers)) {
-          const destructorRegex = new RegExp(`void\\s+~${className}\\s*\\([^)]*\\)\\s*\\{([^}]+\\}[^}]*)*\\}`, 's');
-          const destructorMatch = classBody.match(destructorRegex);
-
-          if (destructorMatch) {
-            const destructorBody = destructorMatch[0];
+          if (destructor.body) {
+            const destructorBody = code.substring(destructor.start, destructor.end);
             const hasRemove = /\.Remove\s*\(/.test(destructorBody);
             const hasCloseFile = /CloseFile/.test(destructorBody);
 
             if (usesCallLater && !hasRemove) {
               issues.push({
-                line: match.matches[0].line,
+                line: classNode.line,
+                ...getSpan(classNode),
                 message: `Recommended: Class '${className}' uses CallLater but destructor doesn't call Remove() - follow vanilla cleanup pattern`,
                 severity: SEVERITY.MEDIUM
               });
@@ -256,7 +331,8 @@ export const enhancedRules = [
 
             if (usesFileHandle && !hasCloseFile) {
               issues.push({
-                line: match.matches[0].line,
+                line: classNode.line,
+                ...getSpan(classNode),
                 message: `Recommended: Class '${className}' uses FileHandle but destructor doesn't call CloseFile()`,
                 severity: SEVERITY.MEDIUM
               });
@@ -264,7 +340,8 @@ export const enhancedRules = [
           }
         } else if (!hasDestructor && (usesCallLater || usesFileHandle)) {
           issues.push({
-            line: match.matches[0].line,
+            line: classNode.line,
+            ...getSpan(classNode),
             message: `Recommended: Class '${className}' uses resources but has no destructor for cleanup`,
             severity: SEVERITY.MEDIUM
           });
@@ -279,14 +356,31 @@ export const enhancedRules = [
     id: 'unsafe-cast',
     name: 'Direct Cast Without Null Check',
     severity: SEVERITY.LOW,
+    category: CATEGORY.COMPATIBILITY,
+    confidence: CONFIDENCE.LOW,
     description: 'Cast operation without null validation',
+    docs: {
+      rationale: 'A cast returns null when the object isn\'t of the target type. Using the result without a check turns an unexpected object into a null pointer error, which stops the script at that point.',
+      bad: [
+        'PlayerBase player = PlayerBase.Cast(entity);',
+        'player.SetHealth("", "", 100);'
+      ],
+      good: [
+        'PlayerBase player;',
+        'if (Class.CastTo(player, entity))',
+        '{',
+        '    player.SetHealth("", "", 100);',
+        '}'
+      ],
+      references: [{ title: 'Enforce Script Syntax', url: ENFORCE_SCRIPT_SYNTAX }]
+    },
     pattern: /([A-Za-z_][A-Za-z0-9_]*)\.Cast\s*\(/g,
     check: (matches, file) => {
       const issues = [];
-      let unsafeCasts = 0;
+      const unsafeCasts = [];
 
-      for (const match of matches) {
-        const lineNum = match.matches?.[0]?.line || 1;
+      for (const match of matches.flatMap(m => m.matches)) {
+        const lineNum = match.line;
         const line = file.lines[lineNum - 1] || '';
 
         // Check if result is assigned
@@ -299,15 +393,17 @@ export const enhancedRules = [
                                /if\s*\(\s*![^)]*\)/.test(nextLines);
 
           if (!hasNullCheck) {
-            unsafeCasts++;
+            unsafeCasts.push(match);
           }
         }
       }
 
-      if (unsafeCasts > 5) {
+      // One finding for the file, at the first unchecked cast
+      if (unsafeCasts.length > 5) {
         issues.push({
-          line: 0,
-          message: `Info: Found ${unsafeCasts} casts without null checks - consider validating cast results`,
+          line: unsafeCasts[0].line,
+          ...getSpan(unsafeCasts[0]),
+          message: `Info: Found ${unsafeCasts.length} casts without null checks - consider validating cast results`,
           severity: SEVERITY.INFO
         });
       }
@@ -320,18 +416,33 @@ export const enhancedRules = [
     id: 'unsafe-method-call',
     name: 'Method Call Without Object Validation',
     severity: SEVERITY.MEDIUM,
+    category: CATEGORY.COMPATIBILITY,
+    confidence: CONFIDENCE.LOW,
     description: 'Method called on object that may be null (Enforce doc: lines 350-377)',
+    docs: {
+      rationale: 'Object parameters can be null: an entity that was just deleted, or a player whose identity is gone while they disconnect. Calling a method on null is a script error. Check parameters before using them.',
+      bad: [
+        'void OnPlayerEvent(PlayerBase player)',
+        '{',
+        '    Print(player.GetIdentity().GetName());',
+        '}'
+      ],
+      good: [
+        'void OnPlayerEvent(PlayerBase player)',
+        '{',
+        '    if (!player || !player.GetIdentity()) return;',
+        '    Print(player.GetIdentity().GetName());',
+        '}'
+      ],
+      references: [{ title: 'Enforce Script Syntax', url: ENFORCE_SCRIPT_SYNTAX }]
+    },
     pattern: /void\s+([A-Za-z_][A-Za-z0-9_]*)\s*\(([^)]*)\)/g,
     check: (matches, file) => {
       const issues = [];
 
-      for (const match of matches) {
-        const lineNum = match.matches?.[0]?.line || 1;
-        const methodMatch = match.matches?.[0]?.text.match(/void\s+([A-Za-z_][A-Za-z0-9_]*)\s*\(([^)]*)\)/);
-        if (!methodMatch) continue;
-
-        const methodName = methodMatch[1];
-        const params = methodMatch[2];
+      for (const match of matches.flatMap(m => m.matches)) {
+        const lineNum = match.line;
+        const [methodName, params] = match.captures;
 
         // Check if method has object parameters
         const objectParams = params.match(/([A-Za-z_][A-Za-z0-9_]*)\s+([a-z_][a-z0-9_]*)/g);
@@ -361,6 +472,7 @@ export const enhancedRules = [
             if (!hasNullCheck) {
               issues.push({
                 line: lineNum,
+                ...getSpan(match),
                 message: `Recommended: Method '${methodName}' uses '${paramName}' without null check - see Enforce doc SafeMethod pattern`,
                 severity: SEVERITY.LOW
               });
@@ -377,18 +489,33 @@ export const enhancedRules = [
     id: 'weak-reference-array',
     name: 'Array Without Strong References',
     severity: SEVERITY.MEDIUM,
+    category: CATEGORY.MEMORY,
+    confidence: CONFIDENCE.MEDIUM,
     description: 'Array storing objects without ref keyword - objects may be deleted prematurely (Enforce doc: lines 1014-1018)',
+    docs: {
+      rationale: 'Enforce Script counts references, and `array<T>` holds weak references. An object created with new and stored only in such an array has no strong reference, so it is deleted right away and the array is left holding null. `array<ref T>` keeps its objects alive.',
+      bad: [
+        'array<MyItem> items = new array<MyItem>;',
+        'items.Insert(new MyItem());'
+      ],
+      good: [
+        'array<ref MyItem> items = new array<ref MyItem>;',
+        'items.Insert(new MyItem());'
+      ],
+      references: [{ title: 'Enforce Script Syntax', url: ENFORCE_SCRIPT_SYNTAX }]
+    },
     pattern: /array\s*<\s*([A-Za-z_][A-Za-z0-9_]*)\s*>/g,
-    check: (matches, file) => {
+    check: (matches, file, { code }) => {
       const issues = [];
+      const reportedLines = new Set();
 
-      for (const match of matches) {
-        const lineNum = match.matches?.[0]?.line || 1;
+      for (const match of matches.flatMap(m => m.matches)) {
+        const lineNum = match.line;
         const line = file.lines[lineNum - 1] || '';
-        const arrayMatch = match.matches?.[0]?.text.match(/array\s*<\s*([A-Za-z_][A-Za-z0-9_]*)\s*>/);
-        if (!arrayMatch) continue;
+        const typeName = match.captures[0];
 
-        const typeName = arrayMatch[1];
+        // `array<T> a = new array<T>` matches twice on the same line
+        if (reportedLines.has(lineNum)) continue;
 
         // Check if it's a class type (not primitive)
         const isPrimitive = ['int', 'float', 'bool', 'string', 'vector'].includes(typeName);
@@ -403,10 +530,16 @@ export const enhancedRules = [
           const hasInsert = /\.Insert\s*\(\s*new\s+/.test(nextLines);
 
           if (hasInsert) {
+            reportedLines.add(lineNum);
+            // The fix is only built when the declared array itself is filled with
+            // Insert(new ...), which confirms the finding
+            const fix = createRefArrayFix(match, typeName, file.content, code);
             issues.push({
               line: lineNum,
+              ...getSpan(match),
               message: `Recommended: array<${typeName}> is weak reference array - use array<ref ${typeName}> to keep objects alive (Enforce ARC pattern)`,
-              severity: SEVERITY.MEDIUM
+              severity: SEVERITY.MEDIUM,
+              ...(fix ? { confidence: CONFIDENCE.HIGH, fix } : {})
             });
           }
         }
@@ -420,64 +553,56 @@ export const enhancedRules = [
     id: 'cyclic-strong-reference',
     name: 'Potential Cyclic Strong Reference',
     severity: SEVERITY.MEDIUM,
+    category: CATEGORY.MEMORY,
+    confidence: CONFIDENCE.LOW,
     description: 'Two classes with strong references to each other may cause memory leaks (Enforce doc: lines 909-928)',
-    pattern: /class\s+([A-Za-z_][A-Za-z0-9_]*)/g,
-    check: (matches, file) => {
+    docs: {
+      rationale: 'With reference counting, two objects holding `ref` to each other keep each other alive forever and are never freed. Make the back-pointer a plain (weak) reference.',
+      bad: [
+        'class Team',
+        '{',
+        '    ref array<ref Member> m_Members;',
+        '}',
+        '',
+        'class Member',
+        '{',
+        '    ref Team m_Team;',
+        '}'
+      ],
+      good: [
+        'class Member',
+        '{',
+        '    Team m_Team; // weak: the team owns its members',
+        '}'
+      ],
+      references: [{ title: 'Enforce Script Syntax', url: ENFORCE_SCRIPT_SYNTAX }]
+    },
+    query: ({ ast }) => getClasses(ast),
+    check: (matches, file, { index }) => {
       const issues = [];
       const classes = new Map();
 
-      // First pass: collect all classes and their strong references
-      for (const match of matches) {
-        const classMatch = match.matches?.[0]?.text.match(/class\s+([A-Za-z_][A-Za-z0-9_]*)/);
-        if (!classMatch) continue;
-
-        const className = classMatch[1];
-        const lineNum = match.matches[0].line;
-
-        // Find class body
-        const classRegex = new RegExp(`class\\s+${className}[^{]*\\{`, 's');
-        const classStartIndex = file.content.search(classRegex);
-        if (classStartIndex === -1) continue;
-
-        let braceCount = 0;
-        let classEnd = classStartIndex;
-        let started = false;
-
-        for (let i = classStartIndex; i < file.content.length; i++) {
-          if (file.content[i] === '{') {
-            braceCount++;
-            started = true;
-          } else if (file.content[i] === '}') {
-            braceCount--;
-            if (started && braceCount === 0) {
-              classEnd = i;
-              break;
-            }
-          }
-        }
-
-        const classBody = file.content.substring(classStartIndex, classEnd);
+      // First pass: collect the file's classes and their strong references across the mod
+      for (const match of matches.flatMap(m => m.matches)) {
+        const classNode = match.node;
 
         // Find strong references (ref keyword)
-        const strongRefs = [];
-        const refPattern = /ref\s+([A-Za-z_][A-Za-z0-9_]*)\s+m_/g;
-        let refMatch;
-        while ((refMatch = refPattern.exec(classBody)) !== null) {
-          strongRefs.push(refMatch[1]);
-        }
+        const strongRefs = index.getStrongReferences(classNode.name);
 
-        classes.set(className, { lineNum, strongRefs });
+        classes.set(classNode.name, { node: classNode, strongRefs });
       }
 
-      // Second pass: detect cyclic references
+      // Second pass: detect cyclic references, including classes declared in other files
       for (const [className, data] of classes.entries()) {
-        for (const refType of data.strongRefs) {
-          const referencedClass = classes.get(refType);
-          if (referencedClass) {
+        for (const refType of new Set(data.strongRefs)) {
+          if (refType === className) continue;
+
+          if (index.hasClass(refType)) {
             // Check if referenced class has strong ref back to this class
-            if (referencedClass.strongRefs.includes(className)) {
+            if (index.getStrongReferences(refType).includes(className)) {
               issues.push({
-                line: data.lineNum,
+                line: data.node.line,
+                ...getSpan(data.node),
                 message: `Warning: '${className}' and '${refType}' have strong references to each other - may cause memory leak. Use weak reference pattern (Enforce ARC best practice)`,
                 severity: SEVERITY.MEDIUM
               });
@@ -494,82 +619,389 @@ export const enhancedRules = [
     id: 'modded-without-super',
     name: 'Modded Class Override Without super',
     severity: SEVERITY.HIGH,
+    category: CATEGORY.COMPATIBILITY,
+    confidence: CONFIDENCE.HIGH,
+    group: 'super-call',
     description: 'Modded class override without super call breaks mod compatibility (Enforce doc: lines 1067-1090)',
-    pattern: /modded\s+class\s+([A-Za-z_][A-Za-z0-9_]*)/g,
+    docs: {
+      rationale: 'A `modded class` extends the previous version of the class in load order: vanilla plus every mod loaded before. An override without super cuts that chain, so vanilla behaviour and other mods\' overrides of the method stop running.',
+      bad: [
+        'modded class MissionServer',
+        '{',
+        '    override void OnInit()',
+        '    {',
+        '        InitMyMod();',
+        '    }',
+        '}'
+      ],
+      good: [
+        'modded class MissionServer',
+        '{',
+        '    override void OnInit()',
+        '    {',
+        '        super.OnInit();',
+        '        InitMyMod();',
+        '    }',
+        '}'
+      ],
+      references: [{ title: 'Enforce Script Syntax', url: ENFORCE_SCRIPT_SYNTAX }]
+    },
+    query: ({ ast }) => getClasses(ast).filter(classNode => classNode.modded),
     check: (matches, file) => {
       const issues = [];
 
-      for (const match of matches) {
-        const classMatch = match.matches?.[0]?.text.match(/modded\s+class\s+([A-Za-z_][A-Za-z0-9_]*)/);
-        if (!classMatch) continue;
-
-        const className = classMatch[1];
-
-        // Find class body
-        const classRegex = new RegExp(`modded\\s+class\\s+${className}[^{]*\\{`, 's');
-        const classStartIndex = file.content.search(classRegex);
-        if (classStartIndex === -1) continue;
-
-        let braceCount = 0;
-        let classEnd = classStartIndex;
-        let started = false;
-
-        for (let i = classStartIndex; i < file.content.length; i++) {
-          if (file.content[i] === '{') {
-            braceCount++;
-            started = true;
-          } else if (file.content[i] === '}') {
-            braceCount--;
-            if (started && braceCount === 0) {
-              classEnd = i;
-              break;
-            }
+      for (const match of matches.flatMap(m => m.matches)) {
+        const classNode = match.node;
+
+        // Find all override methods
+        for (const method of classNode.methods) {
+          if (!method.isOverride || !method.body) continue;
+
+          // Check for super call
+          if (!callsSuper(method)) {
+            issues.push({
+              line: method.line,
+              ...getSpan(method),
+              message: `IMPORTANT: Modded class '${classNode.name}' override '${method.name}' missing super call - breaks mod compatibility! (Enforce modding pattern)`,
+              severity: SEVERITY.HIGH,
+              fix: createSuperCallFix(method, file.content)
+            });
           }
         }
+      }
 
-        const classBody = file.content.substring(classStartIndex, classEnd);
+      return issues;
+    }
+  },
 
-        // Find all override methods
-        const overridePattern = /override\s+void\s+([A-Za-z_][A-Za-z0-9_]*)\s*\([^)]*\)\s*\{/g;
-        let overrideMatch;
-
-        while ((overrideMatch = overridePattern.exec(classBody)) !== null) {
-          const methodName = overrideMatch[1];
-          const methodStart = overrideMatch.index;
-
-          // Get method body (approximation)
-          let methodBraceCount = 0;
-          let methodEnd = methodStart;
-          let methodStarted = false;
-
-          for (let i = methodStart; i < classBody.length; i++) {
-            if (classBody[i] === '{') {
-              methodBraceCount++;
-              methodStarted = true;
-            } else if (classBody[i] === '}') {
-              methodBraceCount--;
-              if (methodStarted && methodBraceCount === 0) {
-                methodEnd = i;
-                break;
-              }
-            }
-          }
+  {
+    id: 'vanilla-override',
+    name: 'Override Not Matching Vanilla',
+    severity: SEVERITY.HIGH,
+    category: CATEGORY.COMPATIBILITY,
+    confidence: CONFIDENCE.HIGH,
+    description: 'Overrides of vanilla methods must match the vanilla signature, and methods shadowing vanilla ones need override',
+    docs: {
+      rationale: 'Enforce only accepts an override whose return and parameter types match the base method, and expects `override` on a method that replaces one. Vanilla signatures change between DayZ updates, so an override written against an older version can stop compiling or quietly become a separate method the engine never calls. Checked against the vanilla API data of the selected DayZ version (`--dayz-version`).',
+      bad: [
+        'modded class MissionServer',
+        '{',
+        '    override void OnUpdate()            // vanilla: OnUpdate(float timeslice)',
+        '    {',
+        '    }',
+        '',
+        '    void InvokeOnConnect(PlayerBase player, PlayerIdentity identity)',
+        '    {',
+        '    }',
+        '}'
+      ],
+      good: [
+        'modded class MissionServer',
+        '{',
+        '    override void OnUpdate(float timeslice)',
+        '    {',
+        '        super.OnUpdate(timeslice);',
+        '    }',
+        '',
+        '    override void InvokeOnConnect(PlayerBase player, PlayerIdentity identity)',
+        '    {',
+        '        super.InvokeOnConnect(player, identity);',
+        '    }',
+        '}'
+      ],
+      references: [{ title: 'Enforce Script Syntax', url: ENFORCE_SCRIPT_SYNTAX }]
+    },
+    query: ({ ast }) => getClasses(ast),
+    check: (matches, file, { index, vanilla }) => {
+      const issues = [];
 
-          const methodBody = classBody.substring(methodStart, methodEnd);
+      for (const match of matches.flatMap(m => m.matches)) {
+        const classNode = match.node;
+        const vanillaClass = vanilla.resolveClass(index, classNode.name);
+        if (!vanillaClass) continue;
+
+        for (const method of classNode.methods) {
+          if (method.isConstructor || method.isDestructor) continue;
+
+          const vanillaMethod = vanilla.findMethod(vanillaClass, method.name);
+          const declaredByMod = isDeclaredByMod(index, classNode.name, vanillaClass, method);
+
+          if (method.isOverride && vanillaMethod) {
+            const differences = vanillaMethod.signatures.map(signature => vanilla.compareSignature(method, signature));
+            if (differences.includes(null)) continue;
 
-          // Check for super call
-          const superCallRegex = new RegExp(`super\\.${methodName}\\s*\\(`);
-          if (!superCallRegex.test(methodBody)) {
             issues.push({
-              line: match.matches[0].line,
-              message: `IMPORTANT: Modded class '${className}' override '${methodName}' missing super call - breaks mod compatibility! (Enforce modding pattern)`,
+              line: method.line,
+              ...getSpan(method),
+              message: `Override '${method.name}' doesn't match vanilla ${vanillaMethod.className}.${method.name} in DayZ ${vanilla.version}: ${differences[0]} (expected '${vanillaMethod.signatures.map(signature => signature.text).join("' or '")}')`,
               severity: SEVERITY.HIGH
             });
+          } else if (method.isOverride && !declaredByMod) {
+            // The data covers the commonly modded methods only, so an unknown name is most
+            // likely a method it lacks; only a near miss of a known one is a probable typo
+            const suggestion = findSimilarName(method.name, vanilla.getMethodNames(vanillaClass));
+            if (!suggestion) continue;
+
+            issues.push({
+              line: method.line,
+              ...getSpan(method),
+              message: `'${method.name}' is marked override but ${vanillaClass} has no such method in DayZ ${vanilla.version} - did you mean '${suggestion}'?`,
+              severity: SEVERITY.HIGH,
+              confidence: CONFIDENCE.MEDIUM
+            });
+          } else if (!method.isOverride && vanillaMethod && !vanillaMethod.signatures.every(signature => signature.isStatic)) {
+            const matching = vanillaMethod.signatures.some(signature => !vanilla.compareSignature(method, signature));
+            issues.push({
+              line: method.line,
+              ...getSpan(method),
+              message: `'${method.name}' shadows vanilla ${vanillaMethod.className}.${method.name} without override`,
+              severity: SEVERITY.MEDIUM,
+              fix: matching ? {
+                description: 'Add override',
+                edits: [{ start: method.returnType.start, end: method.returnType.start, text: 'override ' }]
+              } : null
+            });
           }
         }
       }
 
+      return issues;
+    }
+  },
+
+  {
+    id: 'deprecated-api',
+    name: 'Deprecated or Removed API',
+    severity: SEVERITY.MEDIUM,
+    category: CATEGORY.COMPATIBILITY,
+    confidence: CONFIDENCE.HIGH,
+    description: 'Calls to script APIs deprecated or removed in the targeted DayZ version (src/dayzDeprecations.js)',
+    docs: {
+      rationale: 'DayZ updates deprecate script APIs before removing them. Deprecated calls keep working for a while, often through a slower or less safe path, and a removed one stops the mod from compiling. Which calls are flagged depends on the DayZ version the mod targets (`--target-version`).',
+      bad: [
+        'JsonFileLoader<MyConfig>.JsonLoadFile(path, m_Config);'
+      ],
+      good: [
+        'string error;',
+        'if (!JsonFileLoader<MyConfig>.LoadFile(path, m_Config, error))',
+        '    ErrorEx(error);'
+      ],
+      references: [{ title: 'Enforce Script Syntax', url: ENFORCE_SCRIPT_SYNTAX }]
+    },
+    query: ({ ast }) => findCalls(ast, [...new Set(DEPRECATIONS.map(entry => entry.method))]),
+    check: (matches, file, { targetVersion }) => {
+      const deprecations = getDeprecations(targetVersion);
+      const issues = [];
+
+      for (const match of matches.flatMap(m => m.matches)) {
+        const call = match.node;
+        const name = getCalleeName(call);
+        const path = getExpressionPath(call.callee);
+        const entry = deprecations.find(candidate =>
+          candidate.method === name &&
+          (!candidate.receiver || path === `${candidate.receiver}.${name}`) &&
+          call.arguments.length >= (candidate.minArgs || 0));
+        if (!entry) continue;
+
+        const removed = entry.status === DEPRECATION_STATUS.REMOVED;
+        const start = call.callee.propertyStart ?? call.callee.start;
+        issues.push({
+          line: call.line,
+          start,
+          end: start + name.length,
+          message: removed
+            ? `${entry.api}() was removed in DayZ ${entry.removedIn} (targeting ${targetVersion}) - use ${entry.replacement}`
+            : `${entry.api}() is deprecated since DayZ ${entry.deprecatedIn} - use ${entry.replacement}${entry.note ? ` (${entry.note})` : ''}`,
+          severity: removed ? SEVERITY.HIGH : SEVERITY.MEDIUM
+        });
+      }
+
+      return issues;
+    }
+  },
+
+  {
+    id: 'cross-layer-reference',
+    name: 'Cross-Layer Reference',
+    severity: SEVERITY.HIGH,
+    category: CATEGORY.COMPATIBILITY,
+    confidence: CONFIDENCE.HIGH,
+    description: 'Classes used below the script module (layer) they are declared in, and scripts no module compiles',
+    docs: {
+      rationale: 'DayZ compiles scripts in layers - 3_Game, then 4_World, then 5_Mission - and code only sees classes of its own layer and the ones below it. A 3_Game script that uses PlayerBase (4_World) or mods it fails to compile, and a script in a folder the CfgMods entry of config.cpp doesn\'t list is silently never compiled. Layers come from CfgMods, or from the folder names when the mod has no entry.',
+      bad: [
+        '// Scripts/3_Game/MyModSettings.c',
+        'class MyModSettings',
+        '{',
+        '    PlayerBase m_Owner;     // PlayerBase is declared in 4_World',
+        '}'
+      ],
+      good: [
+        '// Scripts/3_Game/MyModSettings.c',
+        'class MyModSettings',
+        '{',
+        '    Man m_Owner;            // 3_Game base class; cast to PlayerBase in 4_World code',
+        '}'
+      ],
+      references: [{ title: 'Enforce Script Syntax', url: ENFORCE_SCRIPT_SYNTAX }]
+    },
+    query: ({ ast }) => [ast],
+    check: (matches, file, { index, vanilla, scriptModules }) => {
+      if (/\.c$/i.test(file.path) && !scriptModules.isCompiled(file.path)) {
+        const folderModule = SCRIPT_MODULES.find(module => module.name === scriptModules.getModule(file.path));
+        return [{
+          line: 0,
+          message: `Not in any script module listed in CfgMods of ${scriptModules.configs.join(', ')}: the game never compiles this file${folderModule ? ` - add its folder to ${folderModule.configName} files[]` : ''}`,
+          severity: SEVERITY.HIGH,
+          confidence: CONFIDENCE.MEDIUM
+        }];
+      }
+
+      const module = scriptModules.getModule(file.path);
+      const layer = getLayer(module);
+      if (!layer) return [];
+
+      const issues = [];
+      const references = new Map();
+      const addReference = (name, node, span, modded = false) => {
+        if (!references.has(name)) references.set(name, { node, span, modded, count: 0 });
+        references.get(name).count++;
+      };
+
+      const [program] = matches.flatMap(m => m.matches);
+      // Class names only count in type positions: declared types, `new`, generic types
+      // and static access like PlayerBase.Cast(). A variable, parameter or member may
+      // share the name of a class.
+      const variables = new Set(findAll(program.node, node => node.type === 'VariableDeclarator' || node.type === 'Parameter')
+        .map(({ node }) => node.name));
+      const isTypeName = (node, parent) => !!node.typeArgs ||
+        (parent?.type === 'MemberExpression' && parent.object === node && !variables.has(node.name));
+
+      for (const { node } of findAll(program.node, (node, ancestors) =>
+        node.type === 'TypeReference' ||
+        (node.type === 'Identifier' && isTypeName(node, ancestors[ancestors.length - 1])) ||
+        (node.type === 'ClassDeclaration' && node.modded))) {
+        if (node.type === 'ClassDeclaration') {
+          addReference(node.name, node, getSpan(node), true);
+        } else {
+          addReference(node.name, node, { start: node.start, end: node.start + node.name.length });
+        }
+      }
+
+      for (const [name, reference] of references) {
+        const declaredIn = getDeclaredModule(name, { index, vanilla, scriptModules });
+        if (getLayer(declaredIn) <= layer) continue;
+
+        issues.push({
+          line: reference.node.line,
+          ...reference.span,
+          message: reference.modded
+            ? `modded class ${name} in ${module}: ${name} is declared in ${declaredIn}, so it doesn't exist yet when ${module} compiles`
+            : `${name} is declared in ${declaredIn} and can't be used from ${module}${reference.count > 1 ? ` (${reference.count} uses in this file)` : ''} - move the code to ${declaredIn} or use a ${module} base class`,
+          severity: SEVERITY.HIGH
+        });
+      }
+
       return issues;
     }
   }
 ];
+
+// Module a class is declared in: the lowest of the mod's own declarations, else vanilla's
+function getDeclaredModule(name, { index, vanilla, scriptModules }) {
+  const declarations = index.getClass(name)?.declarations.filter(declaration => !declaration.modded) || [];
+  const modules = declarations
+    .map(declaration => scriptModules.getModule(declaration.file))
+    .filter(Boolean);
+  if (declarations.length > 0) {
+    return SCRIPT_MODULES.map(module => module.name).find(moduleName => modules.includes(moduleName)) || null;
+  }
+  return vanilla.getModule(name);
+}
+
+// The mod's own method: declared without override on another part of the class (another
+// modded block) or on a mod class between it and the vanilla class
+function isDeclaredByMod(index, className, vanillaClass, method) {
+  if (index.getMethods(className, method.name).some(other => other.node !== method && !other.isOverride)) {
+    return true;
+  }
+
+  for (const name of index.getAncestors(className)) {
+    if (name === vanillaClass) break;
+    if (index.getMethods(name, method.name).length > 0) return true;
+  }
+  return false;
+}
+
+// A known name differing only in case or by up to two characters
+function findSimilarName(name, candidates) {
+  const lower = name.toLowerCase();
+  return candidates.find(candidate => candidate.toLowerCase() === lower) ||
+    candidates.find(candidate => candidate.length >= 5 && editDistance(lower, candidate.toLowerCase()) <= 2) ||
+    null;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * super.Method(args) as the first statement. Only for void methods whose parameters all
+ * have names, so the call can't change what the override returns.
+ */
+function createSuperCallFix(method, content) {
+  if (method.returnType.name !== 'void' || method.params.some(param => !param.name)) return null;
+
+  const args = method.params.map(param => param.name).join(', ');
+  const edit = insertAtBlockStart(method.body, content, [`super.${method.name}(${args});`]);
+  return edit ? { description: `Call super.${method.name}(${args}) first`, edits: [edit] } : null;
+}
+
+/**
+ * Cache GetGame() in a local at the top of the method and use it for every call. Skipped
+ * when the method already uses the name `game`.
+ */
+function createGetGameFix(method, calls, content) {
+  const usesName = method.params.some(param => param.name === 'game') ||
+    findAll(method.body, node => (node.type === 'Identifier' || node.type === 'VariableDeclarator') && node.name === 'game').length > 0;
+  const plainCalls = calls.map(({ node }) => node)
+    .filter(call => call.callee.type === 'Identifier' && call.arguments.length === 0);
+  if (usesName || plainCalls.length !== calls.length) return null;
+
+  const declaration = insertAtBlockStart(method.body, content, ['auto game = GetGame();']);
+  if (!declaration) return null;
+
+  return {
+    description: `Cache GetGame() in a local 'game' (${calls.length} calls)`,
+    edits: [declaration, ...plainCalls.map(call => ({ start: call.start, end: call.end, text: 'game' }))]
+  };
+}
+
+/**
+ * array<T> -> array<ref T> on a declaration line whose variable is filled with
+ * Insert(new ...), the one case where the objects are sure to be dropped.
+ */
+function createRefArrayFix(match, typeName, content, code) {
+  const lineStart = code.lastIndexOf('\n', match.index - 1) + 1;
+  const lineEnd = code.indexOf('\n', match.index);
+  const line = code.substring(lineStart, lineEnd === -1 ? code.length : lineEnd);
+  const declared = line.substring(match.index - lineStart + match.text.length).match(/^\s*([A-Za-z_][A-Za-z0-9_]*)/);
+  if (!declared || !new RegExp(`\\b${declared[1]}\\s*\\.\\s*Insert\\s*\\(\\s*new\\s+`).test(code)) return null;
+
+  const edits = [];
+  const regex = new RegExp(`array\\s*<\\s*${typeName}\\s*>`, 'g');
+  let found;
+  while ((found = regex.exec(line)) !== null) {
+    edits.push({ start: lineStart + found.index, end: lineStart + found.index + found[0].length, text: `array<ref ${typeName}>` });
+  }
+
+  return { description: `Use array<ref ${typeName}>`, edits };
+}
@@ -10,18 +10,38 @@ import AdmZip from 'adm-zip';
 import { promises as fs } from 'fs';
 import path from 'path';
 import { PBOParser } from './pboParser.js';
+import { isConfigFile } from './config.js';
+import { isAddonConfig, readAddonConfig } from './addonConfig.js';
+import { parseConfigText, getConfigProperty } from './configParser.js';
+
+// Handles zip and PBO file extraction and parsing, and unpacked mod folders.
+// Script files are returned; addon configs (config.cpp/config.bin) are parsed into
+// `addonConfigs` and the project config (.dayzperfrc) is kept as `configFile`.
+//
+// A Workshop @Mod folder (or a zip of it) holds its code in addons/*.pbo, which are
+// opened as well: their files get paths like 'addons/MyMod.pbo/Scripts/...' and a `pbo`
+// field. Its mod.cpp/meta.cpp and keys/*.bikey are kept as `modInfo`.
+
+const MOD_INFO_FILES = ['mod.cpp', 'meta.cpp'];
 
-// Handles zip and PBO file extraction and parsing
 export class FileParser {
   constructor(filePath) {
     this.filePath = filePath;
     this.files = [];
+    this.configFile = null;
+    this.addonConfigs = [];
+    // PBOs inside the mod: { path, prefix, files } or { path, error }
+    this.pbos = [];
+    this.modInfo = null;
   }
 
   async parse() {
     const ext = path.extname(this.filePath).toLowerCase();
+    const stat = await fs.stat(this.filePath);
 
-    if (ext === '.pbo') {
+    if (stat.isDirectory()) {
+      return this.parseDirectory();
+    } else if (ext === '.pbo') {
       return this.parsePBO();
     } else {
       return this.parseZip();
@@ -32,6 +52,7 @@ export class FileParser {
     try {
       const pboParser = new PBOParser(this.filePath);
       this.files = await pboParser.parse();
+      this.addonConfigs = pboParser.addonConfigs;
       return this.files;
     } catch (error) {
       throw new Error(`Failed to parse PBO file: ${error.message}`);
@@ -46,7 +67,25 @@ export class FileParser {
       for (const entry of zipEntries) {
         if (entry.isDirectory) continue;
 
+        // Project config in the archive root (or the mod's top-level folder)
+        if (isConfigFile(entry.entryName) && entry.entryName.split('/').length <= 2) {
+          if (!this.configFile) {
+            this.configFile = { name: entry.entryName, content: entry.getData().toString('utf8') };
+          }
+          continue;
+        }
+
+        if (isAddonConfig(entry.entryName)) {
+          this.addonConfigs.push(readAddonConfig(entry.entryName, entry.getData()));
+          continue;
+        }
+
         const ext = path.extname(entry.entryName).toLowerCase();
+        if (ext === '.pbo') {
+          this.addPBO(entry.entryName, entry.getData());
+          continue;
+        }
+        if (await this.addModFile(entry.entryName, () => entry.getData().toString('utf8'))) continue;
         if (ext !== '.c' && ext !== '.cpp') continue; // script files only
 
         const content = entry.getData().toString('utf8');
@@ -66,6 +105,117 @@ export class FileParser {
     }
   }
 
+  /**
+   * Unpacked mod folder; paths are relative to it, like entries in a zip
+   */
+  async parseDirectory() {
+    const walk = async (dir) => {
+      const entries = await fs.readdir(dir, { withFileTypes: true });
+      entries.sort((a, b) => a.name.localeCompare(b.name));
+
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        const relativePath = path.relative(this.filePath, fullPath).split(path.sep).join('/');
+
+        if (entry.isDirectory()) {
+          if (entry.name === 'node_modules' || entry.name.startsWith('.git')) continue;
+          await walk(fullPath);
+          continue;
+        }
+
+        if (isConfigFile(entry.name) && relativePath.split('/').length <= 2) {
+          if (!this.configFile) {
+            this.configFile = { name: relativePath, content: await fs.readFile(fullPath, 'utf8') };
+          }
+          continue;
+        }
+
+        if (isAddonConfig(entry.name)) {
+          this.addonConfigs.push(readAddonConfig(relativePath, await fs.readFile(fullPath)));
+          continue;
+        }
+
+        const ext = path.extname(entry.name).toLowerCase();
+        if (ext === '.pbo') {
+          this.addPBO(relativePath, await fs.readFile(fullPath));
+          continue;
+        }
+        if (await this.addModFile(relativePath, () => fs.readFile(fullPath, 'utf8'))) continue;
+        if (ext !== '.c' && ext !== '.cpp') continue;
+
+        const content = await fs.readFile(fullPath, 'utf8');
+        this.files.push({
+          path: relativePath,
+          name: entry.name,
+          content: content,
+          lines: content.split('\n'),
+          size: content.length
+        });
+      }
+    };
+
+    try {
+      await walk(this.filePath);
+      return this.files;
+    } catch (error) {
+      throw new Error(`Failed to read mod folder: ${error.message}`);
+    }
+  }
+
+  /**
+   * Scripts and addon configs of a PBO inside the mod. A PBO that can't be read is
+   * listed with its error; the rest of the mod is still analyzed.
+   */
+  addPBO(pboPath, data) {
+    const pboParser = new PBOParser(pboPath, { basePath: pboPath });
+    try {
+      const files = pboParser.parseBuffer(data);
+      this.files.push(...files.map(file => ({ ...file, pbo: pboPath })));
+      this.addonConfigs.push(...pboParser.addonConfigs);
+      this.pbos.push({ path: pboPath, prefix: pboParser.prefix, files: files.length });
+    } catch (error) {
+      console.warn(`Failed to parse PBO file ${pboPath}: ${error.message}`);
+      this.pbos.push({ path: pboPath, error: error.message });
+    }
+  }
+
+  /**
+   * mod.cpp/meta.cpp in the mod's root folder and keys/*.bikey; true when the file was one
+   * of them (they aren't scripts)
+   */
+  async addModFile(filePath, readContent) {
+    const segments = filePath.split('/');
+    const name = segments[segments.length - 1].toLowerCase();
+
+    if (name.endsWith('.bikey')) {
+      this.getModInfo().keys.push(filePath);
+      return true;
+    }
+    if (!MOD_INFO_FILES.includes(name) || segments.length > 2) return false;
+
+    const modInfo = this.getModInfo();
+    try {
+      const root = parseConfigText(await readContent(), filePath);
+      const property = key => getConfigProperty(root, key) ?? null;
+      if (name === 'mod.cpp') {
+        Object.assign(modInfo, { name: property('name') ?? modInfo.name, author: property('author'), version: property('version') });
+      } else {
+        modInfo.publishedId = property('publishedid') !== null ? String(property('publishedid')) : null;
+        modInfo.name = modInfo.name || property('name');
+      }
+    } catch (error) {
+      modInfo.errors.push({ file: filePath, message: error.message });
+    }
+    return true;
+  }
+
+  getModInfo() {
+    if (!this.modInfo) {
+      this.modInfo = { name: null, author: null, version: null, publishedId: null, keys: [], errors: [] };
+    }
+    return this.modInfo;
+  }
+
   getFiles() {
     return this.files;
   }
@@ -0,0 +1,70 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { createHash } from 'crypto';
+
+// Finding fingerprints that survive line shifts.
+//
+// A fingerprint hashes the rule, the file, the enclosing Class.Method and the text of the
+// reported line (whitespace collapsed), never the line number. Adding code above a
+// finding keeps its fingerprint; editing the flagged line or moving it to another method
+// changes it. Identical keys in one file are told apart by their order.
+
+/**
+ * Set `fingerprint` and `id` on every finding of one file (findings from the same
+ * analysis run). The id is the rule plus a short fingerprint, for issue trackers.
+ */
+export function assignFingerprints(findings, file, scope) {
+  const lines = file.content.split('\n');
+  const lineStarts = getLineStarts(file.content);
+  const seen = new Map();
+
+  const ordered = [...findings].sort((a, b) => (a.line || 0) - (b.line || 0));
+  for (const finding of ordered) {
+    const key = getFingerprintKey(finding, file.path, lines, lineStarts, scope);
+    const occurrence = seen.get(key) || 0;
+    seen.set(key, occurrence + 1);
+
+    finding.fingerprint = hash(`${key}#${occurrence}`);
+    finding.id = `${finding.ruleId}@${finding.fingerprint.substring(0, 8)}`;
+  }
+
+  return findings;
+}
+
+export function getFingerprintKey(finding, filePath, lines, lineStarts, scope) {
+  const path = filePath.replace(/\\/g, '/').toLowerCase();
+
+  // File-level findings have no line; their message is all that identifies them
+  if (!finding.line) {
+    return [finding.ruleId, path, '', normalize(finding.message).replace(/\d+/g, '#')].join('\u0000');
+  }
+
+  const text = lines[finding.line - 1] || '';
+  const offset = lineStarts[finding.line - 1] + (text.length - text.trimStart().length);
+  const context = scope ? scope.at(offset) : null;
+  const owner = context && context.method ? `${context.className || ''}.${context.method}` : '';
+
+  return [finding.ruleId, path, owner, normalize(text)].join('\u0000');
+}
+
+function normalize(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function getLineStarts(content) {
+  const starts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') starts.push(i + 1);
+  }
+  return starts;
+}
+
+function hash(value) {
+  return createHash('sha1').update(value).digest('hex').substring(0, 16);
+}
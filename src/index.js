@@ -0,0 +1,87 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+// Programmatic API
+
+import path from 'path';
+import { FileParser } from './fileParser.js';
+import { PerformanceAnalyzer } from './analyzer.js';
+import { loadConfig, getConfigDir } from './config.js';
+import { loadPlugins } from './plugins.js';
+import { loadDeclarativeRules } from './declarativeRules.js';
+
+export { FileParser } from './fileParser.js';
+export { PerformanceAnalyzer } from './analyzer.js';
+export { Reporter, ModpackReporter } from './reporter.js';
+export { ModpackAnalyzer } from './modpack.js';
+export { AddonDependencies } from './addonDependencies.js';
+export { Baseline } from './baseline.js';
+export { performanceRules, SEVERITY, CATEGORY, CONFIDENCE } from './rules.js';
+export { enhancedRules } from './enhancedRules.js';
+export { loadConfig, parseConfig, normalizeConfig, parseConfidence, parseContextLines, CONFIG_FILE_NAMES } from './config.js';
+export { loadPlugins, PLUGIN_API, PLUGIN_API_VERSION } from './plugins.js';
+export { loadDeclarativeRules, parseRuleFile } from './declarativeRules.js';
+export { getFixableFindings, applyFixes, createPatch } from './autofix.js';
+export { getRuleCatalog } from './ruleCatalog.js';
+export { runRuleTests, parseExpectations } from './ruleTester.js';
+export { loadVanillaApi, getVanillaVersions, parseDayzVersion, DEFAULT_DAYZ_VERSION } from './vanillaApi.js';
+export { DEPRECATIONS, getDeprecations, parseTargetVersion } from './dayzDeprecations.js';
+export { Preprocessor, BUILD_CONFIGURATIONS, parseBuildConfigurations } from './preprocessor.js';
+export { ScriptModules, SCRIPT_MODULES } from './scriptModules.js';
+export { parseConfigText, parseRapified, isRapified, getConfigClass, getConfigProperty } from './configParser.js';
+export { AddonConfig, readAddonConfig, isAddonConfig } from './addonConfig.js';
+export * as ast from './ast.js';
+
+/**
+ * Parse and analyze a mod archive (.zip or .pbo) or unpacked mod folder. The config is resolved the same way
+ * as the CLI: `options.configPath`, then a .dayzperfrc in the archive, then one next to
+ * it. Pass `options.config` to skip the lookup. Plugins and rule files listed in the config are loaded.
+ * `options.baseline` (a Baseline) moves known findings out of the counted issues, and
+ * `options.minConfidence` ('high', 'medium' or 'low') those less certain than that.
+ * `options.contextLines` overrides how many source lines each finding's snippet shows.
+ * `options.dayzVersion` picks the vanilla API data overrides are checked against, and
+ * `options.targetVersion` the DayZ version deprecated calls are flagged for.
+ * `options.configurations` limits the build configurations (see preprocessor.js) analyzed.
+ */
+export async function analyzeMod(filePath, options = {}) {
+  const parser = new FileParser(filePath);
+  const files = await parser.parse();
+
+  const config = options.config || await loadConfig({
+    configPath: options.configPath,
+    embedded: parser.configFile,
+    searchDir: path.dirname(path.resolve(filePath))
+  });
+
+  const baseDir = getConfigDir(config);
+  const plugins = await loadPlugins(config, { baseDir });
+  const declarativeRules = await loadDeclarativeRules(config, { baseDir, existingIds: plugins.rules.map(rule => rule.id) });
+  const analyzer = new PerformanceAnalyzer(files, {
+    config,
+    plugins,
+    declarativeRules,
+    baseline: options.baseline,
+    minConfidence: options.minConfidence,
+    contextLines: options.contextLines,
+    dayzVersion: options.dayzVersion,
+    targetVersion: options.targetVersion,
+    configurations: options.configurations,
+    addonConfigs: parser.addonConfigs,
+    pbos: parser.pbos,
+    modInfo: parser.modInfo
+  });
+  const results = analyzer.analyze();
+
+  return {
+    results,
+    score: analyzer.getScore(),
+    rating: analyzer.getRating(),
+    scoreDetails: analyzer.getScoreDetails(),
+    analyzer
+  };
+}
@@ -0,0 +1,281 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { tokenize } from './enforceLexer.js';
+import { parseEnforce } from './enforceParser.js';
+import { walk, getCalleeName, callsSuper, LOOP_TYPES } from './ast.js';
+import { SymbolIndex } from './symbolIndex.js';
+import { CallGraph, methodKey } from './callGraph.js';
+import { DAYZ_FUNCTIONS } from './dayzKnowledge.js';
+import { AddonConfig } from './addonConfig.js';
+import { AddonDependencies } from './addonDependencies.js';
+
+// Load-order analysis for a server modpack.
+//
+// `modded class` blocks from every mod are chained in load order: the last one loaded is
+// what the engine calls, and each link reaches the previous one (and finally vanilla)
+// only through super.Method(). A link that doesn't call super silently disables every
+// link loaded before it, including other mods' logic. The CfgPatches of the mods are
+// checked as well: see addonDependencies.js.
+
+// Methods the engine calls every frame/tick on the hot vanilla classes
+const TICK_METHODS = [...DAYZ_FUNCTIONS.PER_FRAME_METHODS, 'OnScheduledTick'];
+
+const HEAVY_CALLS = new Set([
+  ...DAYZ_FUNCTIONS.HEAVY_FUNCTIONS.filter(name => !name.includes('.')),
+  ...DAYZ_FUNCTIONS.NETWORK_FUNCTIONS,
+  ...DAYZ_FUNCTIONS.FILE_IO_FUNCTIONS,
+  ...DAYZ_FUNCTIONS.BLOCKING_FUNCTIONS
+]);
+
+export class ModpackAnalyzer {
+  /**
+   * @param mods [{ name, files, addonConfigs? }] in load order (files and addonConfigs as
+   * read by FileParser)
+   */
+  constructor(mods) {
+    this.mods = mods.map(mod => ({ ...mod, addonConfig: new AddonConfig(mod.addonConfigs || []) }));
+    this.sources = [];
+    this.index = null;
+    this.callGraph = null;
+  }
+
+  analyze() {
+    console.log(`Analyzing ${this.mods.length} mods in load order...`);
+
+    for (const mod of this.mods) {
+      for (const file of mod.files) {
+        const ast = parseEnforce(file.content, tokenize(file.content));
+        this.sources.push({ path: file.path, mod: mod.name, ast });
+      }
+    }
+
+    this.index = SymbolIndex.build(this.sources);
+    this.callGraph = CallGraph.build(this.index, this.sources);
+
+    const chains = this.getChains();
+    const overrides = chains.filter(chain => new Set(chain.links.map(link => link.mod)).size > 1);
+    const brokenChains = chains.flatMap(chain => this.getBreaks(chain));
+    const tickWork = this.getTickWork(chains);
+    const dependencies = new AddonDependencies(this.mods).analyze(this.index);
+
+    return {
+      summary: {
+        mods: this.mods.length,
+        files: this.sources.length,
+        sharedOverrides: overrides.length,
+        brokenChains: brokenChains.length,
+        addons: dependencies.loadOrder.length,
+        missingDependencies: dependencies.missing.length,
+        circularDependencies: dependencies.circular.length,
+        duplicateAddons: dependencies.duplicates.length
+      },
+      mods: this.mods.map((mod, i) => ({
+        name: mod.name,
+        loadOrder: i + 1,
+        files: mod.files.length,
+        moddedClasses: this.getModdedClasses(mod.name),
+        addons: mod.addonConfig.getPatches().map(patch => patch.name),
+        configErrors: mod.addonConfig.getErrors()
+      })),
+      overrides: overrides.map(chain => ({
+        className: chain.className,
+        method: chain.method,
+        vanilla: chain.vanilla,
+        vanillaRuns: chain.vanillaRuns,
+        links: chain.links.map(describeLink)
+      })),
+      brokenChains,
+      tickWork,
+      dependencies
+    };
+  }
+
+  /**
+   * Every (class, method) defined in more than one class declaration, as a chain of
+   * links in load order with whether each link actually runs
+   */
+  getChains() {
+    const chains = [];
+
+    for (const entry of this.index.classes.values()) {
+      const byName = new Map();
+      for (const method of entry.methods) {
+        if (method.isStatic) continue;
+        if (!byName.has(method.name)) byName.set(method.name, []);
+        byName.get(method.name).push(method);
+      }
+
+      // A class no mod declares is a vanilla class the chain ends in
+      const vanilla = !this.index.isDeclaredInMod(entry.name);
+
+      for (const [name, methods] of byName) {
+        if (methods.length < 2 && !(vanilla && methods.length === 1 && methods[0].modded)) continue;
+
+        const links = methods.map(method => ({
+          ...method,
+          callsSuper: callsSuper(method.node)
+        }));
+
+        // The last link loaded is what the engine calls; earlier ones only run through super
+        let runs = true;
+        for (let i = links.length - 1; i >= 0; i--) {
+          links[i].runs = runs;
+          runs = runs && links[i].modded && links[i].callsSuper;
+        }
+
+        chains.push({
+          className: entry.name,
+          method: name,
+          vanilla,
+          vanillaRuns: vanilla && runs,
+          links
+        });
+      }
+    }
+
+    return chains;
+  }
+
+  /**
+   * Links that don't call super and so disable another mod's links loaded before them.
+   * Overrides that only skip vanilla are reported per mod by missing-super-call.
+   */
+  getBreaks(chain) {
+    const breaks = [];
+
+    chain.links.forEach((link, i) => {
+      if (!link.modded || link.callsSuper) return;
+
+      const disabled = chain.links.slice(0, i).filter(other => other.mod !== link.mod);
+      if (disabled.length === 0) return;
+
+      breaks.push({
+        className: chain.className,
+        method: chain.method,
+        brokenBy: describeLink(link),
+        disabled: disabled.map(describeLink),
+        disablesVanilla: chain.vanilla,
+        // A later link without super makes this break irrelevant, but it's still a break
+        effective: link.runs
+      });
+    });
+
+    return breaks;
+  }
+
+  /**
+   * Work every mod adds to the per-frame/per-tick methods of hot vanilla classes
+   */
+  getTickWork(chains) {
+    const work = [];
+
+    for (const className of DAYZ_FUNCTIONS.HOT_VANILLA_CLASSES) {
+      const entry = this.index.getClass(className);
+      if (!entry) continue;
+
+      const repeating = [...this.callGraph.entries]
+        .filter(([key, label]) => label === 'repeating CallLater' && key.startsWith(`${className}::`))
+        .map(([key]) => key.slice(className.length + 2));
+      const methodNames = [...new Set([...TICK_METHODS, ...repeating])];
+
+      for (const name of methodNames) {
+        const methods = this.index.getMethods(className, name);
+        if (methods.length === 0) continue;
+
+        const chain = chains.find(c => c.className === className && c.method === name);
+        const links = chain ? chain.links : methods.map(method => ({ ...method, runs: true }));
+
+        const contributions = links.map(link => ({
+          ...describeLink(link),
+          runs: link.runs,
+          ...this.measure(link.node, className)
+        }));
+
+        const running = contributions.filter(c => c.runs);
+        work.push({
+          className,
+          method: name,
+          repeating: repeating.includes(name),
+          total: {
+            calls: running.reduce((sum, c) => sum + c.calls, 0),
+            loops: running.reduce((sum, c) => sum + c.loops, 0),
+            heavyCalls: running.flatMap(c => c.heavyCalls)
+          },
+          contributions
+        });
+      }
+    }
+
+    return work.sort((a, b) => b.total.calls - a.total.calls);
+  }
+
+  /**
+   * Calls, loops and heavy engine calls in a method body plus the mod methods it reaches
+   */
+  measure(method, className) {
+    const result = { calls: 0, loops: 0, heavyCalls: [], helpers: [] };
+    if (!method.body) return result;
+
+    const types = this.callGraph.collectLocalTypes(method);
+    const pending = [];
+    const seen = new Set([methodKey(className, method.name)]);
+
+    const count = (body, owner, localTypes) => {
+      walk(body, node => {
+        if (LOOP_TYPES.has(node.type)) result.loops++;
+        if (node.type !== 'CallExpression') return;
+
+        result.calls++;
+        const name = getCalleeName(node);
+        if (HEAVY_CALLS.has(name)) result.heavyCalls.push(name);
+
+        // super.X() continues the chain, which is measured link by link
+        if (node.callee.type === 'MemberExpression' && node.callee.object.type === 'SuperExpression') return;
+
+        for (const key of this.callGraph.resolveCall(node, owner, localTypes)) {
+          if (seen.has(key)) continue;
+          seen.add(key);
+          pending.push(key);
+        }
+      });
+    };
+
+    count(method.body, className, types);
+
+    while (pending.length > 0) {
+      const key = pending.shift();
+      const helper = this.callGraph.methods.get(key);
+      result.helpers.push(`${helper.className ? `${helper.className}.` : ''}${helper.name}()`);
+
+      for (const definition of this.index.getMethods(helper.className, helper.name)) {
+        if (!definition.node.body) continue;
+        count(definition.node.body, helper.className, this.callGraph.collectLocalTypes(definition.node));
+      }
+    }
+
+    return result;
+  }
+
+  getModdedClasses(modName) {
+    return [...this.index.classes.values()]
+      .filter(entry => entry.declarations.some(d => d.mod === modName && d.modded))
+      .map(entry => entry.name);
+  }
+}
+
+function describeLink(link) {
+  return {
+    mod: link.mod,
+    file: link.file,
+    line: link.line,
+    modded: link.modded,
+    callsSuper: link.callsSuper,
+    runs: link.runs
+  };
+}
@@ -44,19 +44,31 @@
 // These constants are valid as of 11/11/2025 and fetched by ozziehouso using HxD.
 
 import { promises as fs } from 'fs';
+import { isAddonConfig, readAddonConfig } from './addonConfig.js';
 
 const PACKING_METHOD_UNCOMPRESSED = 0x00000000;
 const PACKING_METHOD_PACKED = 0x43707273; // 'Cprs' - LZH compression
 const PACKING_METHOD_PRODUCT = 0x56657273; // 'Vers' - Signature/metadata entry
 
 export class PBOParser {
-  constructor(pboPath) {
+  /**
+   * @param basePath for a PBO inside a mod archive or folder (e.g. 'addons/MyMod.pbo'):
+   * extracted paths become '<basePath>/<path in the PBO>' with forward slashes
+   */
+  constructor(pboPath, { basePath = null } = {}) {
     this.pboPath = pboPath;
+    this.basePath = basePath;
+    this.prefix = null;
     this.files = [];
+    this.addonConfigs = [];
   }
 
   async parse() {
     const buffer = await fs.readFile(this.pboPath);
+    return this.parseBuffer(buffer);
+  }
+
+  parseBuffer(buffer) {
     let offset = 0;
 
     const entries = [];
@@ -71,6 +83,7 @@ export class PBOParser {
         offset = prop.newOffset;
         if (!prop.name) break;
         console.log(`Property: ${prop.name} = ${prop.value}`);
+        if (prop.name === 'prefix') this.prefix = prop.value;
       }
     } else if (firstEntry.fileName !== '') {
       console.log(`First entry is content file: ${firstEntry.fileName}`);
@@ -93,24 +106,24 @@ export class PBOParser {
     console.log(`Total entries found: ${entries.length}`);
 
     for (const entry of entries) {
-      if (entry.fileName.toLowerCase().endsWith('.c') || entry.fileName.toLowerCase().endsWith('.cpp')) {
-        console.log(`Processing script file: ${entry.fileName}`);
-        const fileData = buffer.slice(offset, offset + entry.dataSize);
+      if (isAddonConfig(entry.fileName)) {
+        // config.cpp or the binarized config.bin: CfgPatches, CfgMods, CfgVehicles
+        const data = this.readEntryData(buffer, offset, entry);
         offset += entry.dataSize;
-
-        let content;
-        if (entry.packingMethod === PACKING_METHOD_UNCOMPRESSED) {
-          content = fileData.toString('utf8');
-        } else if (entry.packingMethod === PACKING_METHOD_PACKED) {
-          content = this.decompressLZH(fileData, entry.originalSize);
-        } else {
-          console.warn(`Unknown packing method for ${entry.fileName}: 0x${entry.packingMethod.toString(16)}`);
-          continue;
+        if (data) {
+          console.log(`Extracted addon config: ${entry.fileName}`);
+          this.addonConfigs.push(readAddonConfig(this.getPath(entry.fileName), data));
         }
+      } else if (entry.fileName.toLowerCase().endsWith('.c') || entry.fileName.toLowerCase().endsWith('.cpp')) {
+        console.log(`Processing script file: ${entry.fileName}`);
+        const data = this.readEntryData(buffer, offset, entry);
+        offset += entry.dataSize;
+        if (!data) continue;
 
+        const content = data.toString('utf8');
         console.log(`Extracted ${entry.fileName}: ${content.length} bytes`);
         this.files.push({
-          path: entry.fileName,
+          path: this.getPath(entry.fileName),
           name: entry.fileName.split(/[\\/]/).pop(),
           content: content,
           lines: content.split('\n'),
@@ -126,6 +139,24 @@ export class PBOParser {
     return this.files;
   }
 
+  getPath(fileName) {
+    return this.basePath ? `${this.basePath}/${fileName.replace(/\\/g, '/')}` : fileName;
+  }
+
+  // Entry data, decompressed; null for an unknown packing method
+  readEntryData(buffer, offset, entry) {
+    const fileData = buffer.slice(offset, offset + entry.dataSize);
+
+    if (entry.packingMethod === PACKING_METHOD_UNCOMPRESSED) {
+      return fileData;
+    } else if (entry.packingMethod === PACKING_METHOD_PACKED) {
+      return this.decompressLZH(fileData, entry.originalSize);
+    }
+
+    console.warn(`Unknown packing method for ${entry.fileName}: 0x${entry.packingMethod.toString(16)}`);
+    return null;
+  }
+
   readHeaderEntry(buffer, offset) {
     const fileName = this.readCString(buffer, offset);
     offset = fileName.newOffset;
@@ -228,7 +259,7 @@ export class PBOParser {
       }
     }
 
-    return output.toString('utf8');
+    return output;
   }
 
   getFiles() {
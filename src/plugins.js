@@ -0,0 +1,171 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import { performanceRules, SEVERITY, CATEGORY, CONFIDENCE } from './rules.js';
+import { enhancedRules } from './enhancedRules.js';
+import { walk, findAll, findCalls, getCalleeName, getExpressionPath, getEnclosing, getClasses, getMethods, nodeText, getSpan, callsSuper } from './ast.js';
+import { validateDocs } from './ruleCatalog.js';
+
+// Rule packs loaded from the `plugins` list in .dayzperfrc.
+//
+// An entry is a local path (a plugin module, or a directory of them) or the name of an
+// installed npm package. A plugin module default-exports either
+//
+//   { name, version, apiVersion, rules: [...] }
+//
+// or a function receiving PLUGIN_API and returning that object. Rules have the same
+// shape as the built-in ones. A plugin that fails to load or has invalid rules is
+// reported in `errors` and skipped; it never stops the analysis.
+
+export const PLUGIN_API_VERSION = 1;
+
+export const PLUGIN_API = {
+  apiVersion: PLUGIN_API_VERSION,
+  SEVERITY,
+  CATEGORY,
+  CONFIDENCE,
+  ast: { walk, findAll, findCalls, getCalleeName, getExpressionPath, getEnclosing, getClasses, getMethods, nodeText, getSpan, callsSuper }
+};
+
+const PLUGIN_EXTENSIONS = new Set(['.js', '.mjs', '.cjs']);
+
+/**
+ * Load every plugin listed in config.plugins. Relative paths and package names are
+ * resolved from `baseDir` (the directory of the config file).
+ * Returns { plugins, rules, errors }.
+ */
+export async function loadPlugins(config, { baseDir = process.cwd() } = {}) {
+  const result = { plugins: [], rules: [], errors: [] };
+  const ruleIds = new Set([...performanceRules, ...enhancedRules].map(rule => rule.id));
+
+  for (const specifier of config.plugins || []) {
+    let modules;
+    try {
+      modules = await resolvePlugin(specifier, baseDir);
+    } catch (error) {
+      result.errors.push({ plugin: specifier, message: `Failed to load plugin: ${error.message.split('\n')[0]}` });
+      continue;
+    }
+
+    for (const modulePath of modules) {
+      try {
+        const plugin = await importPlugin(modulePath);
+        const { rules, errors } = validatePlugin(plugin, ruleIds);
+
+        for (const message of errors) {
+          result.errors.push({ plugin: plugin.name, message });
+        }
+        result.rules.push(...rules);
+
+        result.plugins.push({
+          name: plugin.name,
+          version: plugin.version || null,
+          apiVersion: plugin.apiVersion || PLUGIN_API_VERSION,
+          source: modulePath,
+          rules: rules.map(rule => rule.id)
+        });
+      } catch (error) {
+        result.errors.push({ plugin: specifier, message: `Failed to load plugin ${modulePath}: ${error.message}` });
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Module file(s) for a plugin specifier
+ */
+async function resolvePlugin(specifier, baseDir) {
+  const isPath = specifier.startsWith('.') || path.isAbsolute(specifier);
+
+  if (!isPath) {
+    const require = createRequire(path.join(baseDir, 'noop.js'));
+    return [require.resolve(specifier)];
+  }
+
+  const target = path.resolve(baseDir, specifier);
+  const stat = await fs.stat(target);
+  if (!stat.isDirectory()) return [target];
+
+  // A directory with a package.json or index.js is one plugin; otherwise every module in it is
+  const entries = await fs.readdir(target);
+  if (entries.includes('package.json')) {
+    const pkg = JSON.parse(await fs.readFile(path.join(target, 'package.json'), 'utf8'));
+    return [path.join(target, pkg.main || 'index.js')];
+  }
+  if (entries.includes('index.js')) return [path.join(target, 'index.js')];
+
+  return entries
+    .filter(name => PLUGIN_EXTENSIONS.has(path.extname(name)))
+    .sort()
+    .map(name => path.join(target, name));
+}
+
+async function importPlugin(modulePath) {
+  const module = await import(pathToFileURL(modulePath).href);
+  let plugin = module.default ?? module;
+
+  if (typeof plugin === 'function') {
+    plugin = await plugin(PLUGIN_API);
+  }
+
+  if (!plugin || typeof plugin !== 'object') {
+    throw new Error('plugin must export an object or a function returning one');
+  }
+  if (typeof plugin.name !== 'string' || !plugin.name) {
+    throw new Error('plugin is missing a name');
+  }
+  if (plugin.apiVersion && plugin.apiVersion > PLUGIN_API_VERSION) {
+    throw new Error(`plugin ${plugin.name} requires plugin API v${plugin.apiVersion} (this analyzer provides v${PLUGIN_API_VERSION})`);
+  }
+  if (!Array.isArray(plugin.rules)) {
+    throw new Error(`plugin ${plugin.name} must export a rules array`);
+  }
+
+  return plugin;
+}
+
+/**
+ * Split a plugin's rules into valid ones (tagged with the plugin name) and error messages.
+ * Accepted ids are added to `existingIds`.
+ */
+export function validatePlugin(plugin, existingIds = new Set()) {
+  const rules = [];
+  const errors = [];
+
+  for (const [i, rule] of plugin.rules.entries()) {
+    const problem = validateRule(rule, existingIds);
+    if (problem) {
+      errors.push(`Rule ${rule && rule.id ? rule.id : `#${i}`} skipped: ${problem}`);
+      continue;
+    }
+    existingIds.add(rule.id);
+    rules.push({ ...rule, plugin: plugin.name });
+  }
+
+  return { rules, errors };
+}
+
+function validateRule(rule, existingIds) {
+  if (!rule || typeof rule !== 'object') return 'not an object';
+  if (typeof rule.id !== 'string' || !/^[a-z0-9][a-z0-9-/]*$/i.test(rule.id)) return 'id must be a non-empty string of letters, digits, - and /';
+  if (existingIds.has(rule.id)) return `a rule with id '${rule.id}' is already registered`;
+  if (typeof rule.name !== 'string' || !rule.name) return 'name is required';
+  if (!Object.values(SEVERITY).includes(rule.severity)) return `severity must be one of ${Object.values(SEVERITY).join(', ')}`;
+  if (rule.category !== undefined && !Object.values(CATEGORY).includes(rule.category)) return `category must be one of ${Object.values(CATEGORY).join(', ')}`;
+  if (rule.confidence !== undefined && !Object.values(CONFIDENCE).includes(rule.confidence)) return `confidence must be one of ${Object.values(CONFIDENCE).join(', ')}`;
+  if (!(rule.pattern instanceof RegExp) && typeof rule.query !== 'function') return 'a pattern (RegExp) or query (function) is required';
+  if (rule.pattern instanceof RegExp && !rule.pattern.global) return 'pattern must use the g flag';
+  if (rule.check !== undefined && typeof rule.check !== 'function') return 'check must be a function';
+  return validateDocs(rule.docs);
+}
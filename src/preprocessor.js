@@ -0,0 +1,291 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { tokenize, TOKEN } from './enforceLexer.js';
+
+// Enforce preprocessor pass.
+//
+// Scripts are analyzed per build configuration: with the configuration's defines,
+// `#ifdef`/`#ifndef`/`#else`/`#endif` decide which code exists, `#define` adds a define
+// for the rest of the file and `#include` brings in the defines of the included file.
+// Inactive code is blanked out rather than removed, so offsets and line numbers of the
+// remaining code stay those of the original file. As in the game, a `#define` also
+// reaches the other scripts of its script module and the modules compiled after it
+// (3_Game defines are seen in 4_World and 5_Mission).
+
+export const BUILD_CONFIGURATIONS = {
+  server: ['SERVER', 'PLATFORM_WINDOWS'],
+  client: ['PLATFORM_WINDOWS'],
+  dedicated: ['SERVER', 'NO_GUI', 'NO_GUI_INGAME', 'PLATFORM_WINDOWS'],
+  diag: ['DEVELOPER', 'DIAG_DEVELOPER', 'ENABLE_LOGGING', 'PLATFORM_WINDOWS']
+};
+
+const CONDITIONAL_PATTERN = /^[ \t]*#[ \t]*(ifdef|ifndef)\b/m;
+
+// Set by the engine in builds none of the configurations above stand for
+const OTHER_ENGINE_DEFINES = ['PLATFORM_CONSOLE', 'PLATFORM_XBOX', 'PLATFORM_PS4', 'PLATFORM_LINUX', 'BUILD_EXPERIMENTAL'];
+const VERSION_DEFINE_PATTERN = /^DAYZ_\d+_\d+$/;
+
+/**
+ * Validate build configuration names (--build, config `buildConfigurations`)
+ */
+export function parseBuildConfigurations(value) {
+  const names = (Array.isArray(value) ? value : String(value).split(','))
+    .map(name => String(name).trim().toLowerCase())
+    .filter(Boolean);
+
+  const unknown = names.find(name => !BUILD_CONFIGURATIONS[name]);
+  if (unknown) {
+    throw new Error(`unknown build configuration '${unknown}' (expected ${Object.keys(BUILD_CONFIGURATIONS).join(', ')})`);
+  }
+  if (names.length === 0) {
+    throw new Error(`no build configuration given (expected ${Object.keys(BUILD_CONFIGURATIONS).join(', ')})`);
+  }
+  return [...new Set(names)];
+}
+
+/**
+ * True when the file has code that depends on defines
+ */
+export function hasConditionals(content) {
+  return CONDITIONAL_PATTERN.test(content);
+}
+
+export class Preprocessor {
+  /**
+   * @param files the mod's script files; `#include` is resolved against their paths
+   */
+  constructor(files) {
+    this.files = files;
+    this.byPath = new Map(files.map(file => [normalizePath(file.path), file]));
+    this.directives = new Map();
+  }
+
+  /**
+   * Preprocess every file with a set of defines. Files are run module by module, lowest
+   * `getLayer(file)` first, and each sees the defines of its own module's files and of the
+   * modules before it. Returns { contents (path -> content), defines, warnings }.
+   */
+  runMod(defines, getLayer = () => 0) {
+    const layers = [...new Set(this.files.map(getLayer))].sort((a, b) => a - b);
+    const visible = new Set(defines);
+    const contents = new Map();
+    const warnings = [];
+
+    for (const layer of layers) {
+      const files = this.files.filter(file => getLayer(file) === layer);
+      // The order files of a module are compiled in isn't known, so they are run until
+      // no new define turns up: each new one can only enable more code
+      let results = [];
+      for (let pass = 0; pass <= files.length; pass++) {
+        const count = visible.size;
+        results = files.map(file => this.run(file, visible));
+        for (const result of results) {
+          for (const define of result.defines) visible.add(define);
+        }
+        if (visible.size === count) break;
+      }
+
+      files.forEach((file, i) => {
+        contents.set(file.path, results[i].content);
+        warnings.push(...results[i].warnings);
+      });
+    }
+
+    return { contents, defines: visible, warnings };
+  }
+
+  /**
+   * Warnings for `#ifdef`/`#ifndef` on a define that none of the analyzed configurations
+   * sets (`defined`: every define seen), so the code it guards is never analyzed. Engine
+   * defines of other platforms and versions are left out.
+   */
+  getUnsetConditionals(defined) {
+    const warnings = [];
+
+    for (const file of this.files) {
+      const stack = [];
+      for (const directive of this.getDirectives(file)) {
+        if (directive.name === 'ifdef' || directive.name === 'ifndef') {
+          stack.push({ directive, hasElse: false });
+        } else if (directive.name === 'else' && stack.length > 0) {
+          stack[stack.length - 1].hasElse = true;
+        } else if (directive.name === 'endif' && stack.length > 0) {
+          const { directive: conditional, hasElse } = stack.pop();
+          const name = conditional.argument;
+          if (!name || defined.has(name) || isEngineDefine(name)) continue;
+          if (conditional.name === 'ifndef' && !hasElse) continue;
+
+          const branch = conditional.name === 'ifdef' ? `#ifdef ${name}` : `the #else of #ifndef ${name}`;
+          warnings.push({
+            file: file.path,
+            line: conditional.line,
+            message: `code under ${branch} is never analyzed: ${name} isn't defined in any build configuration (add it to \`defines\` in .dayzperfrc to check it)`
+          });
+        }
+      }
+    }
+
+    return warnings;
+  }
+
+  /**
+   * Preprocess one file with a set of defines. Returns the content with inactive code
+   * blanked, the defines at the end of the file and warnings ({ file, line, message }).
+   */
+  run(file, defines, includeChain = []) {
+    if (this.getDirectives(file).length === 0) {
+      return { content: file.content, defines: new Set(defines), warnings: [] };
+    }
+
+    const active = new Set(defines);
+    const warnings = [];
+    const chars = file.content.split('');
+    // One entry per open #ifdef; code is active when every open branch is
+    const stack = [];
+    const isActive = () => stack.every(entry => entry.active);
+    let inactiveFrom = null;
+
+    const blankTo = end => {
+      for (let i = inactiveFrom; i < end; i++) {
+        if (chars[i] !== '\n' && chars[i] !== '\r') chars[i] = ' ';
+      }
+    };
+
+    for (const directive of this.getDirectives(file)) {
+      const wasActive = isActive();
+      const warn = message => warnings.push({ file: file.path, line: directive.line, message });
+
+      switch (directive.name) {
+        case 'ifdef':
+        case 'ifndef': {
+          const defined = active.has(directive.argument);
+          stack.push({ active: directive.name === 'ifdef' ? defined : !defined, seenElse: false, line: directive.line });
+          break;
+        }
+        case 'else': {
+          const entry = stack[stack.length - 1];
+          if (!entry) {
+            warn('#else without #ifdef');
+          } else if (entry.seenElse) {
+            warn('second #else for the same #ifdef');
+          } else {
+            entry.active = !entry.active;
+            entry.seenElse = true;
+          }
+          break;
+        }
+        case 'endif':
+          if (!stack.pop()) warn('#endif without #ifdef');
+          break;
+        case 'define':
+          if (wasActive && directive.argument) active.add(directive.argument);
+          break;
+        case 'undef':
+          if (wasActive) active.delete(directive.argument);
+          break;
+        case 'include':
+          if (wasActive) {
+            for (const define of this.include(file, directive, active, includeChain, warn)) {
+              active.add(define);
+            }
+          }
+          break;
+        default:
+          break;
+      }
+
+      // Blank from the end of the directive that made the code inactive up to the next one
+      const nowActive = isActive();
+      if (inactiveFrom !== null) blankTo(directive.start);
+      inactiveFrom = nowActive ? null : directive.end;
+    }
+
+    if (inactiveFrom !== null) blankTo(chars.length);
+    for (const entry of stack) {
+      warnings.push({ file: file.path, line: entry.line, message: '#ifdef without #endif' });
+    }
+
+    return { content: chars.join(''), defines: active, warnings };
+  }
+
+  // Defines the included file ends with; its code is analyzed as a file of its own
+  include(file, directive, defines, includeChain, warn) {
+    const target = this.resolveInclude(directive.argument);
+    if (!target) {
+      warn(`#include ${directive.argument} not found in the mod`);
+      return [];
+    }
+    if (target === file || includeChain.includes(target)) {
+      warn(`#include ${directive.argument} includes itself`);
+      return [];
+    }
+
+    return this.run(target, defines, [...includeChain, file]).defines;
+  }
+
+  // Include paths are relative to the game's file system (e.g. "MyMod/scripts/Defines.c"),
+  // mod paths to the archive; the longest common path suffix decides
+  resolveInclude(argument) {
+    const wanted = normalizePath(argument.replace(/^["<]|[">]$/g, '').replace(/^\$[A-Za-z]+:/, ''));
+    if (!wanted) return null;
+    if (this.byPath.has(wanted)) return this.byPath.get(wanted);
+
+    let best = null;
+    let bestLength = 0;
+    for (const [path, file] of this.byPath) {
+      const length = commonSuffixLength(path, wanted);
+      if (length > bestLength) {
+        best = file;
+        bestLength = length;
+      }
+    }
+    return best;
+  }
+
+  // Directive tokens come from the lexer, so a # inside a comment or string isn't one
+  getDirectives(file) {
+    if (!this.directives.has(file.path)) {
+      const directives = tokenize(file.content).tokens
+        .filter(token => token.type === TOKEN.DIRECTIVE)
+        .map(token => {
+          const match = token.value.match(/^#\s*(\w+)\s*(.*)$/s);
+          return {
+            name: match ? match[1] : '',
+            argument: match ? match[2].replace(/\\\r?\n/g, ' ').trim() : '',
+            start: token.start,
+            end: token.end,
+            line: token.line
+          };
+        });
+      this.directives.set(file.path, directives);
+    }
+    return this.directives.get(file.path);
+  }
+}
+
+function isEngineDefine(name) {
+  return Object.values(BUILD_CONFIGURATIONS).some(defines => defines.includes(name)) ||
+    OTHER_ENGINE_DEFINES.includes(name) || VERSION_DEFINE_PATTERN.test(name);
+}
+
+function normalizePath(filePath) {
+  return filePath.replace(/\\/g, '/').replace(/^\.?\//, '').toLowerCase();
+}
+
+// Length of the common tail counted in whole path segments, so "b/c.c" doesn't match "ab/c.c"
+function commonSuffixLength(a, b) {
+  const partsA = a.split('/');
+  const partsB = b.split('/');
+  let count = 0;
+  while (count < partsA.length && count < partsB.length &&
+    partsA[partsA.length - 1 - count] === partsB[partsB.length - 1 - count]) {
+    count++;
+  }
+  return count;
+}
@@ -8,6 +8,7 @@
 
 import chalk from 'chalk';
 import { SEVERITY } from './rules.js';
+import { formatSnippet } from './snippets.js';
 
 export class Reporter {
   constructor(results, analyzer) {
@@ -28,6 +29,7 @@ export class Reporter {
     }
 
     this.printFileStats();
+    this.printPBOStats();
     this.printRecommendations();
 
     console.log('\n' + '='.repeat(80));
@@ -39,6 +41,59 @@ export class Reporter {
     console.log(chalk.bold('Summary:'));
     console.log(`   Files Analyzed: ${s.totalFiles}`);
     console.log(`   Total Issues:   ${s.totalIssues}`);
+    if (s.suppressed > 0) {
+      console.log(chalk.gray(`   Suppressed:     ${s.suppressed} (dayz-perf-ignore comments)`));
+    }
+    if (s.baselined > 0 || s.baselineResolved > 0) {
+      console.log(chalk.gray(`   Baselined:      ${s.baselined} known (not counted), ${s.baselineResolved} resolved since baseline`));
+    }
+    if (s.belowConfidence > 0) {
+      console.log(chalk.gray(`   Low confidence: ${s.belowConfidence} (below --min-confidence, not counted)`));
+    }
+    if (s.merged > 0) {
+      console.log(chalk.gray(`   Merged:         ${s.merged} overlapping findings folded into others`));
+    }
+    if (this.results.errors.length > 0) {
+      console.log(chalk.yellow(`   Rule errors:    ${this.results.errors.length} (see "errors" in the JSON report)`));
+    }
+    const modInfo = this.results.modInfo;
+    if (modInfo) {
+      const details = [
+        modInfo.version && `v${modInfo.version}`,
+        modInfo.author && `by ${modInfo.author}`,
+        modInfo.publishedId && `Workshop ${modInfo.publishedId}`
+      ].filter(Boolean).join(', ');
+      console.log(chalk.gray(`   Mod:            ${modInfo.name || 'unnamed'}${details ? ` (${details})` : ''}`));
+      if (modInfo.keys.length > 0) {
+        console.log(chalk.gray(`   Keys:           ${modInfo.keys.map(key => key.split('/').pop()).join(', ')}`));
+      }
+      for (const error of modInfo.errors) {
+        console.log(chalk.yellow(`   Mod info:       ${error.message}`));
+      }
+    }
+    const preprocessor = this.results.preprocessor;
+    if (preprocessor) {
+      console.log(chalk.gray(`   Builds:         ${preprocessor.configurations.map(configuration => configuration.name).join(', ')}`));
+      for (const warning of preprocessor.warnings) {
+        console.log(chalk.yellow(`   Preprocessor:   ${warning.file}:${warning.line}: ${warning.message}`));
+      }
+    }
+    const scriptModules = this.results.scriptModules;
+    if (scriptModules) {
+      console.log(chalk.gray(`   Modules:        ${scriptModules.configs.length > 0 ? `CfgMods in ${scriptModules.configs.join(', ')}` : 'from folder names'}`));
+    }
+    const addonConfig = this.results.addonConfig;
+    if (addonConfig) {
+      for (const patch of addonConfig.patches) {
+        console.log(chalk.gray(`   Addon:          ${patch.name}${patch.requiredAddons.length > 0 ? ` (requires ${patch.requiredAddons.join(', ')})` : ''}`));
+      }
+      if (addonConfig.items.length > 0) {
+        console.log(chalk.gray(`   Item classes:   ${addonConfig.items.length}`));
+      }
+      for (const error of addonConfig.errors) {
+        console.log(chalk.yellow(`   Config:         ${error.message}`));
+      }
+    }
     console.log('');
     console.log(chalk.bold('   Issues by Severity:'));
 
@@ -66,7 +121,8 @@ export class Reporter {
   }
 
   printScore() {
-    const score = this.analyzer.getScore();
+    const details = this.analyzer.getScoreDetails();
+    const score = details.score;
     const rating = this.analyzer.getRating();
 
     let scoreColor = chalk.green;
@@ -79,7 +135,24 @@ export class Reporter {
 
     console.log(chalk.bold('Performance Score:'));
     console.log(`   ${scoreColor.bold(score)}/100 - ${ratingColor(rating)}`);
+    console.log(chalk.gray(`   ${details.lines} lines, size factor ${details.sizeFactor}`));
     console.log('');
+
+    console.log(chalk.bold('   By Category:'));
+    for (const [category, subscore] of Object.entries(details.categories)) {
+      const label = `${category}:`.padEnd(15);
+      console.log(`     ${label}${getScoreColor(subscore.score)(`${subscore.score}/100`)}${chalk.gray(` (${subscore.findings} findings)`)}`);
+    }
+    console.log('');
+
+    const costliest = details.explanation.byRule.filter(entry => entry.points > 0).slice(0, 5);
+    if (costliest.length > 0) {
+      console.log(chalk.bold('   Points lost by rule:'));
+      for (const entry of costliest) {
+        console.log(`     -${String(entry.points).padEnd(6)}${entry.ruleId}${chalk.gray(` (${entry.count}x, ${entry.category})`)}`);
+      }
+      console.log('');
+    }
   }
 
   printIssues() {
@@ -109,9 +182,26 @@ export class Reporter {
       console.log(severityColor.bold(`  ${severity} (${issues.length}):`));
 
       for (const issue of issues) {
-        console.log(severityColor(`    ${issue.ruleName}`));
-        console.log(`       ${chalk.gray(issue.file)}${issue.line ? chalk.gray(`:${issue.line}`) : ''}`);
+        console.log(severityColor(`    ${issue.ruleName}`) + chalk.gray(` (${issue.confidence} confidence)`));
+        console.log(`       ${chalk.gray(formatLocation(issue))}  ${chalk.gray(`[${issue.id}]`)}`);
         console.log(`       ${issue.message}`);
+        if (issue.snippet) {
+          for (const line of formatSnippet(issue.snippet)) {
+            console.log(`       ${chalk.gray(line)}`);
+          }
+        }
+        if (issue.callChain) {
+          console.log(`       ${chalk.gray(`Call chain: ${issue.callChain.join(' -> ')}`)}`);
+        }
+        if (issue.mergedWith) {
+          console.log(`       ${chalk.gray(`Also reported by: ${issue.mergedWith.map(other => other.ruleId).join(', ')}`)}`);
+        }
+        if (this.isBuildSpecific(issue)) {
+          console.log(`       ${chalk.gray(`Only in: ${issue.configurations.join(', ')}`)}`);
+        }
+        if (issue.fix) {
+          console.log(`       ${chalk.green(`Fix available: ${issue.fix.description}`)}`);
+        }
         console.log('');
       }
     }
@@ -135,7 +225,33 @@ export class Reporter {
     for (const file of topFiles) {
       const issueColor = file.issueCount > 5 ? chalk.red : file.issueCount > 2 ? chalk.yellow : chalk.blue;
       console.log(`   ${file.file}`);
-      console.log(`     Issues: ${issueColor.bold(file.issueCount)}, Lines: ${file.lines}, Size: ${this.formatBytes(file.size)}`);
+      console.log(`     Issues: ${issueColor.bold(file.issueCount)}, Lines: ${file.lines}, Size: ${this.formatBytes(file.size)}${file.module ? `, Module: ${file.module}` : ''}`);
+    }
+
+    console.log('');
+  }
+
+  printPBOStats() {
+    const pbos = this.results.pbos || [];
+    if (pbos.length === 0) return;
+
+    console.log(chalk.bold('PBOs:\n'));
+
+    for (const pbo of pbos) {
+      if (pbo.error) {
+        console.log(`   ${pbo.path}`);
+        console.log(chalk.yellow(`     Could not be read: ${pbo.error}`));
+        continue;
+      }
+
+      const counts = [
+        pbo.critical > 0 && chalk.red(`${pbo.critical} critical`),
+        pbo.high > 0 && chalk.redBright(`${pbo.high} high`),
+        pbo.medium > 0 && chalk.yellow(`${pbo.medium} medium`),
+        pbo.low > 0 && chalk.blue(`${pbo.low} low`)
+      ].filter(Boolean);
+      console.log(`   ${pbo.path}${pbo.prefix ? chalk.gray(` (${pbo.prefix})`) : ''}`);
+      console.log(`     Score: ${getScoreColor(pbo.score)(`${pbo.score}/100`)}, Issues: ${pbo.issues}${counts.length > 0 ? ` (${counts.join(', ')})` : ''}, Files: ${pbo.files}, Lines: ${pbo.lines}`);
     }
 
     console.log('');
@@ -180,20 +296,20 @@ export class Reporter {
     return JSON.stringify({
       score: this.analyzer.getScore(),
       rating: this.analyzer.getRating(),
+      scoreDetails: this.analyzer.getScoreDetails(),
       timestamp: new Date().toISOString(),
       ...this.results
     }, null, 2);
   }
 
   getSeverityColor(severity) {
-    switch (severity) {
-      case SEVERITY.CRITICAL: return chalk.red;
-      case SEVERITY.HIGH: return chalk.redBright;
-      case SEVERITY.MEDIUM: return chalk.yellow;
-      case SEVERITY.LOW: return chalk.blue;
-      case SEVERITY.INFO: return chalk.gray;
-      default: return chalk.white;
-    }
+    return getSeverityColor(severity);
+  }
+
+  // Found in some of the analyzed build configurations, not all
+  isBuildSpecific(issue) {
+    const analyzed = this.results.preprocessor ? this.results.preprocessor.configurations.length : 0;
+    return !!issue.configurations && issue.configurations.length < analyzed;
   }
 
   formatBytes(bytes) {
@@ -202,3 +318,293 @@ export class Reporter {
     return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
   }
 }
+
+// Console/JSON output for `dayz-perf modpack`
+export class ModpackReporter {
+  constructor(results) {
+    this.results = results;
+  }
+
+  generateConsoleReport() {
+    const s = this.results.summary;
+
+    console.log('\n' + '='.repeat(80));
+    console.log(chalk.bold.cyan('  DayZ Modpack Load-Order Report'));
+    console.log('='.repeat(80) + '\n');
+
+    console.log(chalk.bold('Load Order:'));
+    for (const mod of this.results.mods) {
+      console.log(`   ${mod.loadOrder}. ${mod.name} ${chalk.gray(`(${mod.files} files, ${mod.moddedClasses.length} modded classes)`)}`);
+      if (mod.addons.length > 0) {
+        console.log(chalk.gray(`       Addons: ${mod.addons.join(', ')}`));
+      }
+      for (const error of mod.configErrors) {
+        console.log(chalk.yellow(`       Config: ${error.message}`));
+      }
+    }
+    console.log('');
+
+    console.log(chalk.bold('Summary:'));
+    console.log(`   Script files:       ${s.files}`);
+    console.log(`   Shared overrides:   ${s.sharedOverrides}`);
+    console.log(`   Broken super chains: ${s.brokenChains > 0 ? chalk.red.bold(s.brokenChains) : chalk.green(0)}`);
+    console.log(`   Addons (CfgPatches): ${s.addons}`);
+    console.log(`   Missing dependencies: ${s.missingDependencies > 0 ? chalk.red.bold(s.missingDependencies) : chalk.green(0)}`);
+    console.log(`   Circular dependencies: ${s.circularDependencies > 0 ? chalk.red.bold(s.circularDependencies) : chalk.green(0)}`);
+    console.log(`   Duplicate addons:   ${s.duplicateAddons > 0 ? chalk.yellow.bold(s.duplicateAddons) : chalk.green(0)}`);
+    console.log('');
+
+    this.printBrokenChains();
+    this.printDependencies();
+    this.printOverrides();
+    this.printTickWork();
+
+    console.log('='.repeat(80));
+  }
+
+  printBrokenChains() {
+    if (this.results.brokenChains.length === 0) return;
+
+    console.log(chalk.bold('Broken Super Chains:\n'));
+    for (const broken of this.results.brokenChains) {
+      const by = broken.brokenBy;
+      console.log(chalk.red(`   ${broken.className}.${broken.method}() in ${by.mod} doesn't call super`));
+      console.log(`       ${chalk.gray(`${by.file}:${by.line}`)}`);
+      for (const link of broken.disabled) {
+        console.log(`       disables ${chalk.yellow(link.mod)} ${chalk.gray(`${link.file}:${link.line}`)}`);
+      }
+      if (broken.disablesVanilla) {
+        console.log(chalk.gray('       and the vanilla implementation'));
+      }
+      if (!broken.effective) {
+        console.log(chalk.gray('       (itself disabled by a later mod)'));
+      }
+      console.log('');
+    }
+  }
+
+  printDependencies() {
+    const d = this.results.dependencies;
+
+    if (d.missing.length > 0) {
+      console.log(chalk.bold('Missing Dependencies:\n'));
+      for (const missing of d.missing) {
+        console.log(chalk.red(`   ${missing.addon} (${missing.mod}) modifies classes of ${missing.requiredAddon} (${missing.requiredMod}) without requiring it`));
+        console.log(`       ${chalk.gray(`${missing.file}:${missing.line}`)}`);
+        console.log(`       modded: ${missing.classes.join(', ')}`);
+        console.log(chalk.gray(`       add "${missing.requiredAddon}" to requiredAddons[] of ${missing.addon}`));
+      }
+      console.log('');
+    }
+
+    if (d.circular.length > 0) {
+      console.log(chalk.bold('Circular Dependencies:\n'));
+      for (const cycle of d.circular) {
+        console.log(chalk.red(`   ${cycle.addons.join(' -> ')}`));
+      }
+      console.log('');
+    }
+
+    if (d.duplicates.length > 0) {
+      console.log(chalk.bold('Duplicate CfgPatches Names:\n'));
+      for (const duplicate of d.duplicates) {
+        console.log(chalk.yellow(`   ${duplicate.name}`));
+        for (const declaration of duplicate.declarations) {
+          console.log(`       ${declaration.mod} ${chalk.gray(declaration.file)}`);
+        }
+      }
+      console.log('');
+    }
+
+    if (d.unresolved.length > 0) {
+      console.log(chalk.bold('Required Addons Not in the Modpack:\n'));
+      for (const unresolved of d.unresolved) {
+        console.log(`   ${unresolved.addon} (${unresolved.mod}) requires ${chalk.yellow(unresolved.requiredAddon)}`);
+      }
+      console.log('');
+    }
+
+    if (d.loadOrder.length > 0) {
+      console.log(chalk.bold('Resolved Addon Load Order:\n'));
+      d.loadOrder.forEach((addon, i) => {
+        console.log(`   ${i + 1}. ${addon.name} ${chalk.gray(`(${addon.mod})`)}`);
+      });
+      console.log('');
+    }
+  }
+
+  printOverrides() {
+    if (this.results.overrides.length === 0) return;
+
+    console.log(chalk.bold('Methods Overridden by Several Mods:\n'));
+    for (const override of this.results.overrides) {
+      console.log(`   ${override.className}.${override.method}()`);
+      const chain = override.links.map(link => {
+        const label = `${link.mod}${link.callsSuper ? '' : ' (no super)'}`;
+        return link.runs ? label : chalk.gray(`${label} [skipped]`);
+      });
+      if (override.vanilla) {
+        chain.unshift(override.vanillaRuns ? 'vanilla' : chalk.gray('vanilla [skipped]'));
+      }
+      console.log(`       ${chain.join(' <- ')}`);
+    }
+    console.log('');
+  }
+
+  printTickWork() {
+    if (this.results.tickWork.length === 0) return;
+
+    console.log(chalk.bold('Per-Tick Work on Hot Vanilla Classes:\n'));
+    for (const work of this.results.tickWork) {
+      const heavy = work.total.heavyCalls.length > 0 ? chalk.red(`, heavy: ${[...new Set(work.total.heavyCalls)].join(', ')}`) : '';
+      console.log(`   ${work.className}.${work.method}()${work.repeating ? chalk.gray(' (repeating CallLater)') : ''}: ${work.total.calls} calls, ${work.total.loops} loops${heavy}`);
+      for (const c of work.contributions) {
+        const line = `       ${c.mod}: ${c.calls} calls, ${c.loops} loops${c.heavyCalls.length > 0 ? `, heavy: ${c.heavyCalls.join(', ')}` : ''}`;
+        console.log(c.runs ? line : chalk.gray(`${line} [never runs]`));
+      }
+    }
+    console.log('');
+  }
+
+  generateJSONReport() {
+    return JSON.stringify({
+      timestamp: new Date().toISOString(),
+      ...this.results
+    }, null, 2);
+  }
+}
+
+// Console/JSON/Markdown output for `dayz-perf diff`
+export class DiffReporter {
+  constructor(diff, labels = { old: 'old', new: 'new' }) {
+    this.diff = diff;
+    this.labels = labels;
+  }
+
+  generateConsoleReport() {
+    const d = this.diff;
+
+    console.log('\n' + '='.repeat(80));
+    console.log(chalk.bold.cyan('  DayZ Mod Performance Diff'));
+    console.log(chalk.gray(`  ${this.labels.old} -> ${this.labels.new}`));
+    console.log('='.repeat(80) + '\n');
+
+    const deltaColor = d.score.delta > 0 ? chalk.green : d.score.delta < 0 ? chalk.red : chalk.gray;
+    console.log(chalk.bold('Score:'));
+    console.log(`   ${d.score.old} (${d.rating.old}) -> ${d.score.new} (${d.rating.new})  ${deltaColor.bold(formatDelta(d.score.delta))}`);
+    console.log('');
+
+    console.log(chalk.bold('Findings:'));
+    console.log(`   New:       ${d.summary.new > 0 ? chalk.red.bold(d.summary.new) : chalk.green(0)}`);
+    console.log(`   Fixed:     ${d.summary.fixed > 0 ? chalk.green.bold(d.summary.fixed) : 0}`);
+    console.log(`   Unchanged: ${d.summary.unchanged}`);
+    console.log('');
+
+    this.printFindings('New Findings:', d.new, chalk.red('+'));
+    this.printFindings('Fixed Findings:', d.fixed, chalk.green('-'));
+
+    if (d.files.length > 0) {
+      console.log(chalk.bold('Files:\n'));
+      for (const file of d.files) {
+        const status = file.status === 'changed' ? '' : chalk.gray(` (${file.status})`);
+        console.log(`   ${file.file}${status}: ${chalk.red(`+${file.new}`)} ${chalk.green(`-${file.fixed}`)}`);
+      }
+      console.log('');
+    }
+
+    console.log('='.repeat(80));
+  }
+
+  printFindings(title, findings, marker) {
+    if (findings.length === 0) return;
+
+    console.log(chalk.bold(`${title}\n`));
+    for (const finding of findings) {
+      const severityColor = getSeverityColor(finding.severity);
+      console.log(`   ${marker} ${severityColor(`[${finding.severity}] ${finding.ruleName}`)}`);
+      console.log(`       ${chalk.gray(formatLocation(finding))}`);
+      console.log(`       ${finding.message}`);
+    }
+    console.log('');
+  }
+
+  generateJSONReport() {
+    return JSON.stringify({
+      timestamp: new Date().toISOString(),
+      oldBuild: this.labels.old,
+      newBuild: this.labels.new,
+      ...this.diff
+    }, null, 2);
+  }
+
+  generateMarkdownReport() {
+    const d = this.diff;
+    const lines = [
+      '# DayZ Mod Performance Diff',
+      '',
+      `\`${this.labels.old}\` -> \`${this.labels.new}\``,
+      '',
+      '| | Old | New | Change |',
+      '|---|---|---|---|',
+      `| Score | ${d.score.old} (${d.rating.old}) | ${d.score.new} (${d.rating.new}) | ${formatDelta(d.score.delta)} |`,
+      '',
+      `**${d.summary.new}** new, **${d.summary.fixed}** fixed, ${d.summary.unchanged} unchanged findings.`,
+      ''
+    ];
+
+    const table = (title, findings) => {
+      if (findings.length === 0) return;
+      lines.push(`## ${title}`, '', '| Severity | Rule | Location | Message | ID |', '|---|---|---|---|---|');
+      for (const finding of findings) {
+        lines.push(`| ${finding.severity} | ${finding.ruleName} | \`${formatLocation(finding)}\` | ${escapeMarkdown(finding.message)} | \`${finding.id}\` |`);
+      }
+      lines.push('');
+    };
+
+    table('New Findings', d.new);
+    table('Fixed Findings', d.fixed);
+
+    if (d.files.length > 0) {
+      lines.push('## Files', '', '| File | Status | New | Fixed |', '|---|---|---|---|');
+      for (const file of d.files) {
+        lines.push(`| \`${file.file}\` | ${file.status} | ${file.new} | ${file.fixed} |`);
+      }
+      lines.push('');
+    }
+
+    return lines.join('\n');
+  }
+}
+
+function getSeverityColor(severity) {
+  switch (severity) {
+    case SEVERITY.CRITICAL: return chalk.red;
+    case SEVERITY.HIGH: return chalk.redBright;
+    case SEVERITY.MEDIUM: return chalk.yellow;
+    case SEVERITY.LOW: return chalk.blue;
+    case SEVERITY.INFO: return chalk.gray;
+    default: return chalk.white;
+  }
+}
+
+function getScoreColor(score) {
+  if (score < 40) return chalk.redBright;
+  if (score < 60) return chalk.red;
+  if (score < 90) return chalk.yellow;
+  return chalk.green;
+}
+
+// file:line:column, or just the file for file-level findings
+function formatLocation(finding) {
+  if (!finding.line) return finding.file;
+  return `${finding.file}:${finding.line}${finding.column ? `:${finding.column}` : ''}`;
+}
+
+function formatDelta(delta) {
+  return delta > 0 ? `+${delta}` : `${delta}`;
+}
+
+function escapeMarkdown(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
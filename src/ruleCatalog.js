@@ -0,0 +1,93 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { performanceRules, CATEGORY, CONFIDENCE } from './rules.js';
+import { enhancedRules } from './enhancedRules.js';
+import { getRuleSettings } from './config.js';
+
+// Rule catalog for `dayz-perf rules`, `dayz-perf explain` and /api/rules.
+//
+// Rules document themselves with an optional `docs` field next to their definition:
+//
+//   docs: {
+//     rationale: 'Why the pattern is a problem',
+//     bad: ['code lines', ...],       // or one string
+//     good: ['code lines', ...],
+//     references: [{ title, url }]    // url optional
+//   }
+
+/**
+ * Every known rule with its effective settings under a normalized config, disabled rules
+ * included: built-in, enhanced, plugin and rule file rules in that order.
+ */
+export function getRuleCatalog(config, { plugins = null, declarativeRules = [] } = {}) {
+  const entries = [
+    ...performanceRules.map(rule => ({ rule, source: 'core' })),
+    ...enhancedRules.map(rule => ({ rule, source: 'enhanced' })),
+    ...(plugins ? plugins.rules : []).map(rule => ({ rule, source: 'plugin' })),
+    ...declarativeRules.map(rule => ({ rule, source: 'ruleFile' }))
+  ];
+
+  return entries.map(({ rule, source }) => {
+    const settings = getRuleSettings(rule, config);
+    return {
+      id: rule.id,
+      name: rule.name,
+      severity: settings.severity || rule.severity,
+      category: rule.category || CATEGORY.CPU,
+      confidence: rule.confidence || CONFIDENCE.MEDIUM,
+      enabled: settings.enabled && !(source === 'enhanced' && config.enhanced === false),
+      source,
+      ...(rule.plugin ? { plugin: rule.plugin } : {}),
+      ...(rule.declarative && rule.source ? { ruleFile: rule.source } : {}),
+      description: rule.description,
+      options: settings.options,
+      docs: normalizeDocs(rule.docs)
+    };
+  });
+}
+
+/**
+ * Validate a rule's `docs`; returns an error message or null
+ */
+export function validateDocs(docs) {
+  if (docs === undefined) return null;
+  if (!docs || typeof docs !== 'object' || Array.isArray(docs)) return 'docs must be an object';
+
+  if (docs.rationale !== undefined && typeof docs.rationale !== 'string') return 'docs.rationale must be a string';
+
+  for (const key of ['bad', 'good']) {
+    const value = docs[key];
+    if (value === undefined) continue;
+    const valid = typeof value === 'string' || (Array.isArray(value) && value.every(line => typeof line === 'string'));
+    if (!valid) return `docs.${key} must be a string or a list of lines`;
+  }
+
+  if (docs.references !== undefined) {
+    const valid = Array.isArray(docs.references) && docs.references.every(reference =>
+      typeof reference === 'string' || (reference && typeof reference.title === 'string' && (reference.url === undefined || typeof reference.url === 'string')));
+    if (!valid) return 'docs.references must be a list of { title, url } (or plain titles)';
+  }
+
+  return null;
+}
+
+// Code examples as single strings (YAML block scalars end in a newline) and references
+// as { title, url? }
+function normalizeDocs(docs) {
+  if (!docs) return null;
+
+  const toText = value => (Array.isArray(value) ? value.join('\n') : value).trimEnd();
+  return {
+    rationale: docs.rationale || null,
+    bad: docs.bad !== undefined ? toText(docs.bad) : null,
+    good: docs.good !== undefined ? toText(docs.good) : null,
+    references: (docs.references || []).map(reference =>
+      typeof reference === 'string' ? { title: reference } : reference)
+  };
+}
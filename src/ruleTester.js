@@ -0,0 +1,150 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { PerformanceAnalyzer } from './analyzer.js';
+import { SEVERITY } from './rules.js';
+import { tokenize, maskNonCode } from './enforceLexer.js';
+
+// Rule fixtures: small scripts annotated with the findings they should produce.
+//
+//   GetGame().RPCSingleParam(player, 1, data, true);   // expect: rpc-spam HIGH
+//
+//   // expect: world-scan-loop CRITICAL, getgame-spam
+//   GetGame().GetObjectsAtPosition(pos, 6000, objects, null);
+//
+//   // expect-file: my-file-level-rule
+//
+// An annotation after code applies to its own line; on a line of its own it applies to
+// the next line with code. The severity is optional. Every fixture file is analyzed on
+// its own, and any finding without an annotation is reported as unexpected.
+
+const EXPECT_PATTERN = /^\s*expect(-file)?:\s*(.+)$/;
+
+/**
+ * Expected findings of one fixture: [{ ruleId, severity, line }], line 0 for expect-file
+ */
+export function parseExpectations(content) {
+  const lexed = tokenize(content);
+  const lines = maskNonCode(content, lexed).split('\n');
+  const expectations = [];
+
+  for (const comment of lexed.comments) {
+    if (comment.kind !== 'line') continue;
+    const match = comment.value.trim().match(EXPECT_PATTERN);
+    if (!match) continue;
+
+    let line = 0;
+    if (!match[1]) {
+      line = comment.line;
+      // Only the comment on this line: the annotation is for the next line with code
+      if (lines[line - 1].trim() === '') {
+        line++;
+        while (line <= lines.length && lines[line - 1].trim() === '') line++;
+      }
+    }
+
+    for (const entry of match[2].split(',')) {
+      const [ruleId, severity] = entry.trim().split(/\s+/);
+      if (!ruleId) continue;
+      expectations.push({
+        ruleId,
+        severity: severity ? severity.toUpperCase() : null,
+        line,
+        annotationLine: comment.line
+      });
+    }
+  }
+
+  return expectations;
+}
+
+/**
+ * Run the rules over fixture files ({ path, content, lines }) and compare the findings with
+ * the annotations. `options` are passed to PerformanceAnalyzer (config, plugins,
+ * declarativeRules); `rules` limits the check to those rule ids.
+ */
+export function runRuleTests(fixtures, { rules = null, ...options } = {}) {
+  const results = new Map();
+  const errors = [];
+  const checked = ruleId => !rules || rules.includes(ruleId);
+  const resultFor = ruleId => {
+    if (!results.has(ruleId)) {
+      results.set(ruleId, { ruleId, expected: 0, found: 0, missing: [], unexpected: [], wrongSeverity: [] });
+    }
+    return results.get(ruleId);
+  };
+
+  const analyzer = new PerformanceAnalyzer([], { ...options, quiet: true });
+  const knownRules = new Set(analyzer.getRules().map(({ rule }) => rule.id));
+
+  for (const fixture of fixtures) {
+    const expectations = parseExpectations(fixture.content).filter(expectation => checked(expectation.ruleId));
+
+    for (const expectation of expectations) {
+      if (!knownRules.has(expectation.ruleId)) {
+        errors.push({ file: fixture.path, line: expectation.annotationLine, message: `unknown or disabled rule '${expectation.ruleId}'` });
+      } else if (expectation.severity && !SEVERITY[expectation.severity]) {
+        errors.push({ file: fixture.path, line: expectation.annotationLine, message: `unknown severity '${expectation.severity}'` });
+        expectation.severity = null;
+      }
+    }
+
+    const fixtureAnalyzer = new PerformanceAnalyzer([fixture], { ...options, quiet: true });
+    const analysis = fixtureAnalyzer.analyze();
+    // Rules that threw; plugin load errors are the caller's to report
+    for (const error of analysis.errors.filter(error => error.file)) {
+      errors.push({ file: fixture.path, line: 0, message: `${error.ruleId} failed: ${error.message}` });
+    }
+
+    // A finding merged into another one still counts as reported by its own rule
+    const findings = analysis.issues
+      .flatMap(fileResult => fileResult.issues)
+      .flatMap(issue => [issue, ...(issue.mergedWith || []).map(other => ({ ...other, line: issue.line }))])
+      .filter(finding => checked(finding.ruleId));
+
+    const unmatched = [...findings];
+    for (const expectation of expectations.filter(expectation => knownRules.has(expectation.ruleId))) {
+      const result = resultFor(expectation.ruleId);
+      result.expected++;
+
+      const index = unmatched.findIndex(finding => finding.ruleId === expectation.ruleId && (finding.line || 0) === expectation.line);
+      if (index === -1) {
+        result.missing.push({ file: fixture.path, line: expectation.line, severity: expectation.severity });
+        continue;
+      }
+
+      const [finding] = unmatched.splice(index, 1);
+      if (expectation.severity && finding.severity && finding.severity !== expectation.severity) {
+        result.wrongSeverity.push({ file: fixture.path, line: expectation.line, expected: expectation.severity, actual: finding.severity });
+      } else {
+        result.found++;
+      }
+    }
+
+    for (const finding of unmatched) {
+      resultFor(finding.ruleId).unexpected.push({
+        file: fixture.path,
+        line: finding.line || 0,
+        severity: finding.severity,
+        message: finding.message
+      });
+    }
+  }
+
+  const ruleResults = [...results.values()]
+    .map(result => ({ ...result, passed: result.missing.length === 0 && result.unexpected.length === 0 && result.wrongSeverity.length === 0 }))
+    .sort((a, b) => a.ruleId.localeCompare(b.ruleId));
+
+  return {
+    fixtures: fixtures.length,
+    rules: ruleResults,
+    untested: [...knownRules].filter(ruleId => checked(ruleId) && !results.has(ruleId)).sort(),
+    errors,
+    passed: errors.length === 0 && ruleResults.every(result => result.passed)
+  };
+}
@@ -6,6 +6,9 @@
  * See LICENSE file for details.
  */
 
+import { findCalls, getClasses, getSpan } from './ast.js';
+import { insertAtBlockStart, getIndent, getIndentUnit } from './autofix.js';
+
 export const SEVERITY = {
   CRITICAL: 'CRITICAL',
   HIGH: 'HIGH',
@@ -14,32 +17,76 @@ export const SEVERITY = {
   INFO: 'INFO'
 };
 
+// What a finding costs: server tick time, memory (ARC leaks), network traffic, or
+// compatibility with vanilla and other mods
+export const CATEGORY = {
+  CPU: 'cpu',
+  MEMORY: 'memory',
+  NETWORK: 'network',
+  COMPATIBILITY: 'compatibility'
+};
+
+// How often a rule's findings are real problems: precise checks are high, heuristics
+// that guess from nearby text are low. Filtered with --min-confidence.
+export const CONFIDENCE = {
+  HIGH: 'high',
+  MEDIUM: 'medium',
+  LOW: 'low'
+};
+
+export const CONFIDENCE_ORDER = [CONFIDENCE.LOW, CONFIDENCE.MEDIUM, CONFIDENCE.HIGH];
+
+// Referenced from rule docs (`dayz-perf explain <rule-id>`)
+export const ENFORCE_SCRIPT_SYNTAX = 'https://community.bistudio.com/wiki/DayZ:Enforce_Script_Syntax';
+
 export const performanceRules = [
   {
     id: 'world-scan-loop',
     name: 'World Scan in Loop',
     severity: SEVERITY.CRITICAL,
+    category: CATEGORY.CPU,
+    confidence: CONFIDENCE.HIGH,
     description: 'GetObjectsAtPosition with large radius called repeatedly',
+    docs: {
+      rationale: 'GetObjectsAtPosition visits every object in the radius, and on a DayZ map that includes buildings, trees and items. A radius of a few kilometres returns thousands of objects; doing that every frame, for every loop iteration or in a repeating timer stalls the server frame. The `radius` and `loopRadius` options set the thresholds.',
+      bad: [
+        'override void OnUpdate(float timeslice)',
+        '{',
+        '    array<Object> objects = new array<Object>;',
+        '    GetGame().GetObjectsAtPosition(m_Center, 5000, objects, null);',
+        '}'
+      ],
+      good: [
+        '// A small radius, refreshed every 10 seconds instead of every frame',
+        'void RefreshNearby()',
+        '{',
+        '    m_Nearby.Clear();',
+        '    GetGame().GetObjectsAtPosition(m_Center, 200, m_Nearby, null);',
+        '}',
+        '',
+        'GetGame().GetCallQueue(CALL_CATEGORY_SYSTEM).CallLater(RefreshNearby, 10000, true);'
+      ],
+      references: [{ title: 'Enforce Script Syntax', url: ENFORCE_SCRIPT_SYNTAX }]
+    },
     pattern: /GetObjectsAtPosition\s*\([^,]+,\s*(\d+\.?\d*)/g,
-    check: (matches, file) => {
+    // radius: always flagged above this; loopRadius: flagged above this on hot paths
+    defaultOptions: { radius: 5000, loopRadius: 1000 },
+    check: (matches, file, { scope, options }) => {
       const issues = [];
-      for (const match of matches) {
-        const radius = parseFloat(match.groups?.radius || match.matches?.[0]?.text.match(/,\s*(\d+\.?\d*)/)?.[1]);
-
-        // Check if in a loop context (within 10 lines of loop keywords)
-        const lineNum = match.line || match.matches?.[0]?.line;
-        const startLine = Math.max(0, lineNum - 10);
-        const contextLines = file.lines.slice(startLine, lineNum);
-        const inLoop = contextLines.some(line =>
-          /\b(while|for|foreach)\s*\(/.test(line) ||
-          /CallLater.*true/.test(line)
-        );
-
-        if (radius > 5000 || (radius > 1000 && inLoop)) {
+      for (const match of matches.flatMap(m => m.matches)) {
+        const radius = parseFloat(match.text.match(/,\s*(\d+\.?\d*)/)?.[1]);
+
+        // Check if in a loop body, per-frame method or repeating timer
+        const context = scope.at(match.index);
+        const inLoop = context.isHot;
+
+        if (radius > options.radius || (radius > options.loopRadius && inLoop)) {
           issues.push({
-            line: lineNum,
-            message: `Potential issue: Large radius (${radius}m) world scan${inLoop ? ' inside loop/repeating timer' : ''} - consider optimizing if called frequently`,
-            severity: inLoop ? SEVERITY.CRITICAL : SEVERITY.HIGH
+            line: match.line,
+            ...getSpan(match),
+            message: `Potential issue: Large radius (${radius}m) world scan${inLoop ? ` ${context.describe()}` : ''} - consider optimizing if called frequently`,
+            severity: inLoop ? SEVERITY.CRITICAL : SEVERITY.HIGH,
+            callChain: context.callChain
           });
         }
       }
@@ -51,25 +98,51 @@ export const performanceRules = [
     id: 'getplayers-spam',
     name: 'GetPlayers() Called Frequently',
     severity: SEVERITY.HIGH,
+    category: CATEGORY.CPU,
+    confidence: CONFIDENCE.HIGH,
     description: 'GetPlayers() called in OnUpdate or frequent timer without rate limiting',
-    pattern: /GetPlayers\s*\(/g,
-    check: (matches, file) => {
+    docs: {
+      rationale: 'GetPlayers() fills an array with every connected player, and the loop that usually follows does work per player. Called every frame or from a fast timer, that cost scales with the player count for no benefit: player lists rarely need to be fresher than once a second.',
+      bad: [
+        'override void OnUpdate(float timeslice)',
+        '{',
+        '    array<Man> players = new array<Man>;',
+        '    GetGame().GetPlayers(players);',
+        '}'
+      ],
+      good: [
+        'override void OnUpdate(float timeslice)',
+        '{',
+        '    float currentTime = GetGame().GetTime() / 1000.0;',
+        '    if (currentTime - m_LastCheckTime < 1.0) return;',
+        '    m_LastCheckTime = currentTime;',
+        '',
+        '    GetGame().GetPlayers(m_Players);',
+        '}'
+      ],
+      references: [{ title: 'Vanilla MissionServer.c (scripts/5_Mission)' }]
+    },
+    query: ({ ast }) => findCalls(ast, 'GetPlayers'),
+    check: (matches, file, { code, scope }) => {
       const issues = [];
 
-      // Check if GetPlayers is in OnUpdate or OnMissionStart
-      const inUpdate = /override\s+void\s+OnUpdate/.test(file.content);
-      const getPlayersCount = matches.length;
+      // Look for rate limiting patterns
+      const hasRateLimiting = /if\s*\([^)]*currentTime[^)]*</.test(code) ||
+                             /if\s*\([^)]*GetTime[^)]*</.test(code);
+
+      if (hasRateLimiting) return issues;
 
-      if (inUpdate && getPlayersCount > 0) {
-        // Look for rate limiting patterns
-        const hasRateLimiting = /if\s*\([^)]*currentTime[^)]*</.test(file.content) ||
-                               /if\s*\([^)]*GetTime[^)]*</.test(file.content);
+      // Flag calls that run every frame/tick, directly or through helper methods
+      for (const match of matches.flatMap(m => m.matches)) {
+        const context = scope.at(match.index);
 
-        if (!hasRateLimiting) {
+        if (context.inUpdate || context.inRepeatingCallLater || context.inHotPath) {
           issues.push({
-            line: matches[0]?.matches?.[0]?.line || 1,
-            message: `GetPlayers() called in OnUpdate without visible rate limiting (found ${getPlayersCount} call(s))`,
-            severity: SEVERITY.HIGH
+            line: match.line,
+            ...getSpan(match),
+            message: `GetPlayers() ${context.describe()} without visible rate limiting`,
+            severity: SEVERITY.HIGH,
+            callChain: context.callChain
           });
         }
       }
@@ -82,29 +155,56 @@ export const performanceRules = [
     id: 'calllater-no-remove',
     name: 'CallLater Without Remove',
     severity: SEVERITY.HIGH,
+    category: CATEGORY.MEMORY,
+    confidence: CONFIDENCE.MEDIUM,
     description: 'CallLater scheduled but never removed, potential memory leak',
-    pattern: /CallLater\s*\(\s*([A-Za-z_][A-Za-z0-9_]*)/g,
-    check: (matches, file) => {
+    docs: {
+      rationale: 'A call queue keeps a scheduled method until it runs or is removed. A repeating CallLater on an object that is never removed keeps firing while the object is being torn down, and a pending one-shot call can run after cleanup. Remove it in the destructor with the same queue and method.',
+      bad: [
+        'void MyManager()',
+        '{',
+        '    GetGame().GetCallQueue(CALL_CATEGORY_SYSTEM).CallLater(Tick, 1000, true);',
+        '}'
+      ],
+      good: [
+        'void MyManager()',
+        '{',
+        '    GetGame().GetCallQueue(CALL_CATEGORY_SYSTEM).CallLater(Tick, 1000, true);',
+        '}',
+        '',
+        'void ~MyManager()',
+        '{',
+        '    GetGame().GetCallQueue(CALL_CATEGORY_SYSTEM).Remove(Tick);',
+        '}'
+      ],
+      references: [{ title: 'Enforce Script Syntax', url: ENFORCE_SCRIPT_SYNTAX }]
+    },
+    pattern: /CallLater\s*\(\s*(?:this\s*\.\s*)?([A-Za-z_][A-Za-z0-9_]*)/g,
+    check: (matches, file, { code, ast, index }) => {
       const issues = [];
-      const calledFunctions = new Set();
+      const firstCalls = new Map();
+      const newDestructors = new Set();
 
-      // Find all CallLater functions
-      for (const match of matches) {
-        const funcMatch = match.matches?.[0]?.text.match(/CallLater\s*\(\s*([A-Za-z_][A-Za-z0-9_]*)/);
-        if (funcMatch && funcMatch[1]) {
-          calledFunctions.add(funcMatch[1]);
-        }
+      // Find all CallLater functions; findings point at the first call of each
+      for (const match of matches.flatMap(m => m.matches)) {
+        const func = match.captures[0];
+        if (!firstCalls.has(func)) firstCalls.set(func, match);
       }
 
       // Check if there's a corresponding Remove for each
-      for (const func of calledFunctions) {
-        const hasRemove = new RegExp(`Remove\\s*\\(\\s*${func}\\s*\\)`).test(file.content);
+      for (const [func, match] of firstCalls) {
+        const hasRemove = new RegExp(`Remove\\s*\\(\\s*(?:this\\s*\\.\\s*)?${func}\\s*\\)`).test(code);
 
         if (!hasRemove) {
+          // The fix is only built once the callback is found in this class, which confirms
+          // the finding
+          const fix = createRemoveFix(func, match, file.content, code, ast, index, newDestructors);
           issues.push({
-            line: 0,
+            line: match.line,
+            ...getSpan(match),
             message: `CallLater(${func}) scheduled but no corresponding Remove() found in file`,
-            severity: SEVERITY.MEDIUM
+            severity: SEVERITY.MEDIUM,
+            ...(fix ? { confidence: CONFIDENCE.HIGH, fix } : {})
           });
         }
       }
@@ -117,25 +217,43 @@ export const performanceRules = [
     id: 'file-operations-loop',
     name: 'File I/O in Loop',
     severity: SEVERITY.CRITICAL,
+    category: CATEGORY.CPU,
+    confidence: CONFIDENCE.HIGH,
     description: 'File operations (FPrintln, OpenFile) called in loops',
+    docs: {
+      rationale: 'File operations are synchronous disk access on the script thread. Opening, writing or parsing a JSON file inside a loop, a per-frame method or a repeating timer makes every frame wait on the disk. Load files once at startup and write them in one batch, or on a slow timer.',
+      bad: [
+        'foreach (PlayerBase player : m_Players)',
+        '{',
+        '    FileHandle file = OpenFile("$profile:log.txt", FileMode.APPEND);',
+        '    FPrintln(file, player.GetIdentity().GetName());',
+        '    CloseFile(file);',
+        '}'
+      ],
+      good: [
+        'FileHandle file = OpenFile("$profile:log.txt", FileMode.APPEND);',
+        'foreach (PlayerBase player : m_Players)',
+        '{',
+        '    FPrintln(file, player.GetIdentity().GetName());',
+        '}',
+        'CloseFile(file);'
+      ],
+      references: [{ title: 'Enforce Script Syntax', url: ENFORCE_SCRIPT_SYNTAX }]
+    },
     pattern: /(FPrintln|OpenFile|JsonFileLoader)/g,
-    check: (matches, file) => {
+    check: (matches, file, { scope }) => {
       const issues = [];
 
-      for (const match of matches) {
-        const lineNum = match.matches?.[0]?.line || 1;
-        const startLine = Math.max(0, lineNum - 10);
-        const contextLines = file.lines.slice(startLine, lineNum);
-
-        const inLoop = contextLines.some(line =>
-          /\b(while|for|foreach)\s*\(/.test(line)
-        );
+      for (const match of matches.flatMap(m => m.matches)) {
+        const context = scope.at(match.index);
 
-        if (inLoop) {
+        if (context.isHot) {
           issues.push({
-            line: lineNum,
-            message: `File operation (${match.matches[0].text}) inside loop - severe performance impact`,
-            severity: SEVERITY.CRITICAL
+            line: match.line,
+            ...getSpan(match),
+            message: `File operation (${match.text}) ${context.describe()} - severe performance impact`,
+            severity: SEVERITY.CRITICAL,
+            callChain: context.callChain
           });
         }
       }
@@ -148,29 +266,57 @@ export const performanceRules = [
     id: 'missing-destructor',
     name: 'Missing Destructor',
     severity: SEVERITY.MEDIUM,
+    category: CATEGORY.MEMORY,
+    confidence: CONFIDENCE.MEDIUM,
+    group: 'destructor',
     description: 'Class uses CallLater or resources but has no destructor for cleanup',
-    pattern: /class\s+([A-Za-z_][A-Za-z0-9_]*)/g,
-    check: (matches, file) => {
+    docs: {
+      rationale: 'A class that schedules CallLater callbacks or holds resources needs a destructor that releases them. Without one nothing removes its timers, so they outlive the object.',
+      bad: [
+        'class MyManager',
+        '{',
+        '    void MyManager()',
+        '    {',
+        '        GetGame().GetCallQueue(CALL_CATEGORY_SYSTEM).CallLater(Tick, 1000, true);',
+        '    }',
+        '}'
+      ],
+      good: [
+        'class MyManager',
+        '{',
+        '    void MyManager()',
+        '    {',
+        '        GetGame().GetCallQueue(CALL_CATEGORY_SYSTEM).CallLater(Tick, 1000, true);',
+        '    }',
+        '',
+        '    void ~MyManager()',
+        '    {',
+        '        GetGame().GetCallQueue(CALL_CATEGORY_SYSTEM).Remove(Tick);',
+        '    }',
+        '}'
+      ],
+      references: [{ title: 'Enforce Script Syntax', url: ENFORCE_SCRIPT_SYNTAX }]
+    },
+    query: ({ ast }) => getClasses(ast),
+    check: (matches, file, { code, index }) => {
       const issues = [];
 
-      for (const match of matches) {
-        const classMatch = match.matches?.[0]?.text.match(/class\s+([A-Za-z_][A-Za-z0-9_]*)/);
-        if (!classMatch) continue;
-
-        const className = classMatch[1];
-        const classRegex = new RegExp(`class\\s+${className}[^{]*\\{([^}]+\\{[^}]*\\}[^}]*)*\\}`, 's');
-        const classBody = file.content.match(classRegex)?.[0];
-
-        if (!classBody) continue;
+      for (const match of matches.flatMap(m => m.matches)) {
+        const classNode = match.node;
+        const className = classNode.name;
+        const classBody = code.substring(classNode.start, classNode.end);
 
         // Check if class uses resources
         const usesCallLater = /CallLater/.test(classBody);
         const usesFileHandle = /FileHandle/.test(classBody);
-        const hasDestructor = new RegExp(`void\\s+~${className}`).test(classBody);
+
+        // The destructor may live in another declaration of the class (e.g. a modded extension)
+        const hasDestructor = index.getMethods(className, `~${className}`).length > 0;
 
         if ((usesCallLater || usesFileHandle) && !hasDestructor) {
           issues.push({
-            line: match.matches[0].line,
+            line: classNode.line,
+            ...getSpan(classNode),
             message: `Class '${className}' uses resources (CallLater/FileHandle) but has no destructor for cleanup`,
             severity: SEVERITY.MEDIUM
           });
@@ -185,26 +331,45 @@ export const performanceRules = [
     id: 'rpc-spam',
     name: 'Excessive RPC Calls',
     severity: SEVERITY.HIGH,
+    category: CATEGORY.NETWORK,
+    confidence: CONFIDENCE.HIGH,
     description: 'RPC calls in loops or frequent updates',
+    docs: {
+      rationale: 'Every RPC is a network message. Sending one per loop iteration or per frame multiplies bandwidth and server send work by the player count. Send data when it changes, batch it into one RPC, or rate-limit the sender.',
+      bad: [
+        'foreach (PlayerBase player : m_Players)',
+        '{',
+        '    GetRPCManager().SendRPC("MyMod", "SyncState", new Param1<int>(m_State), true, player.GetIdentity());',
+        '}'
+      ],
+      good: [
+        '// Once, when the state changes; a null identity sends to every client',
+        'void SetState(int state)',
+        '{',
+        '    if (state == m_State) return;',
+        '    m_State = state;',
+        '    GetRPCManager().SendRPC("MyMod", "SyncState", new Param1<int>(m_State), true, null);',
+        '}'
+      ],
+      references: [{ title: 'Enforce Script Syntax', url: ENFORCE_SCRIPT_SYNTAX }]
+    },
     pattern: /(SendRPC|ScriptRPC|GetRPCManager)/g,
-    check: (matches, file) => {
+    check: (matches, file, { scope }) => {
       const issues = [];
+      const reportedLines = new Set();
 
-      for (const match of matches) {
-        const lineNum = match.matches?.[0]?.line || 1;
-        const startLine = Math.max(0, lineNum - 10);
-        const contextLines = file.lines.slice(startLine, lineNum);
-
-        const inLoop = contextLines.some(line =>
-          /\b(while|for|foreach)\s*\(/.test(line) ||
-          /CallLater.*true/.test(line)
-        );
+      for (const match of matches.flatMap(m => m.matches)) {
+        const context = scope.at(match.index);
 
-        if (inLoop) {
+        // GetRPCManager().SendRPC(...) matches twice on the same line
+        if (context.isHot && !reportedLines.has(match.line)) {
+          reportedLines.add(match.line);
           issues.push({
-            line: lineNum,
-            message: 'RPC call inside loop or repeating timer - network spam risk',
-            severity: SEVERITY.HIGH
+            line: match.line,
+            ...getSpan(match),
+            message: `RPC ${context.describe()} - network spam risk`,
+            severity: SEVERITY.HIGH,
+            callChain: context.callChain
           });
         }
       }
@@ -217,30 +382,38 @@ export const performanceRules = [
     id: 'string-concatenation-loop',
     name: 'String Concatenation in Loop',
     severity: SEVERITY.MEDIUM,
+    category: CATEGORY.CPU,
+    confidence: CONFIDENCE.LOW,
     description: 'String concatenation using + operator in loops (use array join instead)',
+    docs: {
+      rationale: 'Each `+` on a string allocates a new string and copies both sides, so building a string inside a loop costs time proportional to the square of its length. Collect the parts and combine them once, or avoid building the string when it is only logged.',
+      bad: [
+        'string names;',
+        'foreach (PlayerBase player : m_Players)',
+        '{',
+        '    names = names + player.GetIdentity().GetName() + ", ";',
+        '}'
+      ],
+      good: [
+        'array<string> names = new array<string>;',
+        'foreach (PlayerBase player : m_Players)',
+        '{',
+        '    names.Insert(player.GetIdentity().GetName());',
+        '}'
+      ],
+      references: [{ title: 'Enforce Script Syntax', url: ENFORCE_SCRIPT_SYNTAX }]
+    },
     pattern: /\+\s*["']/g,
-    check: (matches, file) => {
+    check: (matches, file, { scope }) => {
       const issues = [];
-      let loopStringConcats = 0;
-
-      for (const match of matches) {
-        const lineNum = match.matches?.[0]?.line || 1;
-        const startLine = Math.max(0, lineNum - 5);
-        const contextLines = file.lines.slice(startLine, lineNum);
-
-        const inLoop = contextLines.some(line =>
-          /\b(while|for|foreach)\s*\(/.test(line)
-        );
+      const loopStringConcats = matches.flatMap(m => m.matches).filter(match => scope.at(match.index).inLoop);
 
-        if (inLoop) {
-          loopStringConcats++;
-        }
-      }
-
-      if (loopStringConcats > 3) {
+      // One finding for the file, at the first concatenation
+      if (loopStringConcats.length > 3) {
         issues.push({
-          line: 0,
-          message: `Found ${loopStringConcats} string concatenations in loops - consider using arrays`,
+          line: loopStringConcats[0].line,
+          ...getSpan(loopStringConcats[0]),
+          message: `Found ${loopStringConcats.length} string concatenations in loops - consider using arrays`,
           severity: SEVERITY.LOW
         });
       }
@@ -253,11 +426,31 @@ export const performanceRules = [
     id: 'sleep-in-code',
     name: 'Sleep() Used',
     severity: SEVERITY.HIGH,
+    category: CATEGORY.CPU,
+    confidence: CONFIDENCE.HIGH,
     description: 'Sleep() blocks the server thread - use CallLater instead',
-    pattern: /\bSleep\s*\(/g,
+    docs: {
+      rationale: 'Sleep() suspends the calling script. Outside a `thread` function that means the server frame itself waits, so every player sees the hitch. Schedule the follow-up work with CallLater instead.',
+      bad: [
+        'void Respawn()',
+        '{',
+        '    Sleep(5000);',
+        '    SpawnLoot();',
+        '}'
+      ],
+      good: [
+        'void Respawn()',
+        '{',
+        '    GetGame().GetCallQueue(CALL_CATEGORY_GAMEPLAY).CallLater(SpawnLoot, 5000, false);',
+        '}'
+      ],
+      references: [{ title: 'Enforce Script Syntax', url: ENFORCE_SCRIPT_SYNTAX }]
+    },
+    query: ({ ast }) => findCalls(ast, 'Sleep'),
     check: (matches, file) => {
       return matches.flatMap(m => m.matches.map(match => ({
         line: match.line,
+        ...getSpan(match),
         message: 'Sleep() blocks server execution - use CallLater/CallLaterEx for delayed operations',
         severity: SEVERITY.HIGH
       })));
@@ -268,24 +461,48 @@ export const performanceRules = [
     id: 'spawning-entities-loop',
     name: 'Entity Spawning in Loop',
     severity: SEVERITY.CRITICAL,
+    category: CATEGORY.CPU,
+    confidence: CONFIDENCE.HIGH,
     description: 'CreateObject/SpawnEntity called in tight loop without delay',
+    docs: {
+      rationale: 'Creating an entity initialises it, places it in the world and replicates it to nearby clients. Spawning hundreds in one loop does all of that in a single frame, which freezes the server and bursts network traffic. Spread large spawns over several frames.',
+      bad: [
+        'for (int i = 0; i < 500; i++)',
+        '{',
+        '    GetGame().CreateObject("Apple", m_Positions[i]);',
+        '}'
+      ],
+      good: [
+        '// 20 objects per call, continued 100 ms later until done',
+        'void SpawnBatch(int from)',
+        '{',
+        '    int to = Math.Min(from + 20, m_Positions.Count());',
+        '    for (int i = from; i < to; i++)',
+        '    {',
+        '        GetGame().CreateObject("Apple", m_Positions[i]);',
+        '    }',
+        '    if (to < m_Positions.Count())',
+        '        GetGame().GetCallQueue(CALL_CATEGORY_GAMEPLAY).CallLater(SpawnBatch, 100, false, to);',
+        '}'
+      ],
+      references: [{ title: 'Enforce Script Syntax', url: ENFORCE_SCRIPT_SYNTAX }]
+    },
     pattern: /(CreateObject|CreateObjectEx|SpawnEntity)\s*\(/g,
-    check: (matches, file) => {
+    check: (matches, file, { code, scope }) => {
       const issues = [];
 
-      for (const match of matches) {
-        const lineNum = match.matches?.[0]?.line || 1;
-        const startLine = Math.max(0, lineNum - 10);
-        const endLine = Math.min(file.lines.length, lineNum + 5);
-        const contextLines = file.lines.slice(startLine, endLine);
+      for (const match of matches.flatMap(m => m.matches)) {
+        const context = scope.at(match.index);
 
-        // Check if in a tight loop (for/while without CallLater delay)
-        const inLoop = contextLines.some(line => /\b(while|for)\s*\(/.test(line));
-        const hasDelay = contextLines.some(line => /CallLater|Sleep/.test(line));
+        // Check if in a tight loop (loop body without CallLater delay)
+        const inLoop = context.inLoop;
+        const loopBody = inLoop ? code.substring(context.loop.start, context.loop.end) : '';
+        const hasDelay = /CallLater|Sleep/.test(loopBody);
 
         if (inLoop && !hasDelay) {
           issues.push({
-            line: lineNum,
+            line: match.line,
+            ...getSpan(match),
             message: 'Entity creation in tight loop without delay - can freeze server',
             severity: SEVERITY.CRITICAL
           });
@@ -300,23 +517,36 @@ export const performanceRules = [
     id: 'update-frequency',
     name: 'High Frequency Update',
     severity: SEVERITY.MEDIUM,
+    category: CATEGORY.CPU,
+    confidence: CONFIDENCE.HIGH,
+    group: 'calllater-interval',
     description: 'OnUpdate without throttling or very fast CallLater intervals',
+    docs: {
+      rationale: 'A CallLater interval shorter than a server frame runs the callback every frame anyway, and most logic doesn\'t need more than a few updates per second. Intervals below the `minInterval` option are flagged, below `highInterval` as HIGH.',
+      bad: [
+        'GetGame().GetCallQueue(CALL_CATEGORY_SYSTEM).CallLater(UpdateZones, 10, true);'
+      ],
+      good: [
+        'GetGame().GetCallQueue(CALL_CATEGORY_SYSTEM).CallLater(UpdateZones, 1000, true);'
+      ],
+      references: [{ title: 'Vanilla MissionServer.c (scripts/5_Mission)' }]
+    },
     pattern: /CallLater\s*\([^,]+,\s*(\d+)/g,
-    check: (matches, file) => {
+    // Intervals (ms) below minInterval are flagged, below highInterval as HIGH
+    defaultOptions: { minInterval: 100, highInterval: 50 },
+    check: (matches, file, { options }) => {
       const issues = [];
 
-      for (const match of matches) {
-        const intervalMatch = match.matches?.[0]?.text.match(/,\s*(\d+)/);
-        if (!intervalMatch) continue;
+      for (const match of matches.flatMap(m => m.matches)) {
+        const interval = parseInt(match.captures[0]);
 
-        const interval = parseInt(intervalMatch[1]);
-
-        // Flag intervals under 100ms (very fast)
-        if (interval < 100) {
+        // Flag very fast intervals
+        if (interval < options.minInterval) {
           issues.push({
-            line: match.matches[0].line,
+            line: match.line,
+            ...getSpan(match),
             message: `Very fast CallLater interval (${interval}ms) - consider increasing for performance`,
-            severity: interval < 50 ? SEVERITY.HIGH : SEVERITY.MEDIUM
+            severity: interval < options.highInterval ? SEVERITY.HIGH : SEVERITY.MEDIUM
           });
         }
       }
@@ -325,3 +555,48 @@ export const performanceRules = [
     }
   }
 ];
+
+/**
+ * Remove(func) in the class destructor for a CallLater whose queue and target method are
+ * unambiguous: `GetCallQueue(CALL_CATEGORY_X).CallLater(Method` inside the class that
+ * declares Method. A destructor is added when the class has none anywhere in the mod;
+ * only one per class per run, since two fixes can't both add it.
+ */
+function createRemoveFix(func, match, content, code, ast, index, newDestructors) {
+  const lineStart = code.lastIndexOf('\n', match.index - 1) + 1;
+  const queue = code.substring(lineStart, match.index).match(/GetCallQueue\s*\(\s*(CALL_CATEGORY_[A-Z_]+)\s*\)\s*\.\s*$/);
+  const classNode = getClasses(ast).find(node => match.index >= node.start && match.index < node.end);
+  if (!queue || !classNode || index.findMethod(classNode.name, func).length === 0) return null;
+
+  const statement = `GetGame().GetCallQueue(${queue[1]}).Remove(${func});`;
+  const description = `Remove ${func} from the call queue in ~${classNode.name}()`;
+
+  const destructor = classNode.methods.find(method => method.isDestructor && method.body);
+  if (destructor) {
+    const edit = insertAtBlockStart(destructor.body, content, [statement]);
+    return edit ? { description, edits: [edit] } : null;
+  }
+
+  // Declared in another file or a modded extension; not this file's to change
+  if (index.getMethods(classNode.name, `~${classNode.name}`).length > 0) return null;
+  if (newDestructors.has(classNode.name)) return null;
+
+  const brace = content.lastIndexOf('}', classNode.end - 1);
+  const braceLineStart = content.lastIndexOf('\n', brace - 1) + 1;
+  if (brace < classNode.start || content.substring(braceLineStart, brace).trim() !== '') return null;
+
+  const indent = classNode.members.length > 0
+    ? getIndent(content, classNode.members[0].start)
+    : getIndent(content, classNode.start) + getIndentUnit(content, classNode.start);
+  const unit = getIndentUnit(content, classNode.members.length > 0 ? classNode.members[0].start : classNode.start);
+
+  newDestructors.add(classNode.name);
+  return {
+    description,
+    edits: [{
+      start: braceLineStart,
+      end: braceLineStart,
+      text: `\n${indent}void ~${classNode.name}()\n${indent}{\n${indent}${unit}${statement}\n${indent}}\n`
+    }]
+  };
+}
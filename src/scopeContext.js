@@ -0,0 +1,195 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { walk, getCalleeName, getEnclosing } from './ast.js';
+import { DAYZ_FUNCTIONS } from './dayzKnowledge.js';
+
+// Answers "where does this offset run?" for a single parsed file: inside a loop body,
+// inside a per-frame method (OnUpdate, EOnFrame) or inside a method that is scheduled
+// as a repeating CallLater/Timer target. Scopes come from the AST, so they are exact
+// brace-matched ranges rather than "a loop keyword somewhere above".
+//
+// Once a mod-wide CallGraph is attached, methods that are only reached from a hot
+// entry point through other calls are reported as hot too, with the call chain.
+export class ScopeContext {
+  constructor(ast, callGraph = null) {
+    this.methods = [];
+    this.loops = [];
+    this.repeatingTargets = new Map();
+    this.callGraph = callGraph;
+
+    this.collect(ast);
+  }
+
+  collect(ast) {
+    walk(ast, (node, ancestors) => {
+      if (node.type === 'MethodDeclaration' && node.body) {
+        const classNode = getEnclosing(ancestors, 'ClassDeclaration');
+        this.methods.push({
+          node,
+          name: node.name,
+          className: classNode ? classNode.name : null,
+          start: node.body.start,
+          end: node.body.end
+        });
+      }
+
+      const repeated = getRepeatedRanges(node);
+      for (const range of repeated) {
+        this.loops.push({ node, start: range.start, end: range.end });
+      }
+
+      if (node.type === 'CallExpression') {
+        const target = getRepeatingTarget(node);
+        if (target) {
+          const classNode = getEnclosing(ancestors, 'ClassDeclaration');
+          const key = scheduleKey(classNode ? classNode.name : null, target);
+          if (!this.repeatingTargets.has(key)) {
+            this.repeatingTargets.set(key, { name: target, line: node.line });
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Scope information for a source offset (e.g. match.index)
+   */
+  at(index) {
+    const method = this.methods
+      .filter(m => index >= m.start && index < m.end)
+      .sort((a, b) => (a.end - a.start) - (b.end - b.start))[0] || null;
+
+    const loops = this.loops
+      .filter(l => index >= l.start && index < l.end)
+      .sort((a, b) => (a.end - a.start) - (b.end - b.start));
+
+    const inUpdate = !!method && DAYZ_FUNCTIONS.PER_FRAME_METHODS.includes(method.name);
+    const repeating = method ? this.repeatingTargets.get(scheduleKey(method.className, method.name)) : null;
+    const hotPath = method && this.callGraph ? this.callGraph.getHotPath(method.className, method.name) : null;
+
+    return new Scope({
+      method: method ? method.name : null,
+      methodNode: method ? method.node : null,
+      className: method ? method.className : null,
+      loop: loops.length > 0 ? loops[0].node : null,
+      loopDepth: loops.length,
+      inLoop: loops.length > 0,
+      inUpdate,
+      inRepeatingCallLater: !!repeating,
+      hotPath
+    });
+  }
+
+  attachCallGraph(callGraph) {
+    this.callGraph = callGraph;
+  }
+
+  isRepeatingTarget(className, methodName) {
+    return this.repeatingTargets.has(scheduleKey(className, methodName));
+  }
+}
+
+export class Scope {
+  constructor(data) {
+    Object.assign(this, data);
+  }
+
+  // Code that runs many times per second or per tick
+  get isHot() {
+    return this.inLoop || this.inUpdate || this.inRepeatingCallLater || this.inHotPath;
+  }
+
+  // Reached from a per-frame or repeating entry point through other methods
+  get inHotPath() {
+    return !!this.hotPath && this.hotPath.length > 1;
+  }
+
+  /**
+   * Labels of the methods that make this code hot, entry point first
+   */
+  get callChain() {
+    return this.inHotPath ? this.hotPath.map(step => step.label) : null;
+  }
+
+  /**
+   * Human readable location, used in finding messages after the code it describes:
+   * 'inside loop', 'in OnUpdate()' or 'called from OnUpdate via A -> B'
+   */
+  describe() {
+    const parts = [];
+    if (this.inLoop) parts.push('inside loop');
+    if (this.inUpdate) parts.push(`in ${this.method}()`);
+    if (this.inRepeatingCallLater) parts.push(`in repeating CallLater target '${this.method}'`);
+    if (this.inHotPath) {
+      const entry = this.hotPath[0];
+      parts.push(`called from ${entry.entry === 'repeating CallLater' ? `repeating CallLater target ${entry.label}` : entry.label} via ${this.hotPath.slice(1).map(step => step.label).join(' -> ')}`);
+    }
+    return parts.join(', ');
+  }
+}
+
+/**
+ * Source ranges of a loop that execute on every iteration. The `for` initializer and
+ * the `foreach` iterable run once, so they are excluded.
+ */
+function getRepeatedRanges(node) {
+  switch (node.type) {
+    case 'ForStatement':
+      return [node.test, node.update, node.body].filter(Boolean);
+    case 'ForeachStatement':
+    case 'DoWhileStatement':
+      return [node.body];
+    case 'WhileStatement':
+      return [node.test, node.body];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Name of the method scheduled by a repeating timer call, or null:
+ *   CallLater(Tick, 1000, true) / CallLater(this.Tick, 1000, true)
+ *   CallLaterByName(this, "Tick", 1000, true)
+ *   m_Timer.Run(1, this, "Tick", null, true)
+ */
+export function getRepeatingTarget(call) {
+  const name = getCalleeName(call);
+  const args = call.arguments;
+
+  if (name === 'CallLater' && isTrue(args[2])) {
+    return functionName(args[0]);
+  }
+  if (name === 'CallLaterByName' && isTrue(args[3])) {
+    return stringValue(args[1]);
+  }
+  if (name === 'Run' && isTrue(args[4])) {
+    return stringValue(args[2]);
+  }
+
+  return null;
+}
+
+function isTrue(node) {
+  return !!node && node.type === 'Literal' && node.kind === 'bool' && node.value === true;
+}
+
+function functionName(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'MemberExpression') return node.property;
+  return null;
+}
+
+function stringValue(node) {
+  return node && node.type === 'Literal' && node.kind === 'string' ? node.value : null;
+}
+
+function scheduleKey(className, methodName) {
+  return `${className || ''}::${methodName}`;
+}
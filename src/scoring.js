@@ -0,0 +1,126 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { SEVERITY, CATEGORY } from './rules.js';
+
+// Size-normalized scoring.
+//
+// Every finding costs points by severity, scaled by its category weight. The penalty is
+// divided by the square root of the mod's size in units of `referenceLines`, so a large
+// framework isn't punished for being large but a serious problem still shows, and the
+// score decays exponentially instead of hitting 0 after a handful of findings:
+//
+//   score = 100 * exp(-penalty / (decay * sqrt(max(1, lines / referenceLines))))
+//
+// Each category gets its own subscore the same way, and the points the overall score
+// lost are shared out across findings so reports can say what cost the most.
+
+export const DEFAULT_SCORING = {
+  weights: {
+    [SEVERITY.CRITICAL]: 20,
+    [SEVERITY.HIGH]: 10,
+    [SEVERITY.MEDIUM]: 5,
+    [SEVERITY.LOW]: 2,
+    [SEVERITY.INFO]: 1
+  },
+  categoryWeights: {
+    [CATEGORY.CPU]: 1,
+    [CATEGORY.MEMORY]: 0.8,
+    [CATEGORY.NETWORK]: 1,
+    [CATEGORY.COMPATIBILITY]: 0.6
+  },
+  referenceLines: 1000,
+  decay: 50
+};
+
+/**
+ * Merge user settings (config `scoring`) over the defaults
+ */
+export function resolveScoring(settings = {}) {
+  return {
+    ...DEFAULT_SCORING,
+    ...settings,
+    weights: { ...DEFAULT_SCORING.weights, ...(settings.weights || {}) },
+    categoryWeights: { ...DEFAULT_SCORING.categoryWeights, ...(settings.categoryWeights || {}) }
+  };
+}
+
+/**
+ * Score details for analysis results: overall score, per-category subscores and the
+ * findings that cost the most points
+ */
+export function scoreResults(results, settings = {}, { top = 10 } = {}) {
+  const scoring = resolveScoring(settings);
+  const lines = results.fileStats.reduce((sum, stat) => sum + stat.lines, 0);
+  const scale = scoring.decay * Math.sqrt(Math.max(1, lines / scoring.referenceLines));
+
+  const findings = results.issues.flatMap(fileResult =>
+    fileResult.issues.map(issue => {
+      const category = issue.category || CATEGORY.CPU;
+      const severityPoints = scoring.weights[issue.severity] || 0;
+      return {
+        ruleId: issue.ruleId,
+        file: fileResult.file,
+        line: issue.line,
+        severity: issue.severity,
+        category,
+        penalty: severityPoints * (scoring.categoryWeights[category] ?? 1)
+      };
+    }));
+
+  const totalPenalty = findings.reduce((sum, finding) => sum + finding.penalty, 0);
+  const score = toScore(totalPenalty, scale);
+  const lost = 100 - score;
+
+  const categories = {};
+  for (const category of Object.values(CATEGORY)) {
+    const inCategory = findings.filter(finding => finding.category === category);
+    // Subscores use the raw severity points; category weights only shape the overall score
+    const penalty = inCategory.reduce((sum, finding) => sum + (scoring.weights[finding.severity] || 0), 0);
+    categories[category] = {
+      score: toScore(penalty, scale),
+      findings: inCategory.length
+    };
+  }
+
+  // Share of the lost points is proportional to each finding's penalty
+  for (const finding of findings) {
+    finding.points = totalPenalty > 0 ? round(lost * finding.penalty / totalPenalty) : 0;
+  }
+
+  const byRule = new Map();
+  for (const finding of findings) {
+    const entry = byRule.get(finding.ruleId) || { ruleId: finding.ruleId, category: finding.category, count: 0, points: 0 };
+    entry.count++;
+    entry.points = round(entry.points + finding.points);
+    byRule.set(finding.ruleId, entry);
+  }
+
+  return {
+    score,
+    categories,
+    lines,
+    sizeFactor: round(scale / scoring.decay),
+    explanation: {
+      pointsLost: round(lost),
+      topFindings: [...findings]
+        .sort((a, b) => b.points - a.points)
+        .slice(0, top)
+        .map(({ penalty, ...finding }) => finding),
+      byRule: [...byRule.values()].sort((a, b) => b.points - a.points)
+    }
+  };
+}
+
+function toScore(penalty, scale) {
+  return Math.round(100 * Math.exp(-penalty / scale));
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
@@ -0,0 +1,155 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { getConfigClass, getConfigProperty } from './configParser.js';
+
+// Script module (layer) of each script file.
+//
+// DayZ compiles scripts in layers, and code only sees classes of its own layer and the
+// ones below it: 3_Game can't use PlayerBase (4_World) or MissionServer (5_Mission).
+// Mods assign their folders to layers in CfgMods of their config.cpp (or config.bin):
+//
+//   class CfgMods {
+//     class MyMod {
+//       class defs {
+//         class gameScriptModule { files[] = {"MyMod/Scripts/3_Game"}; };
+//         class worldScriptModule { files[] = {"MyMod/Scripts/4_World"}; };
+//       };
+//     };
+//   };
+//
+// Without a CfgMods entry the folder names decide (3_Game, 4_World, ...).
+
+export const SCRIPT_MODULES = [
+  { name: '1_Core', configName: 'engineScriptModule', layer: 1 },
+  { name: '2_GameLib', configName: 'gameLibScriptModule', layer: 2 },
+  { name: '3_Game', configName: 'gameScriptModule', layer: 3 },
+  { name: '4_World', configName: 'worldScriptModule', layer: 4 },
+  { name: '5_Mission', configName: 'missionScriptModule', layer: 5 }
+];
+
+const FOLDER_PATTERN = /^([1-5])_(core|gamelib|game|world|mission)$/i;
+
+export class ScriptModules {
+  constructor() {
+    // { module, segments, config } for every folder a config assigns to a module
+    this.folders = [];
+    this.configs = [];
+  }
+
+  /**
+   * Modules of a mod's files, from the CfgMods entries of its addon configs (AddonConfig)
+   */
+  static fromAddonConfig(addonConfig) {
+    const modules = new ScriptModules();
+    for (const config of addonConfig.configs) {
+      if (config.root) modules.addConfig(config.path, config.root);
+    }
+    return modules;
+  }
+
+  addConfig(configPath, root) {
+    const cfgMods = getConfigClass(root, 'CfgMods');
+    if (!cfgMods) return;
+
+    for (const mod of Object.values(cfgMods.classes)) {
+      for (const module of SCRIPT_MODULES) {
+        const files = getConfigProperty(getConfigClass(mod, `defs/${module.configName}`), 'files');
+        if (!Array.isArray(files)) continue;
+
+        for (const folder of files.filter(entry => typeof entry === 'string')) {
+          this.addFolder(module.name, folder, configPath);
+        }
+      }
+    }
+  }
+
+  /**
+   * Assign a folder (a CfgMods `files[]` entry, e.g. "MyMod/Scripts/4_World") to a module
+   */
+  addFolder(moduleName, folder, configPath) {
+    const segments = splitPath(folder);
+    if (segments.length === 0) return;
+
+    this.folders.push({ module: moduleName, segments, config: configPath });
+    if (!this.configs.includes(configPath)) this.configs.push(configPath);
+  }
+
+  /**
+   * True when a config.cpp assigns folders to modules; files outside them aren't compiled
+   */
+  hasConfig() {
+    return this.folders.length > 0;
+  }
+
+  /**
+   * Module a script file is compiled in, e.g. '4_World', or null when unknown. A folder
+   * listed for several modules is compiled in each; the lowest is the one that limits it.
+   */
+  getModule(filePath) {
+    return this.getConfiguredModule(filePath) || getFolderModule(filePath);
+  }
+
+  getConfiguredModule(filePath) {
+    const directory = splitPath(filePath).slice(0, -1);
+    let best = null;
+    let bestScore = 0;
+
+    for (const folder of this.folders) {
+      const score = matchFolder(directory, folder.segments);
+      if (score > bestScore || (score > 0 && score === bestScore && getLayer(folder.module) < getLayer(best))) {
+        best = folder.module;
+        bestScore = score;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * False for a script file a config.cpp leaves out of every module: the game never
+   * compiles it
+   */
+  isCompiled(filePath) {
+    return !this.hasConfig() || this.getConfiguredModule(filePath) !== null;
+  }
+}
+
+/**
+ * Layer number of a module name (1-5), or 0 when unknown
+ */
+export function getLayer(moduleName) {
+  const module = SCRIPT_MODULES.find(entry => entry.name === moduleName);
+  return module ? module.layer : 0;
+}
+
+// Module from a 3_Game/4_World/... folder in the path
+function getFolderModule(filePath) {
+  for (const segment of splitPath(filePath).slice(0, -1)) {
+    const match = segment.match(FOLDER_PATTERN);
+    if (match) return SCRIPT_MODULES[Number(match[1]) - 1].name;
+  }
+  return null;
+}
+
+// Config paths are in the game's file system ("MyMod/Scripts/4_World"), file paths in the
+// archive ("@MyMod/Addons/MyMod/Scripts/4_World/..." or just "Scripts/4_World/..."): the
+// score is the number of trailing folder segments found in a row in the file's directory
+function matchFolder(directory, segments) {
+  for (let count = segments.length; count > 0; count--) {
+    const tail = segments.slice(-count);
+    for (let i = 0; i + count <= directory.length; i++) {
+      if (tail.every((segment, j) => directory[i + j] === segment)) return count;
+    }
+  }
+  return 0;
+}
+
+function splitPath(filePath) {
+  return filePath.replace(/\\/g, '/').toLowerCase().split('/').filter(segment => segment && segment !== '.');
+}
@@ -14,8 +14,16 @@ import { promises as fs } from 'fs';
 import path from 'path';
 import { FileParser } from './fileParser.js';
 import { PerformanceAnalyzer } from './analyzer.js';
-import { Reporter } from './reporter.js';
+import { Reporter, DiffReporter } from './reporter.js';
 import { Statistics } from './statistics.js';
+import { diffResults } from './diff.js';
+import { loadConfig, getConfigDir, parseConfidence, parseContextLines } from './config.js';
+import { loadPlugins } from './plugins.js';
+import { loadDeclarativeRules } from './declarativeRules.js';
+import { getRuleCatalog } from './ruleCatalog.js';
+import { parseDayzVersion } from './vanillaApi.js';
+import { parseTargetVersion } from './dayzDeprecations.js';
+import { parseBuildConfigurations } from './preprocessor.js';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 
@@ -31,6 +39,18 @@ statistics.initialize().catch(err => {
   console.error('Failed to initialize statistics:', err);
 });
 
+// Server-wide config, plugins and rule files. Plugins run code, so they are only ever
+// loaded from here and never from a config inside an uploaded mod.
+const serverConfig = await loadConfig({ configPath: process.env.DAYZ_PERF_CONFIG });
+const plugins = await loadPlugins(serverConfig, { baseDir: getConfigDir(serverConfig) });
+for (const error of plugins.errors) {
+  console.error(`Plugin ${error.plugin}: ${error.message}`);
+}
+const declarativeRules = await loadDeclarativeRules(serverConfig, {
+  baseDir: getConfigDir(serverConfig),
+  existingIds: plugins.rules.map(rule => rule.id)
+});
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: async (req, file, cb) => {
@@ -81,6 +101,20 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', version: '1.0.0' });
 });
 
+// Rule catalog with docs, as configured on this server
+app.get('/api/rules', (req, res) => {
+  res.json({ rules: getRuleCatalog(serverConfig, { plugins, declarativeRules }) });
+});
+
+// Plugin rule ids may contain a slash (studio/my-rule)
+app.get('/api/rules/:id(*)', (req, res) => {
+  const rule = getRuleCatalog(serverConfig, { plugins, declarativeRules }).find(entry => entry.id === req.params.id);
+  if (!rule) {
+    return res.status(404).json({ error: `Unknown rule '${req.params.id}'` });
+  }
+  res.json(rule);
+});
+
 // Statistics endpoint
 app.get('/api/statistics', async (req, res) => {
   try {
@@ -92,6 +126,81 @@ app.get('/api/statistics', async (req, res) => {
   }
 });
 
+/**
+ * Parse and analyze an uploaded archive. A config shipped in the upload takes precedence
+ * over the server-wide one.
+ */
+async function analyzeArchive(filePath, { minConfidence, contextLines, dayzVersion, targetVersion, configurations } = {}) {
+  const parser = new FileParser(filePath);
+  const files = await parser.parse();
+  if (files.length === 0) return { files, analyzer: null };
+
+  const config = parser.configFile
+    ? await loadConfig({ embedded: parser.configFile })
+    : serverConfig;
+
+  const analyzer = new PerformanceAnalyzer(files, {
+    config,
+    plugins,
+    declarativeRules,
+    minConfidence,
+    contextLines,
+    dayzVersion,
+    targetVersion,
+    configurations,
+    addonConfigs: parser.addonConfigs,
+    pbos: parser.pbos,
+    modInfo: parser.modInfo
+  });
+  analyzer.analyze();
+
+  return { files, analyzer };
+}
+
+// `minConfidence`, `contextLines`, `dayzVersion`, `targetVersion` and `build` form fields or query parameters
+function getAnalysisOptions(req) {
+  const param = name => req.body?.[name] ?? req.query[name];
+  const options = {};
+
+  if (param('minConfidence')) {
+    try {
+      options.minConfidence = parseConfidence(param('minConfidence'));
+    } catch (error) {
+      throw new Error(`minConfidence: ${error.message}`);
+    }
+  }
+  if (param('contextLines') !== undefined && param('contextLines') !== '') {
+    try {
+      options.contextLines = parseContextLines(param('contextLines'));
+    } catch (error) {
+      throw new Error(`contextLines: ${error.message}`);
+    }
+  }
+  if (param('dayzVersion')) {
+    try {
+      options.dayzVersion = parseDayzVersion(param('dayzVersion'));
+    } catch (error) {
+      throw new Error(`dayzVersion: ${error.message}`);
+    }
+  }
+  if (param('targetVersion')) {
+    try {
+      options.targetVersion = parseTargetVersion(param('targetVersion'));
+    } catch (error) {
+      throw new Error(`targetVersion: ${error.message}`);
+    }
+  }
+  if (param('build')) {
+    try {
+      options.configurations = parseBuildConfigurations(param('build'));
+    } catch (error) {
+      throw new Error(`build: ${error.message}`);
+    }
+  }
+
+  return options;
+}
+
 // Main analysis endpoint
 app.post('/api/analyze', upload.single('modFile'), async (req, res) => {
   let filePath = null;
@@ -102,10 +211,17 @@ app.post('/api/analyze', upload.single('modFile'), async (req, res) => {
     }
 
     filePath = req.file.path;
+
+    let analysisOptions;
+    try {
+      analysisOptions = getAnalysisOptions(req);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
     console.log(`Analyzing: ${req.file.originalname} (${req.file.size} bytes)`);
 
-    const parser = new FileParser(filePath);
-    const files = await parser.parse();
+    const { files, analyzer } = await analyzeArchive(filePath, analysisOptions);
 
     if (files.length === 0) {
       return res.json({
@@ -115,9 +231,7 @@ app.post('/api/analyze', upload.single('modFile'), async (req, res) => {
       });
     }
 
-    // Analyze
-    const analyzer = new PerformanceAnalyzer(files);
-    const results = analyzer.analyze();
+    const results = analyzer.getResults();
 
     // Get score and rating
     const score = analyzer.getScore();
@@ -134,8 +248,15 @@ app.post('/api/analyze', upload.single('modFile'), async (req, res) => {
       timestamp: new Date().toISOString(),
       score: score,
       rating: rating,
+      scoreDetails: analyzer.getScoreDetails(),
       summary: results.summary,
       issues: results.issues,
+      suppressed: results.suppressed,
+      preprocessor: results.preprocessor,
+      addonConfig: results.addonConfig,
+      modInfo: results.modInfo,
+      pbos: results.pbos,
+      plugins: results.plugins.map(({ name, version, rules }) => ({ name, version, rules })),
       fileStats: results.fileStats.slice(0, 10) // Top 10 files only
     };
 
@@ -160,6 +281,70 @@ app.post('/api/analyze', upload.single('modFile'), async (req, res) => {
   }
 });
 
+// Compare two builds of a mod
+app.post('/api/diff', upload.fields([{ name: 'oldFile', maxCount: 1 }, { name: 'newFile', maxCount: 1 }]), async (req, res) => {
+  const uploads = [req.files?.oldFile?.[0], req.files?.newFile?.[0]].filter(Boolean);
+
+  try {
+    if (uploads.length !== 2) {
+      return res.status(400).json({ error: 'Upload both oldFile and newFile' });
+    }
+
+    let analysisOptions;
+    try {
+      analysisOptions = getAnalysisOptions(req);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const [oldUpload, newUpload] = uploads;
+    console.log(`Diffing: ${oldUpload.originalname} -> ${newUpload.originalname}`);
+
+    const runs = [];
+    for (const upload of uploads) {
+      const { files, analyzer } = await analyzeArchive(upload.path, analysisOptions);
+      if (files.length === 0) {
+        return res.json({
+          success: false,
+          error: 'No script files (.c, .cpp) found in archive',
+          fileName: upload.originalname
+        });
+      }
+      runs.push({ results: analyzer.getResults(), score: analyzer.getScore(), rating: analyzer.getRating() });
+    }
+
+    const diff = diffResults(runs[0], runs[1]);
+    const labels = { old: oldUpload.originalname, new: newUpload.originalname };
+
+    if (req.query.format === 'markdown') {
+      return res.type('text/markdown').send(new DiffReporter(diff, labels).generateMarkdownReport());
+    }
+
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      oldBuild: labels.old,
+      newBuild: labels.new,
+      ...diff
+    });
+
+  } catch (error) {
+    console.error('Diff error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Diff failed'
+    });
+  } finally {
+    for (const upload of uploads) {
+      try {
+        await fs.unlink(upload.path);
+      } catch (err) {
+        console.error('Failed to delete temp file:', err);
+      }
+    }
+  }
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -181,5 +366,6 @@ app.listen(PORT, () => {
   console.log(`\n🚀 DayZ Mod Performance Analyzer Server`);
   console.log(`   Running on: http://localhost:${PORT}`);
   console.log(`   API Endpoint: http://localhost:${PORT}/api/analyze`);
+  console.log(`   Diff Endpoint: http://localhost:${PORT}/api/diff`);
   console.log(`   Web UI: http://localhost:${PORT}\n`);
 });
@@ -0,0 +1,71 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+// Source excerpts shown with a finding, so reports can be read without the mod at hand
+
+// Spans over more lines than this (a whole class) only show their first lines
+const MAX_SPAN_LINES = 5;
+
+/**
+ * Lines around a finding: { startLine, lines: [{ line, text, highlight? }] }. `highlight`
+ * marks the finding's span on that line as 1-based { start, end } columns, end exclusive.
+ * Null for findings without a line.
+ */
+export function getSnippet(fileLines, finding, contextLines = 2) {
+  if (!finding.line || finding.line > fileLines.length) return null;
+
+  const spanEnd = Math.min(finding.endLine || finding.line, finding.line + MAX_SPAN_LINES - 1);
+  const first = Math.max(1, finding.line - contextLines);
+  const last = Math.min(fileLines.length, spanEnd + contextLines);
+
+  const lines = [];
+  for (let line = first; line <= last; line++) {
+    const text = fileLines[line - 1].replace(/\r$/, '');
+    const entry = { line, text };
+
+    if (line >= finding.line && line <= spanEnd) {
+      const start = line === finding.line && finding.column ? finding.column : text.length - text.trimStart().length + 1;
+      const end = line === finding.endLine && finding.endColumn ? finding.endColumn : text.trimEnd().length + 1;
+      if (end > start) entry.highlight = { start, end };
+    }
+
+    lines.push(entry);
+  }
+
+  return { startLine: first, lines };
+}
+
+/**
+ * Plain-text rendering: numbered lines, `>` on the flagged ones and a ^^^ under the span.
+ * Tabs are expanded so the markers line up.
+ */
+export function formatSnippet(snippet, { tabWidth = 4 } = {}) {
+  const width = String(snippet.lines[snippet.lines.length - 1].line).length;
+  const output = [];
+
+  for (const { line, text, highlight } of snippet.lines) {
+    const gutter = `${highlight ? '>' : ' '} ${String(line).padStart(width)} | `;
+    output.push(gutter + expandTabs(text, tabWidth));
+
+    if (highlight) {
+      const before = expandTabs(text.substring(0, highlight.start - 1), tabWidth).length;
+      const marked = expandTabs(text.substring(0, highlight.end - 1), tabWidth).length - before;
+      output.push(`  ${' '.repeat(width)} | ${' '.repeat(before)}${'^'.repeat(Math.max(1, marked))}`);
+    }
+  }
+
+  return output;
+}
+
+function expandTabs(text, tabWidth) {
+  let output = '';
+  for (const char of text) {
+    output += char === '\t' ? ' '.repeat(tabWidth - (output.length % tabWidth)) : char;
+  }
+  return output;
+}
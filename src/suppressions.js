@@ -0,0 +1,108 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+// Inline suppression comments for reviewed, intentional patterns:
+//
+//   // dayz-perf-ignore-next-line world-scan-loop -- one-time scan in OnMissionStart
+//   // dayz-perf-ignore-file getgame-spam
+//   // dayz-perf-disable rpc-spam
+//   ...
+//   // dayz-perf-enable rpc-spam
+//
+// Rule ids are separated by spaces or commas; leaving them out applies the comment to
+// every rule. Anything after `--` is kept as the reason.
+
+// A block comment may continue the rule ids or the reason on later lines
+const DIRECTIVE_PATTERN = /^\s*dayz-perf-(ignore-next-line|ignore-file|disable|enable)\b([\s\S]*)$/;
+
+export class Suppressions {
+  constructor() {
+    this.fileRules = [];
+    this.lineRules = [];
+    this.ranges = [];
+  }
+
+  /**
+   * Build from the comments collected by the lexer (ast.comments)
+   */
+  static fromComments(comments) {
+    const suppressions = new Suppressions();
+    const open = [];
+
+    for (const comment of comments) {
+      const text = comment.kind === 'block' ? comment.value.replace(/^\s*\*?/, '') : comment.value;
+      const match = text.match(DIRECTIVE_PATTERN);
+      if (!match) continue;
+
+      const [rawRules, ...reasonParts] = match[2].split('--');
+      const ruleIds = rawRules.split(/[\s,]+/).filter(Boolean);
+      const reason = reasonParts.join('--').replace(/\s+/g, ' ').trim() || null;
+      const endLine = comment.line + (comment.value.match(/\n/g) || []).length;
+
+      const entry = {
+        directive: match[1],
+        ruleIds,
+        reason,
+        line: comment.line
+      };
+
+      switch (match[1]) {
+        case 'ignore-next-line':
+          suppressions.lineRules.push({ ...entry, target: endLine + 1 });
+          break;
+        case 'ignore-file':
+          suppressions.fileRules.push(entry);
+          break;
+        case 'disable':
+          open.push({ ...entry, start: comment.line, end: Infinity });
+          break;
+        case 'enable':
+          // Close the matching open block(s); a bare enable closes everything
+          for (const range of open) {
+            if (range.end !== Infinity) continue;
+            const closes = ruleIds.length === 0 ||
+              (range.ruleIds.length > 0 && range.ruleIds.every(id => ruleIds.includes(id)));
+            if (closes) range.end = comment.line;
+          }
+          break;
+      }
+    }
+
+    suppressions.ranges = open;
+    return suppressions;
+  }
+
+  /**
+   * Returns the directive suppressing the finding, or null
+   */
+  match(ruleId, line) {
+    const applies = entry => entry.ruleIds.length === 0 || entry.ruleIds.includes(ruleId);
+
+    const fileRule = this.fileRules.find(applies);
+    if (fileRule) return describe(fileRule);
+
+    // File-level findings (line 0) can only be suppressed for the whole file
+    if (!line) return null;
+
+    const lineRule = this.lineRules.find(entry => entry.target === line && applies(entry));
+    if (lineRule) return describe(lineRule);
+
+    const range = this.ranges.find(entry => line > entry.start && line < entry.end && applies(entry));
+    if (range) return describe(range);
+
+    return null;
+  }
+}
+
+function describe(entry) {
+  return {
+    directive: entry.directive,
+    line: entry.line,
+    reason: entry.reason
+  };
+}
@@ -0,0 +1,180 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { getClasses } from './ast.js';
+
+// Mod-wide index of classes, `modded class` extensions, inheritance, fields and methods.
+//
+// A class can be declared once and extended by any number of `modded class` blocks in
+// other files; the index merges them so rules can ask questions about the whole class
+// ("does any part of PlayerBase define a destructor?") instead of a single file.
+export class SymbolIndex {
+  constructor() {
+    this.classes = new Map();
+  }
+
+  /**
+   * Build an index from [{ path, ast, mod? }]. `mod` names the mod a file belongs to
+   * when several mods are indexed together (modpack analysis).
+   */
+  static build(sources) {
+    const index = new SymbolIndex();
+    for (const source of sources) {
+      index.addFile(source.path, source.ast, source.mod);
+    }
+    return index;
+  }
+
+  addFile(path, ast, mod = null) {
+    for (const classNode of getClasses(ast)) {
+      const entry = this.getOrCreate(classNode.name);
+
+      entry.declarations.push({
+        file: path,
+        mod,
+        line: classNode.line,
+        modded: classNode.modded,
+        base: classNode.base,
+        node: classNode
+      });
+
+      // The base class comes from the original declaration; modded blocks rarely restate it
+      if (classNode.base && (!entry.base || !classNode.modded)) {
+        entry.base = classNode.base;
+      }
+
+      for (const field of classNode.fields) {
+        for (const declarator of field.declarations) {
+          entry.fields.push({
+            name: declarator.name,
+            type: field.typeRef.name,
+            typeRef: field.typeRef,
+            isRef: field.isRef,
+            isStatic: field.modifiers.includes('static'),
+            className: classNode.name,
+            modded: classNode.modded,
+            file: path,
+            mod,
+            line: declarator.line
+          });
+        }
+      }
+
+      for (const method of classNode.methods) {
+        entry.methods.push({
+          name: method.name,
+          className: classNode.name,
+          isOverride: method.isOverride,
+          isStatic: method.isStatic,
+          modded: classNode.modded,
+          file: path,
+          mod,
+          line: method.line,
+          node: method
+        });
+      }
+    }
+  }
+
+  getOrCreate(name) {
+    if (!this.classes.has(name)) {
+      this.classes.set(name, {
+        name,
+        base: null,
+        declarations: [],
+        fields: [],
+        methods: []
+      });
+    }
+    return this.classes.get(name);
+  }
+
+  getClass(name) {
+    return this.classes.get(name) || null;
+  }
+
+  hasClass(name) {
+    return this.classes.has(name);
+  }
+
+  /**
+   * True when the mod declares the class itself (not only `modded class` extensions)
+   */
+  isDeclaredInMod(name) {
+    const entry = this.classes.get(name);
+    return !!entry && entry.declarations.some(d => !d.modded);
+  }
+
+  getModdedExtensions(name) {
+    const entry = this.classes.get(name);
+    return entry ? entry.declarations.filter(d => d.modded) : [];
+  }
+
+  getBase(name) {
+    const entry = this.classes.get(name);
+    return entry ? entry.base : null;
+  }
+
+  /**
+   * Base chain known to the mod, nearest first. Stops at the first class the mod doesn't
+   * declare (usually a vanilla class).
+   */
+  getAncestors(name) {
+    const ancestors = [];
+    const seen = new Set([name]);
+    let current = this.getBase(name);
+
+    while (current && !seen.has(current)) {
+      ancestors.push(current);
+      seen.add(current);
+      current = this.getBase(current);
+    }
+
+    return ancestors;
+  }
+
+  getSubclasses(name) {
+    return [...this.classes.values()]
+      .filter(entry => entry.base === name)
+      .map(entry => entry.name);
+  }
+
+  /**
+   * Methods named `methodName` on the class across every declaration and modded extension
+   */
+  getMethods(className, methodName) {
+    const entry = this.classes.get(className);
+    if (!entry) return [];
+    return entry.methods.filter(m => m.name === methodName);
+  }
+
+  /**
+   * Resolve a method through the class, its modded extensions and its ancestors
+   */
+  findMethod(className, methodName) {
+    for (const name of [className, ...this.getAncestors(className)]) {
+      const methods = this.getMethods(name, methodName);
+      if (methods.length > 0) return methods;
+    }
+    return [];
+  }
+
+  getFields(className) {
+    const entry = this.classes.get(className);
+    return entry ? entry.fields : [];
+  }
+
+  /**
+   * Types held through strong (`ref`/`autoptr`) fields anywhere in the class
+   */
+  getStrongReferences(className) {
+    return this.getFields(className)
+      .filter(field => field.isRef)
+      .map(field => field.type);
+  }
+}
@@ -0,0 +1,267 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { readFileSync, readdirSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseEnforce } from './enforceParser.js';
+import { getClasses } from './ast.js';
+
+// Vanilla script API knowledge pack (data/vanilla/<version>.json).
+//
+// A data file describes vanilla classes, their base class and the script methods mods
+// override, with signatures written as Enforce declarations:
+//
+//   {
+//     "version": "1.28",
+//     "extends": "1.27",               // start from another version, list only changes
+//     "typedefs": { "TStringArray": "array<string>" },
+//     "classes": {
+//       "PlayerBase": {
+//         "base": "ManBase",
+//         "module": "4_World",          // script module (layer) the class is declared in
+//         "methods": {
+//           "OnConnect": "void OnConnect()",
+//           "SetActions": ["void SetActions()", "void SetActions(out TInputActionMap InputActionMap)"]
+//         },
+//         "perFrame": ["OnScheduledTick"]   // called every frame or tick by the engine
+//       }
+//     }
+//   }
+//
+// In a file that extends another, a class entry adds to the inherited one (a method set to
+// null is removed) and a class set to null is removed. The pack covers the commonly modded
+// classes, not the whole API: a method missing from it may still exist in the game.
+
+const DATA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../data/vanilla');
+
+export const DEFAULT_DAYZ_VERSION = '1.28';
+
+const cache = new Map();
+
+/**
+ * DayZ versions with a data file, oldest first
+ */
+export function getVanillaVersions() {
+  return readdirSync(DATA_DIR)
+    .filter(name => name.endsWith('.json'))
+    .map(name => name.slice(0, -5))
+    .sort(compareVersions);
+}
+
+/**
+ * Validate a DayZ version (--dayz-version, config `dayzVersion`)
+ */
+export function parseDayzVersion(value) {
+  const version = String(value).trim();
+  const versions = getVanillaVersions();
+  if (!versions.includes(version)) {
+    throw new Error(`unknown DayZ version '${value}' (available: ${versions.join(', ')})`);
+  }
+  return version;
+}
+
+/**
+ * Vanilla API for a DayZ version. The data is bundled with the analyzer, so it is read
+ * synchronously once per version.
+ */
+export function loadVanillaApi(version = DEFAULT_DAYZ_VERSION) {
+  const resolved = parseDayzVersion(version);
+  if (!cache.has(resolved)) {
+    cache.set(resolved, new VanillaApi(resolved, readVersion(resolved, [])));
+  }
+  return cache.get(resolved);
+}
+
+function readVersion(version, chain) {
+  if (chain.includes(version)) {
+    throw new Error(`Invalid vanilla API data ${version}.json: circular extends (${[...chain, version].join(' -> ')})`);
+  }
+
+  const fileName = `${version}.json`;
+  let data;
+  try {
+    data = JSON.parse(readFileSync(path.join(DATA_DIR, fileName), 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read vanilla API data ${fileName}: ${error.message}`);
+  }
+
+  const merged = data.extends
+    ? readVersion(parseDayzVersion(data.extends), [...chain, version])
+    : { typedefs: {}, classes: {} };
+
+  Object.assign(merged.typedefs, data.typedefs || {});
+
+  for (const [className, entry] of Object.entries(data.classes || {})) {
+    if (entry === null) {
+      delete merged.classes[className];
+      continue;
+    }
+
+    const inherited = merged.classes[className] || { base: null, module: null, methods: {}, perFrame: [] };
+    const methods = { ...inherited.methods };
+    for (const [name, signatures] of Object.entries(entry.methods || {})) {
+      if (signatures === null) {
+        delete methods[name];
+      } else {
+        methods[name] = parseSignatures(signatures, `${fileName}: ${className}.${name}`);
+      }
+    }
+
+    merged.classes[className] = {
+      base: entry.base !== undefined ? entry.base : inherited.base,
+      module: entry.module !== undefined ? entry.module : inherited.module,
+      methods,
+      perFrame: entry.perFrame || inherited.perFrame
+    };
+  }
+
+  return merged;
+}
+
+// Signatures are parsed with the script parser itself, inside a throwaway class
+function parseSignatures(signatures, where) {
+  return [].concat(signatures).map(text => {
+    const ast = parseEnforce(`class VanillaSignature { ${text}; }`);
+    const [method] = ast.errors.length === 0 ? getClasses(ast)[0].methods : [];
+    if (!method) {
+      throw new Error(`Invalid vanilla API data ${where}: can't parse '${text}'`);
+    }
+
+    return {
+      text,
+      isStatic: method.isStatic,
+      returnType: method.returnType,
+      params: method.params
+    };
+  });
+}
+
+export class VanillaApi {
+  constructor(version, data) {
+    this.version = version;
+    this.typedefs = data.typedefs;
+    this.classes = data.classes;
+  }
+
+  hasClass(name) {
+    return Object.hasOwn(this.classes, name);
+  }
+
+  /**
+   * The class and its vanilla bases, nearest first
+   */
+  getAncestry(className) {
+    const ancestry = [];
+    let current = className;
+    while (current && this.hasClass(current) && !ancestry.includes(current)) {
+      ancestry.push(current);
+      current = this.classes[current].base;
+    }
+    return ancestry;
+  }
+
+  /**
+   * Nearest vanilla declaration of a method: { className, name, signatures, perFrame }
+   */
+  findMethod(className, methodName) {
+    for (const name of this.getAncestry(className)) {
+      const entry = this.classes[name];
+      if (Object.hasOwn(entry.methods, methodName)) {
+        return {
+          className: name,
+          name: methodName,
+          signatures: entry.methods[methodName],
+          perFrame: entry.perFrame.includes(methodName)
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Names of every method known on the class, inherited ones included
+   */
+  getMethodNames(className) {
+    return [...new Set(this.getAncestry(className).flatMap(name => Object.keys(this.classes[name].methods)))];
+  }
+
+  /**
+   * Script module the class is declared in (e.g. '4_World'), or null when unknown
+   */
+  getModule(className) {
+    return this.hasClass(className) ? this.classes[className].module : null;
+  }
+
+  isPerFrame(className, methodName) {
+    const method = this.findMethod(className, methodName);
+    return !!method && method.perFrame;
+  }
+
+  /**
+   * The vanilla class a mod class builds on: the class itself when vanilla (modded), or the
+   * first vanilla class in its base chain. Null for classes unrelated to vanilla.
+   */
+  resolveClass(index, className) {
+    const chain = [className, ...(index ? index.getAncestors(className) : [])];
+    return chain.find(name => this.hasClass(name)) || null;
+  }
+
+  /**
+   * How a declared method differs from a vanilla signature, or null when it matches
+   */
+  compareSignature(method, signature) {
+    if (this.typeName(method.returnType) !== this.typeName(signature.returnType)) {
+      return `returns ${this.typeName(method.returnType)} instead of ${this.typeName(signature.returnType)}`;
+    }
+    if (method.params.length !== signature.params.length) {
+      return `takes ${method.params.length} parameter(s) instead of ${signature.params.length}`;
+    }
+
+    for (let i = 0; i < method.params.length; i++) {
+      const actual = this.paramType(method.params[i]);
+      const expected = this.paramType(signature.params[i]);
+      if (actual !== expected) {
+        return `parameter ${i + 1} is '${actual}' instead of '${expected}'`;
+      }
+    }
+
+    return null;
+  }
+
+  // Type as written, with typedefs resolved and `ref`/`autoptr` ignored
+  typeName(typeRef) {
+    let name = typeRef.name;
+    if (typeRef.args.length > 0) {
+      name += `<${typeRef.args.map(arg => this.typeName(arg)).join(',')}>`;
+    }
+    if (Object.hasOwn(this.typedefs, name)) {
+      name = this.typedefs[name].replace(/\s+/g, '');
+    }
+    return typeRef.isArray ? `${name}[]` : name;
+  }
+
+  // `out` and `inout` are part of the signature; `notnull`, `const` and the name are not
+  paramType(param) {
+    const modifiers = [...param.modifiers, ...param.typeRef.modifiers].filter(modifier => modifier === 'out' || modifier === 'inout');
+    return [...modifiers, this.typeName(param.typeRef)].join(' ');
+  }
+}
+
+/**
+ * Order of two DayZ versions ('1.9' < '1.10'); negative, 0 or positive
+ */
+export function compareVersions(a, b) {
+  const partsA = a.split('.').map(Number);
+  const partsB = b.split('.').map(Number);
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
@@ -0,0 +1,103 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AddonDependencies } from '../src/addonDependencies.js';
+import { AddonConfig, readAddonConfig } from '../src/addonConfig.js';
+import { SymbolIndex } from '../src/symbolIndex.js';
+import { parseEnforce } from '../src/enforceParser.js';
+
+const patches = (...addons) => `class CfgPatches\n{\n${addons.map(([name, required]) =>
+  `  class ${name} { requiredAddons[] = { ${required.map(addon => `"${addon}"`).join(', ')} }; };\n`).join('')}};\n`;
+
+// mods: [name, { 'path/config.cpp': [[addon, requiredAddons], ...] }, { 'path/Script.c': source }]
+const modpack = mods => {
+  const dependencies = new AddonDependencies(mods.map(([name, configs]) => ({
+    name,
+    addonConfig: new AddonConfig(Object.entries(configs).map(([file, addons]) => readAddonConfig(file, patches(...addons))))
+  })));
+  const index = SymbolIndex.build(mods.flatMap(([name, , scripts = {}]) =>
+    Object.entries(scripts).map(([file, source]) => ({ path: file, mod: name, ast: parseEnforce(source) }))));
+  return { dependencies, index };
+};
+
+const CORE = ['@Core', { 'Core/config.cpp': [['Core_Scripts', ['DZ_Scripts']]] }, { 'Core/Scripts/4_World/CoreManager.c': 'class CoreManager\n{\n}\n' }];
+const MODDED = 'modded class CoreManager\n{\n}\n';
+
+test('required addons load first, the others keep the -mod order', () => {
+  const { dependencies } = modpack([
+    ['@Feature', { 'Feature/config.cpp': [['Feature_Scripts', ['Core_Scripts']]] }],
+    ['@Other', { 'Other/config.cpp': [['Other_Scripts', []]] }],
+    CORE
+  ]);
+
+  assert.deepEqual(dependencies.getLoadOrder().map(addon => addon.name), ['Other_Scripts', 'Core_Scripts', 'Feature_Scripts']);
+  assert.deepEqual(dependencies.getCycles(), []);
+});
+
+test('a requiredAddons cycle is reported and broken where it is first entered', () => {
+  const { dependencies } = modpack([
+    ['@Cycle', {
+      'Cycle/A/config.cpp': [['Cycle_A', ['cycle_b']]],
+      'Cycle/B/config.cpp': [['Cycle_B', ['Cycle_A']]]
+    }],
+    ['@After', { 'After/config.cpp': [['After_Scripts', ['Cycle_B']]] }]
+  ]);
+
+  assert.deepEqual(dependencies.getCycles(), [{ addons: ['Cycle_A', 'Cycle_B', 'Cycle_A'], mods: ['@Cycle'] }]);
+  assert.deepEqual(dependencies.getLoadOrder().map(addon => addon.name), ['Cycle_A', 'Cycle_B', 'After_Scripts']);
+});
+
+test('duplicate CfgPatches names and unknown required addons are listed, vanilla ones are not', () => {
+  const { dependencies } = modpack([
+    CORE,
+    ['@Copy', { 'Copy/config.cpp': [['core_scripts', ['DZ_Data', 'Missing_Addon']]] }]
+  ]);
+
+  assert.deepEqual(dependencies.getDuplicates(), [{
+    name: 'Core_Scripts',
+    declarations: [{ mod: '@Core', file: 'Core/config.cpp' }, { mod: '@Copy', file: 'Copy/config.cpp' }]
+  }]);
+  assert.deepEqual(dependencies.getUnresolved(), [
+    { addon: 'core_scripts', mod: '@Copy', file: 'Copy/config.cpp', requiredAddon: 'Missing_Addon' }
+  ]);
+});
+
+test('a modded class needs its addon to require the declaring addon, directly or not', () => {
+  const { dependencies, index } = modpack([
+    CORE,
+    ['@Loose', { 'Loose/config.cpp': [['Loose_Scripts', ['DZ_Scripts']]] }, { 'Loose/Scripts/4_World/CoreManager.c': MODDED }],
+    ['@Feature', { 'Feature/config.cpp': [['Feature_Scripts', ['Core_Scripts']]] }],
+    ['@Through', { 'Through/config.cpp': [['Through_Scripts', ['Feature_Scripts']]] }, { 'Through/Scripts/4_World/CoreManager.c': MODDED }],
+    ['@Vanilla', { 'Vanilla/config.cpp': [['Vanilla_Scripts', []]] }, { 'Vanilla/Scripts/4_World/PlayerBase.c': 'modded class PlayerBase\n{\n}\n' }]
+  ]);
+
+  assert.deepEqual(dependencies.getMissing(index), [{
+    addon: 'Loose_Scripts',
+    mod: '@Loose',
+    requiredAddon: 'Core_Scripts',
+    requiredMod: '@Core',
+    classes: ['CoreManager'],
+    file: 'Loose/Scripts/4_World/CoreManager.c',
+    line: 1
+  }]);
+});
+
+test('scripts belong to the addon of the nearest config above them', () => {
+  const { dependencies } = modpack([
+    ['@Split', {
+      'Split/config.cpp': [['Split_Root', []]],
+      'Split/Scripts/config.cpp': [['Split_Scripts', []]]
+    }]
+  ]);
+
+  assert.equal(dependencies.getAddonOfFile('@Split', 'Split/Scripts/4_World/A.c').name, 'Split_Scripts');
+  assert.equal(dependencies.getAddonOfFile('@Split', 'Split/Data/B.c').name, 'Split_Root');
+  assert.equal(dependencies.getAddonOfFile('@Other', 'Split/Scripts/4_World/A.c'), null);
+});
@@ -0,0 +1,84 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getFixableFindings, applyFixes, createPatch } from '../src/autofix.js';
+import { CONFIDENCE } from '../src/rules.js';
+import { analyzeFiles, getFindings } from './helpers.js';
+
+const CALL_LATER = `class Timer
+{
+	void Timer()
+	{
+		GetGame().GetCallQueue(CALL_CATEGORY_SYSTEM).CallLater(Tick, 1000, true);
+		GetGame().GetCallQueue(CALL_CATEGORY_SYSTEM).CallLater(Missing, 1000, true);
+	}
+
+	void Tick()
+	{
+	}
+}
+`;
+
+test('fixes are only offered on high-confidence findings', () => {
+  const findings = getFindings(analyzeFiles({ 'Timer.c': CALL_LATER }), 'calllater-no-remove');
+  const [tick, missing] = findings;
+
+  assert.equal(findings.length, 2);
+  // The callback is found in the class, so the Remove() fix can be built
+  assert.equal(tick.confidence, CONFIDENCE.HIGH);
+  assert.ok(tick.fix);
+  // No method to remove: the finding stays medium and comes without a fix
+  assert.equal(missing.confidence, CONFIDENCE.MEDIUM);
+  assert.equal(missing.fix, undefined);
+});
+
+test('a rule of medium confidence gets no fix even when it attaches one', () => {
+  const rule = {
+    id: 'test-fix',
+    name: 'Test fix',
+    severity: 'medium',
+    category: 'performance',
+    pattern: /Print/g,
+    check: matches => matches.flatMap(m => m.matches).map(match => ({
+      line: match.line,
+      message: 'Print',
+      fix: { description: 'Drop it', edits: [{ start: match.index, end: match.index + 5, text: '' }] }
+    }))
+  };
+  const analyze = confidence => analyzeFiles({ 'A.c': 'void A()\n{\n\tPrint("a");\n}\n' }, {
+    plugins: { plugins: [], rules: [{ ...rule, confidence }], errors: [] }
+  });
+
+  assert.equal(getFindings(analyze(CONFIDENCE.MEDIUM), 'test-fix').length, 1);
+  assert.deepEqual(getFixableFindings(analyze(CONFIDENCE.MEDIUM)), []);
+  assert.equal(getFixableFindings(analyze(CONFIDENCE.HIGH)).length, 1);
+});
+
+test('applyFixes applies edits from the end, skips overlapping ones and keeps CRLF', () => {
+  const content = 'one\r\ntwo\r\nthree\r\n';
+  const finding = (start, end, text) => ({ ruleId: 'x', line: 1, fix: { description: 'x', edits: [{ start, end, text }] } });
+
+  const result = applyFixes(content, [
+    finding(0, 3, '1'),
+    finding(5, 8, '2\nand more'),
+    finding(6, 7, 'overlap'),
+    finding(0, 99, 'invalid')
+  ]);
+
+  assert.equal(result.content, '1\r\n2\r\nand more\r\nthree\r\n');
+  assert.equal(result.applied.length, 2);
+  assert.deepEqual(result.skipped.map(entry => entry.reason), ['overlaps another fix', 'invalid edit']);
+});
+
+test('createPatch gives a unified diff with context', () => {
+  const patch = createPatch('A.c', 'a\nb\nc\nd\n', 'a\nb\nX\nd\n');
+
+  assert.equal(patch, '--- a/A.c\n+++ b/A.c\n@@ -1,4 +1,4 @@\n a\n b\n-c\n+X\n d\n');
+});
@@ -0,0 +1,65 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { Baseline, BASELINE_VERSION } from '../src/baseline.js';
+import { analyzeFiles, getFindings, writeMod, removeMod } from './helpers.js';
+
+const scanner = (...body) => `class Scanner
+{
+	void OnUpdate(float timeslice)
+	{
+${body.map(line => `\t\t${line}`).join('\n')}
+	}
+}
+`;
+const SCAN = 'GetGame().GetObjectsAtPosition(m_Center, 2000, m_Objects, null);';
+const PLAYERS = 'GetGame().GetPlayers(m_Players);';
+const SAVE = 'FileHandle file = OpenFile("$profile:scan.txt", FileMode.WRITE);';
+
+test('accepted findings stay accepted when code moves; only new ones count', async () => {
+  const dir = await writeMod({});
+  const file = path.join(dir, 'baseline.json');
+
+  try {
+    const accepted = analyzeFiles({ 'Scanner.c': scanner(SCAN, PLAYERS) });
+    await Baseline.fromResults(accepted).save(file);
+    const baseline = await Baseline.load(file);
+    assert.equal(baseline.size, getFindings(accepted).length);
+
+    // Two lines pushed the scan down, GetPlayers was fixed and an unclosed file handle was added
+    const results = analyzeFiles({ 'Scanner.c': scanner('Print("a");', 'Print("b");', SCAN, SAVE) }, { baseline });
+
+    assert.deepEqual(getFindings(results).map(issue => issue.ruleId), ['file-operations-loop', 'missing-destructor']);
+    assert.equal(results.summary.totalIssues, 2);
+    assert.ok(results.baselined[0].issues.some(issue => issue.ruleId === 'world-scan-loop' && issue.line === 7));
+    assert.equal(results.summary.baselined, baseline.size - 1);
+    assert.equal(results.summary.baselineResolved, 1);
+  } finally {
+    await removeMod(dir);
+  }
+});
+
+test('unreadable, malformed and newer baselines are errors', async () => {
+  const dir = await writeMod({
+    'broken.json': '{',
+    'invalid.json': JSON.stringify({ findings: [{ line: 3 }] }),
+    'newer.json': JSON.stringify({ version: BASELINE_VERSION + 1, findings: [] })
+  });
+
+  try {
+    await assert.rejects(Baseline.load(path.join(dir, 'missing.json')), /Failed to read baseline/);
+    await assert.rejects(Baseline.load(path.join(dir, 'broken.json')), /Failed to read baseline/);
+    await assert.rejects(Baseline.load(path.join(dir, 'invalid.json')), /Invalid baseline/);
+    await assert.rejects(Baseline.load(path.join(dir, 'newer.json')), /newer version/);
+  } finally {
+    await removeMod(dir);
+  }
+});
@@ -0,0 +1,71 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeFiles, getFindings } from './helpers.js';
+
+const WATCHER = `class Watcher
+{
+	void OnUpdate(float timeslice)
+	{
+		CheckPlayers();
+	}
+
+	void CheckPlayers()
+	{
+		Scan();
+		CheckPlayers();
+	}
+}
+`;
+
+const SCAN = `modded class Watcher
+{
+	void Scan()
+	{
+		array<Man> players = new array<Man>;
+		GetGame().GetPlayers(players);
+		FileHandle file = OpenFile("$profile:watcher.txt", FileMode.READ);
+	}
+
+	void Unused()
+	{
+		array<Man> players = new array<Man>;
+		GetGame().GetPlayers(players);
+	}
+}
+`;
+
+test('code called from OnUpdate through other files is hot, with its call chain', () => {
+  const results = analyzeFiles({ 'Watcher.c': WATCHER, 'Scan.c': SCAN });
+  const players = getFindings(results, 'getplayers-spam');
+
+  assert.deepEqual(players.map(finding => [finding.file, finding.line]), [['Scan.c', 6]]);
+  assert.deepEqual(players[0].callChain, ['Watcher.OnUpdate()', 'Watcher.CheckPlayers()', 'Watcher.Scan()']);
+});
+
+test('finding messages read naturally with the call chain', () => {
+  const results = analyzeFiles({ 'Watcher.c': WATCHER, 'Scan.c': SCAN });
+  const chain = 'called from Watcher.OnUpdate() via Watcher.CheckPlayers() -> Watcher.Scan()';
+
+  assert.equal(getFindings(results, 'getplayers-spam')[0].message,
+    `GetPlayers() ${chain} without visible rate limiting`);
+  assert.equal(getFindings(results, 'file-operations-loop')[0].message,
+    `File operation (OpenFile) ${chain} - severe performance impact`);
+  for (const finding of getFindings(results)) {
+    assert.doesNotMatch(finding.message, /\b(\w+) \1\b/, finding.message);
+  }
+});
+
+test('a method nothing hot calls is not hot', () => {
+  const results = analyzeFiles({ 'Scan.c': SCAN });
+
+  assert.deepEqual(getFindings(results, 'getplayers-spam'), []);
+  assert.deepEqual(getFindings(results, 'file-operations-loop'), []);
+});
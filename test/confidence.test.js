@@ -0,0 +1,71 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PerformanceAnalyzer } from '../src/analyzer.js';
+import { analyzeFiles, getFindings } from './helpers.js';
+
+const LOOP = `class Report
+{
+	void Build(array<string> names)
+	{
+		string text;
+		foreach (string name : names)
+		{
+			text = text + "[" + name + "]" + ": " + ", ";
+			GetGame().GetObjectsAtPosition(m_Center, 2000, m_Objects, null);
+		}
+	}
+}
+`;
+
+const FIX = { description: 'Add a destructor', edits: [{ start: 0, end: 0, text: '' }] };
+const finding = (ruleId, severity, confidence, extra = {}) =>
+  ({ ruleId, group: 'destructor', line: 3, severity, confidence, message: ruleId, ...extra });
+
+test('findings of one group on the same line are merged into the most severe one', () => {
+  const analyzer = new PerformanceAnalyzer([], { config: {}, quiet: true });
+  const merged = analyzer.mergeOverlapping([
+    finding('a', 'MEDIUM', 'low'),
+    finding('b', 'HIGH', 'medium'),
+    finding('c', 'LOW', 'low'),
+    finding('d', 'HIGH', 'high', { line: 4 }),
+    { ruleId: 'e', line: 3, severity: 'LOW', confidence: 'low', message: 'e' }
+  ]);
+
+  assert.deepEqual(merged.map(issue => issue.ruleId), ['b', 'd', 'e']);
+  assert.equal(merged[0].confidence, 'medium');
+  assert.deepEqual(merged[0].mergedWith.map(other => other.ruleId), ['a', 'c']);
+});
+
+test('a merged finding keeps the fix and confidence of the finding it absorbed', () => {
+  const analyzer = new PerformanceAnalyzer([], { config: {}, quiet: true });
+  const [merged] = analyzer.mergeOverlapping([
+    finding('severe', 'HIGH', 'medium'),
+    finding('fixable', 'MEDIUM', 'high', { fix: FIX })
+  ]);
+
+  assert.equal(merged.ruleId, 'severe');
+  assert.equal(merged.confidence, 'high');
+  assert.deepEqual(merged.fix, FIX);
+});
+
+test('--min-confidence moves weaker findings out of the counted issues', () => {
+  const all = analyzeFiles({ 'Report.c': LOOP });
+  const confident = analyzeFiles({ 'Report.c': LOOP }, { minConfidence: 'high' });
+  const below = confident.belowConfidence.flatMap(fileResult => fileResult.issues);
+
+  assert.ok(getFindings(all, 'string-concatenation-loop').length > 0);
+  assert.equal(getFindings(confident, 'string-concatenation-loop').length, 0);
+  assert.ok(getFindings(confident, 'world-scan-loop').length > 0);
+  assert.ok(getFindings(confident).every(issue => issue.confidence === 'high'));
+  assert.ok(below.some(issue => issue.ruleId === 'string-concatenation-loop'));
+  assert.equal(confident.summary.belowConfidence, below.length);
+  assert.equal(confident.summary.totalIssues, all.summary.totalIssues - below.length);
+});
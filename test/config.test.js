@@ -0,0 +1,102 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { analyzeMod } from '../src/index.js';
+import { loadConfig, parseConfig, getRuleSettings, filterFiles } from '../src/config.js';
+import { writeMod, removeMod, scriptFile, analyzeFiles, getFindings } from './helpers.js';
+
+test('config precedence: --config, then the mod\'s own, then next to it, then defaults', async () => {
+  const dir = await writeMod({
+    'explicit.yml': 'contextLines: 1\n',
+    '.dayzperfrc.json': JSON.stringify({ contextLines: 3 })
+  });
+  const embedded = { name: '.dayzperfrc', content: 'contextLines: 4\n' };
+
+  try {
+    assert.equal((await loadConfig({ configPath: path.join(dir, 'explicit.yml'), embedded, searchDir: dir })).contextLines, 1);
+    assert.equal((await loadConfig({ embedded, searchDir: dir })).contextLines, 4);
+    const found = await loadConfig({ searchDir: dir });
+    assert.equal(found.contextLines, 3);
+    assert.equal(found.source, path.join(dir, '.dayzperfrc.json'));
+    assert.equal((await loadConfig({ searchDir: path.join(dir, 'missing') })).contextLines, 2);
+    await assert.rejects(loadConfig({ configPath: path.join(dir, 'missing.yml') }), /Failed to read config file/);
+  } finally {
+    await removeMod(dir);
+  }
+});
+
+test('rule settings: off, a severity, or options merged over the defaults', () => {
+  const config = parseConfig(`rules:
+  getgame-spam: off
+  rpc-spam: critical
+  world-scan-loop:
+    severity: HIGH
+    options: { radius: 8000 }
+`, '.dayzperfrc.yml');
+
+  assert.equal(getRuleSettings({ id: 'getgame-spam' }, config).enabled, false);
+  assert.equal(getRuleSettings({ id: 'rpc-spam' }, config).severity, 'CRITICAL');
+  assert.deepEqual(getRuleSettings({ id: 'world-scan-loop', defaultOptions: { radius: 5000, loopRadius: 1000 } }, config),
+    { enabled: true, severity: 'HIGH', options: { radius: 8000, loopRadius: 1000 } });
+  assert.throws(() => parseConfig('{ "rules": { "rpc-spam": "SEVERE" } }', '.dayzperfrc.json'), /\.dayzperfrc\.json/);
+});
+
+test('include and exclude globs pick the analyzed files', () => {
+  const files = ['Scripts/4_World/A.c', 'Scripts/4_World/Debug/B.c', 'Other/C.c'].map(filePath => scriptFile(filePath, ''));
+  const config = parseConfig(JSON.stringify({ include: ['scripts/**'], exclude: ['**/Debug/**'] }), '.dayzperfrc.json');
+
+  assert.deepEqual(filterFiles(files, config).map(file => file.path), ['Scripts/4_World/A.c']);
+});
+
+test('the analyzer applies rule settings from the config', () => {
+  const source = 'class A\n{\n\tvoid OnUpdate(float timeslice)\n\t{\n\t\tGetGame().GetObjectsAtPosition(m_Center, 2000, m_Objects, null);\n\t}\n}\n';
+  const severity = config => getFindings(analyzeFiles({ 'A.c': source }, { config }), 'world-scan-loop').map(finding => finding.severity);
+
+  assert.deepEqual(severity({}), ['CRITICAL']);
+  assert.deepEqual(severity({ rules: { 'world-scan-loop': 'LOW' } }), ['LOW']);
+  assert.deepEqual(severity({ rules: { 'world-scan-loop': 'off' } }), []);
+  assert.deepEqual(severity({ rules: { 'world-scan-loop': { options: { loopRadius: 5000 } } } }), []);
+});
+
+const PLUGIN = `globalThis.dayzPerfPluginLoaded = true;
+export default { name: 'shipped', version: '1.0.0', apiVersion: 1, rules: [] };
+`;
+
+test('plugins and rule files in a config inside the analyzed mod are not loaded', async () => {
+  const dir = await writeMod({
+    '.dayzperfrc': JSON.stringify({ plugins: ['./plugin.mjs'], ruleFiles: ['./rules.yml'] }),
+    'plugin.mjs': PLUGIN,
+    'rules.yml': 'id: shipped-rule\nname: Shipped Rule\nseverity: LOW\npattern: Print\n',
+    'Scripts/4_World/A.c': 'void A()\n{\n\tPrint("a");\n}\n'
+  });
+
+  try {
+    const { results } = await analyzeMod(dir);
+    assert.equal(globalThis.dayzPerfPluginLoaded, undefined);
+    assert.deepEqual(results.plugins, []);
+    assert.equal(results.issues.length, 0);
+
+    // Settings other than code still apply
+    const config = await loadConfig({ embedded: { name: '.dayzperfrc', content: JSON.stringify({ plugins: ['./plugin.mjs'], minConfidence: 'high' }) } });
+    assert.deepEqual(config.plugins, []);
+    assert.equal(config.minConfidence, 'high');
+    assert.equal(config.embedded, true);
+
+    // The same file passed with --config is trusted
+    const trusted = await analyzeMod(dir, { configPath: path.join(dir, '.dayzperfrc') });
+    assert.equal(globalThis.dayzPerfPluginLoaded, true);
+    assert.deepEqual(trusted.results.plugins.map(plugin => plugin.name), ['shipped']);
+    assert.ok(trusted.results.issues.some(fileResult => fileResult.issues.some(issue => issue.ruleId === 'shipped-rule')));
+  } finally {
+    delete globalThis.dayzPerfPluginLoaded;
+    await removeMod(dir);
+  }
+});
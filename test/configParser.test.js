@@ -0,0 +1,125 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseConfigText, parseRapified, isRapified, getConfigClass } from '../src/configParser.js';
+import { AddonConfig, readAddonConfig } from '../src/addonConfig.js';
+import { rapify } from './helpers.js';
+
+const CONFIG = `#define QUOTE(x) #x
+
+class CfgPatches
+{
+  class MyMod_Scripts
+  {
+    units[] = {};
+    requiredAddons[] = { "DZ_Data", "DZ_Scripts" };
+  };
+};
+
+class CfgMods
+{
+  class MyMod
+  {
+    name = $STR_MyMod_Name;
+    author = "Someone ""Quoted""";
+    version = 1.5;
+    inputs = "MyMod\\Data\\Inputs.xml";
+    type = mod;
+    defines[] = { "MYMOD", $STR_MyMod_Define };
+    dependencies[] = { "Game", "World" };
+
+    class defs
+    {
+      class worldScriptModule
+      {
+        value = "";
+        files[] = { "MyMod/Scripts/4_World" };
+      };
+    };
+  };
+};
+`;
+
+test('config.cpp: class tree, strings, numbers and arrays', () => {
+  const root = parseConfigText(CONFIG);
+  const mod = getConfigClass(root, 'cfgmods/mymod');
+
+  assert.equal(mod.line, 14);
+  assert.equal(mod.properties.author, 'Someone "Quoted"');
+  assert.equal(mod.properties.version, 1.5);
+  assert.equal(mod.properties.inputs, 'MyMod\\Data\\Inputs.xml');
+  assert.equal(mod.properties.type, 'mod');
+  assert.deepEqual(getConfigClass(root, 'CfgPatches/MyMod_Scripts').properties.requiredAddons, ['DZ_Data', 'DZ_Scripts']);
+  assert.deepEqual(getConfigClass(mod, 'defs/worldScriptModule').properties.files, ['MyMod/Scripts/4_World']);
+});
+
+test('config.cpp: stringtable keys, macro calls and expressions are read as text', () => {
+  const root = parseConfigText(`${CONFIG}
+ADDON_ENTRIES(MyMod, 1);
+class CfgVehicles
+{
+  class MyItem
+  {
+    displayName = $STR_MyMod_Item;
+    model = QUOTE(MyMod\\Data\\item.p3d);
+    weight = 1*2;
+    hiddenSelections[] = { QUOTE(camo, 1), "zbytek" };
+    EXTRA_ITEM_ENTRIES(MyItem)
+    scope = 2;
+  };
+};
+`);
+  const item = getConfigClass(root, 'CfgVehicles/MyItem');
+
+  assert.equal(getConfigClass(root, 'CfgMods/MyMod').properties.name, '$STR_MyMod_Name');
+  assert.deepEqual(item.properties, {
+    displayName: '$STR_MyMod_Item',
+    model: 'QUOTE(MyMod\\Data\\item.p3d)',
+    weight: '1*2',
+    hiddenSelections: ['QUOTE(camo, 1)', 'zbytek'],
+    scope: 2
+  });
+});
+
+test('config.cpp: syntax errors name the file and line', () => {
+  assert.throws(() => parseConfigText('class A\n{\n  x = ;\n};\n', 'MyMod/config.cpp'),
+    /^Error: Invalid config MyMod\/config.cpp: line 3: unexpected ';'/);
+  assert.throws(() => parseConfigText('class A\n{\n  x = 1;\n'), /missing '}' for class A/);
+});
+
+test('config.bin: the same class tree as the text, without line numbers', () => {
+  const text = parseConfigText(CONFIG);
+  const binary = rapify(text);
+  const root = parseRapified(binary);
+
+  assert.ok(isRapified(binary));
+  assert.equal(isRapified(Buffer.from(CONFIG)), false);
+  assert.deepEqual(getConfigClass(root, 'CfgMods/MyMod').properties, getConfigClass(text, 'CfgMods/MyMod').properties);
+  assert.deepEqual(getConfigClass(root, 'CfgMods/MyMod/defs/worldScriptModule').properties.files, ['MyMod/Scripts/4_World']);
+  assert.equal(getConfigClass(root, 'CfgPatches/MyMod_Scripts').line, 0);
+});
+
+test('config.bin: a truncated file is an error', () => {
+  const binary = rapify(parseConfigText(CONFIG));
+  assert.throws(() => parseRapified(binary.subarray(0, 40), 'MyMod/config.bin'), /MyMod\/config.bin/);
+});
+
+test('addon config: text and binarized configs give the same CfgMods entries', () => {
+  const text = readAddonConfig('MyMod/config.cpp', CONFIG);
+  const binary = readAddonConfig('MyMod/config.bin', rapify(parseConfigText(CONFIG)));
+  const broken = readAddonConfig('Other/config.cpp', 'class A {');
+
+  assert.equal(binary.format, 'bin');
+  assert.deepEqual(new AddonConfig([binary]).getDefines(), ['MYMOD', '$STR_MyMod_Define']);
+  assert.deepEqual(
+    new AddonConfig([binary]).getMods().map(({ file, ...mod }) => mod),
+    new AddonConfig([text]).getMods().map(({ file, ...mod }) => mod));
+  assert.deepEqual(new AddonConfig([text, broken]).getErrors().map(error => error.file), ['Other/config.cpp']);
+});
@@ -0,0 +1,92 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRuleFile, loadDeclarativeRules, fillTemplate } from '../src/declarativeRules.js';
+import { writeMod, removeMod, analyzeFiles, getFindings } from './helpers.js';
+
+const RULES = `rules:
+  - id: calllater-never-removed
+    name: CallLater Never Removed
+    severity: MEDIUM
+    pattern: 'CallLater\\s*\\(\\s*(?:this\\.)?(\\w+)'
+    absent: 'Remove\\s*\\(\\s*(?:this\\.)?{{1}}\\b'
+    message: 'CallLater({{1}}) {{context}} is never removed'
+
+  - id: json-load-in-hot-code
+    name: JSON Load in Hot Code
+    severity: high
+    pattern: 'JsonFileLoader<(?<type>\\w+)>\\.JsonLoadFile'
+    context: [loop, update]
+    message: 'Loading {{type}} from JSON {{context}} in {{class}}.{{method}}'
+`;
+
+const SOURCE = `class Settings
+{
+	void Settings()
+	{
+		GetGame().GetCallQueue(CALL_CATEGORY_SYSTEM).CallLater(Save, 1000, false);
+		GetGame().GetCallQueue(CALL_CATEGORY_SYSTEM).CallLater(Load, 1000, false);
+		GetGame().GetCallQueue(CALL_CATEGORY_SYSTEM).Remove(Load);
+		JsonFileLoader<SettingsData>.JsonLoadFile(PATH, m_Data);
+	}
+
+	void OnUpdate(float timeslice)
+	{
+		JsonFileLoader<SettingsData>.JsonLoadFile(PATH, m_Data);
+	}
+}
+`;
+
+test('declarative rules: patterns, absent patterns, contexts and message templates', () => {
+  const rules = parseRuleFile(RULES, 'perf-rules.yml');
+  const results = analyzeFiles({ 'Settings.c': SOURCE }, { declarativeRules: rules });
+
+  assert.deepEqual(getFindings(results, 'calllater-never-removed').map(finding => [finding.line, finding.message]), [
+    [5, 'CallLater(Save) in Settings() is never removed']
+  ]);
+  assert.deepEqual(getFindings(results, 'json-load-in-hot-code').map(finding => [finding.line, finding.severity, finding.message]), [
+    [13, 'HIGH', 'Loading SettingsData from JSON in OnUpdate() in Settings.OnUpdate']
+  ]);
+});
+
+test('every problem in a rule file is reported with the rule and the field', () => {
+  const text = JSON.stringify([
+    { id: 'no-name', severity: 'LOW', pattern: 'x' },
+    { id: 'bad-pattern', name: 'Bad', severity: 'LOW', pattern: '(' },
+    { id: 'getgame-spam', name: 'Clash', severity: 'LOW', pattern: 'x', context: 'sometimes' }
+  ]);
+
+  assert.throws(() => parseRuleFile(text, 'rules.json', new Set(['getgame-spam'])), error => {
+    assert.match(error.message, /^Invalid rule file rules\.json:/);
+    assert.match(error.message, /rule 'no-name': .*name/);
+    assert.match(error.message, /rule 'bad-pattern': .*pattern/);
+    assert.match(error.message, /rule 'getgame-spam': .*already/);
+    assert.match(error.message, /rule 'getgame-spam': .*context/);
+    return true;
+  });
+});
+
+test('rule files are loaded from directories relative to the config', async () => {
+  const dir = await writeMod({ 'rules/perf.yml': RULES, 'rules/readme.md': '# not a rule' });
+
+  try {
+    const rules = await loadDeclarativeRules({ ruleFiles: ['./rules'] }, { baseDir: dir });
+    assert.deepEqual(rules.map(rule => [rule.id, rule.declarative]), [
+      ['calllater-never-removed', true],
+      ['json-load-in-hot-code', true]
+    ]);
+  } finally {
+    await removeMod(dir);
+  }
+});
+
+test('fillTemplate leaves unknown placeholders alone', () => {
+  assert.equal(fillTemplate('{{1}} and {{ missing }}', { 1: 'x' }), 'x and {{ missing }}');
+});
@@ -0,0 +1,52 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getDeprecations, parseTargetVersion, DEPRECATION_STATUS } from '../src/dayzDeprecations.js';
+import { analyzeFiles, getFindings } from './helpers.js';
+
+const ENTRIES = [
+  { api: 'Old.Call', method: 'Call', deprecatedIn: '1.9', removedIn: '1.12' },
+  { api: 'Other.Call', method: 'Other', deprecatedIn: '1.20', removedIn: null }
+];
+
+const LOADER = `class Settings
+{
+	void Load(string path)
+	{
+		JsonFileLoader<Settings>.JsonLoadFile(path, this);
+	}
+}
+`;
+
+test('entries apply from the version that deprecated them and are removed later', () => {
+  const statuses = version => getDeprecations(version, ENTRIES).map(entry => [entry.api, entry.status]);
+
+  assert.deepEqual(statuses('1.8'), []);
+  assert.deepEqual(statuses('1.10'), [['Old.Call', DEPRECATION_STATUS.DEPRECATED]]);
+  assert.deepEqual(statuses('1.12'), [['Old.Call', DEPRECATION_STATUS.REMOVED]]);
+  assert.deepEqual(statuses('1.28'), [['Old.Call', DEPRECATION_STATUS.REMOVED], ['Other.Call', DEPRECATION_STATUS.DEPRECATED]]);
+});
+
+test('target versions are major.minor', () => {
+  assert.equal(parseTargetVersion(' 1.26 '), '1.26');
+  assert.equal(parseTargetVersion(1.3), '1.3');
+  assert.throws(() => parseTargetVersion('1.26.1'), /invalid DayZ version '1.26.1'/);
+  assert.throws(() => parseTargetVersion('latest'), /expected e.g. 1\.28/);
+});
+
+test('deprecated-api follows the target version', () => {
+  const findings = targetVersion => getFindings(analyzeFiles({ 'Settings.c': LOADER }, { targetVersion }), 'deprecated-api');
+  const [current] = findings(undefined);
+
+  assert.deepEqual(findings('1.24'), []);
+  assert.equal(current.severity, 'MEDIUM');
+  assert.equal(current.line, 5);
+  assert.match(current.message, /^JsonFileLoader\.JsonLoadFile\(\) is deprecated since DayZ 1\.25 - use JsonFileLoader<T>\.LoadFile/);
+});
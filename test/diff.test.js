@@ -0,0 +1,54 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffResults } from '../src/diff.js';
+import { analyzeFiles } from './helpers.js';
+
+const scanner = (...body) => `class Scanner
+{
+	void OnUpdate(float timeslice)
+	{
+${body.map(line => `\t\t${line}`).join('\n')}
+	}
+}
+`;
+const SCAN = 'GetGame().GetObjectsAtPosition(m_Center, 2000, m_Objects, null);';
+const PLAYERS = 'GetGame().GetPlayers(m_Players);';
+const SAVE = 'FileHandle file = OpenFile("$profile:scan.txt", FileMode.WRITE);';
+
+const run = (files, score) => ({ results: analyzeFiles(files), score, rating: 'Fair' });
+// Only the findings of the lines above; the class itself draws others
+const RULES = new Set(['world-scan-loop', 'getplayers-spam', 'file-operations-loop']);
+const only = findings => findings.filter(finding => RULES.has(finding.ruleId));
+
+test('findings are matched across builds even when the code moved', () => {
+  const oldRun = run({ 'Scanner.c': scanner(SCAN, PLAYERS), 'Old.c': scanner(SAVE) }, 40);
+  const newRun = run({ 'Scanner.c': scanner('Print("moved down");', 'Print("twice");', SCAN, SAVE) }, 35);
+  const diff = diffResults(oldRun, newRun);
+
+  assert.deepEqual(diff.score, { old: 40, new: 35, delta: -5 });
+  assert.deepEqual(only(diff.unchanged).map(finding => [finding.ruleId, finding.previousLine, finding.line]), [['world-scan-loop', 5, 7]]);
+  assert.deepEqual(only(diff.new).map(finding => [finding.ruleId, finding.file]), [['file-operations-loop', 'Scanner.c']]);
+  assert.deepEqual(only(diff.fixed).map(finding => [finding.ruleId, finding.file]).sort(), [
+    ['file-operations-loop', 'Old.c'],
+    ['getplayers-spam', 'Scanner.c']
+  ]);
+  assert.equal(diff.summary.fixed, diff.fixed.length);
+  assert.equal(Object.values(diff.summary.newBySeverity).reduce((sum, count) => sum + count, 0), diff.new.length);
+});
+
+test('files only in one build are marked added or removed', () => {
+  const diff = diffResults(run({ 'Old.c': scanner(SAVE) }, 50), run({ 'New.c': scanner(SCAN) }, 50));
+
+  assert.deepEqual(diff.files.map(file => [file.file, file.status, file.new > 0, file.fixed > 0]), [
+    ['New.c', 'added', true, false],
+    ['Old.c', 'removed', false, true]
+  ]);
+});
@@ -0,0 +1,100 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize, maskNonCode, TOKEN } from '../src/enforceLexer.js';
+import { parseEnforce } from '../src/enforceParser.js';
+import { getClasses, getMethods, findCalls, callsSuper, nodeText } from '../src/ast.js';
+
+const SOURCE = `// header
+#ifdef SERVER
+modded class PlayerBase extends ManBase
+{
+	ref array<ref Man> m_List; /* block */
+
+	override void OnInit(int count, string name = "a \\"quoted\\" name")
+	{
+		super.OnInit(count, name);
+		for (int i = 0; i < count; i++) m_List.Insert(null);
+		@@@ garbage;
+		Print("done");
+	}
+}
+#endif
+
+class Other
+{
+	static int Count() { return 1; }
+}
+`;
+
+test('lexer: directives are single tokens, comments are collected apart', () => {
+  const { tokens, comments } = tokenize(SOURCE);
+
+  assert.deepEqual(tokens.slice(0, 4).map(token => [token.type, token.value, token.line]), [
+    [TOKEN.DIRECTIVE, '#ifdef SERVER', 2],
+    [TOKEN.KEYWORD, 'modded', 3],
+    [TOKEN.KEYWORD, 'class', 3],
+    [TOKEN.IDENTIFIER, 'PlayerBase', 3]
+  ]);
+  assert.deepEqual(comments.map(comment => [comment.kind, comment.value, comment.line]), [
+    ['line', ' header', 1],
+    ['block', ' block ', 5]
+  ]);
+  assert.ok(tokens.some(token => token.type === TOKEN.STRING && token.value === '"a \\"quoted\\" name"'));
+});
+
+test('maskNonCode blanks comments and string contents and keeps every offset', () => {
+  const masked = maskNonCode(SOURCE);
+
+  assert.equal(masked.length, SOURCE.length);
+  assert.deepEqual(masked.split('\n').map(line => line.length), SOURCE.split('\n').map(line => line.length));
+  assert.doesNotMatch(masked, /header|block|quoted|done/);
+  assert.match(masked, /Print\(" {4}"\);/);
+});
+
+test('parser: classes, members, methods and parameters', () => {
+  const ast = parseEnforce(SOURCE);
+  const [player, other] = getClasses(ast);
+
+  assert.deepEqual([player.name, player.base, player.modded, player.line], ['PlayerBase', 'ManBase', true, 3]);
+  assert.deepEqual([other.name, other.base, other.modded], ['Other', null, false]);
+
+  const field = player.members[0];
+  assert.equal(field.typeRef.name, 'array');
+  assert.deepEqual(field.typeRef.args.map(arg => [arg.name, arg.modifiers]), [['Man', ['ref']]]);
+  assert.equal(field.declarations[0].name, 'm_List');
+
+  const methods = getMethods(ast);
+  assert.deepEqual(methods.map(({ method, classNode }) => [classNode.name, method.name, method.isOverride, method.isStatic]), [
+    ['PlayerBase', 'OnInit', true, false],
+    ['Other', 'Count', false, true]
+  ]);
+  assert.deepEqual(methods[0].method.params.map(param => [param.typeRef.name, param.name, param.defaultValue?.value ?? null]), [
+    ['int', 'count', null],
+    ['string', 'name', 'a \\"quoted\\" name']
+  ]);
+  assert.equal(callsSuper(methods[0].method), true);
+});
+
+test('parser: nodes carry offsets and lines into the source', () => {
+  const ast = parseEnforce(SOURCE);
+  const [{ node: insert }] = findCalls(ast, 'Insert');
+
+  assert.equal(nodeText(insert, SOURCE), 'm_List.Insert(null)');
+  assert.equal(insert.line, 10);
+});
+
+test('parser: an unknown construct is recorded and skipped, the rest is still parsed', () => {
+  const ast = parseEnforce(SOURCE);
+
+  assert.deepEqual(ast.errors.map(error => error.line), [11]);
+  assert.equal(findCalls(ast, 'Print').length, 1);
+  assert.equal(getClasses(ast).length, 2);
+});
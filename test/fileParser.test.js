@@ -0,0 +1,58 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FileParser } from '../src/fileParser.js';
+import { AddonConfig } from '../src/addonConfig.js';
+import { parseConfigText } from '../src/configParser.js';
+import { writeMod, removeMod, createPBO, rapify } from './helpers.js';
+
+const CONFIG = `class CfgPatches { class MyMod_Scripts { requiredAddons[] = { "DZ_Scripts" }; }; };
+class CfgMods { class MyMod { type = "mod"; defines[] = { "MYMOD" }; }; };
+`;
+
+test('a Workshop @Mod folder: scripts and config.bin from its PBOs, keys and mod.cpp', async () => {
+  const dir = await writeMod({
+    'addons/MyMod_Scripts.pbo': createPBO({
+      'config.bin': rapify(parseConfigText(CONFIG)),
+      'Scripts/4_World/PlayerBase.c': 'modded class PlayerBase\n{\n}\n'
+    }, { prefix: 'MyMod\\Scripts' }),
+    'addons/Broken.pbo': 'not a pbo',
+    'keys/MyMod.bikey': 'key',
+    'mod.cpp': 'name = $STR_MyMod_Name;\nauthor = "Someone";\nversion = "1.2";\n',
+    'meta.cpp': 'protocol = 1;\npublishedid = 1559212036;\nname = "MyMod";\n'
+  });
+
+  try {
+    const parser = new FileParser(dir);
+    const files = await parser.parse();
+
+    assert.deepEqual(files.map(file => [file.path, file.pbo]), [
+      ['addons/MyMod_Scripts.pbo/Scripts/4_World/PlayerBase.c', 'addons/MyMod_Scripts.pbo']
+    ]);
+    assert.equal(parser.pbos[0].path, 'addons/Broken.pbo');
+    assert.ok(parser.pbos[0].error);
+    assert.deepEqual(parser.pbos[1], { path: 'addons/MyMod_Scripts.pbo', prefix: 'MyMod\\Scripts', files: 1 });
+
+    const addonConfig = new AddonConfig(parser.addonConfigs);
+    assert.deepEqual(addonConfig.getPatches().map(patch => patch.name), ['MyMod_Scripts']);
+    assert.deepEqual(addonConfig.getDefines(), ['MYMOD']);
+
+    assert.deepEqual(parser.modInfo, {
+      name: '$STR_MyMod_Name',
+      author: 'Someone',
+      version: '1.2',
+      publishedId: '1559212036',
+      keys: ['keys/MyMod.bikey'],
+      errors: []
+    });
+  } finally {
+    await removeMod(dir);
+  }
+});
@@ -0,0 +1,64 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assignFingerprints } from '../src/fingerprint.js';
+import { analyzeFiles, getFindings, scriptFile } from './helpers.js';
+
+const SCAN = 'GetGame().GetObjectsAtPosition(m_Center, 2000, m_Objects, null);';
+const scanner = (method, ...body) => `class Scanner
+{
+	void ${method}(float timeslice)
+	{
+${body.map(line => `\t\t${line}`).join('\n')}
+	}
+}
+`;
+const scans = files => getFindings(analyzeFiles(files), 'world-scan-loop');
+
+test('a fingerprint survives added lines and reindentation, not a move to another method', () => {
+  const [original] = scans({ 'Scanner.c': scanner('OnUpdate', SCAN) });
+  const [shifted] = scans({ 'Scanner.c': `// header\n\n${scanner('OnUpdate', 'Print("first");', `    ${SCAN}`)}` });
+  const [moved] = scans({ 'Scanner.c': scanner('EOnFrame', SCAN) });
+
+  assert.match(original.fingerprint, /^[0-9a-f]{16}$/);
+  assert.equal(original.id, `world-scan-loop@${original.fingerprint.substring(0, 8)}`);
+  assert.notEqual(shifted.line, original.line);
+  assert.equal(shifted.fingerprint, original.fingerprint);
+  assert.notEqual(moved.fingerprint, original.fingerprint);
+});
+
+test('identical lines in one method get distinct fingerprints in order', () => {
+  const twice = scans({ 'Scanner.c': scanner('OnUpdate', SCAN, SCAN) });
+  const [single] = scans({ 'Scanner.c': scanner('OnUpdate', SCAN) });
+
+  assert.equal(twice.length, 2);
+  assert.notEqual(twice[0].fingerprint, twice[1].fingerprint);
+  assert.equal(twice[0].fingerprint, single.fingerprint);
+});
+
+test('file paths are compared without case or separator differences', () => {
+  const [windows] = scans({ 'MyMod\\Scripts\\Scanner.c': scanner('OnUpdate', SCAN) });
+  const [posix] = scans({ 'mymod/scripts/Scanner.c': scanner('OnUpdate', SCAN) });
+
+  assert.equal(windows.fingerprint, posix.fingerprint);
+});
+
+test('file-level findings are identified by their message, ignoring counts', () => {
+  const file = scriptFile('A.c', 'class A {}\n');
+  const [few, many, other] = assignFingerprints([
+    { ruleId: 'large-file', message: 'File has 1200 lines' },
+    { ruleId: 'large-file', message: 'File has 4800 lines' },
+    { ruleId: 'large-file', message: 'File is mostly commented out' }
+  ], file, null);
+
+  assert.notEqual(few.fingerprint, other.fingerprint);
+  assert.notEqual(few.fingerprint, many.fingerprint, 'same key, told apart by order');
+  assert.equal(assignFingerprints([{ ruleId: 'large-file', message: 'File has 900 lines' }], file, null)[0].fingerprint, few.fingerprint);
+});
@@ -0,0 +1,81 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { writeMod, removeMod, createPBO } from './helpers.js';
+
+const CLI = fileURLToPath(new URL('../src/cli.js', import.meta.url));
+
+const SCRIPT = `class FixBase
+{
+	void OnInit()
+	{
+	}
+}
+
+class FixTarget extends FixBase
+{
+	override void OnInit()
+	{
+		Print("init");
+	}
+}
+`;
+
+function runFix(dir, ...args) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI, 'fix', dir, ...args], { env: { ...process.env, FORCE_COLOR: '0' }, timeout: 60000 },
+      (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+  });
+}
+
+async function writeFixMod() {
+  return writeMod({
+    'Scripts/4_World/Loose.c': SCRIPT,
+    'addons/MyMod.pbo': createPBO({ 'Scripts/4_World/Packed.c': SCRIPT }, { prefix: 'MyMod' })
+  });
+}
+
+test('fix: a dry run prints a patch for loose scripts and skips scripts inside a PBO', async () => {
+  const dir = await writeFixMod();
+  try {
+    const { code, stdout } = await runFix(dir);
+
+    assert.equal(code, 0);
+    assert.match(stdout, /^\+\+\+ .*Scripts\/4_World\/Loose\.c/m);
+    assert.match(stdout, /^\+\s+super\.OnInit\(\);/m);
+    assert.match(stdout, /Skipped addons\/MyMod\.pbo\/Scripts\/4_World\/Packed\.c:\d+ .*inside addons\/MyMod\.pbo — unpack the PBO to apply fixes/);
+    assert.match(stdout, /1 fix\(es\) available, 1 skipped/);
+    assert.equal(await fs.readFile(path.join(dir, 'Scripts/4_World/Loose.c'), 'utf8'), SCRIPT);
+  } finally {
+    await removeMod(dir);
+  }
+});
+
+test('fix --write edits loose scripts and leaves the PBO alone', async () => {
+  const dir = await writeFixMod();
+  try {
+    const pbo = await fs.readFile(path.join(dir, 'addons/MyMod.pbo'));
+    const { code, stdout } = await runFix(dir, '--write');
+
+    assert.equal(code, 0, stdout);
+    assert.match(stdout, /Fixed Scripts\/4_World\/Loose\.c/);
+    assert.match(await fs.readFile(path.join(dir, 'Scripts/4_World/Loose.c'), 'utf8'), /super\.OnInit\(\);\n\t\tPrint\("init"\);/);
+    assert.deepEqual(await fs.readFile(path.join(dir, 'addons/MyMod.pbo')), pbo);
+
+    // Nothing left to fix in the loose script
+    assert.match((await runFix(dir)).stdout, /0 fix\(es\) available, 1 skipped/);
+  } finally {
+    await removeMod(dir);
+  }
+});
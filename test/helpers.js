@@ -0,0 +1,187 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { PerformanceAnalyzer } from '../src/analyzer.js';
+
+// Shared helpers for the unit tests: mod folders on disk and script files in memory.
+
+/**
+ * A script file as FileParser returns it
+ */
+export function scriptFile(filePath, content) {
+  return {
+    path: filePath,
+    name: path.posix.basename(filePath),
+    content,
+    lines: content.split('\n'),
+    size: content.length
+  };
+}
+
+/**
+ * Analyze script files ({ path: content }) without printing progress
+ */
+export function analyzeFiles(files, options = {}) {
+  const scripts = Object.entries(files).map(([filePath, content]) => scriptFile(filePath, content));
+  const analyzer = new PerformanceAnalyzer(scripts, { config: {}, ...options, quiet: true });
+  return analyzer.analyze();
+}
+
+/**
+ * Every finding of the results, optionally only those of one rule
+ */
+export function getFindings(results, ruleId = null) {
+  return results.issues
+    .flatMap(fileResult => fileResult.issues.map(issue => ({ file: fileResult.file, ...issue })))
+    .filter(issue => !ruleId || issue.ruleId === ruleId);
+}
+
+/**
+ * Write a mod folder to a temporary directory: { 'Scripts/4_World/A.c': 'text' or Buffer }.
+ * Returns its path; remove it with removeMod().
+ */
+export async function writeMod(files) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dayz-perf-test-'));
+  for (const [filePath, content] of Object.entries(files)) {
+    const target = path.join(dir, filePath);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, content);
+  }
+  return dir;
+}
+
+export async function removeMod(dir) {
+  await fs.rm(dir, { recursive: true, force: true });
+}
+
+/**
+ * Binarize a class tree from parseConfigText into a rapified config (config.bin)
+ */
+export function rapify(root) {
+  const chunks = [];
+  let size = 0;
+  const write = buffer => {
+    chunks.push(buffer);
+    size += buffer.length;
+  };
+
+  const writeBody = node => {
+    write(cString(node.base || ''));
+    const properties = Object.entries(node.properties);
+    const classes = Object.values(node.classes);
+    write(compressedInt(properties.length + classes.length));
+
+    for (const [name, value] of properties) {
+      if (Array.isArray(value)) {
+        write(Buffer.from([2]));
+        write(cString(name));
+        write(rapArray(value));
+      } else {
+        const [type, data] = rapScalar(value);
+        write(Buffer.from([1, type]));
+        write(cString(name));
+        write(data);
+      }
+    }
+
+    // Nested class bodies follow the entries; their offsets are filled in once written
+    const nested = [];
+    for (const child of classes) {
+      write(Buffer.from([child.external ? 3 : 0]));
+      write(cString(child.name));
+      if (child.external) continue;
+      const offset = Buffer.alloc(4);
+      write(offset);
+      nested.push([child, offset]);
+    }
+    for (const [child, offset] of nested) {
+      offset.writeUInt32LE(size);
+      writeBody(child);
+    }
+  };
+
+  const enumOffset = Buffer.alloc(4);
+  write(Buffer.from('\0raP', 'latin1'));
+  write(uint32(0));
+  write(uint32(8));
+  write(enumOffset);
+  writeBody(root);
+  enumOffset.writeUInt32LE(size);
+  write(uint32(0));
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Pack files ({ 'config.bin': Buffer, 'Scripts/4_World/A.c': 'text' }) into an
+ * uncompressed PBO with the given prefix
+ */
+export function createPBO(files, { prefix = '' } = {}) {
+  const entries = Object.entries(files).map(([name, content]) =>
+    [name.replace(/\//g, '\\'), Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8')]);
+  const header = (name, method, size) =>
+    Buffer.concat([cString(name), uint32(method), uint32(size), uint32(0), uint32(0), uint32(size)]);
+
+  return Buffer.concat([
+    // Product entry ('Vers') with its properties
+    header('', 0x56657273, 0),
+    cString('prefix'),
+    cString(prefix),
+    Buffer.from([0]),
+    ...entries.map(([name, data]) => header(name, 0, data.length)),
+    header('', 0, 0),
+    ...entries.map(([, data]) => data)
+  ]);
+}
+
+function rapScalar(value) {
+  if (typeof value === 'string') return [0, cString(value)];
+  const data = Buffer.alloc(4);
+  if (Number.isInteger(value)) {
+    data.writeInt32LE(value);
+    return [2, data];
+  }
+  data.writeFloatLE(value);
+  return [1, data];
+}
+
+function rapArray(values) {
+  const parts = [compressedInt(values.length)];
+  for (const value of values) {
+    if (Array.isArray(value)) {
+      parts.push(Buffer.from([3]), rapArray(value));
+    } else {
+      const [type, data] = rapScalar(value);
+      parts.push(Buffer.from([type]), data);
+    }
+  }
+  return Buffer.concat(parts);
+}
+
+function compressedInt(value) {
+  const bytes = [];
+  do {
+    let byte = value & 0x7f;
+    value >>>= 7;
+    if (value) byte |= 0x80;
+    bytes.push(byte);
+  } while (value);
+  return Buffer.from(bytes);
+}
+
+function cString(value) {
+  return Buffer.concat([Buffer.from(value, 'utf8'), Buffer.from([0])]);
+}
+
+function uint32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32LE(value);
+  return buffer;
+}
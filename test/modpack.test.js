@@ -0,0 +1,72 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ModpackAnalyzer } from '../src/modpack.js';
+import { scriptFile } from './helpers.js';
+
+const MODS = {
+  A: 'modded class PlayerBase\n{\n\toverride void OnConnect()\n\t{\n\t\tsuper.OnConnect();\n\t\tPrint("A");\n\t}\n}\n',
+  B: `modded class PlayerBase
+{
+	override void OnConnect()
+	{
+		Print("B");
+	}
+
+	override void OnScheduledTick(float deltaTime)
+	{
+		super.OnScheduledTick(deltaTime);
+		GetGame().GetObjectsAtPosition(GetPosition(), 500, m_Objects, null);
+	}
+}
+`,
+  C: 'modded class PlayerBase\n{\n\toverride void OnConnect()\n\t{\n\t\tsuper.OnConnect();\n\t}\n}\n'
+};
+
+function analyzeModpack(order) {
+  return new ModpackAnalyzer(order.map(name => ({
+    name,
+    files: [scriptFile(`${name}/Scripts/4_World/PlayerBase.c`, MODS[name])]
+  }))).analyze();
+}
+
+test('a modded override without super disables the links loaded before it', () => {
+  const results = analyzeModpack(['A', 'B', 'C']);
+  const [override] = results.overrides;
+
+  assert.equal(results.summary.sharedOverrides, 1);
+  assert.deepEqual([override.className, override.method, override.vanillaRuns], ['PlayerBase', 'OnConnect', false]);
+  assert.deepEqual(override.links.map(link => [link.mod, link.runs]), [['A', false], ['B', true], ['C', true]]);
+
+  assert.equal(results.brokenChains.length, 1);
+  assert.equal(results.brokenChains[0].brokenBy.mod, 'B');
+  assert.deepEqual(results.brokenChains[0].disabled.map(link => link.mod), ['A']);
+});
+
+test('load order decides which links run', () => {
+  const results = analyzeModpack(['B', 'A', 'C']);
+
+  assert.deepEqual(results.overrides[0].links.map(link => [link.mod, link.runs]), [['B', true], ['A', true], ['C', true]]);
+  assert.equal(results.overrides[0].vanillaRuns, false);
+  assert.deepEqual(results.brokenChains.flatMap(chain => chain.disabled), []);
+});
+
+test('per-tick work added by each mod to hot vanilla methods', () => {
+  const results = analyzeModpack(['A', 'B', 'C']);
+  const tick = results.tickWork.find(entry => entry.method === 'OnScheduledTick');
+
+  assert.deepEqual(tick.total.heavyCalls, ['GetObjectsAtPosition']);
+  assert.deepEqual(tick.contributions.map(contribution => contribution.mod), ['B']);
+  assert.deepEqual(results.mods.map(mod => [mod.name, mod.loadOrder, mod.moddedClasses]), [
+    ['A', 1, ['PlayerBase']],
+    ['B', 2, ['PlayerBase']],
+    ['C', 3, ['PlayerBase']]
+  ]);
+});
@@ -0,0 +1,68 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPlugins } from '../src/plugins.js';
+import { writeMod, removeMod, analyzeFiles, getFindings } from './helpers.js';
+
+const STUDIO_PLUGIN = `export default ({ SEVERITY, ast }) => ({
+  name: 'studio-rules',
+  version: '1.0.0',
+  apiVersion: 1,
+  rules: [
+    {
+      id: 'studio/no-legacy-rpc',
+      name: 'No Legacy RPC',
+      severity: SEVERITY.HIGH,
+      query: ({ ast: tree }) => ast.findCalls(tree, 'SendLegacyRPC'),
+      check: matches => matches.flatMap(m => m.matches).map(({ node }) => ({ line: node.line, message: 'Legacy RPC' }))
+    },
+    { id: 'studio/broken', name: 'Broken', severity: 'SEVERE', pattern: /x/g },
+    { id: 'getgame-spam', name: 'Duplicate', severity: SEVERITY.LOW, pattern: /x/g }
+  ]
+});
+`;
+
+test('plugins from a directory: valid rules load, invalid ones are reported and skipped', async () => {
+  const dir = await writeMod({
+    'plugins/studio.mjs': STUDIO_PLUGIN,
+    'plugins/future.mjs': "export default { name: 'future', apiVersion: 99, rules: [] };\n",
+    'plugins/notes.txt': 'not a plugin'
+  });
+
+  try {
+    const result = await loadPlugins({ plugins: ['./plugins', './missing.mjs'] }, { baseDir: dir });
+
+    assert.deepEqual(result.plugins.map(plugin => [plugin.name, plugin.rules]), [['studio-rules', ['studio/no-legacy-rpc']]]);
+    assert.deepEqual(result.rules.map(rule => [rule.id, rule.plugin]), [['studio/no-legacy-rpc', 'studio-rules']]);
+
+    const messages = result.errors.map(error => `${error.plugin}: ${error.message}`);
+    assert.equal(messages.length, 4);
+    assert.match(messages[0], /requires plugin API v99/);
+    assert.match(messages[1], /studio\/broken skipped: severity must be one of/);
+    assert.match(messages[2], /getgame-spam skipped: a rule with id 'getgame-spam' is already registered/);
+    assert.match(messages[3], /^\.\/missing\.mjs: Failed to load plugin/);
+  } finally {
+    await removeMod(dir);
+  }
+});
+
+test('plugin rules run like built-in ones and their findings name the plugin', async () => {
+  const dir = await writeMod({ 'studio.mjs': STUDIO_PLUGIN });
+
+  try {
+    const plugins = await loadPlugins({ plugins: ['./studio.mjs'] }, { baseDir: dir });
+    const source = 'void Send()\n{\n\t// dayz-perf-ignore-next-line studio/no-legacy-rpc\n\tSendLegacyRPC(1);\n\tSendLegacyRPC(2);\n}\n';
+    const findings = getFindings(analyzeFiles({ 'A.c': source }, { plugins }), 'studio/no-legacy-rpc');
+
+    assert.deepEqual(findings.map(finding => [finding.line, finding.severity, finding.plugin]), [[5, 'HIGH', 'studio-rules']]);
+  } finally {
+    await removeMod(dir);
+  }
+});
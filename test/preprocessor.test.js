@@ -0,0 +1,105 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Preprocessor } from '../src/preprocessor.js';
+import { analyzeMod } from '../src/index.js';
+import { scriptFile, writeMod, removeMod } from './helpers.js';
+
+const GUARDED = '#ifdef MYMOD_DEBUG\nPrint("debug");\n#endif\n';
+
+test('#ifdef keeps or blanks code and keeps line numbers', () => {
+  const file = scriptFile('A.c', '#ifdef SERVER\nint a;\n#else\nint b;\n#endif\n');
+  const preprocessor = new Preprocessor([file]);
+
+  const server = preprocessor.run(file, ['SERVER']).content;
+  const client = preprocessor.run(file, []).content;
+
+  assert.match(server, /int a;/);
+  assert.doesNotMatch(server, /int b;/);
+  assert.match(client, /int b;/);
+  assert.equal(client.split('\n').length, file.content.split('\n').length);
+  assert.equal(client.length, file.content.length);
+});
+
+test('#define applies to the rest of its file and #undef removes it', () => {
+  const file = scriptFile('A.c', '#define X\n#ifdef X\nint a;\n#endif\n#undef X\n#ifdef X\nint b;\n#endif\n');
+  const content = new Preprocessor([file]).run(file, []).content;
+
+  assert.match(content, /int a;/);
+  assert.doesNotMatch(content, /int b;/);
+});
+
+test('#include brings in the defines of the included script', () => {
+  const defines = scriptFile('MyMod/Scripts/3_Game/Defines.c', '#define MYMOD_DEBUG\n');
+  const file = scriptFile('MyMod/Scripts/3_Game/A.c', `#include "MyMod/Scripts/3_Game/Defines.c"\n${GUARDED}`);
+  const preprocessor = new Preprocessor([defines, file]);
+
+  assert.match(preprocessor.run(file, []).content, /Print/);
+});
+
+test('an #include of a script that is not in the mod is a warning', () => {
+  const file = scriptFile('A.c', '#include "Other/Missing.c"\n');
+  const { warnings } = new Preprocessor([file]).run(file, []);
+
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0].message, /not found/);
+});
+
+test('a #define reaches the other scripts of its module and later modules, not earlier ones', () => {
+  const files = [
+    scriptFile('Scripts/4_World/Defines.c', '#define WORLD_DEFINE\n'),
+    scriptFile('Scripts/4_World/A.c', GUARDED.replace('MYMOD_DEBUG', 'WORLD_DEFINE')),
+    scriptFile('Scripts/3_Game/Defines.c', '#define MYMOD_DEBUG\n'),
+    scriptFile('Scripts/3_Game/B.c', GUARDED.replace('MYMOD_DEBUG', 'WORLD_DEFINE')),
+    scriptFile('Scripts/5_Mission/C.c', GUARDED)
+  ];
+  const layers = { '3_Game': 3, '4_World': 4, '5_Mission': 5 };
+  const layerOf = file => layers[file.path.split('/')[1]];
+
+  const { contents, defines } = new Preprocessor(files).runMod([], layerOf);
+
+  assert.match(contents.get('Scripts/4_World/A.c'), /Print/, 'same module, file read later');
+  assert.match(contents.get('Scripts/5_Mission/C.c'), /Print/, 'define from an earlier module');
+  assert.doesNotMatch(contents.get('Scripts/3_Game/B.c'), /Print/, 'define from a later module');
+  assert.ok(defines.has('MYMOD_DEBUG') && defines.has('WORLD_DEFINE'));
+});
+
+test('a conditional on a define no configuration sets is reported, engine defines are not', () => {
+  const file = scriptFile('A.c', `${GUARDED}#ifdef PLATFORM_CONSOLE\nint a;\n#endif\n#ifndef NEVER\nint b;\n#endif\n`);
+  const warnings = new Preprocessor([file]).getUnsetConditionals(new Set(['SERVER']));
+
+  assert.deepEqual(warnings.map(warning => warning.line), [1]);
+  assert.match(warnings[0].message, /MYMOD_DEBUG/);
+});
+
+test('findings guarded by a define from another script or from CfgMods are analyzed', async () => {
+  const scan = define => `class Scan${define}\n{\n\tvector m_Center;\n\n\tvoid OnUpdate(float timeslice)\n\t{\n\t\tarray<Object> objects = new array<Object>;\n#ifdef ${define}\n\t\tGetGame().GetObjectsAtPosition(m_Center, 2000, objects, null);\n#endif\n\t}\n}\n`;
+  const dir = await writeMod({
+    'MyMod/config.cpp': 'class CfgMods { class MyMod { defines[] = {"MYMOD_CONFIG"}; }; };\n',
+    'MyMod/Scripts/3_Game/Defines.c': '#define MYMOD_DEBUG\n',
+    'MyMod/Scripts/4_World/Debug.c': scan('MYMOD_DEBUG'),
+    'MyMod/Scripts/4_World/Config.c': scan('MYMOD_CONFIG'),
+    'MyMod/Scripts/4_World/Never.c': scan('MYMOD_NEVER')
+  });
+
+  try {
+    const { results } = await analyzeMod(dir, { config: {} });
+    const scans = results.issues
+      .filter(fileResult => fileResult.issues.some(issue => issue.ruleId === 'world-scan-loop'))
+      .map(fileResult => fileResult.file)
+      .sort();
+
+    assert.deepEqual(scans, ['MyMod/Scripts/4_World/Config.c', 'MyMod/Scripts/4_World/Debug.c']);
+    assert.ok(results.preprocessor.warnings.some(warning =>
+      warning.file === 'MyMod/Scripts/4_World/Never.c' && /MYMOD_NEVER/.test(warning.message)));
+  } finally {
+    await removeMod(dir);
+  }
+});
@@ -0,0 +1,52 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRuleCatalog, validateDocs } from '../src/ruleCatalog.js';
+import { normalizeConfig } from '../src/config.js';
+
+test('the catalog lists every rule with its effective settings', () => {
+  const catalog = getRuleCatalog(normalizeConfig({ rules: { 'sleep-in-code': 'off', 'world-scan-loop': 'critical' }, enhanced: false }));
+  const byId = new Map(catalog.map(entry => [entry.id, entry]));
+
+  assert.equal(byId.size, catalog.length, 'rule ids are unique');
+  assert.equal(byId.get('sleep-in-code').enabled, false);
+  assert.equal(byId.get('world-scan-loop').severity, 'CRITICAL');
+  assert.equal(byId.get('world-scan-loop').source, 'core');
+  assert.ok(catalog.filter(entry => entry.source === 'enhanced').every(entry => !entry.enabled));
+});
+
+test('every built-in rule documents why it exists with a bad and a good example', () => {
+  for (const entry of getRuleCatalog(normalizeConfig({}))) {
+    assert.ok(entry.docs?.rationale && entry.docs.bad && entry.docs.good, `${entry.id} has docs`);
+    assert.ok(entry.docs.references.every(reference => typeof reference.title === 'string'), `${entry.id} references`);
+  }
+});
+
+test('plugin and rule file rules are listed with where they come from', () => {
+  const rule = { id: 'custom', name: 'Custom', severity: 'LOW', docs: { bad: ['Print(x);', ''], references: ['Forum post'] } };
+  const catalog = getRuleCatalog(normalizeConfig({}), {
+    plugins: { rules: [{ ...rule, plugin: 'my-plugin' }] },
+    declarativeRules: [{ ...rule, id: 'declared', declarative: true, source: 'rules.yml' }]
+  });
+  const [plugin, declared] = catalog.slice(-2);
+
+  assert.deepEqual([plugin.source, plugin.plugin, plugin.confidence], ['plugin', 'my-plugin', 'medium']);
+  assert.deepEqual([declared.source, declared.ruleFile], ['ruleFile', 'rules.yml']);
+  assert.deepEqual(plugin.docs, { rationale: null, bad: 'Print(x);', good: null, references: [{ title: 'Forum post' }] });
+});
+
+test('malformed docs are rejected with the offending field', () => {
+  assert.equal(validateDocs(undefined), null);
+  assert.equal(validateDocs({ rationale: 'Why', bad: 'x', good: ['y'], references: [{ title: 'T', url: 'https://example.com' }] }), null);
+  assert.equal(validateDocs([]), 'docs must be an object');
+  assert.equal(validateDocs({ rationale: 1 }), 'docs.rationale must be a string');
+  assert.equal(validateDocs({ good: [1] }), 'docs.good must be a string or a list of lines');
+  assert.match(validateDocs({ references: [{ url: 'https://example.com' }] }), /^docs.references/);
+});
@@ -0,0 +1,63 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseExpectations, runRuleTests } from '../src/ruleTester.js';
+import { scriptFile } from './helpers.js';
+
+const scanner = (...body) => `class Scanner
+{
+	void OnUpdate(float timeslice)
+	{
+${body.map(line => `\t\t${line}`).join('\n')}
+	}
+}
+`;
+const SCAN = 'GetGame().GetObjectsAtPosition(m_Center, 2000, m_Objects, null);';
+
+test('annotations apply to their own line, or the next line with code', () => {
+  const content = 'int a; // expect: rule-a high\n// expect: rule-b, rule-c LOW\n\n/* note */\nint b;\n// expect-file: rule-d\n/* expect: not-a-line-comment */\n';
+
+  assert.deepEqual(parseExpectations(content), [
+    { ruleId: 'rule-a', severity: 'HIGH', line: 1, annotationLine: 1 },
+    { ruleId: 'rule-b', severity: null, line: 5, annotationLine: 2 },
+    { ruleId: 'rule-c', severity: 'LOW', line: 5, annotationLine: 2 },
+    { ruleId: 'rule-d', severity: null, line: 0, annotationLine: 6 }
+  ]);
+});
+
+test('a fixture whose annotations match its findings passes', () => {
+  const results = runRuleTests([scriptFile('scan.c', scanner(`${SCAN} // expect: world-scan-loop`))], { config: {}, rules: ['world-scan-loop'] });
+
+  assert.equal(results.passed, true);
+  assert.deepEqual(results.rules.map(rule => [rule.ruleId, rule.expected, rule.found]), [['world-scan-loop', 1, 1]]);
+  assert.deepEqual(results.untested, []);
+});
+
+test('missing, unexpected and wrongly rated findings fail their rule', () => {
+  const fixtures = [
+    scriptFile('missing.c', scanner('Print("nothing"); // expect: world-scan-loop')),
+    scriptFile('unexpected.c', scanner(SCAN)),
+    scriptFile('severity.c', scanner(`${SCAN} // expect: world-scan-loop LOW`))
+  ];
+  const [rule] = runRuleTests(fixtures, { config: {}, rules: ['world-scan-loop'] }).rules;
+
+  assert.equal(rule.passed, false);
+  assert.deepEqual(rule.missing, [{ file: 'missing.c', line: 5, severity: null }]);
+  assert.deepEqual(rule.unexpected.map(finding => [finding.file, finding.line]), [['unexpected.c', 5]]);
+  assert.deepEqual(rule.wrongSeverity.map(finding => [finding.file, finding.expected]), [['severity.c', 'LOW']]);
+});
+
+test('unknown rules and severities in annotations are errors', () => {
+  const results = runRuleTests([scriptFile('typo.c', 'int a; // expect: no-such-rule, sleep-in-code SEVERE\n')], { config: {} });
+
+  assert.equal(results.passed, false);
+  assert.deepEqual(results.errors.map(error => error.message), ["unknown or disabled rule 'no-such-rule'", "unknown severity 'SEVERE'"]);
+  assert.ok(results.untested.includes('world-scan-loop'));
+});
@@ -0,0 +1,77 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseEnforce } from '../src/enforceParser.js';
+import { ScopeContext } from '../src/scopeContext.js';
+
+const SOURCE = `class Tracker
+{
+	void Tracker()
+	{
+		GetGame().GetCallQueue(CALL_CATEGORY_SYSTEM).CallLater(Refresh, 1000, true);
+		GetGame().GetCallQueue(CALL_CATEGORY_SYSTEM).CallLater(Once, 1000, false);
+	}
+
+	void Scan(array<Object> objects)
+	{
+		for (int i = Setup(); i < objects.Count(); i++)
+		{
+			foreach (Object object : objects)
+			{
+				Inner();
+			}
+			Outer();
+		}
+		After();
+	}
+
+	void OnUpdate(float timeslice)
+	{
+		Tick();
+	}
+
+	void Refresh()
+	{
+		Repeat();
+	}
+
+	void Once()
+	{
+		Single();
+	}
+}
+`;
+
+const scope = new ScopeContext(parseEnforce(SOURCE));
+const at = text => scope.at(SOURCE.indexOf(text));
+
+test('loop bodies are in the loop, the for initializer and code after the loop are not', () => {
+  assert.deepEqual([at('Inner()').inLoop, at('Inner()').loopDepth], [true, 2]);
+  assert.deepEqual([at('Outer()').inLoop, at('Outer()').loopDepth], [true, 1]);
+  assert.equal(at('i < objects').inLoop, true);
+  assert.equal(at('Setup()').inLoop, false);
+  assert.equal(at('After()').inLoop, false);
+  assert.equal(at('Inner()').method, 'Scan');
+});
+
+test('per-frame methods and repeating CallLater targets are hot, one-shot targets are not', () => {
+  assert.deepEqual([at('Tick()').inUpdate, at('Tick()').isHot], [true, true]);
+  assert.deepEqual([at('Repeat()').inRepeatingCallLater, at('Repeat()').isHot], [true, true]);
+  assert.deepEqual([at('Single()').inRepeatingCallLater, at('Single()').isHot], [false, false]);
+  assert.equal(at('After()').isHot, false);
+  assert.equal(scope.isRepeatingTarget('Tracker', 'Refresh'), true);
+});
+
+test('describe() names where the code runs', () => {
+  assert.equal(at('Inner()').describe(), 'inside loop');
+  assert.equal(at('Tick()').describe(), 'in OnUpdate()');
+  assert.equal(at('Repeat()').describe(), "in repeating CallLater target 'Refresh'");
+  assert.equal(at('After()').describe(), '');
+});
@@ -0,0 +1,69 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreResults, resolveScoring, DEFAULT_SCORING } from '../src/scoring.js';
+
+// Analysis results with the given findings in one file of `lines` lines
+const results = (lines, ...issues) => ({
+  fileStats: [{ file: 'A.c', lines }],
+  issues: [{ file: 'A.c', issues: issues.map(([ruleId, severity, category], index) => ({ ruleId, severity, category, line: index + 1 })) }]
+});
+
+test('no findings score 100', () => {
+  const details = scoreResults({ fileStats: [{ file: 'A.c', lines: 50 }], issues: [] });
+
+  assert.equal(details.score, 100);
+  assert.equal(details.explanation.pointsLost, 0);
+  assert.ok(Object.values(details.categories).every(category => category.score === 100));
+});
+
+test('the same finding costs less in a larger mod, but small mods are not favoured', () => {
+  const finding = ['world-scan-loop', 'HIGH', 'cpu'];
+
+  assert.equal(scoreResults(results(100, finding)).score, 82);
+  assert.equal(scoreResults(results(1000, finding)).score, 82);
+  assert.equal(scoreResults(results(4000, finding)).score, 90);
+  assert.equal(scoreResults(results(4000, finding)).sizeFactor, 2);
+});
+
+test('category weights shape the overall score, subscores use raw severity points', () => {
+  const details = scoreResults(results(1000, ['missing-destructor', 'HIGH', 'memory']));
+
+  assert.equal(details.score, 85);
+  assert.deepEqual(details.categories.memory, { score: 82, findings: 1 });
+  assert.deepEqual(details.categories.cpu, { score: 100, findings: 0 });
+});
+
+test('lost points are shared out by penalty and summed per rule', () => {
+  const details = scoreResults(results(1000,
+    ['world-scan-loop', 'HIGH', 'cpu'],
+    ['missing-destructor', 'LOW', 'memory'],
+    ['missing-destructor', 'LOW', 'memory']), {}, { top: 2 });
+
+  assert.equal(details.score, 77);
+  assert.equal(details.explanation.pointsLost, 23);
+  assert.deepEqual(details.explanation.topFindings.map(finding => [finding.ruleId, finding.points]), [
+    ['world-scan-loop', 17.4],
+    ['missing-destructor', 2.8]
+  ]);
+  assert.deepEqual(details.explanation.byRule.map(rule => [rule.ruleId, rule.count, rule.points]), [
+    ['world-scan-loop', 1, 17.4],
+    ['missing-destructor', 2, 5.6]
+  ]);
+});
+
+test('configured weights are merged over the defaults', () => {
+  const scoring = resolveScoring({ weights: { HIGH: 50 }, categoryWeights: { network: 0 } });
+
+  assert.equal(scoring.weights.LOW, DEFAULT_SCORING.weights.LOW);
+  assert.equal(scoring.decay, DEFAULT_SCORING.decay);
+  assert.equal(scoreResults(results(1000, ['getplayers-spam', 'HIGH', 'cpu']), { weights: { HIGH: 50 } }).score, 37);
+  assert.equal(scoreResults(results(1000, ['rpc-spam', 'HIGH', 'network']), { categoryWeights: { network: 0 } }).score, 100);
+});
@@ -0,0 +1,74 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ScriptModules } from '../src/scriptModules.js';
+import { AddonConfig, readAddonConfig } from '../src/addonConfig.js';
+import { analyzeFiles, getFindings } from './helpers.js';
+
+const SETTINGS = 'class MyModSettings\n{\n}\n';
+
+test('modules come from the folder names, or from CfgMods when the mod has an entry', () => {
+  const byFolder = new ScriptModules();
+  assert.equal(byFolder.getModule('MyMod/Scripts/3_Game/A.c'), '3_Game');
+  assert.equal(byFolder.getModule('MyMod/Scripts/4_World/Sub/B.c'), '4_World');
+  assert.equal(byFolder.getModule('MyMod/Other/C.c'), null);
+
+  const config = readAddonConfig('MyMod/config.cpp', `class CfgMods { class MyMod { type = "mod";
+    class defs { class worldScriptModule { value = ""; files[] = { "MyMod/Code/World" }; }; };
+  }; };`);
+  const byConfig = ScriptModules.fromAddonConfig(new AddonConfig([config]));
+  assert.equal(byConfig.getModule('MyMod/Code/World/A.c'), '4_World');
+  assert.equal(byConfig.isCompiled('MyMod/Code/World/A.c'), true);
+  assert.equal(byConfig.isCompiled('MyMod/Scripts/3_Game/A.c'), false);
+});
+
+test('a class used below its layer is reported once per class, with the number of uses', () => {
+  const results = analyzeFiles({
+    'MyMod/Scripts/4_World/MyModSettings.c': SETTINGS,
+    'MyMod/Scripts/3_Game/MyModConfig.c': `class MyModConfig
+{
+	ref MyModSettings m_Settings;
+
+	void Load(Class target)
+	{
+		m_Settings = new MyModSettings();
+		m_Settings = MyModSettings.Cast(target);
+		ref array<ref MyModSettings> all = new array<ref MyModSettings>;
+	}
+}
+`
+  });
+  const findings = getFindings(results, 'cross-layer-reference');
+
+  assert.equal(findings.length, 1);
+  assert.equal(findings[0].line, 3);
+  assert.match(findings[0].message, /^MyModSettings is declared in 4_World and can't be used from 3_Game \(5 uses in this file\)/);
+});
+
+test('variables, parameters and members that share a class name are not class references', () => {
+  const results = analyzeFiles({
+    'MyMod/Scripts/4_World/MyModSettings.c': SETTINGS,
+    'MyMod/Scripts/3_Game/MyModConfig.c': `class MyModConfig
+{
+	int MyModSettings;
+
+	void Load(int PlayerBase)
+	{
+		MyModSettings = PlayerBase;
+		string MissionServer = "mission";
+		Print(MissionServer.Length());
+		Print(PlayerBase + MyModSettings);
+	}
+}
+`
+  });
+
+  assert.deepEqual(getFindings(results, 'cross-layer-reference'), []);
+});
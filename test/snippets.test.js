@@ -0,0 +1,62 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getSnippet, formatSnippet } from '../src/snippets.js';
+import { analyzeFiles, getFindings } from './helpers.js';
+
+const LINES = ['class A', '{', '\tvoid Run()', '\t{', '\t\tFoo();  ', '\t}', '}'];
+
+test('context lines are clamped to the file and the flagged line is highlighted', () => {
+  const snippet = getSnippet(LINES, { line: 5 }, 1);
+
+  assert.deepEqual(snippet, {
+    startLine: 4,
+    lines: [
+      { line: 4, text: '\t{' },
+      { line: 5, text: '\t\tFoo();  ', highlight: { start: 3, end: 9 } },
+      { line: 6, text: '\t}' }
+    ]
+  });
+  assert.equal(getSnippet(LINES, { line: 1 }, 3).startLine, 1);
+  assert.equal(getSnippet(LINES, { line: 7 }, 3).lines.at(-1).line, 7);
+  assert.equal(getSnippet(LINES, { message: 'file-level' }), null);
+});
+
+test('a span highlights its columns and long spans only show their first lines', () => {
+  const span = getSnippet(LINES, { line: 5, column: 3, endLine: 5, endColumn: 6 }, 0);
+  const lines = Array.from({ length: 20 }, (_, index) => `line ${index + 1}`);
+  const long = getSnippet(lines, { line: 2, endLine: 18 }, 0);
+
+  assert.deepEqual(span.lines[0].highlight, { start: 3, end: 6 });
+  assert.deepEqual(long.lines.map(entry => entry.line), [2, 3, 4, 5, 6]);
+});
+
+test('plain text expands tabs so the markers line up', () => {
+  const snippet = getSnippet(LINES, { line: 5, column: 3, endLine: 5, endColumn: 6 }, 1);
+
+  assert.deepEqual(formatSnippet(snippet), [
+    '  4 |     {',
+    '> 5 |         Foo();  ',
+    '    |         ^^^',
+    '  6 |     }'
+  ]);
+});
+
+test('analyzed findings carry snippets with the configured context', () => {
+  const content = 'class Scanner\n{\n\tvoid OnUpdate(float timeslice)\n\t{\n\t\tGetGame().GetObjectsAtPosition(m_Center, 2000, m_Objects, null);\n\t}\n}\n';
+  const [finding] = getFindings(analyzeFiles({ 'Scanner.c': content }, { contextLines: 1 }), 'world-scan-loop');
+  const flagged = finding.snippet.lines.filter(entry => entry.highlight);
+
+  assert.equal(finding.snippet.startLine, 4);
+  assert.equal(finding.snippet.lines.length, 3);
+  assert.deepEqual(flagged.map(entry => entry.line), [5]);
+  // The call itself, not the GetGame() it is made on
+  assert.equal(flagged[0].highlight.start, 13);
+});
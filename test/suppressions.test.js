@@ -0,0 +1,70 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize } from '../src/enforceLexer.js';
+import { Suppressions } from '../src/suppressions.js';
+import { analyzeFiles, getFindings } from './helpers.js';
+
+const suppressionsOf = source => Suppressions.fromComments(tokenize(source).comments);
+
+test('ignore-next-line applies to the line after the comment, for the listed rules', () => {
+  const suppressions = suppressionsOf('// dayz-perf-ignore-next-line world-scan-loop, rpc-spam -- one-time scan\nScan();\nScan();\n');
+
+  assert.deepEqual(suppressions.match('world-scan-loop', 2), { directive: 'ignore-next-line', line: 1, reason: 'one-time scan' });
+  assert.ok(suppressions.match('rpc-spam', 2));
+  assert.equal(suppressions.match('getgame-spam', 2), null);
+  assert.equal(suppressions.match('world-scan-loop', 3), null);
+});
+
+test('a multi-line block comment targets the line after its end', () => {
+  const suppressions = suppressionsOf('/* dayz-perf-ignore-next-line rpc-spam\n   -- reviewed with\n   the server team */\nSend();\n');
+
+  assert.equal(suppressions.match('rpc-spam', 2), null);
+  assert.deepEqual(suppressions.match('rpc-spam', 4), { directive: 'ignore-next-line', line: 1, reason: 'reviewed with the server team' });
+  assert.equal(suppressions.match('world-scan-loop', 4), null);
+});
+
+test('disable/enable ranges and ignore-file', () => {
+  const suppressions = suppressionsOf([
+    '// dayz-perf-disable rpc-spam',
+    'Send();',
+    '// dayz-perf-enable rpc-spam',
+    'Send();',
+    '// dayz-perf-disable',
+    'Send();'
+  ].join('\n'));
+
+  assert.ok(suppressions.match('rpc-spam', 2));
+  assert.equal(suppressions.match('rpc-spam', 4), null);
+  assert.ok(suppressions.match('rpc-spam', 6), 'a block left open runs to the end of the file');
+
+  const file = suppressionsOf('// dayz-perf-ignore-file getgame-spam\n');
+  assert.ok(file.match('getgame-spam', 0), 'file-level findings too');
+  assert.ok(file.match('getgame-spam', 40));
+  assert.equal(file.match('rpc-spam', 40), null);
+});
+
+test('suppressed findings are kept apart with their reason and not counted', () => {
+  const source = `class Scanner
+{
+	void OnUpdate(float timeslice)
+	{
+		// dayz-perf-ignore-next-line world-scan-loop -- reviewed
+		GetGame().GetObjectsAtPosition(m_Center, 2000, m_Objects, null);
+		GetGame().GetObjectsAtPosition(m_Center, 2000, m_Objects, null);
+	}
+}
+`;
+  const results = analyzeFiles({ 'Scanner.c': source });
+
+  assert.deepEqual(getFindings(results, 'world-scan-loop').map(finding => finding.line), [7]);
+  assert.equal(results.summary.suppressed, 1);
+  assert.equal(results.suppressed[0].issues[0].suppressedBy.reason, 'reviewed');
+});
@@ -0,0 +1,78 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseEnforce } from '../src/enforceParser.js';
+import { SymbolIndex } from '../src/symbolIndex.js';
+
+const FILES = {
+  'Base.c': `class MyBase
+{
+	void Start()
+	{
+	}
+}
+
+class MyItem extends MyBase
+{
+	ref array<ref MyPart> m_Parts;
+	MyPart m_Weak;
+}
+`,
+  'Part.c': `class MyPart
+{
+	ref MyItem m_Owner;
+}
+
+class MyLamp extends MyItem
+{
+}
+`,
+  'Modded.c': `modded class MyItem
+{
+	void Stop()
+	{
+	}
+}
+
+modded class PlayerBase
+{
+}
+`
+};
+
+const index = SymbolIndex.build(Object.entries(FILES).map(([path, source]) => ({ path, ast: parseEnforce(source) })));
+
+test('classes are indexed across files, with modded extensions', () => {
+  assert.deepEqual(index.getClass('MyItem').declarations.map(declaration => [declaration.file, declaration.modded]), [
+    ['Base.c', false],
+    ['Modded.c', true]
+  ]);
+  assert.equal(index.isDeclaredInMod('MyItem'), true);
+  assert.equal(index.isDeclaredInMod('PlayerBase'), false);
+  assert.equal(index.hasClass('PlayerBase'), true);
+  assert.equal(index.getModdedExtensions('MyItem').length, 1);
+});
+
+test('the class hierarchy is resolved through other files', () => {
+  assert.deepEqual(index.getAncestors('MyLamp'), ['MyItem', 'MyBase']);
+  assert.deepEqual(index.getSubclasses('MyItem'), ['MyLamp']);
+  assert.equal(index.getBase('MyItem'), 'MyBase');
+});
+
+test('methods are found on modded extensions and ancestors', () => {
+  assert.equal(index.getMethods('MyItem', 'Stop').length, 1);
+  assert.deepEqual(index.findMethod('MyLamp', 'Start').map(method => method.name), ['Start']);
+  assert.deepEqual(index.findMethod('MyLamp', 'Missing'), []);
+});
+
+test('strong references are the types held by ref fields', () => {
+  assert.deepEqual(index.getStrongReferences('MyPart'), ['MyItem']);
+  assert.deepEqual(index.getFields('MyItem').map(field => [field.name, field.isRef]), [['m_Parts', true], ['m_Weak', false]]);
+});
@@ -0,0 +1,78 @@
+/**
+ * Copyright (c) 2025 ozziehouso
+ *
+ * This file is part of a project that can be used and adapted via pull requests.
+ * Redistribution or recreation of this code as a separate project is prohibited.
+ * See LICENSE file for details.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadVanillaApi, getVanillaVersions, parseDayzVersion, compareVersions, DEFAULT_DAYZ_VERSION } from '../src/vanillaApi.js';
+import { parseEnforce } from '../src/enforceParser.js';
+import { getClasses } from '../src/ast.js';
+import { SymbolIndex } from '../src/symbolIndex.js';
+import { analyzeFiles, getFindings } from './helpers.js';
+
+const method = declaration => getClasses(parseEnforce(`class A { ${declaration} {} }`))[0].methods[0];
+
+test('versions are ordered numerically and unknown ones are rejected', () => {
+  assert.ok(compareVersions('1.9', '1.10') < 0);
+  assert.equal(compareVersions('1.28', '1.28'), 0);
+  assert.deepEqual(getVanillaVersions().slice(-2), ['1.27', '1.28']);
+  assert.equal(parseDayzVersion(' 1.27 '), '1.27');
+  assert.throws(() => parseDayzVersion('0.63'), /unknown DayZ version '0.63' \(available: .*1\.28/);
+});
+
+test('a version extending another inherits its classes', () => {
+  const api = loadVanillaApi(DEFAULT_DAYZ_VERSION);
+
+  assert.equal(api.version, '1.28');
+  assert.equal(loadVanillaApi('1.28'), api, 'loaded once per version');
+  assert.deepEqual(api.getAncestry('PlayerBase').slice(0, 3), ['PlayerBase', 'ManBase', 'DayZPlayerImplement']);
+  assert.equal(api.getModule('PlayerBase'), '4_World');
+  assert.equal(api.findMethod('PlayerBase', 'CommandHandler').className, 'DayZPlayerImplement');
+  assert.ok(api.isPerFrame('PlayerBase', 'EOnFrame'));
+  assert.equal(api.isPerFrame('PlayerBase', 'OnConnect'), false);
+  assert.ok(api.getMethodNames('PlayerBase').includes('OnRPC'));
+});
+
+test('signatures compare resolved types and out parameters, not names', () => {
+  const api = loadVanillaApi();
+  const [onRPC] = api.findMethod('PlayerBase', 'OnRPC').signatures;
+  const [setActions, setActionsOut] = api.findMethod('PlayerBase', 'SetActions').signatures;
+
+  assert.equal(api.compareSignature(method('void OnRPC(PlayerIdentity from, int type, Serializer data)'), onRPC), null);
+  assert.equal(api.compareSignature(method('void OnRPC(PlayerIdentity from, int type)'), onRPC), 'takes 2 parameter(s) instead of 3');
+  assert.equal(api.compareSignature(method('bool OnRPC(PlayerIdentity from, int type, Serializer data)'), onRPC), 'returns bool instead of void');
+  assert.equal(api.compareSignature(method('void SetActions()'), setActions), null);
+  assert.equal(api.compareSignature(method('void SetActions(TInputActionMap map)'), setActionsOut),
+    "parameter 1 is 'TInputActionMap' instead of 'out TInputActionMap'");
+});
+
+test('a mod class resolves to the first vanilla class in its base chain', () => {
+  const index = SymbolIndex.build([{ path: 'A.c', ast: parseEnforce('class MyItem extends MyBase {}\nclass MyBase extends ItemBase {}\nclass Helper {}\n') }]);
+  const api = loadVanillaApi();
+
+  assert.equal(api.resolveClass(index, 'MyItem'), 'ItemBase');
+  assert.equal(api.resolveClass(index, 'PlayerBase'), 'PlayerBase');
+  assert.equal(api.resolveClass(index, 'Helper'), null);
+});
+
+test('vanilla-override: unknown overrides are only reported when they are near misses', () => {
+  const content = 'modded class MissionServer\n{\n\toverride void OnMisionStart() {}\n\toverride void SaveModData() {}\n\toverride bool CanDisplayCargo() { return true; }\n}\n';
+  const findings = getFindings(analyzeFiles({ 'Mission.c': content }), 'vanilla-override');
+
+  assert.deepEqual(findings.map(finding => [finding.line, finding.confidence]), [[3, 'medium']]);
+  assert.match(findings[0].message, /did you mean 'OnMissionStart'\?/);
+  assert.equal(findings[0].fix, undefined);
+});
+
+test('vanilla-override: a shadowing method with the vanilla signature gets an override fix', () => {
+  const content = 'modded class MissionServer\n{\n\tvoid InvokeOnDisconnect(PlayerBase player) {}\n}\n';
+  const [finding] = getFindings(analyzeFiles({ 'Mission.c': content }), 'vanilla-override');
+
+  assert.equal(finding.severity, 'MEDIUM');
+  assert.equal(finding.confidence, 'high');
+  assert.deepEqual(finding.fix.edits.map(edit => edit.text), ['override ']);
+});